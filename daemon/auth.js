@@ -0,0 +1,123 @@
+/**
+ * Daemon API authentication - shared secret between daemon and clients
+ *
+ * The installer writes ~/.claude/productivity/auth.json:
+ *   { "token": "<64 hex chars>", "pairingOpenedAt": <ms timestamp> }
+ *
+ * Every request except /health and /pair must carry the token, either as
+ * "Authorization: Bearer <token>" or as ?token=<token> (WebSocket clients
+ * can't set headers). The browser extension receives the token from
+ * GET /pair during onboarding, which is only answered for chrome-extension://
+ * origins and only within PAIRING_WINDOW_MS of the installer running.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const AUTH_FILE = path.join(__dirname, '..', 'auth.json');
+const PAIRING_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+
+let cached = null; // { mtimeMs, auth }
+let failedMtimeMs = null; // auth.json version already reported as unreadable
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Write auth.json with owner-only permissions.
+ */
+function writeAuth(auth) {
+  fs.writeFileSync(AUTH_FILE, JSON.stringify(auth, null, 2), { mode: 0o600 });
+  cached = null;
+}
+
+/**
+ * Read auth.json, re-reading only when it changed on disk. If it is missing
+ * (e.g. a daemon updated without running the installer) a token is generated
+ * and the pairing window opens now. If it can't be read or holds no valid
+ * token, the last token read stays in use (null if there is none) so paired
+ * clients aren't locked out by a half-written or hand-edited file.
+ */
+function loadAuth() {
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(AUTH_FILE));
+    if (cached && cached.mtimeMs === mtimeMs) return cached.auth;
+    if (failedMtimeMs === mtimeMs) return cached ? cached.auth : null;
+
+    const auth = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8'));
+    if (typeof auth?.token !== 'string' || auth.token.length < 32) {
+      throw new Error('invalid token');
+    }
+    cached = { mtimeMs, auth };
+    failedMtimeMs = null;
+    return auth;
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      const auth = { token: generateToken(), pairingOpenedAt: Date.now() };
+      writeAuth(auth);
+      return auth;
+    }
+
+    if (failedMtimeMs !== mtimeMs) {
+      failedMtimeMs = mtimeMs;
+      const fallback = cached ? 'keeping the current token' : 'rejecting every request';
+      console.error(`Auth: could not read ${AUTH_FILE} (${e.message}), ${fallback} until it is fixed or removed`);
+    }
+    return cached ? cached.auth : null;
+  }
+}
+
+/**
+ * Extract the token a request presented (Authorization header or ?token=).
+ */
+function getRequestToken(req, url) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return url.searchParams.get('token');
+}
+
+/**
+ * Constant-time comparison against the current token.
+ */
+function isAuthorized(req, url) {
+  const provided = getRequestToken(req, url);
+  const auth = loadAuth();
+  if (!provided || !auth) return false;
+
+  const expected = Buffer.from(auth.token);
+  const actual = Buffer.from(provided);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function isExtensionOrigin(origin) {
+  return !!origin && origin.startsWith('chrome-extension://');
+}
+
+/**
+ * Browser extensions are the only browser origin allowed to talk to the daemon.
+ * Requests without an Origin header come from local tools (curl, hooks).
+ */
+function isAllowedOrigin(origin) {
+  return !origin || isExtensionOrigin(origin);
+}
+
+function isPairingOpen() {
+  const auth = loadAuth();
+  return !!auth && Date.now() - (auth.pairingOpenedAt || 0) < PAIRING_WINDOW_MS;
+}
+
+module.exports = {
+  AUTH_FILE,
+  PAIRING_WINDOW_MS,
+  generateToken,
+  writeAuth,
+  loadAuth,
+  isAuthorized,
+  isAllowedOrigin,
+  isExtensionOrigin,
+  isPairingOpen,
+};
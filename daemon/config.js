@@ -0,0 +1,155 @@
+/**
+ * Daemon configuration - shared by server.js and record-activity.js
+ *
+ * Reads ~/.claude/productivity/config.json (the directory above the daemon),
+ * validates each value and falls back to the default for anything missing or
+ * invalid. All keys are optional:
+ *
+ *   {
+ *     "port": 31415,                  // HTTP + WebSocket port
+ *     "activityTimeoutMinutes": 2,    // default inactivity timeout for clients that don't send one
+ *     "workingStaleMinutes": 5,       // longest a silent 'working' session keeps sites unlocked
+ *     "sessionRetentionHours": 1,     // prune sessions with no hook events for this long
+ *     "historyMaxMegabytes": 5,       // rotate history.jsonl once it reaches this size
+ *     "historyFiles": 5               // rotated history files to keep (history.1.jsonl ...)
+ *   }
+ *
+ * server.js hot-reloads the file via watchConfig() and keeps its last good
+ * config while the file is missing or unparseable (an editor mid-save, a typo);
+ * record-activity.js runs once per hook event and simply calls loadConfig().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config.json');
+
+// { default, min, max, integer } per key
+const SCHEMA = {
+  port: { default: 31415, min: 1024, max: 65535, integer: true },
+  activityTimeoutMinutes: { default: 2, min: 0, max: 24 * 60 },
+  workingStaleMinutes: { default: 5, min: 1, max: 24 * 60 },
+  sessionRetentionHours: { default: 1, min: 0.1, max: 24 * 30 },
+  historyMaxMegabytes: { default: 5, min: 0.1, max: 1024 },
+  historyFiles: { default: 5, min: 1, max: 100, integer: true },
+};
+
+// Keys older versions understood, ignored with an explanation
+const RETIRED_KEYS = {
+  broadcastIntervalSeconds: 'status is now pushed the moment it changes',
+};
+
+const DEFAULTS = Object.freeze(
+  Object.fromEntries(Object.entries(SCHEMA).map(([key, rule]) => [key, rule.default]))
+);
+
+/**
+ * Validate a parsed config object against SCHEMA.
+ * Returns { config, warnings } where config always has every key.
+ */
+function validateConfig(raw) {
+  const config = { ...DEFAULTS };
+  const warnings = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    warnings.push('config must be a JSON object, using defaults');
+    return { config, warnings };
+  }
+
+  for (const [key, value] of Object.entries(raw)) {
+    const rule = SCHEMA[key];
+    if (RETIRED_KEYS[key]) {
+      warnings.push(`"${key}" is no longer used (${RETIRED_KEYS[key]})`);
+      continue;
+    }
+    if (!rule) {
+      warnings.push(`unknown key "${key}" ignored`);
+      continue;
+    }
+
+    const valid = typeof value === 'number'
+      && Number.isFinite(value)
+      && value >= rule.min
+      && value <= rule.max
+      && (!rule.integer || Number.isInteger(value));
+
+    if (valid) {
+      config[key] = value;
+    } else {
+      warnings.push(`"${key}" must be a${rule.integer ? 'n integer' : ' number'} between ${rule.min} and ${rule.max}, using ${rule.default}`);
+    }
+  }
+
+  return { config, warnings };
+}
+
+function readConfigFile() {
+  try {
+    return { text: fs.readFileSync(CONFIG_FILE, 'utf-8') };
+  } catch (e) {
+    return { error: e };
+  }
+}
+
+/**
+ * Turn one read of the config file ({ text } or { error }) into
+ * { config, warnings }. Without a `current` config (at startup) a missing
+ * file means all defaults. With one, a file that can't be read or parsed
+ * keeps it, and `kept` is set.
+ */
+function resolveConfig({ text, error }, current = null) {
+  if (error?.code === 'ENOENT' && !current) return { config: { ...DEFAULTS }, warnings: [] };
+
+  let raw;
+  try {
+    if (error) throw error;
+    raw = JSON.parse(text);
+  } catch (e) {
+    const problem = `could not read ${CONFIG_FILE}: ${e.message}`;
+    return current
+      ? { config: current, warnings: [`${problem}, keeping the current config`], kept: true }
+      : { config: { ...DEFAULTS }, warnings: [`${problem}, using defaults`] };
+  }
+  return validateConfig(raw);
+}
+
+/**
+ * Load and validate the config file. Pass the config in use to keep it when
+ * the file can't be read (see resolveConfig).
+ */
+function loadConfig(current = null) {
+  return resolveConfig(readConfigFile(), current);
+}
+
+/**
+ * Watch the config file and call onChange({ config, warnings, kept }) after
+ * it is created, edited, replaced or removed. getCurrent() returns the config
+ * in use, which is kept when the file can't be read. Watches the directory
+ * rather than the file so editors that save via rename keep working. Returns
+ * the fs.FSWatcher.
+ */
+function watchConfig(onChange, getCurrent, debounceMs = 200) {
+  let timer = null;
+
+  const watcher = fs.watch(path.dirname(CONFIG_FILE), (eventType, filename) => {
+    if (filename && filename !== path.basename(CONFIG_FILE)) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(() => onChange(loadConfig(getCurrent())), debounceMs);
+  });
+
+  watcher.on('error', (e) => {
+    console.error('Config watcher error:', e.message);
+  });
+
+  return watcher;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULTS,
+  validateConfig,
+  resolveConfig,
+  loadConfig,
+  watchConfig,
+};
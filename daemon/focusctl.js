@@ -0,0 +1,663 @@
+#!/usr/bin/env node
+
+/**
+ * focusctl - command-line client for the productivity daemon
+ *
+ * Usage: focusctl <command> [options]
+ *
+ *   status                       Whether sites are locked, and why
+ *   watch                        Print every lock and unlock as it happens
+ *   sessions                     Claude Code sessions, active first
+ *   snooze <duration>            Keep sites unlocked for a while (0 ends any snooze or lock)
+ *   unlock-for <duration>        Same as snooze
+ *   lock-now [--for <duration>]  Lock sites until Claude's next activity, or for a while
+ *   history [--today] [--from <time>] [--to <time>]
+ *                                Hook events (default last 24 hours)
+ *   config get [key]             Effective daemon configuration
+ *   config set <key> <value>     Change config.json (the daemon reloads it)
+ *   logs [-f] [-n <lines>]       Daemon logs
+ *
+ * Options:
+ *   --json               Machine-readable output (one JSON document, or one
+ *                        per line for watch)
+ *   --timeout <minutes>  Evaluate status against this timeout instead of the
+ *                        daemon's default (status, watch, sessions)
+ *
+ * Durations are minutes, or combine units: 90s, 10m, 1h30m. Times for
+ * history accept epoch milliseconds, ISO timestamps or YYYY-MM-DD.
+ *
+ * Reads the port from config.json and the token from auth.json. Queries go
+ * over HTTP (watch uses GET /events); snooze and lock are WebSocket
+ * protocol commands (see protocol.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { CONFIG_FILE, DEFAULTS, validateConfig, loadConfig } = require('./config');
+const { AUTH_FILE } = require('./auth');
+const { startOfLocalDay } = require('./history');
+const { OPCODES, CLOSE_CODES, acceptKey, encodeFrame, encodeCloseFrame, createFrameDecoder } = require('./websocket');
+const { PROTOCOL_VERSION } = require('./protocol');
+const { RETRY_MS } = require('./sse');
+
+const LOG_DIR = path.join(__dirname, 'logs');
+const LOG_FILES = ['stdout.log', 'stderr.log'];
+const REQUEST_TIMEOUT_MS = 5000;
+const DEFAULT_LOG_LINES = 50;
+
+const USAGE = `Usage: focusctl <command> [options]
+
+Commands:
+  status                       Whether sites are locked, and why
+  watch                        Print every lock and unlock as it happens
+  sessions                     Claude Code sessions, active first
+  snooze <duration>            Keep sites unlocked for a while (0 ends any snooze or lock)
+  unlock-for <duration>        Same as snooze
+  lock-now [--for <duration>]  Lock sites until Claude's next activity, or for a while
+  history [--today] [--from <time>] [--to <time>]
+  config get [key]
+  config set <key> <value>
+  logs [-f] [-n <lines>]
+
+Options:
+  --json               Machine-readable output
+  --timeout <minutes>  Timeout to evaluate status against
+  -h, --help           Show this help
+
+Durations: 90s, 10m, 1h30m (a bare number is minutes)`;
+
+// Flags that take a value, and their short forms
+const VALUE_FLAGS = new Set(['timeout', 'for', 'from', 'to', 'lines']);
+const SHORT_FLAGS = { f: 'follow', n: 'lines', h: 'help' };
+
+/**
+ * An error worth showing the user as is, without a stack trace.
+ */
+class CliError extends Error {}
+
+// ─── Parsing ───────────────────────────────────────────────────────
+
+/**
+ * Split argv into positionals and flags. `--name value`, `--name=value`
+ * and the short forms in SHORT_FLAGS are understood.
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let [name, value] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    if (!arg.startsWith('--')) name = SHORT_FLAGS[name] || name;
+
+    if (VALUE_FLAGS.has(name)) {
+      if (value === undefined) value = argv[++i];
+      if (value === undefined) throw new CliError(`--${name} needs a value`);
+      flags[name] = value;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { command: positionals[0] || null, args: positionals.slice(1), flags };
+}
+
+/**
+ * Parse a duration ("90s", "10m", "1h30m", or bare minutes) into minutes.
+ * Returns null when it isn't one.
+ */
+function parseDuration(text) {
+  if (typeof text !== 'string') return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (!/^(\d+(\.\d+)?[hms])+$/.test(text)) return null;
+
+  const units = { h: 60, m: 1, s: 1 / 60 };
+  let minutes = 0;
+  for (const [, amount, , unit] of text.matchAll(/(\d+(\.\d+)?)([hms])/g)) {
+    minutes += Number(amount) * units[unit];
+  }
+  return minutes;
+}
+
+/**
+ * Compact duration: "45s", "3m 20s", "1h 5m".
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+  return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+function formatClock(ts) {
+  return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+}
+
+/**
+ * Split buffered Server-Sent Events text into complete events.
+ * Returns { events: [{ id, event, data }], rest } - `rest` is the
+ * incomplete tail to keep for the next chunk. Comments are skipped.
+ */
+function parseSseEvents(text) {
+  const blocks = text.replace(/\r\n/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    const event = { id: null, event: 'message', data: '' };
+    const data = [];
+    for (const line of block.split('\n')) {
+      const match = line.match(/^([^:]+): ?(.*)$/);
+      if (!match) continue;
+      const [, field, value] = match;
+      if (field === 'data') data.push(value);
+      else if (field === 'id' || field === 'event') event[field] = value;
+    }
+    if (data.length === 0) continue;
+    event.data = data.join('\n');
+    events.push(event);
+  }
+
+  return { events, rest };
+}
+
+// ─── Describing status ─────────────────────────────────────────────
+
+/**
+ * One-line summary of a status payload, e.g.
+ * "● Unlocked - Claude is working in my-app".
+ */
+function describeStatus(status, now = Date.now()) {
+  const symbol = status.active ? '●' : '○';
+  const where = (session) => (session?.project ? ` in ${session.project}` : '');
+  const sessions = status.sessions || [];
+  const { override } = status;
+
+  if (override?.mode === 'lock') {
+    const until = override.until ? ` for ${formatDuration(override.until - now)}` : ' until Claude is active again';
+    return `${symbol} Locked${until} (manual)`;
+  }
+  if (override?.mode === 'unlock') {
+    return `${symbol} Unlocked for ${formatDuration(override.until - now)} (snoozed)`;
+  }
+  if (status.error) return `${symbol} Locked - no Claude activity recorded yet`;
+
+  if (status.active) {
+    const session = sessions.find(s => s.active) || sessions[0];
+    return status.state === 'working'
+      ? `${symbol} Unlocked - Claude is working${where(session)}`
+      : `${symbol} Unlocked - Claude active ${formatDuration(status.elapsed)} ago${where(session)}`;
+  }
+
+  if (status.attention) {
+    const session = sessions.find(s => s.id === status.attention.sessionId);
+    return `${symbol} Locked - Claude needs you${where(session)}`;
+  }
+  return `${symbol} Locked - Claude idle for ${formatDuration(status.elapsed)}`;
+}
+
+function describeSessions(sessions, now = Date.now()) {
+  if (sessions.length === 0) return 'No Claude Code sessions';
+
+  const rows = sessions.map(session => [
+    session.active ? '●' : '○',
+    session.id.slice(0, 8),
+    session.state || '-',
+    session.project ? `${session.project}${session.branch ? ` (${session.branch})` : ''}` : '-',
+    `${formatDuration(now - session.lastActivity)} ago`,
+    session.lastTool || '',
+  ]);
+  return table([['', 'SESSION', 'STATE', 'PROJECT', 'LAST ACTIVITY', 'TOOL'], ...rows]);
+}
+
+function describeHistory(events) {
+  if (events.length === 0) return 'No hook events in this range';
+
+  const rows = events.map(event => [
+    `${new Date(event.ts).toLocaleDateString()} ${formatClock(event.ts)}`,
+    event.event,
+    event.tool || '',
+    event.project || '',
+    event.sessionId ? event.sessionId.slice(0, 8) : '',
+  ]);
+  return table(rows);
+}
+
+/**
+ * Left-aligned columns separated by two spaces.
+ */
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => String(row[i]).length)));
+  return rows
+    .map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+// ─── Talking to the daemon ─────────────────────────────────────────
+
+function daemonPort() {
+  return loadConfig().config.port;
+}
+
+/**
+ * The daemon's API token. Unlike auth.js, never creates one.
+ */
+function readToken() {
+  try {
+    return JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8')).token;
+  } catch {
+    throw new CliError(`Can't read the daemon token from ${AUTH_FILE} - run the installer first`);
+  }
+}
+
+function connectionError(e, port) {
+  if (e instanceof CliError) return e;
+  if (e.code === 'ECONNREFUSED') return new CliError(`Daemon is not running on port ${port}`);
+  return new CliError(`Can't reach the daemon on port ${port}: ${e.message}`);
+}
+
+function statusError(statusCode, body) {
+  if (statusCode === 401) return new CliError('The daemon rejected the token in auth.json - restart it after re-running the installer');
+  return new CliError(`Daemon answered ${statusCode}: ${body?.error || 'unexpected response'}`);
+}
+
+/**
+ * GET a JSON endpoint. `query` values that are undefined are left out.
+ */
+function getJson(pathname, query = {}) {
+  const port = daemonPort();
+  const search = String(new URLSearchParams(Object.entries(query).filter(([, value]) => value !== undefined)));
+  const url = `http://127.0.0.1:${port}${pathname}${search ? `?${search}` : ''}`;
+
+  return new Promise((resolve, reject) => {
+    const req = http.get(url, { headers: { Authorization: `Bearer ${readToken()}` } }, (res) => {
+      let body = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = JSON.parse(body);
+        } catch {}
+        if (res.statusCode !== 200) reject(statusError(res.statusCode, data));
+        else if (!data) reject(new CliError('Daemon sent invalid JSON'));
+        else resolve(data);
+      });
+    });
+    req.on('error', e => reject(connectionError(e, port)));
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new CliError(`Daemon on port ${port} did not answer`)));
+  });
+}
+
+/**
+ * Send one protocol request over a WebSocket and resolve with its result.
+ */
+function sendCommand(type, fields = {}) {
+  const port = daemonPort();
+  const key = crypto.randomBytes(16).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let socket = null;
+
+    function finish(error, result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (socket) socket.end(encodeCloseFrame(CLOSE_CODES.NORMAL, '', true));
+      if (error) reject(error);
+      else resolve(result);
+    }
+
+    const timer = setTimeout(() => {
+      finish(new CliError(`Daemon on port ${port} did not answer`));
+      req.destroy();
+    }, REQUEST_TIMEOUT_MS);
+
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: '/',
+      headers: {
+        Authorization: `Bearer ${readToken()}`,
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+
+    req.on('response', (res) => {
+      res.resume();
+      finish(statusError(res.statusCode, null));
+    });
+    req.on('error', e => finish(connectionError(e, port)));
+
+    req.on('upgrade', (res, upgraded, head) => {
+      socket = upgraded;
+      if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        finish(new CliError('Daemon sent an invalid WebSocket handshake'));
+        return;
+      }
+
+      const decoder = createFrameDecoder({
+        masked: false,
+        onMessage(opcode, data) {
+          if (opcode === OPCODES.CLOSE) {
+            finish(new CliError('Daemon closed the connection'));
+            return;
+          }
+          if (opcode !== OPCODES.TEXT) return;
+
+          let message;
+          try {
+            message = JSON.parse(data);
+          } catch {
+            finish(new CliError('Daemon sent invalid JSON'));
+            return;
+          }
+          // Status pushes arrive too; only the answer to our request matters
+          if (message.type !== 'reply' && message.type !== 'error') return;
+          if (message.id !== 1) return;
+          if (message.type === 'error') finish(new CliError(message.error.message));
+          else finish(null, message.result);
+        },
+        onError(code, reason) {
+          finish(new CliError(`Daemon sent a bad frame: ${reason}`));
+        },
+      });
+
+      socket.on('data', chunk => decoder.push(chunk));
+      socket.on('error', e => finish(connectionError(e, port)));
+      socket.on('close', () => finish(new CliError('Daemon closed the connection')));
+      if (head.length > 0) decoder.push(head);
+
+      const request = { v: PROTOCOL_VERSION, id: 1, type, ...fields };
+      socket.write(encodeFrame(JSON.stringify(request), OPCODES.TEXT, true));
+    });
+
+    req.end();
+  });
+}
+
+// ─── Commands ──────────────────────────────────────────────────────
+
+function timeoutQuery(flags) {
+  if (flags.timeout === undefined) return {};
+  const minutes = Number(flags.timeout);
+  if (!Number.isFinite(minutes) || minutes < 0) throw new CliError('--timeout must be minutes, e.g. --timeout 2');
+  return { timeout: minutes };
+}
+
+function requireDuration(text, command) {
+  const minutes = parseDuration(text);
+  if (minutes === null) throw new CliError(`Usage: focusctl ${command} <duration>, e.g. focusctl ${command} 10m`);
+  return minutes;
+}
+
+function describeOverride(override) {
+  if (!override) return 'Override cleared - sites follow Claude again';
+  if (override.mode === 'unlock') return `Sites unlocked until ${formatClock(override.until)}`;
+  return override.until ? `Sites locked until ${formatClock(override.until)}` : 'Sites locked until Claude is active again';
+}
+
+const COMMANDS = {
+  async status({ flags }, out) {
+    const status = await getJson('/status', timeoutQuery(flags));
+    out(status, () => {
+      const lines = [describeStatus(status)];
+      if (status.sessionCount > 0) {
+        const active = status.sessions.filter(s => s.active).length;
+        lines.push(`  Sessions: ${status.sessionCount} (${active} active)`);
+      }
+      if (status.lastActivity > 0) {
+        lines.push(`  Last activity: ${formatDuration(status.elapsed)} ago${status.lastTool ? ` (${status.lastTool})` : ''}`);
+      }
+      return lines.join('\n');
+    });
+  },
+
+  async sessions({ flags }, out) {
+    const { sessions } = await getJson('/sessions', timeoutQuery(flags));
+    out({ sessions }, () => describeSessions(sessions));
+  },
+
+  async snooze({ args }, out, command = 'snooze') {
+    const minutes = requireDuration(args[0], command);
+    const { override } = await sendCommand('snooze', { minutes });
+    out({ override }, () => describeOverride(override));
+  },
+
+  'unlock-for'(context, out) {
+    return COMMANDS.snooze(context, out, 'unlock-for');
+  },
+
+  async 'lock-now'({ flags }, out) {
+    const fields = flags.for === undefined ? {} : { minutes: requireDuration(flags.for, 'lock-now --for') };
+    const { override } = await sendCommand('lock', fields);
+    out({ override }, () => describeOverride(override));
+  },
+
+  async history({ flags }, out) {
+    const query = { from: flags.from, to: flags.to };
+    if (flags.today) query.from = startOfLocalDay(Date.now());
+    const { from, to, events } = await getJson('/history', query);
+    out({ from, to, events }, () => describeHistory(events));
+  },
+
+  async config({ args }, out) {
+    const [action, key, value] = args;
+    let raw = {};
+    try {
+      raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new CliError(`Can't read ${CONFIG_FILE}: ${e.message}`);
+    }
+
+    if (action === 'get') {
+      const { config } = validateConfig(raw);
+      if (key === undefined) {
+        out(config, () => table(Object.entries(config)));
+        return;
+      }
+      if (!(key in DEFAULTS)) throw new CliError(`Unknown config key "${key}" (known: ${Object.keys(DEFAULTS).join(', ')})`);
+      out({ [key]: config[key] }, () => String(config[key]));
+      return;
+    }
+
+    if (action === 'set') {
+      if (key === undefined || value === undefined) throw new CliError('Usage: focusctl config set <key> <value>');
+      if (!(key in DEFAULTS)) throw new CliError(`Unknown config key "${key}" (known: ${Object.keys(DEFAULTS).join(', ')})`);
+
+      const next = { ...raw, [key]: Number(value) };
+      const problem = validateConfig(next).warnings.find(warning => warning.startsWith(`"${key}"`));
+      if (problem) throw new CliError(problem.replace(/, using .*$/, ''));
+
+      // Temp file and rename, so the daemon never reloads half a file
+      const tempFile = `${CONFIG_FILE}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(next, null, 2) + '\n');
+      fs.renameSync(tempFile, CONFIG_FILE);
+      out({ [key]: next[key] }, () => `${key} = ${next[key]} (the daemon picks it up automatically)`);
+      return;
+    }
+
+    throw new CliError('Usage: focusctl config get [key] | focusctl config set <key> <value>');
+  },
+
+  watch({ flags }, out) {
+    const port = daemonPort();
+    const query = new URLSearchParams({ topics: 'status', ...timeoutQuery(flags) });
+    let lastEventId = null;
+    let lastLine = null;
+
+    function connect() {
+      // A dropped stream can report itself more than once (error, then close)
+      let retried = false;
+      const retryOnce = (reason) => {
+        if (retried) return;
+        retried = true;
+        retry(reason);
+      };
+
+      const headers = { Authorization: `Bearer ${readToken()}` };
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+      const req = http.get(`http://127.0.0.1:${port}/events?${query}`, { headers }, (res) => {
+        if (res.statusCode !== 200) {
+          res.resume();
+          fail(statusError(res.statusCode, null));
+          return;
+        }
+
+        let buffered = '';
+        res.setEncoding('utf-8');
+        res.on('data', (chunk) => {
+          const { events, rest } = parseSseEvents(buffered + chunk);
+          buffered = rest;
+          for (const event of events) {
+            lastEventId = event.id || lastEventId;
+            let status;
+            try {
+              status = JSON.parse(event.data);
+            } catch {
+              console.error('Daemon sent an event that is not JSON - skipped');
+              continue;
+            }
+            out(status, () => {
+              // Pushes also carry session details; only show what changed here
+              const line = describeStatus(status);
+              if (line === lastLine) return null;
+              lastLine = line;
+              return `[${formatClock(Date.now())}] ${line}`;
+            }, true);
+          }
+        });
+        res.on('end', () => retryOnce('Daemon closed the stream'));
+        // The daemon went away mid-stream: no 'end', only an error and 'close'
+        res.on('error', () => retryOnce('Lost the connection to the daemon'));
+        res.on('close', () => retryOnce('Lost the connection to the daemon'));
+      });
+
+      req.on('error', e => retryOnce(connectionError(e, port).message));
+    }
+
+    function retry(reason) {
+      console.error(`${reason} - reconnecting in ${RETRY_MS / 1000}s`);
+      setTimeout(connect, RETRY_MS);
+    }
+
+    function fail(error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+
+    connect();
+    return new Promise(() => {}); // Runs until interrupted
+  },
+
+  logs({ flags }, out) {
+    const lines = flags.lines === undefined ? DEFAULT_LOG_LINES : Number(flags.lines);
+    if (!Number.isInteger(lines) || lines < 0) throw new CliError('-n must be a number of lines');
+
+    const files = LOG_FILES.map(name => path.join(LOG_DIR, name)).filter(file => fs.existsSync(file));
+    if (files.length === 0) throw new CliError(`No daemon logs in ${LOG_DIR}`);
+
+    const tails = Object.fromEntries(files.map(file => [path.basename(file), tailLines(file, lines)]));
+    out(tails, () => Object.entries(tails)
+      .map(([name, fileLines]) => `==> ${name} <==\n${fileLines.join('\n')}`)
+      .join('\n\n'));
+
+    if (!flags.follow) return undefined;
+    for (const file of files) followFile(file, files.length > 1 ? `[${path.basename(file)}] ` : '');
+    return new Promise(() => {}); // Runs until interrupted
+  },
+};
+
+/**
+ * The last `count` lines of a file.
+ */
+function tailLines(file, count) {
+  if (count === 0) return [];
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines.slice(-count);
+}
+
+/**
+ * Print lines appended to a file from now on. Starts over if the file
+ * shrinks (truncated or replaced).
+ */
+function followFile(file, prefix) {
+  let position = fs.statSync(file).size;
+  let partial = '';
+
+  fs.watchFile(file, { interval: 500 }, (current) => {
+    if (current.size < position) position = 0;
+    if (current.size === position) return;
+
+    const fd = fs.openSync(file, 'r');
+    const chunk = Buffer.alloc(current.size - position);
+    fs.readSync(fd, chunk, 0, chunk.length, position);
+    fs.closeSync(fd);
+    position = current.size;
+
+    const lines = (partial + chunk.toString('utf-8')).split('\n');
+    partial = lines.pop();
+    for (const line of lines) console.log(`${prefix}${line}`);
+  });
+}
+
+// ─── Main ──────────────────────────────────────────────────────────
+
+/**
+ * Output helper: JSON in --json mode, otherwise the human description.
+ * Streaming commands print one JSON document per line. A description of
+ * null prints nothing.
+ */
+function createOutput(json) {
+  return (data, describe, streaming = false) => {
+    if (json) {
+      console.log(streaming ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+      return;
+    }
+    const text = describe();
+    if (text !== null) console.log(text);
+  };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { command, args, flags } = parseArgs(argv);
+
+  if (flags.help || command === null || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const run = Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : null;
+  if (!run) throw new CliError(`Unknown command "${command}"\n\n${USAGE}`);
+
+  await run({ args, flags }, createOutput(flags.json === true));
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e instanceof CliError ? e.message : e.stack);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  parseDuration,
+  formatDuration,
+  parseSseEvents,
+  describeStatus,
+};
@@ -0,0 +1,357 @@
+/**
+ * Activity history - append-only event log plus daily analytics
+ *
+ * record-activity.js appends one JSON line per hook event to
+ * ~/.claude/productivity/history.jsonl:
+ *   { "ts": 1700000000000, "sessionId": "...", "event": "PostToolUse",
+ *     "tool": "Edit", "state": "working", "project": "my-app", "branch": "main" }
+ *
+ * When the file grows past historyMaxMegabytes it is rotated to history.1.jsonl
+ * (older files shift to .2, .3, ...) and at most historyFiles rotated files are
+ * kept. server.js streams the log back for GET /history and GET /stats/daily,
+ * and follows its end (createHistoryTail) to push new events to subscribers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { activeWindowMs } = require('./session-activity');
+
+const HISTORY_FILE = path.join(__dirname, '..', 'history.jsonl');
+
+// Events that refresh a session's lastActivity (must match record-activity.js)
+const ACTIVITY_EVENTS = new Set(['PostToolUse', 'UserPromptSubmit', 'Stop']);
+
+const MAX_IDLE_GAPS = 3;
+
+function rotatedFile(n) {
+  return HISTORY_FILE.replace(/\.jsonl$/, `.${n}.jsonl`);
+}
+
+/**
+ * Shift history.jsonl -> history.1.jsonl -> history.2.jsonl ..., dropping
+ * anything past keepFiles. Hook processes can race here; losing a rename
+ * only means one rotated file is smaller than the limit.
+ */
+function rotateHistory(keepFiles) {
+  try {
+    fs.unlinkSync(rotatedFile(keepFiles));
+  } catch {}
+
+  for (let n = keepFiles - 1; n >= 1; n--) {
+    try {
+      fs.renameSync(rotatedFile(n), rotatedFile(n + 1));
+    } catch {}
+  }
+
+  try {
+    fs.renameSync(HISTORY_FILE, rotatedFile(1));
+  } catch {}
+}
+
+/**
+ * Append one event, rotating first if the file is over the size limit.
+ */
+function appendHistory(entry, { historyMaxMegabytes, historyFiles }) {
+  try {
+    if (fs.statSync(HISTORY_FILE).size >= historyMaxMegabytes * 1024 * 1024) {
+      rotateHistory(historyFiles);
+    }
+  } catch {
+    // No history yet
+  }
+
+  fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + '\n');
+}
+
+function historyFiles() {
+  const files = [];
+  for (let n = 1; fs.existsSync(rotatedFile(n)); n++) {
+    files.unshift(rotatedFile(n));
+  }
+  files.push(HISTORY_FILE);
+  return files;
+}
+
+function parseEvent(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    // Torn or hand-edited line - skip it
+    return null;
+  }
+}
+
+/**
+ * Read events with from <= ts < to, oldest first. Files are streamed a line
+ * at a time; rotated files last modified before `from` can't contain
+ * matching events and are skipped.
+ */
+async function readHistory(from, to) {
+  const events = [];
+  for (const file of historyFiles()) {
+    let lines;
+    try {
+      if ((await fs.promises.stat(file)).mtimeMs < from) continue;
+      lines = readline.createInterface({ input: fs.createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+      for await (const line of lines) {
+        const event = line && parseEvent(line);
+        if (event && event.ts >= from && event.ts < to) events.push(event);
+      }
+    } catch {
+      // Gone (rotated away) before or while reading it
+      lines?.close();
+    }
+  }
+
+  return events.sort((a, b) => a.ts - b.ts);
+}
+
+function statOrNull(file) {
+  try {
+    return fs.statSync(file);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The bytes of `file` from `offset` on, if it is still the file with inode
+ * `ino` (else empty: it was renamed away meanwhile).
+ */
+function readFrom(file, ino, offset) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+  } catch {
+    return Buffer.alloc(0);
+  }
+  try {
+    const stat = fs.fstatSync(fd);
+    if (stat.ino !== ino) return Buffer.alloc(0);
+    const length = Math.max(0, stat.size - offset);
+    const buffer = Buffer.alloc(length);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, offset));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Follow history.jsonl from where it ends now, for pushing new events to
+ * subscribers. Each read() returns the events appended since the previous
+ * one, oldest first, reading only the new bytes. A line still being written
+ * waits for the next read. Rotation renames the file, so after one the rest
+ * of the old file is read from history.1.jsonl before starting on the new.
+ */
+function createHistoryTail() {
+  const start = statOrNull(HISTORY_FILE);
+  let ino = start ? start.ino : null;
+  let offset = start ? start.size : 0;
+  let pending = Buffer.alloc(0);
+
+  function takeLines(chunk) {
+    const data = Buffer.concat([pending, chunk]);
+    const end = data.lastIndexOf(0x0a) + 1;
+    pending = data.subarray(end);
+    return data.subarray(0, end).toString('utf-8').split('\n');
+  }
+
+  function read() {
+    const lines = [];
+    const current = statOrNull(HISTORY_FILE);
+
+    if (ino !== null && current?.ino !== ino) {
+      const rotated = statOrNull(rotatedFile(1));
+      if (rotated?.ino === ino) lines.push(...takeLines(readFrom(rotatedFile(1), ino, offset)));
+      // Whatever is left of the old file never got its newline
+      pending = Buffer.alloc(0);
+      ino = null;
+    }
+
+    if (current) {
+      if (ino === null || current.size < offset) {
+        offset = 0;
+        pending = Buffer.alloc(0);
+      }
+      ino = current.ino;
+      const chunk = readFrom(HISTORY_FILE, ino, offset);
+      offset += chunk.length;
+      lines.push(...takeLines(chunk));
+    }
+
+    return lines
+      .map(line => line && parseEvent(line))
+      .filter(Boolean)
+      .sort((a, b) => a.ts - b.ts);
+  }
+
+  return { read };
+}
+
+// ─── Daily analytics ───────────────────────────────────────────────
+
+function startOfLocalDay(ts) {
+  const d = new Date(ts);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+function nextLocalDay(dayStart) {
+  const d = new Date(dayStart);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1).getTime();
+}
+
+function localDayKey(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function toMinutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+/**
+ * Rebuild the intervals during which at least one session kept sites
+ * unlocked. Replays each session's events with the same rule the daemon
+ * uses live (see session-activity.js).
+ * Returns merged [start, end] pairs sorted by start.
+ */
+function getActiveIntervals(events, { timeoutMs, workingStaleMs, until }) {
+  const bySession = new Map();
+  for (const event of events) {
+    if (!bySession.has(event.sessionId)) bySession.set(event.sessionId, []);
+    bySession.get(event.sessionId).push(event);
+  }
+
+  const intervals = [];
+  for (const sessionEvents of bySession.values()) {
+    let lastActivity = null;
+    let state = null;
+
+    sessionEvents.forEach((event, i) => {
+      state = event.state;
+      if (ACTIVITY_EVENTS.has(event.event)) lastActivity = event.ts;
+      const windowMs = activeWindowMs(state, timeoutMs, workingStaleMs);
+      if (lastActivity === null || windowMs === null) return;
+
+      // This state holds until the session's next event
+      const segmentEnd = i + 1 < sessionEvents.length ? sessionEvents[i + 1].ts : until;
+      const end = Math.min(segmentEnd, lastActivity + windowMs);
+      if (end > event.ts) intervals.push([event.ts, end]);
+    });
+  }
+
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [start, end] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Active minutes in each local hour of the day (24 entries) for the heatmap.
+ * Hours are stepped through local time so DST days still map correctly.
+ */
+function getActiveMinutesByHour(dayStart, dayActive) {
+  const d = new Date(dayStart);
+  return Array.from({ length: 24 }, (_, hour) => {
+    const hourStart = new Date(d.getFullYear(), d.getMonth(), d.getDate(), hour).getTime();
+    const hourEnd = new Date(d.getFullYear(), d.getMonth(), d.getDate(), hour + 1).getTime();
+    const ms = dayActive.reduce((sum, [s, e]) => sum + Math.max(0, Math.min(e, hourEnd) - Math.max(s, hourStart)), 0);
+    return toMinutes(ms);
+  });
+}
+
+/**
+ * Per local day in [from, to): minutes Claude kept sites unlocked (in total
+ * and per hour), minutes they were locked, tool counts per project and the
+ * longest idle gaps.
+ *
+ * A day's tracked span runs from its first event (or active time carried
+ * over from the previous day) to its last event or active moment, so
+ * locked time counts only the part of the day you were working with
+ * Claude, not the night. Days without any activity are omitted.
+ *
+ * `events` should start early enough (workingStaleMs before `from`) for
+ * sessions that were already active at `from` to be replayed correctly.
+ */
+function computeDailyStats(events, { from, to, timeoutMs, workingStaleMs }) {
+  const active = getActiveIntervals(events, { timeoutMs, workingStaleMs, until: to });
+  const days = [];
+
+  for (let dayStart = startOfLocalDay(from); dayStart < to; dayStart = nextLocalDay(dayStart)) {
+    const start = Math.max(dayStart, from);
+    const end = Math.min(nextLocalDay(dayStart), to);
+
+    const dayEvents = events.filter(e => e.ts >= start && e.ts < end);
+    const dayActive = active
+      .map(([s, e]) => [Math.max(s, start), Math.min(e, end)])
+      .filter(([s, e]) => e > s);
+
+    if (dayEvents.length === 0 && dayActive.length === 0) continue;
+
+    const spanStart = Math.min(
+      dayEvents.length ? dayEvents[0].ts : Infinity,
+      dayActive.length ? dayActive[0][0] : Infinity
+    );
+    const spanEnd = Math.max(
+      dayEvents.length ? dayEvents[dayEvents.length - 1].ts : -Infinity,
+      dayActive.length ? dayActive[dayActive.length - 1][1] : -Infinity
+    );
+    const activeMs = dayActive.reduce((sum, [s, e]) => sum + (e - s), 0);
+
+    // Gaps between active intervals inside the tracked span
+    const gaps = [];
+    let cursor = spanStart;
+    for (const [s, e] of dayActive) {
+      if (s > cursor) gaps.push([cursor, s]);
+      cursor = Math.max(cursor, e);
+    }
+    if (spanEnd > cursor) gaps.push([cursor, spanEnd]);
+
+    const toolCounts = {};
+    for (const event of dayEvents) {
+      if (event.event !== 'PostToolUse') continue;
+      const project = event.project || 'unknown';
+      const tool = event.tool || 'unknown';
+      toolCounts[project] = toolCounts[project] || {};
+      toolCounts[project][tool] = (toolCounts[project][tool] || 0) + 1;
+    }
+
+    days.push({
+      date: localDayKey(dayStart),
+      activeMinutes: toMinutes(activeMs),
+      lockedMinutes: toMinutes(spanEnd - spanStart - activeMs),
+      trackedMinutes: toMinutes(spanEnd - spanStart),
+      activeMinutesByHour: getActiveMinutesByHour(dayStart, dayActive),
+      sessions: new Set(dayEvents.map(e => e.sessionId)).size,
+      events: dayEvents.length,
+      toolCounts,
+      longestIdleGaps: gaps
+        .sort((a, b) => (b[1] - b[0]) - (a[1] - a[0]))
+        .slice(0, MAX_IDLE_GAPS)
+        .map(([s, e]) => ({ from: s, to: e, minutes: toMinutes(e - s) })),
+    });
+  }
+
+  return days;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  appendHistory,
+  readHistory,
+  createHistoryTail,
+  startOfLocalDay,
+  nextLocalDay,
+  getActiveIntervals,
+  computeDailyStats,
+};
@@ -0,0 +1,79 @@
+/**
+ * Lock scheduling - when connected clients next need a status frame
+ *
+ * Instead of re-broadcasting on an interval, server.js watches activity.json
+ * and keeps one timer for the earliest moment a status can change on its
+ * own: a session crossing one of the clients' inactivity timeouts (or the
+ * working-stale limit). Between those moments nothing changes unless the
+ * file does, so the daemon sleeps.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { activeWindowMs } = require('./session-activity');
+
+/**
+ * Earliest time after `now` at which a session - or, without sessions, the
+ * global activity timestamp - runs past one of `timeoutsMs`. Ended sessions
+ * never change. Returns null when nothing will change without new activity.
+ */
+function nextStatusChange(activity, now, timeoutsMs, workingStaleMs) {
+  const boundaries = [];
+  const sessions = Object.values(activity.sessions || {});
+
+  if (sessions.length === 0) {
+    for (const timeoutMs of timeoutsMs) boundaries.push((activity.lastActivity || 0) + timeoutMs);
+  }
+
+  for (const session of sessions) {
+    const lastActivity = session.lastActivity || 0;
+    for (const timeoutMs of timeoutsMs) {
+      const windowMs = activeWindowMs(session.state, timeoutMs, workingStaleMs);
+      if (windowMs !== null) boundaries.push(lastActivity + windowMs);
+    }
+  }
+
+  const upcoming = boundaries.filter(at => at > now);
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
+
+/**
+ * What a status payload says, leaving out the elapsed times that grow every
+ * millisecond. A client already holding a payload with the same signature
+ * doesn't need another one.
+ */
+function statusSignature(status) {
+  const { elapsed, sessions = [], ...rest } = status;
+  return JSON.stringify({
+    ...rest,
+    sessions: sessions.map(({ elapsed: sessionElapsed, ...session }) => session),
+  });
+}
+
+/**
+ * Watch the activity file and call onChange() after it is written.
+ * record-activity.js replaces it via rename, so the directory is watched.
+ * Returns the fs.FSWatcher.
+ */
+function watchActivity(activityFile, onChange, debounceMs = 50) {
+  let timer = null;
+
+  const watcher = fs.watch(path.dirname(activityFile), (eventType, filename) => {
+    if (filename && filename !== path.basename(activityFile)) return;
+
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  });
+
+  watcher.on('error', (e) => {
+    console.error('Activity watcher error:', e.message);
+  });
+
+  return watcher;
+}
+
+module.exports = {
+  nextStatusChange,
+  statusSignature,
+  watchActivity,
+};
@@ -0,0 +1,103 @@
+/**
+ * Manual overrides - force paused sites locked or unlocked, whatever Claude is doing
+ *
+ * Set with POST /override or the WebSocket snooze and lock commands, and kept
+ * in ~/.claude/productivity/override.json so a daemon restart doesn't drop
+ * them:
+ *   { "mode": "lock" | "unlock", "until": <ms timestamp> | null, "setAt": <ms timestamp> }
+ *
+ * A lock without `until` lasts until Claude's next activity. An unlock always
+ * has an end, at most MAX_OVERRIDE_MS away.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OVERRIDE_FILE = path.join(__dirname, '..', 'override.json');
+const OVERRIDE_MODES = ['lock', 'unlock'];
+const MAX_OVERRIDE_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Parse an `until` given as epoch ms or an ISO timestamp. Null when absent,
+ * NaN when invalid.
+ */
+function parseUntil(until) {
+  if (until === undefined || until === null) return null;
+  if (typeof until === 'number') return until;
+  if (typeof until === 'string' && /^\d+$/.test(until)) return Number(until);
+  if (typeof until === 'string') return Date.parse(until);
+  return NaN;
+}
+
+/**
+ * Validate a POST /override body: { mode, until }. `mode: null` clears the
+ * override. Returns { override } (null when clearing) or { error }.
+ */
+function parseOverrideRequest(body, now = Date.now()) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Expected a JSON object' };
+  }
+  if (body.mode === null) return { override: null };
+  if (!OVERRIDE_MODES.includes(body.mode)) {
+    return { error: `mode must be one of ${OVERRIDE_MODES.join(', ')} or null` };
+  }
+
+  const until = parseUntil(body.until);
+  if (until === null && body.mode === 'unlock') {
+    return { error: 'until is required to unlock' };
+  }
+  if (until !== null && !(until > now && until <= now + MAX_OVERRIDE_MS)) {
+    return { error: 'until must be a time in the next 24 hours' };
+  }
+  return { override: { mode: body.mode, until, setAt: now } };
+}
+
+/**
+ * Whether `override` still holds at `now`: until its end, or for a lock
+ * without one, until activity newer than the lock.
+ */
+function isOverrideInForce(override, activity, now) {
+  if (!override) return false;
+  if (override.until !== null) return override.until > now;
+  return (activity.lastActivity || 0) <= override.setAt;
+}
+
+/**
+ * Read override.json. Null when there is none or it is unreadable.
+ */
+function loadOverride() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(OVERRIDE_FILE, 'utf-8'));
+    const valid = OVERRIDE_MODES.includes(stored?.mode) &&
+      Number.isFinite(stored.setAt) &&
+      (stored.until === null || Number.isFinite(stored.until)) &&
+      (stored.until !== null || stored.mode === 'lock');
+    return valid ? { mode: stored.mode, until: stored.until, setAt: stored.setAt } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Write override.json, or remove it when the override is cleared. Written to
+ * a temp file and renamed so a crash can't leave half a file behind.
+ */
+function saveOverride(override) {
+  if (!override) {
+    fs.rmSync(OVERRIDE_FILE, { force: true });
+    return;
+  }
+  const tempFile = `${OVERRIDE_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(override, null, 2));
+  fs.renameSync(tempFile, OVERRIDE_FILE);
+}
+
+module.exports = {
+  OVERRIDE_FILE,
+  OVERRIDE_MODES,
+  MAX_OVERRIDE_MS,
+  parseOverrideRequest,
+  isOverrideInForce,
+  loadOverride,
+  saveOverride,
+};
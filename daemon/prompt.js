@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Shell prompt and tmux status segment
+ *
+ * Prints one compact line for PS1, starship or tmux status-right:
+ *   ● 42s (2)   sites unlocked - Claude's last activity was 42s ago, 2 open sessions
+ *   ○ 12m       sites locked
+ *   ○! 3m (1)   a manual lock or unlock (see override.js) is in force
+ *
+ * Reads activity.json, config.json and override.json directly rather than
+ * asking the daemon: no HTTP round trip on every prompt, and it keeps working
+ * while the daemon is down. Prints nothing before Claude Code has recorded any
+ * activity, so the prompt stays clean.
+ *
+ * Usage: node prompt.js [--format plain|bash|zsh|tmux] [--timeout <minutes>]
+ *
+ *   plain  No colors (starship styles the module itself)
+ *   bash   ANSI colors wrapped in \001/\002 so readline measures the prompt right
+ *   zsh    %F{...} prompt escapes (needs PROMPT_SUBST)
+ *   tmux   #[fg=...] status line styles
+ *
+ * Ready-made snippets are in integrations/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { isOverrideInForce, loadOverride } = require('./override');
+const { isSessionActive } = require('./session-activity');
+
+const ACTIVITY_FILE = path.join(__dirname, '..', 'activity.json');
+
+// Green while Claude keeps sites unlocked, the extension's orange once locked
+const COLORS = {
+  bash: { active: '\x01\x1b[32m\x02', locked: '\x01\x1b[38;5;173m\x02', reset: '\x01\x1b[0m\x02' },
+  zsh: { active: '%F{green}', locked: '%F{173}', reset: '%f' },
+  tmux: { active: '#[fg=green]', locked: '#[fg=colour173]', reset: '#[default]' },
+  plain: { active: '', locked: '', reset: '' },
+};
+
+/**
+ * What the segment shows, from activity.json and the override in force.
+ * Null before any activity was recorded.
+ */
+function getPromptStatus(activity, override, { timeoutMs, workingStaleMs }, now) {
+  if (!activity?.lastActivity) return null;
+
+  const sessions = Object.values(activity.sessions || {});
+  const open = sessions.filter(s => s.state !== 'ended');
+  const elapsed = now - activity.lastActivity;
+  const forced = isOverrideInForce(override, activity, now) ? override : null;
+
+  let active = sessions.length > 0
+    ? sessions.some(s => isSessionActive(s, now - (s.lastActivity || 0), timeoutMs, workingStaleMs))
+    : elapsed < timeoutMs;
+  if (forced) active = forced.mode === 'unlock';
+
+  return { active, elapsed, sessionCount: open.length, override: forced ? forced.mode : null };
+}
+
+/**
+ * Largest whole unit only: 42s, 12m, 3h, 2d.
+ */
+function formatElapsed(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * The segment text in one of the COLORS formats. Empty for a null status.
+ */
+function formatSegment(status, format = 'plain') {
+  if (!status) return '';
+
+  const colors = COLORS[format];
+  const dot = (status.active ? '●' : '○') + (status.override ? '!' : '');
+  const sessions = status.sessionCount > 0 ? ` (${status.sessionCount})` : '';
+  const text = `${dot} ${formatElapsed(status.elapsed)}${sessions}`;
+  return `${status.active ? colors.active : colors.locked}${text}${colors.reset}`;
+}
+
+function readActivity() {
+  try {
+    return JSON.parse(fs.readFileSync(ACTIVITY_FILE, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function usage() {
+  console.error('Usage: prompt.js [--format plain|bash|zsh|tmux] [--timeout <minutes>]');
+  process.exit(2);
+}
+
+function main(argv) {
+  let format = 'plain';
+  let timeoutMinutes = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--format') format = argv[++i];
+    else if (argv[i] === '--timeout') timeoutMinutes = parseFloat(argv[++i]);
+    else usage();
+  }
+  if (!Object.hasOwn(COLORS, format) || (timeoutMinutes !== null && !(timeoutMinutes >= 0))) usage();
+
+  const { config } = loadConfig();
+  const status = getPromptStatus(readActivity(), loadOverride(), {
+    timeoutMs: (timeoutMinutes ?? config.activityTimeoutMinutes) * 60 * 1000,
+    workingStaleMs: config.workingStaleMinutes * 60 * 1000,
+  }, Date.now());
+
+  const segment = formatSegment(status, format);
+  if (segment) process.stdout.write(`${segment}\n`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  getPromptStatus,
+  formatElapsed,
+  formatSegment,
+};
@@ -0,0 +1,178 @@
+/**
+ * Daemon WebSocket message protocol
+ *
+ * Every message is a JSON object with a `type`. Requests may carry an `id`
+ * (string or number), echoed in the reply so clients can match them up, and
+ * `v`, the protocol version they speak (PROTOCOL_VERSION if missing).
+ *
+ * Client -> daemon:
+ *   { type: 'hello', client, version, timeout, timeouts } - introduce yourself;
+ *       timeout/timeouts (minutes) are what the client evaluates sites against
+ *   { type: 'subscribe', topics: ['status', 'sessions', 'history'] }
+ *   { type: 'unsubscribe', topics }
+ *   { type: 'timeouts', timeouts: [minutes, ...] } - the first one is used
+ *       for this client's status frames
+ *   { type: 'snooze', minutes } - keep sites unlocked that long (0 ends any
+ *       snooze or lock)
+ *   { type: 'lock', minutes } - lock sites now, for `minutes` or (without
+ *       them) until Claude's next activity
+ *   { type: 'ping' }
+ *
+ * Daemon -> client:
+ *   { v, type: 'reply', id, result }
+ *   { v, type: 'error', id, error: { code, message } }
+ *   { v, type: 'status', ...status }   - topic 'status' (subscribed by default);
+ *       with several timeouts, status.timeouts lists { timeout, active } for each
+ *   { v, type: 'sessions', sessions }  - topic 'sessions', when sessions change
+ *   { v, type: 'history', events }     - topic 'history', new hook events
+ */
+
+const PROTOCOL_VERSION = 1;
+
+const TOPICS = ['status', 'sessions', 'history'];
+
+const ERROR_CODES = Object.freeze({
+  INVALID_JSON: 'invalid-json',
+  INVALID_REQUEST: 'invalid-request',
+  UNSUPPORTED_VERSION: 'unsupported-version',
+  UNKNOWN_TYPE: 'unknown-type',
+});
+
+// Longest timeout, snooze or lock a client may ask for, in minutes
+const MAX_MINUTES = 24 * 60;
+// Most timeouts one client may ask to be woken for
+const MAX_CLIENT_TIMEOUTS = 32;
+
+function isMinutes(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_MINUTES;
+}
+
+/**
+ * Validate a list of timeouts in minutes. Returns them in milliseconds
+ * (deduplicated, order kept) or null.
+ */
+function parseTimeouts(timeouts) {
+  if (!Array.isArray(timeouts) || timeouts.length === 0 || timeouts.length > MAX_CLIENT_TIMEOUTS) return null;
+  if (!timeouts.every(isMinutes)) return null;
+  return [...new Set(timeouts.map(t => t * 60 * 1000))];
+}
+
+/**
+ * Validate a list of topics. Returns them deduplicated, or null.
+ */
+function parseTopics(topics) {
+  if (!Array.isArray(topics) || topics.length === 0) return null;
+  return topics.every(topic => TOPICS.includes(topic)) ? [...new Set(topics)] : null;
+}
+
+/**
+ * Per-type validation: returns the request's normalized fields, or an error
+ * message string.
+ */
+const REQUEST_PARSERS = {
+  hello(message) {
+    const { client = null, version = null, timeout, timeouts } = message;
+    if (client !== null && typeof client !== 'string') return '"client" must be a string';
+    if (version !== null && typeof version !== 'string') return '"version" must be a string';
+    if (timeout !== undefined && !isMinutes(timeout)) return `"timeout" must be minutes between 0 and ${MAX_MINUTES}`;
+
+    let timeoutsMs = null;
+    if (timeouts !== undefined) {
+      timeoutsMs = parseTimeouts(timeouts);
+      if (!timeoutsMs) return '"timeouts" must be a list of minutes';
+    }
+    if (timeout !== undefined) {
+      // The client's own timeout goes first
+      timeoutsMs = [...new Set([timeout * 60 * 1000, ...(timeoutsMs || [])])];
+    }
+    return { client, version, timeoutsMs };
+  },
+
+  subscribe({ topics }) {
+    const parsed = parseTopics(topics);
+    return parsed ? { topics: parsed } : `"topics" must list some of: ${TOPICS.join(', ')}`;
+  },
+
+  unsubscribe({ topics }) {
+    const parsed = parseTopics(topics);
+    return parsed ? { topics: parsed } : `"topics" must list some of: ${TOPICS.join(', ')}`;
+  },
+
+  timeouts({ timeouts }) {
+    const timeoutsMs = parseTimeouts(timeouts);
+    return timeoutsMs ? { timeoutsMs } : '"timeouts" must be a list of minutes';
+  },
+
+  snooze({ minutes }) {
+    return isMinutes(minutes) ? { minutes } : `"minutes" must be between 0 and ${MAX_MINUTES}`;
+  },
+
+  lock({ minutes = null }) {
+    if (minutes === null) return { minutes };
+    return isMinutes(minutes) && minutes > 0 ? { minutes } : `"minutes" must be above 0 and at most ${MAX_MINUTES}`;
+  },
+
+  ping() {
+    return {};
+  },
+};
+
+/**
+ * Parse and validate one client message.
+ * Returns { request: { type, id, ...fields } } or { error: { id, code, message } }.
+ */
+function parseClientMessage(text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    return { error: { id: null, code: ERROR_CODES.INVALID_JSON, message: 'Message is not valid JSON' } };
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { error: { id: null, code: ERROR_CODES.INVALID_REQUEST, message: 'Message must be a JSON object' } };
+  }
+
+  const id = typeof message.id === 'string' || typeof message.id === 'number' ? message.id : null;
+  const fail = (code, text) => ({ error: { id, code, message: text } });
+
+  const version = message.v === undefined ? PROTOCOL_VERSION : message.v;
+  if (version !== PROTOCOL_VERSION) {
+    return fail(ERROR_CODES.UNSUPPORTED_VERSION, `Protocol version ${JSON.stringify(version)} is not supported (daemon speaks ${PROTOCOL_VERSION})`);
+  }
+
+  const parse = Object.hasOwn(REQUEST_PARSERS, message.type) ? REQUEST_PARSERS[message.type] : null;
+  if (!parse) return fail(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type ${JSON.stringify(message.type)}`);
+
+  const fields = parse(message);
+  if (typeof fields === 'string') return fail(ERROR_CODES.INVALID_REQUEST, fields);
+
+  return { request: { type: message.type, id, ...fields } };
+}
+
+/** Serialized reply to a request. */
+function replyMessage(id, result = {}) {
+  return JSON.stringify({ v: PROTOCOL_VERSION, type: 'reply', id, result });
+}
+
+/** Serialized error reply; `id` is null when the request had none. */
+function errorMessage(id, code, message) {
+  return JSON.stringify({ v: PROTOCOL_VERSION, type: 'error', id, error: { code, message } });
+}
+
+/** Serialized push for a topic, e.g. pushMessage('sessions', { sessions }). */
+function pushMessage(type, body) {
+  return JSON.stringify({ v: PROTOCOL_VERSION, type, ...body });
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  TOPICS,
+  ERROR_CODES,
+  parseTimeouts,
+  parseTopics,
+  parseClientMessage,
+  replyMessage,
+  errorMessage,
+  pushMessage,
+};
@@ -2,7 +2,20 @@
 
 /**
  * Record Claude Code activity timestamps
- * Called by PostToolUse hook to track when Claude is actively working
+ * Called by Claude Code hooks to track when Claude is actively working
+ *
+ * Handles PostToolUse, UserPromptSubmit, Stop, Notification, SessionStart and
+ * SessionEnd (read from hook_event_name) and keeps a per-session state:
+ *   working          – a prompt was submitted or a tool was used
+ *   waiting-for-user – Claude sent a notification (permission prompt, idle input)
+ *   idle             – the session started or Claude finished its turn
+ *   ended            – the session was closed
+ *
+ * Each session entry also records the working directory, a project name and
+ * the current git branch so clients can say which project Claude is working on.
+ *
+ * Every event is also appended to the rotating history log (see history.js)
+ * for GET /history and GET /stats/daily.
  *
  * After updating the activity file, notifies the daemon to broadcast
  * the update to all connected WebSocket clients for instant updates.
@@ -11,9 +24,29 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const { loadConfig } = require('./config');
+const { loadAuth } = require('./auth');
+const { appendHistory } = require('./history');
 
 const ACTIVITY_FILE = path.join(__dirname, '..', 'activity.json');
-const DAEMON_URL = 'http://127.0.0.1:31415/notify';
+
+// Port and session retention come from config.json (see config.js)
+const { config } = loadConfig();
+const DAEMON_URL = `http://127.0.0.1:${config.port}/notify`;
+
+// Session state entered on each hook event
+const EVENT_STATES = {
+  PostToolUse: 'working',
+  UserPromptSubmit: 'working',
+  Notification: 'waiting-for-user',
+  Stop: 'idle',
+  SessionStart: 'idle',
+  SessionEnd: 'ended',
+};
+
+// Events that mean Claude was doing work just now. Notifications are excluded
+// because the idle-input reminder would otherwise extend the unlock window.
+const ACTIVITY_EVENTS = new Set(['PostToolUse', 'UserPromptSubmit', 'Stop']);
 
 async function main() {
   // Read hook input from stdin
@@ -30,8 +63,10 @@ async function main() {
     hookData = {};
   }
 
+  // Hooks installed before lifecycle support only send PostToolUse payloads
+  const eventName = EVENT_STATES[hookData.hook_event_name] ? hookData.hook_event_name : 'PostToolUse';
   const sessionId = hookData.session_id || 'unknown';
-  const toolName = hookData.tool_name || 'unknown';
+  const cwd = hookData.cwd || null;
   const timestamp = Date.now();
 
   // Read existing activity data
@@ -43,21 +78,45 @@ async function main() {
     // File doesn't exist or invalid JSON, start fresh
   }
 
-  // Update session activity
+  if (!activityData.sessions) activityData.sessions = {};
+
+  // Update session state
+  const previous = activityData.sessions[sessionId] || {};
+  const state = EVENT_STATES[eventName];
+  const isActivity = ACTIVITY_EVENTS.has(eventName);
+  const toolName = eventName === 'PostToolUse'
+    ? hookData.tool_name || 'unknown'
+    : previous.lastTool || null;
+
   activityData.sessions[sessionId] = {
-    lastActivity: timestamp,
+    ...previous,
+    lastActivity: isActivity ? timestamp : previous.lastActivity || 0,
     lastTool: toolName,
+    state,
+    stateSince: state === previous.state ? previous.stateSince : timestamp,
+    lastEvent: eventName,
+    lastEventAt: timestamp,
+    // Permission prompt / idle-input text, shown while Claude needs the user
+    notification: eventName === 'Notification' ? hookData.message || null : null,
+    // Lets the daemon bring the session's terminal to the front (see
+    // terminal-window.js): our parent is Claude Code or the shell it ran
+    // the hook through, and its ancestors lead to the terminal
+    terminalApp: process.env.TERM_PROGRAM || previous.terminalApp || null,
+    pid: process.ppid,
+    ...(cwd ? getProjectInfo(cwd) : {}),
   };
 
   // Track most recent activity across all sessions
-  activityData.lastActivity = timestamp;
-  activityData.lastTool = toolName;
-  activityData.activeSession = sessionId;
+  if (isActivity) {
+    activityData.lastActivity = timestamp;
+    activityData.lastTool = toolName;
+    activityData.activeSession = sessionId;
+  }
 
-  // Clean up old sessions (older than 1 hour)
-  const ONE_HOUR = 60 * 60 * 1000;
+  // Clean up old sessions (no hook events within the retention window)
+  const retentionMs = config.sessionRetentionHours * 60 * 60 * 1000;
   for (const [sid, session] of Object.entries(activityData.sessions)) {
-    if (timestamp - session.lastActivity > ONE_HOUR) {
+    if (timestamp - (session.lastEventAt || session.lastActivity || 0) > retentionMs) {
       delete activityData.sessions[sid];
     }
   }
@@ -76,11 +135,92 @@ async function main() {
     process.exit(1);
   }
 
+  // History is best-effort: a failed append must not block the hook
+  try {
+    const session = activityData.sessions[sessionId];
+    appendHistory({
+      ts: timestamp,
+      sessionId,
+      event: eventName,
+      tool: eventName === 'PostToolUse' ? toolName : null,
+      state,
+      project: session.project || null,
+      branch: session.branch || null,
+    }, config);
+  } catch (e) {
+    console.error('Failed to append history:', e.message);
+  }
+
   // Notify daemon to broadcast update to connected WebSocket clients
   // Await to ensure the POST completes before the process exits
   await notifyDaemon();
 }
 
+/**
+ * Walk up from a directory to find the enclosing git repository.
+ * Returns { root, gitDir } or null. Handles worktrees and submodules,
+ * where .git is a file containing "gitdir: <path>".
+ */
+function findGitDir(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const dotGit = path.join(dir, '.git');
+    try {
+      const stat = fs.statSync(dotGit);
+      if (stat.isDirectory()) {
+        return { root: dir, gitDir: dotGit };
+      }
+      if (stat.isFile()) {
+        const match = fs.readFileSync(dotGit, 'utf-8').match(/^gitdir:\s*(.+)$/m);
+        if (match) {
+          return { root: dir, gitDir: path.resolve(dir, match[1].trim()) };
+        }
+      }
+    } catch {
+      // No .git here, keep walking up
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the current branch from .git/HEAD without spawning git.
+ * Returns the branch name, a short commit hash when detached, or null.
+ */
+function readGitBranch(gitDir) {
+  try {
+    const head = fs.readFileSync(path.join(gitDir, 'HEAD'), 'utf-8').trim();
+    const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+    if (ref) return ref[1];
+    if (/^[0-9a-f]{7,}$/i.test(head)) return head.slice(0, 7);
+  } catch {
+    // Unreadable HEAD - treat as unknown branch
+  }
+  return null;
+}
+
+/**
+ * Derive { cwd, project, branch } for a session's working directory.
+ * The project name is the git repository's folder name when inside a
+ * repo, otherwise the working directory's own name.
+ */
+function getProjectInfo(cwd) {
+  if (!cwd) {
+    return { cwd: null, project: null, branch: null };
+  }
+
+  const repo = findGitDir(cwd);
+  return {
+    cwd,
+    project: path.basename(repo ? repo.root : cwd) || null,
+    branch: repo ? readGitBranch(repo.gitDir) : null,
+  };
+}
+
 /**
  * Notify the daemon to broadcast status update to all WebSocket clients.
  * Returns a Promise that resolves when the request completes, errors, or times out.
@@ -90,6 +230,7 @@ function notifyDaemon() {
     const req = http.request(DAEMON_URL, {
       method: 'POST',
       timeout: 1000,
+      headers: { Authorization: `Bearer ${loadAuth()?.token}` },
     }, () => {
       resolve();
     });
@@ -2,139 +2,632 @@
 
 /**
  * Productivity Daemon - HTTP + WebSocket server for browser extension
- * Serves activity status on localhost:31415
+ * Serves activity status on localhost:31415 (configurable, see config.js)
  *
- * HTTP endpoints:
- *   GET /status - Current activity status
+ * HTTP endpoints (all but /health and /pair require the token, see auth.js):
+ *   GET /status - Current activity status (?timeout=<minutes> overrides the default)
+ *   GET /sessions - Per-session activity and state (one entry per Claude Code session)
+ *   GET /events - Status, sessions and history pushes as Server-Sent Events
+ *                 (?topics=status,sessions,history, ?timeout=; resumes from Last-Event-ID)
+ *   GET /history - Hook events from the history log (?from=&to=, default last 24h)
+ *   GET /stats/daily - Active/locked minutes, tool counts and idle gaps per day
+ *                      (?from=&to=, default last 7 days; honors ?timeout=)
  *   GET /health - Health check
+ *   GET /pair - Hands the token to the extension during onboarding
  *   POST /notify - Called by record-activity.js to broadcast updates
+ *   POST /override - Force sites locked or unlocked ({ mode, until }, see override.js)
+ *   POST /focus-terminal - Bring a session's terminal to the front ({ sessionId }, extension only)
  *
  * WebSocket:
- *   Connects at ws://127.0.0.1:31415
- *   Receives JSON messages: { type: 'status', ...status }
+ *   Connects at ws://127.0.0.1:31415/?token=<token>
+ *   Speaks the versioned JSON protocol in protocol.js: clients say hello with
+ *   their version and timeouts, subscribe to topics (status, sessions,
+ *   history) and send commands such as snooze or lock; each request is answered
+ *   with a reply or an error carrying its id. Framing is in websocket.js.
+ *
+ * Status frames are pushed when activity.json changes and at the exact moment
+ * a session runs past one of a client's timeouts - and only if the status
+ * actually changed (see lock-schedule.js). A manual override (POST /override,
+ * or a client's snooze or lock) beats the timeout until it ends, and survives
+ * daemon restarts.
+ *
+ * Browser requests are only accepted from chrome-extension:// origins.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { CONFIG_FILE, loadConfig, watchConfig } = require('./config');
+const { AUTH_FILE, loadAuth, isAuthorized, isAllowedOrigin, isExtensionOrigin, isPairingOpen } = require('./auth');
+const { focusTerminal } = require('./terminal-window');
+const { readHistory, createHistoryTail, startOfLocalDay, nextLocalDay, computeDailyStats } = require('./history');
+const { nextStatusChange, statusSignature, watchActivity } = require('./lock-schedule');
+const { isSessionActive } = require('./session-activity');
+const { OPCODES, CLOSE_CODES, acceptKey, encodeFrame, encodeCloseFrame, createFrameDecoder } = require('./websocket');
+const { PROTOCOL_VERSION, TOPICS, parseTopics, parseClientMessage, replyMessage, errorMessage, pushMessage } = require('./protocol');
+const { parseOverrideRequest, isOverrideInForce, loadOverride, saveOverride } = require('./override');
+const { SSE_HEADERS, formatEvent, formatComment, formatRetry, stateHash, encodeEventId, parseEventId } = require('./sse');
 
 const DAEMON_VERSION = '1.6.2';
-const PORT = 31415;
 const ACTIVITY_FILE = path.join(__dirname, '..', 'activity.json');
-const ACTIVITY_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes
 const VERBOSE = process.env.CLAUDE_FOCUS_VERBOSE === 'true';
 
-// Track connected WebSocket clients
-const wsClients = new Set();
+// Comment sent to SSE clients so idle streams don't look dead
+const SSE_HEARTBEAT_MS = 15 * 1000;
+// Furthest back a resumed SSE stream replays history
+const SSE_MAX_REPLAY_MS = 24 * 60 * 60 * 1000;
+
+// Session states written by record-activity.js, highest priority first
+const SESSION_STATES = ['working', 'waiting-for-user', 'idle', 'ended'];
+
+// Connected clients (see createClient): WebSocket socket -> client and
+// SSE response -> client
+const wsClients = new Map();
+const sseClients = new Map();
+
+// Current configuration (hot-reloaded from config.json)
+const initialConfig = loadConfig();
+let config = initialConfig.config;
+// Fires when the next session runs past a client's timeout
+let statusChangeTimer = null;
+// Keeps SSE streams alive while any are open
+let heartbeatTimer = null;
+// Manual lock or unlock, mirrored to override.json (see override.js)
+let override = loadOverride();
+// New history.jsonl lines for history subscribers, read as they are appended
+const historyTail = createHistoryTail();
+
+/** Default inactivity timeout for clients that don't send their own */
+function activityTimeoutMs() {
+  return config.activityTimeoutMinutes * 60 * 1000;
+}
+
+/** How long a silent 'working' session keeps sites unlocked (see session-activity.js) */
+function workingStaleMs() {
+  return config.workingStaleMinutes * 60 * 1000;
+}
+
+/**
+ * Build the per-session list from the activity file's sessions map.
+ * Active sessions come first, then most recent first, so clients can treat
+ * sessions[0] as the session currently keeping the browser unlocked.
+ */
+function getSessions(activity, now, timeoutMs) {
+  const sessions = [];
+
+  for (const [id, session] of Object.entries(activity.sessions || {})) {
+    const lastActivity = session.lastActivity || 0;
+    const elapsed = now - lastActivity;
+
+    sessions.push({
+      id,
+      lastActivity,
+      elapsed,
+      lastTool: session.lastTool || null,
+      state: session.state || null,
+      stateSince: session.stateSince || null,
+      lastEvent: session.lastEvent || null,
+      notification: session.notification || null,
+      terminalApp: session.terminalApp || null,
+      cwd: session.cwd || null,
+      project: session.project || null,
+      branch: session.branch || null,
+      active: isSessionActive(session, elapsed, timeoutMs, workingStaleMs()),
+    });
+  }
+
+  return sessions.sort((a, b) => (b.active - a.active) || (b.lastActivity - a.lastActivity));
+}
+
+/**
+ * Aggregate state across sessions: the highest-priority state any session is in.
+ */
+function getOverallState(sessions) {
+  for (const state of SESSION_STATES) {
+    if (sessions.some(s => s.state === state)) return state;
+  }
+  return null;
+}
+
+/**
+ * Whether Claude is blocked on the user: no session is working and the most
+ * recent session either sent a Notification (permission prompt, idle input)
+ * or finished its turn with Stop. Returns a description of that session, or null.
+ */
+function getAttention(sessions) {
+  if (sessions.some(s => s.state === 'working')) return null;
 
-function getActivityStatus() {
+  const waiting = sessions
+    .filter(s => s.state === 'waiting-for-user' || (s.state === 'idle' && s.lastEvent === 'Stop'))
+    .sort((a, b) => b.stateSince - a.stateSince)[0];
+  if (!waiting) return null;
+
+  return {
+    sessionId: waiting.id,
+    reason: waiting.state === 'waiting-for-user' ? 'notification' : 'stopped',
+    message: waiting.notification,
+    since: waiting.stateSince,
+    project: waiting.project,
+    branch: waiting.branch,
+    terminalApp: waiting.terminalApp,
+  };
+}
+
+/**
+ * Parsed activity.json, or { error } when it is missing or invalid.
+ */
+function readActivity() {
   try {
-    const data = fs.readFileSync(ACTIVITY_FILE, 'utf-8');
-    const activity = JSON.parse(data);
-    const now = Date.now();
+    const activity = JSON.parse(fs.readFileSync(ACTIVITY_FILE, 'utf-8'));
+    return activity && typeof activity === 'object' ? activity : { error: 'activity.json is not an object' };
+  } catch (e) {
+    return { error: e.message };
+  }
+}
+
+/**
+ * The override in force at `now`, or null once it has ended. Only reads:
+ * expireOverride() forgets an ended one.
+ */
+function currentOverride(activity, now) {
+  return override && isOverrideInForce(override, activity, now) ? override : null;
+}
+
+/**
+ * Forget an override that has ended, so it isn't restored after a restart.
+ * Runs on every broadcast, which the status-change timer triggers when an
+ * override's `until` passes and activity.json changes trigger for a lock
+ * until the next activity.
+ */
+function expireOverride(activity, now) {
+  if (!override || currentOverride(activity, now)) return;
+
+  override = null;
+  writeOverride(null);
+  console.log('Override ended');
+}
+
+/**
+ * Persist the override. A failed write only costs the override a restart.
+ */
+function writeOverride(next) {
+  try {
+    saveOverride(next);
+  } catch (e) {
+    console.error(`Failed to save override: ${e.message}`);
+  }
+}
+
+/**
+ * Install a new override (or clear it with null) and push the change.
+ * Returns the override as status payloads describe it.
+ */
+function setOverride(next) {
+  override = next;
+  writeOverride(next);
+  if (next) {
+    const until = next.until ? `until ${new Date(next.until).toISOString()}` : 'until the next activity';
+    console.log(`Override: ${next.mode} ${until}`);
+  } else {
+    console.log('Override cleared');
+  }
+  broadcastStatus();
+  return next && { mode: next.mode, until: next.until };
+}
+
+function getActivityStatus(timeoutMs = activityTimeoutMs(), activity = readActivity(), now = Date.now()) {
+  const forced = currentOverride(activity, now);
+  const overrideStatus = forced && { mode: forced.mode, until: forced.until };
+  try {
+    if (activity.error) throw new Error(activity.error);
     const lastActivity = activity.lastActivity || 0;
     const elapsed = now - lastActivity;
+    const sessions = getSessions(activity, now, timeoutMs);
+    const attention = getAttention(sessions);
 
     return {
-      active: elapsed < ACTIVITY_TIMEOUT_MS,
+      // Without any sessions, fall back to the global timestamp
+      active: forced ? forced.mode === 'unlock' : (sessions.length > 0 ? sessions.some(s => s.active) : elapsed < timeoutMs),
+      state: attention ? 'needs-attention' : getOverallState(sessions),
+      attention,
       lastActivity: lastActivity,
       elapsed: elapsed,
       lastTool: activity.lastTool || null,
       activeSession: activity.activeSession || null,
-      sessionCount: Object.keys(activity.sessions || {}).length,
+      sessionCount: sessions.length,
+      sessions,
+      // So clients re-evaluating sessions against their own timeout apply the same rule
+      workingStaleMs: workingStaleMs(),
+      override: overrideStatus,
     };
   } catch (e) {
     // File doesn't exist or invalid - default to inactive
     return {
-      active: false,
+      active: forced?.mode === 'unlock',
+      state: null,
+      attention: null,
       lastActivity: 0,
       elapsed: Infinity,
       lastTool: null,
       activeSession: null,
       sessionCount: 0,
+      sessions: [],
+      override: overrideStatus,
       error: e.message,
     };
   }
 }
 
 /**
- * Broadcast status to all connected WebSocket clients
+ * Read and parse a JSON request body. Resolves to {} when empty or invalid.
+ */
+function readJsonBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        resolve({});
+      }
+    });
+    req.on('error', () => resolve({}));
+  });
+}
+
+/**
+ * Parse the optional ?timeout=<minutes> query parameter into milliseconds.
+ */
+function getRequestTimeoutMs(url) {
+  const minutes = parseFloat(url.searchParams.get('timeout'));
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes * 60 * 1000 : activityTimeoutMs();
+}
+
+/**
+ * Parse a ?from= / ?to= query parameter: epoch milliseconds, an ISO
+ * timestamp, or a local date (YYYY-MM-DD). A date used as `to` includes
+ * that whole day. Returns the fallback when absent and NaN when invalid.
+ */
+function parseTimeParam(url, name, fallback) {
+  const value = url.searchParams.get(name);
+  if (value === null || value === '') return fallback;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (date) {
+    const dayStart = new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3])).getTime();
+    return name === 'to' ? nextLocalDay(dayStart) : dayStart;
+  }
+
+  return Date.parse(value);
+}
+
+/**
+ * Resolve the [from, to) range for history endpoints, or null if invalid.
+ */
+function getRequestRange(url, defaultFrom) {
+  const to = parseTimeParam(url, 'to', Date.now());
+  const from = parseTimeParam(url, 'from', defaultFrom(to));
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) return null;
+  return { from, to };
+}
+
+/**
+ * Write a serialized protocol message to a client. A socket that can't be
+ * written to is dropped.
+ */
+function sendMessage(socket, message) {
+  try {
+    socket.write(encodeFrame(message));
+    return true;
+  } catch (e) {
+    wsClients.delete(socket);
+    return false;
+  }
+}
+
+/**
+ * A connected client, pushed to through `send(type, body)` - a WebSocket
+ * frame or an SSE event. Tracks the timeouts it asked for, its topics and
+ * what it was last sent.
+ */
+function createClient(send, timeoutsMs = [activityTimeoutMs()], topics = ['status']) {
+  return {
+    send,
+    timeoutsMs,
+    topics: new Set(topics),
+    signature: null,
+    sessionsSignature: null,
+    historyCursor: 0,
+    // History pushed while an SSE resume replays the log (see replayHistory)
+    replayQueue: null,
+    name: null,
+    version: null,
+  };
+}
+
+function allClients() {
+  return [...wsClients.values(), ...sseClients.values()];
+}
+
+/**
+ * A client's status, evaluated against the first timeout it asked for. With
+ * more than one, `timeouts` adds whether each keeps sites unlocked, so one
+ * running out (a site's own timeout) changes what the client is sent.
+ */
+function getClientStatus(client, activity, now) {
+  const status = getActivityStatus(client.timeoutsMs[0], activity, now);
+  if (client.timeoutsMs.length < 2) return status;
+
+  return {
+    ...status,
+    timeouts: client.timeoutsMs.map(timeoutMs => ({
+      timeout: timeoutMs / 60000,
+      active: getActivityStatus(timeoutMs, activity, now).active,
+    })),
+  };
+}
+
+/**
+ * Send a client its status (see getClientStatus). Skipped when it would say
+ * the same as the last push, unless forced.
+ */
+function sendStatus(client, activity, now, force = false) {
+  const status = getClientStatus(client, activity, now);
+  const signature = statusSignature(status);
+  if (!force && signature === client.signature) return false;
+
+  client.signature = signature;
+  return client.send('status', status);
+}
+
+/**
+ * Send a 'sessions' client its sessions when they changed (elapsed times
+ * aside), unless forced.
+ */
+function sendSessions(client, activity, now, force = false) {
+  const { sessions } = getActivityStatus(client.timeoutsMs[0], activity, now);
+  const signature = statusSignature({ sessions });
+  if (!force && signature === client.sessionsSignature) return false;
+
+  client.sessionsSignature = signature;
+  return client.send('sessions', { sessions });
+}
+
+/**
+ * Send a 'history' client the hook events logged since its cursor.
+ * `events` is read once per broadcast, from the earliest cursor.
+ */
+function sendHistory(client, events) {
+  if (client.replayQueue) {
+    client.replayQueue.push(...events);
+    return false;
+  }
+
+  const fresh = events.filter(event => event.ts >= client.historyCursor);
+  if (fresh.length === 0) return false;
+
+  client.historyCursor = fresh[fresh.length - 1].ts + 1;
+  return client.send('history', { events: fresh });
+}
+
+/**
+ * Push a client whatever changed on its topics. Returns whether its
+ * status was sent.
+ */
+function updateClient(client, activity, now, events) {
+  const sent = client.topics.has('status') && sendStatus(client, activity, now);
+  if (client.topics.has('sessions')) sendSessions(client, activity, now);
+  if (client.topics.has('history')) sendHistory(client, events);
+  return sent;
+}
+
+/**
+ * Send a resuming history subscriber the events since its cursor from the
+ * log. Pushes arriving meanwhile are held back and merged in, so nothing is
+ * lost or sent twice.
+ */
+function replayHistory(client) {
+  client.replayQueue = [];
+  readHistory(client.historyCursor, Infinity).then((events) => {
+    const seen = new Set(events.map(event => JSON.stringify(event)));
+    const pushed = client.replayQueue.filter(event => !seen.has(JSON.stringify(event)));
+    client.replayQueue = null;
+    sendHistory(client, [...events, ...pushed]);
+  });
+}
+
+/**
+ * Push every WebSocket and SSE client what changed on its topics, then arm
+ * the timer for the next status change. Called when activity.json changes,
+ * on /notify, on config reloads, on overrides and from that timer.
  */
 function broadcastStatus() {
-  const status = getActivityStatus();
-  const message = JSON.stringify({ type: 'status', ...status });
-  const frame = encodeWebSocketFrame(message);
+  const activity = readActivity();
+  const now = Date.now();
+  expireOverride(activity, now);
+  const clients = allClients();
+  const events = historyTail.read();
 
-  for (const client of wsClients) {
-    try {
-      client.write(frame);
-    } catch (e) {
-      wsClients.delete(client);
-    }
+  let sent = 0;
+  for (const client of clients) {
+    if (updateClient(client, activity, now, events)) sent++;
   }
 
-  if (VERBOSE) {
-    console.log(`[WS] Broadcast to ${wsClients.size} clients:`, status.active ? 'active' : 'inactive');
+  if (VERBOSE && sent > 0) {
+    console.log(`[WS] Status changed for ${sent} of ${clients.length} clients`);
   }
+
+  scheduleStatusChange(activity, now);
 }
 
 /**
- * Encode a message as a WebSocket frame
+ * Arm a single timer for the earliest moment any client's status changes
+ * without new activity - a timeout running out, or an override ending.
+ * Nothing is scheduled without clients.
  */
-function encodeWebSocketFrame(message) {
-  const payload = Buffer.from(message);
-  const length = payload.length;
+function scheduleStatusChange(activity, now) {
+  clearTimeout(statusChangeTimer);
+  statusChangeTimer = null;
+  const clients = allClients();
+  if (clients.length === 0) return;
 
-  let frame;
-  if (length < 126) {
-    frame = Buffer.alloc(2 + length);
-    frame[0] = 0x81; // Text frame, FIN bit set
-    frame[1] = length;
-    payload.copy(frame, 2);
-  } else if (length < 65536) {
-    frame = Buffer.alloc(4 + length);
-    frame[0] = 0x81;
-    frame[1] = 126;
-    frame.writeUInt16BE(length, 2);
-    payload.copy(frame, 4);
-  } else {
-    frame = Buffer.alloc(10 + length);
-    frame[0] = 0x81;
-    frame[1] = 127;
-    frame.writeBigUInt64BE(BigInt(length), 2);
-    payload.copy(frame, 10);
+  const timeoutsMs = new Set([activityTimeoutMs()]);
+  for (const client of clients) {
+    for (const timeoutMs of client.timeoutsMs) timeoutsMs.add(timeoutMs);
+  }
+
+  const changes = [];
+  if (!activity.error) changes.push(nextStatusChange(activity, now, [...timeoutsMs], workingStaleMs()));
+  const forced = currentOverride(activity, now);
+  if (forced?.until) changes.push(forced.until);
+
+  const upcoming = changes.filter(at => at !== null);
+  if (upcoming.length === 0) return;
+  const next = Math.min(...upcoming);
+
+  statusChangeTimer = setTimeout(broadcastStatus, next - now);
+  if (VERBOSE) console.log(`[WS] Next status change in ${((next - now) / 1000).toFixed(1)}s`);
+}
+
+/**
+ * Push snapshots of newly subscribed topics. History starts from now:
+ * /history serves what came before.
+ */
+function sendSnapshots(client, topics) {
+  const activity = readActivity();
+  const now = Date.now();
+
+  if (topics.includes('status')) sendStatus(client, activity, now, true);
+  if (topics.includes('sessions')) sendSessions(client, activity, now, true);
+  if (topics.includes('history')) client.historyCursor = now;
+}
+
+/**
+ * Handlers for validated client requests (see protocol.js). Each returns
+ * the reply's result.
+ */
+const REQUEST_HANDLERS = {
+  hello(socket, client, { client: name, version, timeoutsMs }) {
+    client.name = name;
+    client.version = version;
+    if (timeoutsMs) {
+      client.timeoutsMs = timeoutsMs;
+      broadcastStatus();
+    }
+    if (VERBOSE) console.log(`[WS] Hello from ${name || 'unnamed client'} ${version || ''}`.trimEnd());
+    return { daemon: DAEMON_VERSION, protocol: PROTOCOL_VERSION, topics: [...client.topics] };
+  },
+
+  subscribe(socket, client, { topics }) {
+    const added = topics.filter(topic => !client.topics.has(topic));
+    for (const topic of added) client.topics.add(topic);
+    sendSnapshots(client, added);
+    return { topics: [...client.topics] };
+  },
+
+  unsubscribe(socket, client, { topics }) {
+    for (const topic of topics) client.topics.delete(topic);
+    // Resubscribing starts over with a fresh snapshot
+    if (!client.topics.has('status')) client.signature = null;
+    if (!client.topics.has('sessions')) client.sessionsSignature = null;
+    return { topics: [...client.topics] };
+  },
+
+  timeouts(socket, client, { timeoutsMs }) {
+    client.timeoutsMs = timeoutsMs;
+    if (VERBOSE) console.log(`[WS] Client timeouts: ${timeoutsMs.map(t => t / 60000).join(', ')} min`);
+    broadcastStatus();
+    return { timeouts: timeoutsMs.map(t => t / 60000) };
+  },
+
+  snooze(socket, client, { minutes }) {
+    const now = Date.now();
+    const next = minutes > 0 ? { mode: 'unlock', until: now + minutes * 60 * 1000, setAt: now } : null;
+    return { override: setOverride(next) };
+  },
+
+  lock(socket, client, { minutes }) {
+    const now = Date.now();
+    return { override: setOverride({ mode: 'lock', until: minutes ? now + minutes * 60 * 1000 : null, setAt: now }) };
+  },
+
+  ping() {
+    return { now: Date.now() };
+  },
+};
+
+/**
+ * Handle a text message from a client: validate it, run the request and
+ * reply. Pushes the request causes (snapshots, a changed status) go out
+ * before the reply, so a client holding the reply is up to date.
+ */
+function handleClientMessage(socket, text) {
+  const client = wsClients.get(socket);
+  if (!client) return;
+
+  const { request, error } = parseClientMessage(text);
+  if (error) {
+    if (VERBOSE) console.log(`[WS] Rejected message: ${error.message}`);
+    sendMessage(socket, errorMessage(error.id, error.code, error.message));
+    return;
   }
 
-  return frame;
+  const result = REQUEST_HANDLERS[request.type](socket, client, request);
+  sendMessage(socket, replyMessage(request.id, result));
 }
 
 /**
  * Handle WebSocket upgrade
  */
 function handleWebSocketUpgrade(req, socket) {
-  const key = req.headers['sec-websocket-key'];
-  const acceptKey = crypto
-    .createHash('sha1')
-    .update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
-    .digest('base64');
-
   const headers = [
     'HTTP/1.1 101 Switching Protocols',
     'Upgrade: websocket',
     'Connection: Upgrade',
-    `Sec-WebSocket-Accept: ${acceptKey}`,
+    `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`,
     '',
     '',
   ].join('\r\n');
 
   socket.write(headers);
-  wsClients.add(socket);
+  const client = createClient((type, body) => sendMessage(socket, pushMessage(type, body)));
+  wsClients.set(socket, client);
   if (VERBOSE) console.log(`[WS] Client connected (${wsClients.size} total)`);
 
   // Send initial status
-  const status = getActivityStatus();
-  socket.write(encodeWebSocketFrame(JSON.stringify({ type: 'status', ...status })));
+  const activity = readActivity();
+  const now = Date.now();
+  sendStatus(client, activity, now, true);
+  scheduleStatusChange(activity, now);
+
+  function close(code, reason) {
+    wsClients.delete(socket);
+    try {
+      socket.end(encodeCloseFrame(code, reason));
+    } catch {
+      socket.destroy();
+    }
+  }
+
+  const decoder = createFrameDecoder({
+    onMessage(opcode, data) {
+      if (opcode === OPCODES.TEXT) {
+        handleClientMessage(socket, data);
+      } else if (opcode === OPCODES.BINARY) {
+        close(CLOSE_CODES.UNSUPPORTED_DATA, 'Only text messages are supported');
+      } else if (opcode === OPCODES.CLOSE) {
+        close(CLOSE_CODES.NORMAL, '');
+      } else if (opcode === OPCODES.PING) {
+        socket.write(encodeFrame(data, OPCODES.PONG));
+      }
+    },
+    onError(code, reason) {
+      if (VERBOSE) console.log(`[WS] Closing connection: ${reason}`);
+      close(code, reason);
+    },
+  });
 
   // Handle close
   socket.on('close', () => {
@@ -146,28 +639,132 @@ function handleWebSocketUpgrade(req, socket) {
     wsClients.delete(socket);
   });
 
-  // Handle incoming messages (ping/pong, close frames)
-  socket.on('data', (data) => {
-    if (data.length > 0) {
-      const opcode = data[0] & 0x0f;
-      if (opcode === 0x08) {
-        // Close frame
-        socket.end();
-        wsClients.delete(socket);
-      } else if (opcode === 0x09) {
-        // Ping - respond with pong
-        const pong = Buffer.from([0x8a, 0x00]);
-        socket.write(pong);
-      }
-    }
+  // The client hung up without a close frame. Nothing is written on a timer
+  // any more, so nothing else would notice the half-open socket.
+  socket.on('end', () => {
+    wsClients.delete(socket);
+    socket.end();
   });
+
+  socket.on('data', (data) => decoder.push(data));
+}
+
+/**
+ * Write an SSE event. Its id records what the client has now seen (see
+ * sse.js), so the stream can resume from it.
+ */
+function sendEvent(res, client, type, body) {
+  if (res.destroyed) {
+    sseClients.delete(res);
+    return false;
+  }
+
+  const id = encodeEventId(client.historyCursor, stateHash(client.signature, client.sessionsSignature));
+  res.write(formatEvent(id, type, pushMessage(type, body)));
+  return true;
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    for (const res of sseClients.keys()) res.write(formatComment('heartbeat'));
+  }, SSE_HEARTBEAT_MS);
+}
+
+function stopHeartbeatIfIdle() {
+  if (sseClients.size > 0 || !heartbeatTimer) return;
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+/**
+ * Pick up where a reconnecting client left off: history resumes after the
+ * last event it got (at most SSE_MAX_REPLAY_MS back), and status/sessions
+ * are skipped if they still say what it was last sent.
+ */
+function resumeEventStream(client, lastEventId, activity, now) {
+  const resume = parseEventId(lastEventId);
+  if (client.topics.has('history')) {
+    client.historyCursor = resume?.historyCursor > 0 ? Math.max(resume.historyCursor, now - SSE_MAX_REPLAY_MS) : now;
+  }
+  if (!resume) return;
+
+  const status = getClientStatus(client, activity, now);
+  const signature = client.topics.has('status') ? statusSignature(status) : null;
+  const sessionsSignature = client.topics.has('sessions') ? statusSignature({ sessions: status.sessions }) : null;
+  if (stateHash(signature, sessionsSignature) === resume.hash) {
+    client.signature = signature;
+    client.sessionsSignature = sessionsSignature;
+  }
+}
+
+/**
+ * GET /events - the WebSocket topics as Server-Sent Events.
+ * ?topics=status,sessions,history (default status), ?timeout=<minutes>.
+ */
+function handleEventStream(req, res, url) {
+  const topicsParam = url.searchParams.get('topics');
+  const topics = topicsParam === null ? ['status'] : parseTopics(topicsParam.split(','));
+  if (!topics) {
+    res.writeHead(400);
+    res.end(JSON.stringify({ error: `topics must list some of: ${TOPICS.join(', ')}` }));
+    return;
+  }
+
+  res.writeHead(200, SSE_HEADERS);
+  res.write(formatRetry());
+
+  const client = createClient((type, body) => sendEvent(res, client, type, body), [getRequestTimeoutMs(url)], topics);
+  sseClients.set(res, client);
+  startHeartbeat();
+  if (VERBOSE) console.log(`[SSE] Client connected (${sseClients.size} total)`);
+
+  const activity = readActivity();
+  const now = Date.now();
+  resumeEventStream(client, req.headers['last-event-id'], activity, now);
+  updateClient(client, activity, now, []);
+  if (client.topics.has('history') && client.historyCursor < now) replayHistory(client);
+  scheduleStatusChange(activity, now);
+
+  const cleanup = () => {
+    if (!sseClients.delete(res)) return;
+    stopHeartbeatIfIdle();
+    if (VERBOSE) console.log(`[SSE] Client disconnected (${sseClients.size} remaining)`);
+  };
+  req.on('close', cleanup);
+  res.on('close', cleanup);
+  res.on('error', cleanup);
+}
+
+/**
+ * Say goodbye to every WebSocket and SSE client. Closing the server waits
+ * for their connections, so they have to be ended first.
+ */
+function disconnectClients(reason) {
+  for (const socket of wsClients.keys()) socket.end(encodeCloseFrame(CLOSE_CODES.GOING_AWAY, reason));
+  wsClients.clear();
+  for (const res of sseClients.keys()) res.end();
+  sseClients.clear();
+  stopHeartbeatIfIdle();
 }
 
 const server = http.createServer((req, res) => {
+  const origin = req.headers.origin;
+
+  // Web pages must not be able to read status or fake a notify
+  if (!isAllowedOrigin(origin)) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Forbidden origin' }));
+    return;
+  }
+
   // CORS headers for browser extension
-  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Content-Type', 'application/json');
 
   if (req.method === 'OPTIONS') {
@@ -176,18 +773,97 @@ const server = http.createServer((req, res) => {
     return;
   }
 
-  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const url = new URL(req.url, `http://localhost:${config.port}`);
+
+  if (url.pathname === '/health') {
+    res.writeHead(200);
+    res.end(JSON.stringify({
+      ok: true,
+      version: DAEMON_VERSION,
+      uptime: process.uptime(),
+      wsClients: wsClients.size,
+      sseClients: sseClients.size,
+    }));
+    return;
+  }
+
+  // Onboarding: only the extension, and only shortly after the installer ran
+  if (url.pathname === '/pair') {
+    if (!origin) {
+      res.writeHead(403);
+      res.end(JSON.stringify({ error: 'Pairing is for the browser extension - local tools read auth.json' }));
+      return;
+    }
+    if (!isPairingOpen()) {
+      res.writeHead(403);
+      res.end(JSON.stringify({ error: 'Pairing window closed - re-run the installer' }));
+      return;
+    }
+    res.writeHead(200);
+    res.end(JSON.stringify({ token: loadAuth().token }));
+    return;
+  }
+
+  if (!isAuthorized(req, url)) {
+    res.writeHead(401);
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return;
+  }
 
   if (url.pathname === '/status') {
-    const status = getActivityStatus();
+    const status = getActivityStatus(getRequestTimeoutMs(url));
     res.writeHead(200);
     res.end(JSON.stringify(status));
     return;
   }
 
-  if (url.pathname === '/health') {
+  if (url.pathname === '/sessions') {
+    const { sessions } = getActivityStatus(getRequestTimeoutMs(url));
     res.writeHead(200);
-    res.end(JSON.stringify({ ok: true, version: DAEMON_VERSION, uptime: process.uptime(), wsClients: wsClients.size }));
+    res.end(JSON.stringify({ sessions }));
+    return;
+  }
+
+  if (url.pathname === '/events' && req.method === 'GET') {
+    handleEventStream(req, res, url);
+    return;
+  }
+
+  if (url.pathname === '/history') {
+    const range = getRequestRange(url, to => to - 24 * 60 * 60 * 1000);
+    if (!range) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Invalid from/to' }));
+      return;
+    }
+    readHistory(range.from, range.to).then((events) => {
+      res.writeHead(200);
+      res.end(JSON.stringify({ ...range, events }));
+    });
+    return;
+  }
+
+  if (url.pathname === '/stats/daily') {
+    // Today plus the 6 days before it
+    const range = getRequestRange(url, to => startOfLocalDay(to - 6 * 24 * 60 * 60 * 1000));
+    if (!range) {
+      res.writeHead(400);
+      res.end(JSON.stringify({ error: 'Invalid from/to' }));
+      return;
+    }
+    const timeoutMs = getRequestTimeoutMs(url);
+    const staleMs = workingStaleMs();
+    // Replay from earlier so sessions already working at `from` count
+    readHistory(range.from - Math.max(timeoutMs, staleMs), range.to).then((events) => {
+      const days = computeDailyStats(events, {
+        from: range.from,
+        to: Math.min(range.to, Date.now()),
+        timeoutMs,
+        workingStaleMs: staleMs,
+      });
+      res.writeHead(200);
+      res.end(JSON.stringify({ ...range, timeoutMs, days }));
+    });
     return;
   }
 
@@ -195,7 +871,55 @@ const server = http.createServer((req, res) => {
   if (url.pathname === '/notify' && req.method === 'POST') {
     broadcastStatus();
     res.writeHead(200);
-    res.end(JSON.stringify({ ok: true, clients: wsClients.size }));
+    res.end(JSON.stringify({ ok: true, clients: wsClients.size + sseClients.size }));
+    return;
+  }
+
+  if (url.pathname === '/override' && req.method === 'POST') {
+    readJsonBody(req).then((body) => {
+      const { override: next, error } = parseOverrideRequest(body);
+      if (error) {
+        res.writeHead(400);
+        res.end(JSON.stringify({ ok: false, error }));
+        return;
+      }
+      res.writeHead(200);
+      res.end(JSON.stringify({ ok: true, override: setOverride(next) }));
+    });
+    return;
+  }
+
+  if (url.pathname === '/focus-terminal' && req.method === 'POST') {
+    // Raises windows on the desktop: only for the extension's button
+    if (!isExtensionOrigin(origin)) {
+      res.writeHead(403);
+      res.end(JSON.stringify({ ok: false, error: 'Only the browser extension can focus terminals' }));
+      return;
+    }
+
+    readJsonBody(req).then(async (body) => {
+      if (!body || typeof body !== 'object' || Array.isArray(body) || typeof body.sessionId !== 'string') {
+        res.writeHead(400);
+        res.end(JSON.stringify({ ok: false, error: 'sessionId must be a string' }));
+        return;
+      }
+
+      const { sessionId } = body;
+      const sessions = readActivity().sessions || {};
+      const session = Object.hasOwn(sessions, sessionId) ? sessions[sessionId] : null;
+      if (!session) {
+        res.writeHead(404);
+        res.end(JSON.stringify({ ok: false, error: 'Unknown session' }));
+        return;
+      }
+
+      const result = await focusTerminal(session);
+      res.writeHead(200);
+      res.end(JSON.stringify(result));
+    }).catch((e) => {
+      res.writeHead(500);
+      res.end(JSON.stringify({ ok: false, error: e.message }));
+    });
     return;
   }
 
@@ -203,36 +927,93 @@ const server = http.createServer((req, res) => {
   res.end(JSON.stringify({ error: 'Not found' }));
 });
 
-// Handle WebSocket upgrade requests
+// Handle WebSocket upgrade requests (token passed as ?token=)
 server.on('upgrade', (req, socket, head) => {
-  if (req.headers.upgrade?.toLowerCase() === 'websocket') {
-    handleWebSocketUpgrade(req, socket);
-  } else {
+  const url = new URL(req.url, `http://localhost:${config.port}`);
+
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket') {
     socket.destroy();
+  } else if (!isAllowedOrigin(req.headers.origin) || !isAuthorized(req, url)) {
+    socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+  } else {
+    handleWebSocketUpgrade(req, socket);
   }
 });
 
-server.listen(PORT, '127.0.0.1', () => {
-  console.log(`Productivity daemon running on http://127.0.0.1:${PORT}`);
-  console.log(`Activity file: ${ACTIVITY_FILE}`);
-  console.log(`Timeout: ${ACTIVITY_TIMEOUT_MS / 1000}s`);
+// Port to go back to while re-listening after a port change
+let fallbackPort = null;
 
-  // Periodically broadcast status to all WebSocket clients
-  // This ensures clients know when inactivity timeout is reached
-  setInterval(() => {
-    if (wsClients.size > 0) {
-      broadcastStatus();
-    }
-  }, 5000); // Every 5 seconds
+function listen() {
+  server.listen(config.port, '127.0.0.1');
+}
+
+server.on('listening', () => {
+  fallbackPort = null;
+  console.log(`Productivity daemon running on http://127.0.0.1:${config.port}`);
 });
 
+/**
+ * Apply a reloaded config. A port change closes every connection and
+ * re-listens; clients reconnect on their own. An unreadable file keeps the
+ * config in use.
+ */
+function applyConfig({ config: next, warnings, kept }) {
+  for (const warning of warnings) console.error(`Config: ${warning}`);
+  if (kept) return;
+
+  const prev = config;
+  config = next;
+  console.log('Config reloaded');
+
+  if (next.port !== prev.port) {
+    disconnectClients('Port changed');
+    fallbackPort = prev.port;
+    server.close(() => listen());
+    server.closeAllConnections();
+  } else {
+    // Timeouts changed - push fresh status and re-arm the timer
+    broadcastStatus();
+  }
+}
+
+server.on('error', (e) => {
+  // A new port that is taken: stay reachable on the old one
+  if (e.syscall === 'listen' && fallbackPort !== null) {
+    console.error(`Could not listen on port ${config.port} (${e.message}), staying on ${fallbackPort}`);
+    config = { ...config, port: fallbackPort };
+    fallbackPort = null;
+    listen();
+    return;
+  }
+  console.error(`Server error: ${e.message}`);
+  process.exit(1);
+});
+
+for (const warning of initialConfig.warnings) console.error(`Config: ${warning}`);
+
+// Make sure a token exists before the first client connects
+loadAuth();
+
+listen();
+watchConfig(applyConfig, () => config);
+watchActivity(ACTIVITY_FILE, broadcastStatus);
+
+console.log(`Activity file: ${ACTIVITY_FILE}`);
+console.log(`Config file: ${CONFIG_FILE}`);
+expireOverride(readActivity(), Date.now());
+if (override) console.log(`Override restored: ${override.mode}`);
+console.log(`Auth file: ${AUTH_FILE}`);
+console.log(`Timeout: ${activityTimeoutMs() / 1000}s`);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('Shutting down...');
+  disconnectClients('Daemon shutting down');
   server.close(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('Interrupted, shutting down...');
+  disconnectClients('Daemon shutting down');
   server.close(() => process.exit(0));
 });
@@ -0,0 +1,34 @@
+/**
+ * When a session keeps sites unlocked - the one rule server.js, lock-schedule.js,
+ * history.js and prompt.js all apply (the extension's timeouts.js mirrors it, and
+ * tests/session-activity.test.js runs the same cases against both)
+ *
+ * Ended sessions never do. Any other session does for timeoutMs after its
+ * last activity. A 'working' session gets up to workingStaleMs instead, to
+ * cover a long thinking turn without tool calls. That limit is kept short
+ * because an interrupted turn (Esc) fires no Stop hook and leaves the session
+ * 'working' until the next prompt.
+ */
+
+/**
+ * How long after its last activity a session in `state` stays active, or
+ * null for a session that never is.
+ */
+function activeWindowMs(state, timeoutMs, workingStaleMs) {
+  if (state === 'ended') return null;
+  return state === 'working' ? Math.max(timeoutMs, workingStaleMs) : timeoutMs;
+}
+
+/**
+ * Whether a session whose last activity was `elapsed` ms ago keeps sites
+ * unlocked.
+ */
+function isSessionActive(session, elapsed, timeoutMs, workingStaleMs) {
+  const windowMs = activeWindowMs(session.state, timeoutMs, workingStaleMs);
+  return windowMs !== null && elapsed < windowMs;
+}
+
+module.exports = {
+  activeWindowMs,
+  isSessionActive,
+};
@@ -0,0 +1,73 @@
+/**
+ * Server-Sent Events formatting for GET /events
+ *
+ * SSE streams the same pushes as the WebSocket topics to tools that only
+ * have curl or an EventSource. Event ids describe what the client has seen -
+ * the history cursor plus a hash of the last status and sessions it was
+ * sent - so a reconnect with Last-Event-ID resumes without duplicates, even
+ * across daemon restarts: missed history events are replayed from the log,
+ * and status and sessions are only re-sent if they changed meanwhile.
+ */
+
+const crypto = require('crypto');
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+};
+
+// How long an EventSource waits before reconnecting
+const RETRY_MS = 3000;
+
+/**
+ * One event. `data` is a single line of JSON, so it needs no splitting.
+ */
+function formatEvent(id, event, data) {
+  return `id: ${id}\nevent: ${event}\ndata: ${data}\n\n`;
+}
+
+/**
+ * A comment line; clients ignore it, proxies and sockets stay awake.
+ */
+function formatComment(text) {
+  return `: ${text}\n\n`;
+}
+
+function formatRetry(ms = RETRY_MS) {
+  return `retry: ${ms}\n\n`;
+}
+
+/**
+ * Short hash of the status and sessions signatures a client last got.
+ */
+function stateHash(signature, sessionsSignature) {
+  return crypto
+    .createHash('sha1')
+    .update(`${signature}\n${sessionsSignature}`)
+    .digest('base64url')
+    .slice(0, 12);
+}
+
+function encodeEventId(historyCursor, hash) {
+  return `${historyCursor}-${hash}`;
+}
+
+/**
+ * Parse a Last-Event-ID header. Returns { historyCursor, hash } or null.
+ */
+function parseEventId(id) {
+  const match = typeof id === 'string' && id.match(/^(\d+)-([\w-]{12})$/);
+  return match ? { historyCursor: Number(match[1]), hash: match[2] } : null;
+}
+
+module.exports = {
+  SSE_HEADERS,
+  RETRY_MS,
+  formatEvent,
+  formatComment,
+  formatRetry,
+  stateHash,
+  encodeEventId,
+  parseEventId,
+};
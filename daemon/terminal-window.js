@@ -0,0 +1,163 @@
+/**
+ * Bring a Claude Code session's terminal window to the front (POST /focus-terminal)
+ *
+ * record-activity.js stores, per session, the id of the process that ran the
+ * hook (`pid`, Claude Code or the shell it ran the hook through) and
+ * TERM_PROGRAM (`terminalApp`).
+ *
+ *   macOS    activates the terminal application
+ *   Linux    walks up from `pid` through /proc to the first process that owns
+ *            a window in `wmctrl -lp`, i.e. the terminal emulator, and
+ *            activates that window by id. A terminal with several windows
+ *            (one process for all of them) needs one titled exactly like the
+ *            project. Without a pid, or when no ancestor owns a window (tmux
+ *            and screen servers are detached from the terminal), only a
+ *            window titled exactly like the project is used
+ *   Windows  walks up from `pid` to the first process with a main window
+ *
+ * Nothing is matched on a substring of a window title, so the button can't
+ * raise an unrelated window that happens to mention the project.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+// TERM_PROGRAM values whose macOS application name differs
+const MAC_TERMINAL_APPS = {
+  'Apple_Terminal': 'Terminal',
+  'iTerm.app': 'iTerm',
+  'vscode': 'Visual Studio Code',
+  'ghostty': 'Ghostty',
+};
+
+// Enough for Claude Code -> shell -> multiplexer -> shell -> terminal chains
+const MAX_ANCESTORS = 16;
+
+/**
+ * Parent pid from the contents of /proc/<pid>/stat, or null. The command
+ * name is in parentheses and may contain spaces and parentheses itself.
+ */
+function parseParentPid(stat) {
+  const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+  const ppid = Number(fields[1]);
+  return Number.isInteger(ppid) && ppid > 0 ? ppid : null;
+}
+
+/**
+ * `pid` and its ancestors, nearest first, read through `readStat(pid)`
+ * (which returns /proc/<pid>/stat, or throws once the process is gone).
+ */
+function processAncestors(pid, readStat = (p) => fs.readFileSync(`/proc/${p}/stat`, 'utf-8')) {
+  const pids = [];
+  let current = pid;
+  while (current && pids.length < MAX_ANCESTORS && !pids.includes(current)) {
+    pids.push(current);
+    try {
+      current = parseParentPid(readStat(current));
+    } catch (e) {
+      break;
+    }
+  }
+  return pids;
+}
+
+/**
+ * Windows from `wmctrl -lp` output: "<id> <desktop> <pid> <host> <title>".
+ */
+function parseWindowList(output) {
+  const windows = [];
+  for (const line of output.split('\n')) {
+    const match = /^(0x[0-9a-f]+)\s+-?\d+\s+(\d+)\s+\S+\s?(.*)$/i.exec(line);
+    if (match) windows.push({ id: match[1], pid: Number(match[2]), title: match[3] });
+  }
+  return windows;
+}
+
+/**
+ * The session's terminal window among `windows`, or null when it can't be
+ * told apart: the windows of the nearest of `ancestors` that has any (the
+ * only one, or the one titled exactly `title`). When none has a window, the
+ * only window titled exactly `title`.
+ */
+function pickWindow(windows, ancestors, title) {
+  const titled = (list) => {
+    const exact = title ? list.filter(w => w.title === title) : [];
+    return exact.length === 1 ? exact[0] : null;
+  };
+
+  for (const pid of ancestors) {
+    const owned = windows.filter(w => w.pid === pid);
+    if (owned.length === 1) return owned[0];
+    if (owned.length > 1) return titled(owned);
+  }
+  return titled(windows);
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 3000, windowsHide: true }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout);
+    });
+  });
+}
+
+async function focusLinuxWindow(session) {
+  const ancestors = Number.isInteger(session.pid) ? processAncestors(session.pid) : [];
+  const window = pickWindow(parseWindowList(await run('wmctrl', ['-lp'])), ancestors, session.project);
+  if (!window) return { ok: false, error: 'Terminal window not found' };
+
+  await run('wmctrl', ['-i', '-a', window.id]);
+  return { ok: true };
+}
+
+/**
+ * PowerShell activating the first of `pid` and its ancestors with a main
+ * window. Exits 1 when there is none.
+ */
+function windowsFocusScript(pid) {
+  return [
+    `$id = ${pid}`,
+    `for ($i = 0; $id -and $i -lt ${MAX_ANCESTORS}; $i++) {`,
+    '  $proc = Get-Process -Id $id -ErrorAction SilentlyContinue',
+    '  if ($proc -and $proc.MainWindowHandle -ne 0) {',
+    '    (New-Object -ComObject WScript.Shell).AppActivate($id) | Out-Null',
+    '    exit 0',
+    '  }',
+    '  $id = (Get-CimInstance Win32_Process -Filter "ProcessId=$id").ParentProcessId',
+    '}',
+    'exit 1',
+  ].join('\n');
+}
+
+/**
+ * Bring a session's terminal window to the front. Resolves to { ok } or
+ * { ok: false, error }.
+ */
+async function focusTerminal(session) {
+  try {
+    if (process.platform === 'darwin' && session.terminalApp) {
+      const app = MAC_TERMINAL_APPS[session.terminalApp] || session.terminalApp;
+      await run('osascript', ['-e', `tell application ${JSON.stringify(app)} to activate`]);
+      return { ok: true };
+    }
+    if (process.platform === 'linux' && (Number.isInteger(session.pid) || session.project)) {
+      return await focusLinuxWindow(session);
+    }
+    if (process.platform === 'win32' && Number.isInteger(session.pid)) {
+      await run('powershell', ['-NoProfile', '-Command', windowsFocusScript(session.pid)]);
+      return { ok: true };
+    }
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  return { ok: false, error: 'Terminal window unknown' };
+}
+
+module.exports = {
+  parseParentPid,
+  processAncestors,
+  parseWindowList,
+  pickWindow,
+  focusTerminal,
+};
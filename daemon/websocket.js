@@ -0,0 +1,259 @@
+/**
+ * WebSocket framing (RFC 6455) for the daemon and its command-line client
+ *
+ * encodeFrame() builds frames: unmasked as a server sends them, or masked
+ * as a client must. createFrameDecoder() turns the raw bytes from the other
+ * end into whole messages: it unmasks payloads, reassembles fragmented
+ * messages from continuation frames, reads 7-, 16- and 64-bit lengths and
+ * copes with frames split across (or packed into) TCP chunks. Violations are
+ * reported with the close code to send back, after which the decoder
+ * ignores input.
+ */
+
+const crypto = require('crypto');
+
+const OPCODES = Object.freeze({
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa,
+});
+
+const CLOSE_CODES = Object.freeze({
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED_DATA: 1003,
+  INVALID_DATA: 1007,
+  TOO_BIG: 1009,
+});
+
+// Client messages are small JSON requests
+const DEFAULT_MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const KNOWN_OPCODES = new Set(Object.values(OPCODES));
+
+// Appended to the client's key to prove the server speaks WebSocket
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Sec-WebSocket-Accept value for a handshake's Sec-WebSocket-Key.
+ */
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode a frame. `payload` is a string or Buffer. Servers send unmasked
+ * frames; clients must mask theirs.
+ */
+function encodeFrame(payload, opcode = OPCODES.TEXT, masked = false) {
+  let data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  const length = data.length;
+
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode; // FIN bit set
+  if (!masked) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const mask = crypto.randomBytes(4);
+  data = Buffer.from(data);
+  for (let i = 0; i < data.length; i++) data[i] ^= mask[i % 4];
+  return Buffer.concat([header, mask, data]);
+}
+
+/**
+ * Close frame with a status code and a short reason (control frame
+ * payloads are limited to 125 bytes).
+ */
+function encodeCloseFrame(code = CLOSE_CODES.NORMAL, reason = '', masked = false) {
+  const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+  payload.writeUInt16BE(code, 0);
+  payload.write(reason, 2);
+  return encodeFrame(payload.subarray(0, 125), OPCODES.CLOSE, masked);
+}
+
+/**
+ * Parse a frame header from the front of `buffer`.
+ * Returns null until the whole header (including the mask) has arrived.
+ */
+function readHeader(buffer) {
+  if (buffer.length < 2) return null;
+
+  const header = {
+    fin: (buffer[0] & 0x80) !== 0,
+    rsv: buffer[0] & 0x70,
+    opcode: buffer[0] & 0x0f,
+    masked: (buffer[1] & 0x80) !== 0,
+    length: buffer[1] & 0x7f,
+    size: 2,
+  };
+
+  if (header.length === 126) {
+    if (buffer.length < 4) return null;
+    header.length = buffer.readUInt16BE(2);
+    header.size = 4;
+  } else if (header.length === 127) {
+    if (buffer.length < 10) return null;
+    const length = buffer.readBigUInt64BE(2);
+    // The most significant bit must be 0; anything past 2^53 is absurd anyway
+    header.length = length > BigInt(Number.MAX_SAFE_INTEGER) ? Infinity : Number(length);
+    header.size = 10;
+  }
+
+  if (header.masked) {
+    if (buffer.length < header.size + 4) return null;
+    header.mask = buffer.subarray(header.size, header.size + 4);
+    header.size += 4;
+  }
+
+  return header;
+}
+
+/**
+ * Incremental decoder for one connection. The daemon decodes client frames,
+ * which must be masked; a client decodes server frames, which must not be.
+ *
+ * @param {object} handlers
+ * @param {(opcode: number, data: string|Buffer) => void} handlers.onMessage -
+ *   a complete text (string), binary or control (Buffer) message
+ * @param {(code: number, reason: string) => void} handlers.onError -
+ *   a protocol violation; close the connection with `code`
+ * @param {number} [handlers.maxMessageBytes]
+ * @param {boolean} [handlers.masked] - whether incoming frames are masked
+ *   (true when decoding a client's frames)
+ * @returns {{ push: (chunk: Buffer) => void }}
+ */
+function createFrameDecoder({ onMessage, onError, maxMessageBytes = DEFAULT_MAX_MESSAGE_BYTES, masked: expectMasked = true }) {
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  let buffered = Buffer.alloc(0);
+  let fragments = null; // { opcode, parts, length } while a fragmented message is open
+  let failed = false;
+
+  function fail(code, reason) {
+    failed = true;
+    buffered = Buffer.alloc(0);
+    fragments = null;
+    onError(code, reason);
+  }
+
+  /** Close code and reason if the header breaks the protocol, else null. */
+  function checkHeader({ fin, rsv, opcode, masked, length }) {
+    if (rsv !== 0) return [CLOSE_CODES.PROTOCOL_ERROR, 'Reserved bits set'];
+    if (!KNOWN_OPCODES.has(opcode)) return [CLOSE_CODES.PROTOCOL_ERROR, `Unknown opcode ${opcode}`];
+    if (masked !== expectMasked) {
+      return [CLOSE_CODES.PROTOCOL_ERROR, expectMasked ? 'Client frames must be masked' : 'Server frames must not be masked'];
+    }
+
+    if (opcode & 0x8) {
+      if (!fin) return [CLOSE_CODES.PROTOCOL_ERROR, 'Fragmented control frame'];
+      if (length > 125) return [CLOSE_CODES.PROTOCOL_ERROR, 'Control frame too long'];
+      return null;
+    }
+
+    if (opcode === OPCODES.CONTINUATION && !fragments) {
+      return [CLOSE_CODES.PROTOCOL_ERROR, 'Continuation frame without a message'];
+    }
+    if (opcode !== OPCODES.CONTINUATION && fragments) {
+      return [CLOSE_CODES.PROTOCOL_ERROR, 'Expected a continuation frame'];
+    }
+    if ((fragments ? fragments.length : 0) + length > maxMessageBytes) {
+      return [CLOSE_CODES.TOO_BIG, 'Message too big'];
+    }
+    return null;
+  }
+
+  function deliver(opcode, payload) {
+    if (opcode !== OPCODES.TEXT) {
+      onMessage(opcode, payload);
+      return;
+    }
+
+    let text;
+    try {
+      text = utf8.decode(payload);
+    } catch {
+      fail(CLOSE_CODES.INVALID_DATA, 'Invalid UTF-8');
+      return;
+    }
+    onMessage(opcode, text);
+  }
+
+  function handleFrame(header, payload) {
+    const { fin, opcode } = header;
+
+    // Control frames may arrive between the fragments of a message
+    if (opcode & 0x8) {
+      onMessage(opcode, payload);
+      return;
+    }
+
+    if (!fragments) {
+      if (fin) {
+        deliver(opcode, payload);
+        return;
+      }
+      fragments = { opcode, parts: [], length: 0 };
+    }
+
+    fragments.parts.push(payload);
+    fragments.length += payload.length;
+    if (fin) {
+      const { opcode: messageOpcode, parts } = fragments;
+      fragments = null;
+      deliver(messageOpcode, Buffer.concat(parts));
+    }
+  }
+
+  function push(chunk) {
+    if (failed) return;
+    buffered = buffered.length > 0 ? Buffer.concat([buffered, chunk]) : chunk;
+
+    while (!failed) {
+      const header = readHeader(buffered);
+      if (!header) return;
+
+      const problem = checkHeader(header);
+      if (problem) {
+        fail(...problem);
+        return;
+      }
+
+      const end = header.size + header.length;
+      if (buffered.length < end) return;
+
+      const payload = Buffer.from(buffered.subarray(header.size, end));
+      if (header.mask) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= header.mask[i % 4];
+      }
+      buffered = buffered.subarray(end);
+
+      handleFrame(header, payload);
+    }
+  }
+
+  return { push };
+}
+
+module.exports = {
+  OPCODES,
+  CLOSE_CODES,
+  acceptKey,
+  encodeFrame,
+  encodeCloseFrame,
+  createFrameDecoder,
+};
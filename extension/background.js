@@ -13,16 +13,38 @@
  * concurrent tab-iteration from sending conflicting messages.
  */
 
-const DAEMON_URL = 'http://127.0.0.1:31415';
-const DAEMON_WS_URL = 'ws://127.0.0.1:31415';
+importScripts('match-patterns.js', 'site-rules.js', 'hard-block.js', 'breaks.js', 'redirects.js', 'schedules.js', 'timeouts.js');
+const { matchesAnyPattern } = self.__claudeFocusMatchPatterns;
+const { siteCoversUrl, previewSiteRules } = self.__claudeFocusSiteRules;
+const breaks = self.__claudeFocusBreaks;
+const { localDayKey } = breaks;
+const { redirectTarget, redirectEndedBy, tabsToRestore } = self.__claudeFocusRedirects;
+const schedules = self.__claudeFocusSchedules;
+const timeouts = self.__claudeFocusTimeouts;
+const {
+  buildHardBlockRules,
+  buildHardBlockAllowance,
+  hardBlockAllowanceId,
+  isHardBlockAllowance,
+} = self.__claudeFocusHardBlock;
+
+const DEFAULT_DAEMON_PORT = 31415; // must match the daemon's config.json "port"
 const POLL_INTERVAL_MS = 5000;
 const WS_RECONNECT_DELAY_MS = 3000;
+const DAEMON_PROTOCOL_VERSION = 1; // must match daemon/protocol.js
 const ALARM_NAME = 'claude-focus-status-check';
 const ALARM_PERIOD_MINUTES = 0.5; // 30 seconds fallback when WS is down
+const SITE_VISITS_RETENTION_DAYS = 90;
+const BREAK_ALARM_NAME = 'claude-focus-break-end';
+const DEFAULT_BREAK_BUDGET_MINUTES = 15;
+const DEFAULT_LOCK_WARNING_SECONDS = 30;
+const SCHEDULE_ALARM_NAME = 'claude-focus-schedule-change';
+const PAUSED_PAGE = 'paused.html';
 const DEBUG = false;
 
 let wsConnection = null;
 let wsReconnectTimer = null;
+let wsRequestId = 0;
 
 const DEFAULT_SITES = [
   { id: 'youtube', name: 'YouTube', patterns: ['*://*.youtube.com/*'], enabled: true, builtin: true },
@@ -35,13 +57,77 @@ const DEFAULT_SITES = [
   { id: 'netflix', name: 'Netflix', patterns: ['*://*.netflix.com/*'], enabled: false, builtin: true },
 ];
 
+// How a locked page looks (site.style, see content.js). 'feed' needs
+// selectors for the site's recommendation and timeline areas; sites without
+// them get the overlay.
+const LOCK_STYLES = ['overlay', 'blur', 'grayscale', 'feed'];
+const FEED_SELECTORS = {
+  youtube: [
+    'ytd-browse[page-subtype="home"] ytd-rich-grid-renderer',
+    'ytd-watch-next-secondary-results-renderer',
+    'ytd-reel-shelf-renderer',
+    'ytd-rich-shelf-renderer',
+    '.ytp-endscreen-content',
+  ],
+  twitter: [
+    'div[aria-label^="Timeline: Your Home Timeline"]',
+    'div[aria-label^="Timeline: Trending now"]',
+    '[data-testid="sidebarColumn"] section',
+  ],
+  reddit: [
+    'shreddit-feed',
+    '#right-sidebar-container',
+    'body.listing-page #siteTable',
+  ],
+  tiktok: [
+    '#main-content-homepage_hot',
+    '#main-content-explore_page',
+    '[data-e2e="recommend-list-item-container"]',
+  ],
+};
+
 let settings = {
   enabled: true,
   timeout: 2,
+  lockOnAttention: false,
+  daemonPort: DEFAULT_DAEMON_PORT,
+  breakBudget: DEFAULT_BREAK_BUDGET_MINUTES, // minutes per day
+  lockWarning: DEFAULT_LOCK_WARNING_SECONDS, // countdown before a lock, 0 = off
+  fadeAudioBeforeLock: false, // turn media down during the countdown
+  hardBlock: false,           // also block at the network level (see "Hard block")
+  redirectMode: false,        // send locked tabs away instead of the overlay (see "Redirect mode")
+  redirectUrl: '',            // where to; empty for paused.html
+  schedule: {                 // only pause during these weekly windows (see "Schedules")
+    enabled: false,
+    windows: [{ name: 'Work hours', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }],
+  },
   sites: [...DEFAULT_SITES],
 };
 
+// Daemon API token, received from GET /pair during onboarding. Kept in
+// storage.local (not sync) so it never leaves this machine.
+let daemonToken = null;
+
+function daemonUrl() {
+  return `http://127.0.0.1:${settings.daemonPort}`;
+}
+
+function daemonWsUrl() {
+  // Browsers can't set headers on a WebSocket handshake
+  return `ws://127.0.0.1:${settings.daemonPort}?token=${encodeURIComponent(daemonToken || '')}`;
+}
+
+function daemonAuthHeaders() {
+  return daemonToken ? { 'Authorization': `Bearer ${daemonToken}` } : {};
+}
+
+// Latest daemon payload (or an offline marker). Sites can have their own
+// timeout, so active/inactive is evaluated per tab by evaluateStatus().
 let lastStatus = { active: false, daemonOnline: false };
+
+// Break in progress and today's usage (see breaks.js), mirrored to
+// chrome.storage.local so it survives service worker restarts
+let breakState = breaks.NO_BREAK;
 let injectedTabs = new Set();
 
 // ─── Broadcast serialization ───────────────────────────────────────
@@ -57,6 +143,8 @@ async function serializedBroadcast() {
   broadcastInProgress = true;
   try {
     await broadcastStatus();
+    await syncHardBlock();
+    await restoreRedirectedTabs();
   } finally {
     broadcastInProgress = false;
     if (broadcastQueued) {
@@ -75,16 +163,27 @@ let updateGeneration = 0;
 async function serializedUpdateAllSites() {
   const gen = ++updateGeneration;
   await updateAllSites(gen);
+  await syncHardBlock();
+  await restoreRedirectedTabs();
 }
 
 // ─── Settings ──────────────────────────────────────────────────────
 
 async function loadSettings() {
   try {
-    const stored = await chrome.storage.sync.get(['enabled', 'timeout', 'sites']);
+    const stored = await chrome.storage.sync.get(['enabled', 'timeout', 'lockOnAttention', 'daemonPort', 'breakBudget', 'lockWarning', 'fadeAudioBeforeLock', 'hardBlock', 'redirectMode', 'redirectUrl', 'schedule', 'sites']);
 
     if (stored.enabled !== undefined) settings.enabled = stored.enabled;
     if (stored.timeout !== undefined) settings.timeout = stored.timeout;
+    if (stored.lockOnAttention !== undefined) settings.lockOnAttention = stored.lockOnAttention;
+    if (stored.daemonPort !== undefined) settings.daemonPort = stored.daemonPort;
+    if (stored.breakBudget !== undefined) settings.breakBudget = stored.breakBudget;
+    if (stored.lockWarning !== undefined) settings.lockWarning = stored.lockWarning;
+    if (stored.fadeAudioBeforeLock !== undefined) settings.fadeAudioBeforeLock = stored.fadeAudioBeforeLock;
+    if (stored.hardBlock !== undefined) settings.hardBlock = stored.hardBlock;
+    if (stored.redirectMode !== undefined) settings.redirectMode = stored.redirectMode;
+    if (stored.redirectUrl !== undefined) settings.redirectUrl = stored.redirectUrl;
+    if (stored.schedule !== undefined) settings.schedule = stored.schedule;
     if (stored.sites !== undefined) {
       const storedIds = new Set(stored.sites.map(s => s.id));
       const mergedSites = [...stored.sites];
@@ -98,6 +197,10 @@ async function loadSettings() {
       settings.sites = mergedSites;
     }
 
+    const { daemonToken: storedToken, breakState: storedBreak } = await chrome.storage.local.get(['daemonToken', 'breakState']);
+    daemonToken = storedToken || null;
+    if (storedBreak) breakState = storedBreak;
+
     if (DEBUG) console.log('[Claude Focus BG] Settings loaded:', settings);
   } catch (e) {
     console.error('[Claude Focus BG] Failed to load settings:', e);
@@ -116,61 +219,47 @@ function getEnabledPatterns() {
   return patterns;
 }
 
-function urlMatchesEnabledSite(url) {
-  if (!settings.enabled) return false;
+/**
+ * The enabled site that pauses a URL, or null: its patterns cover the URL
+ * and its rules (see site-rules.js) don't let the path through.
+ */
+function findEnabledSite(url) {
+  if (!settings.enabled) return null;
 
+  let urlObj;
   try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-
-    for (const site of settings.sites) {
-      if (!site.enabled) continue;
-
-      for (const pattern of site.patterns) {
-        const regexPattern = pattern
-          .replace(/\./g, '\\.')
-          .replace(/\*/g, '.*')
-          .replace(/\//g, '\\/');
+    urlObj = new URL(url);
+  } catch (e) {
+    return null;
+  }
 
-        if (new RegExp(regexPattern).test(url)) {
-          return true;
-        }
+  for (const site of settings.sites) {
+    if (!site.enabled) continue;
 
-        const patternHost = pattern.match(/\*:\/\/\*?\.?([^\/]+)/)?.[1];
-        if (patternHost && (hostname === patternHost || hostname.endsWith('.' + patternHost))) {
-          return true;
-        }
-      }
+    if (siteCoversUrl(site, urlObj)) {
+      return site;
     }
-  } catch (e) {
-    console.error('[Claude Focus BG] URL match error:', e);
   }
-
-  return false;
+  return null;
 }
 
+/**
+ * Whether a URL belongs to any configured site, enabled or not (those tabs
+ * get told to unlock when pausing is switched off).
+ */
 function urlMatchesAnySite(url) {
+  let urlObj;
   try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname;
-
-    for (const site of settings.sites) {
-      for (const pattern of site.patterns) {
-        const patternHost = pattern.match(/\*:\/\/\*?\.?([^\/]+)/)?.[1];
-        if (patternHost && (hostname === patternHost || hostname.endsWith('.' + patternHost))) {
-          return true;
-        }
-      }
-    }
+    urlObj = new URL(url);
   } catch (e) {
-    // Invalid URL
+    return false;
   }
-  return false;
+  return settings.sites.some(site => matchesAnyPattern(site.patterns, urlObj));
 }
 
 // ─── Content script injection ──────────────────────────────────────
 
-async function injectContentScript(tabId) {
+async function injectContentScript(tabId, site) {
   if (injectedTabs.has(tabId)) return;
 
   try {
@@ -184,6 +273,11 @@ async function injectContentScript(tabId) {
       files: ['media-controller.js'],
     });
 
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['overlay-guard.js', 'sessions.js'],
+    });
+
     await chrome.scripting.executeScript({
       target: { tabId },
       files: ['content.js'],
@@ -196,8 +290,8 @@ async function injectContentScript(tabId) {
     // executeScript resolves.
     chrome.tabs.sendMessage(tabId, {
       type: 'INIT',
-      status: lastStatus,
-      timeout: settings.timeout,
+      status: siteStatus(site),
+      timeout: siteTimeout(site),
     }).catch(() => {
       // Tab might have navigated away already
     });
@@ -209,32 +303,53 @@ async function injectContentScript(tabId) {
 
 // ─── Status checking ───────────────────────────────────────────────
 
+/** Inactivity timeout (minutes) for a site, falling back to the global one. */
+function siteTimeout(site) {
+  return timeouts.siteTimeout(site, settings.timeout);
+}
+
+/**
+ * The latest daemon payload evaluated against a timeout in minutes (see
+ * timeouts.js).
+ */
+function evaluateStatus(timeout) {
+  return {
+    ...timeouts.evaluateStatus(lastStatus, timeout, settings.lockOnAttention, Date.now()),
+    daemonPort: settings.daemonPort,
+  };
+}
+
 async function checkStatus() {
   try {
-    const response = await fetch(`${DAEMON_URL}/status?timeout=${settings.timeout}`, {
+    const response = await fetch(`${daemonUrl()}/status?timeout=${settings.timeout}`, {
       method: 'GET',
-      headers: { 'Accept': 'application/json' },
+      headers: { 'Accept': 'application/json', ...daemonAuthHeaders() },
     });
 
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    if (response.status === 401 || response.status === 403) {
+      // Daemon is up but rejects us: not paired yet, or the token was rotated
+      lastStatus = {
+        active: false,
+        daemonOnline: false,
+        unauthorized: true,
+        daemonPort: settings.daemonPort,
+        timeout: settings.timeout,
+      };
+      await serializedBroadcast();
+      return;
+    }
 
-    const data = await response.json();
-    const timeoutMs = settings.timeout * 60 * 1000;
-    const isActive = data.elapsed < timeoutMs;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
 
-    lastStatus = {
-      ...data,
-      active: isActive,
-      daemonOnline: true,
-      timeout: settings.timeout,
-    };
+    lastStatus = { ...await response.json(), daemonOnline: true };
 
-    if (DEBUG) console.log('[Claude Focus BG] Status:', lastStatus.active ? 'active' : 'inactive');
+    if (DEBUG) console.log('[Claude Focus BG] Status:', lastStatus.state);
   } catch (e) {
     if (DEBUG) console.log('[Claude Focus BG] Daemon offline');
     lastStatus = {
       active: false,
       daemonOnline: false,
+      daemonPort: settings.daemonPort,
       error: e.message,
       timeout: settings.timeout,
     };
@@ -243,6 +358,300 @@ async function checkStatus() {
   await serializedBroadcast();
 }
 
+// ─── Schedules ─────────────────────────────────────────────────────
+// settings.schedule and sites' own `schedule` limit pausing to weekly
+// windows (see schedules.js). Outside its windows a site is treated as
+// disabled.
+
+/**
+ * Whether a site should be paused right now, and the window in force.
+ */
+function getScheduleState(site, now = Date.now()) {
+  return schedules.getScheduleState(site, settings.schedule, now);
+}
+
+/**
+ * The next time any enabled site's schedule opens or closes, or null.
+ */
+function nextScheduleChange(now = Date.now()) {
+  return schedules.nextScheduleChange(settings.sites, settings.schedule, now);
+}
+
+/**
+ * Wake up at the next schedule boundary to lock or unlock tabs.
+ */
+async function scheduleNextChange() {
+  await chrome.alarms.clear(SCHEDULE_ALARM_NAME);
+  const next = settings.enabled ? nextScheduleChange() : null;
+  if (next) await chrome.alarms.create(SCHEDULE_ALARM_NAME, { when: next });
+}
+
+/** The site's lock style, falling back to the overlay. */
+function siteLockStyle(site) {
+  const style = LOCK_STYLES.includes(site.style) ? site.style : 'overlay';
+  return style === 'feed' && !FEED_SELECTORS[site.id] ? 'overlay' : style;
+}
+
+/**
+ * The status sent to a tab on `site`: disabled outside the site's schedule,
+ * otherwise the current status under the site's timeout plus the window in
+ * force and the lock style for the overlay.
+ */
+function siteStatus(site) {
+  const { enforced, schedule } = getScheduleState(site);
+  if (!enforced) return { active: true, disabled: true, outsideSchedule: true };
+
+  const style = siteLockStyle(site);
+  const status = { ...currentStatus(siteTimeout(site)), schedule, style };
+  if (style === 'feed') status.feedSelectors = FEED_SELECTORS[site.id];
+  return status;
+}
+
+// ─── Breaks ────────────────────────────────────────────────────────
+// "Take a 5-minute break" unlocks every site for a while, drawn from a daily
+// budget (settings.breakBudget; the bookkeeping is in breaks.js). The end of
+// the break is a chrome.alarm so it fires even if the worker was stopped.
+
+function getBreakInfo() {
+  return breaks.getBreakInfo(breakState, settings.breakBudget, Date.now());
+}
+
+/**
+ * The status sent to content scripts: the daemon's, evaluated against
+ * `timeout` (minutes), unlocked while on a break. `locksAt` and the warning
+ * settings let a tab count down to the lock between broadcasts.
+ */
+function currentStatus(timeout = settings.timeout) {
+  return breaks.applyBreak({
+    ...evaluateStatus(timeout),
+    timeout,
+    lockWarning: settings.lockWarning,
+    fadeAudioBeforeLock: settings.fadeAudioBeforeLock,
+  }, getBreakInfo());
+}
+
+async function startBreak() {
+  const { state, error } = breaks.beginBreak(breakState, settings.breakBudget, Date.now());
+  if (error) return { ok: false, error, ...getBreakInfo() };
+
+  breakState = state;
+  await chrome.storage.local.set({ breakState });
+  await chrome.alarms.create(BREAK_ALARM_NAME, { when: breakState.until });
+  if (DEBUG) console.log('[Claude Focus BG] Break started');
+
+  await serializedBroadcast();
+  return { ok: true, ...getBreakInfo() };
+}
+
+/**
+ * End the break (alarm fired, or ended early from the popup). Time not used
+ * when ending early goes back into today's budget.
+ */
+async function endBreak() {
+  // The worker may have just been woken by the alarm
+  const { breakState: stored } = await chrome.storage.local.get('breakState');
+  if (stored) breakState = stored;
+
+  breakState = breaks.finishBreak(breakState, Date.now());
+  await chrome.storage.local.set({ breakState });
+  await chrome.alarms.clear(BREAK_ALARM_NAME);
+  if (DEBUG) console.log('[Claude Focus BG] Break ended');
+
+  // Re-arm: fetch fresh status and broadcast it
+  await checkStatus();
+  return { ok: true, ...getBreakInfo() };
+}
+
+// ─── Hard block ────────────────────────────────────────────────────
+// With settings.hardBlock on, a locked site is also blocked by
+// declarativeNetRequest dynamic rules: main-frame navigations are redirected
+// to paused.html (original URL in the hash) and frames, API calls, media and
+// sockets to the site are dropped from any page. The rules are re-synced
+// after every broadcast, so they disappear as soon as the daemon reports
+// activity, and tabs left on paused.html are sent back where they came from.
+//
+// Site rules (include/exclude paths) can use JS regexes, which
+// declarativeNetRequest can't express, so they are checked by paused.html
+// instead: a redirect the rules would have let through gets a session
+// "allow" rule for its tab and that site (see hard-block.js) and goes
+// straight back.
+
+let appliedHardBlockRules = null; // JSON of the installed rules, to skip no-op updates
+let hardBlockSync = Promise.resolve();
+
+function isSiteLocked(site) {
+  const status = siteStatus(site);
+  return !status.active && !status.disabled;
+}
+
+function isUrlLocked(url) {
+  const site = findEnabledSite(url);
+  return !!site && isSiteLocked(site);
+}
+
+/**
+ * Whether a tab on paused.html standing in for `url` should stay there:
+ * the URL is locked and hard block or redirect mode put it there.
+ */
+function shouldStayPaused(url) {
+  return (settings.hardBlock || settings.redirectMode) && isUrlLocked(url);
+}
+
+/**
+ * Let one tab through the block rules of `sites` until the block lifts or
+ * the tab closes. Other locked sites stay blocked in that tab.
+ */
+async function allowTabThroughHardBlock(tabId, sites) {
+  const allowance = buildHardBlockAllowance(tabId, sites);
+  await chrome.declarativeNetRequest.updateSessionRules({
+    removeRuleIds: [hardBlockAllowanceId(tabId)],
+    addRules: allowance ? [allowance] : [],
+  });
+}
+
+async function clearHardBlockAllowances() {
+  const allowances = (await chrome.declarativeNetRequest.getSessionRules()).filter(isHardBlockAllowance);
+  if (allowances.length === 0) return;
+  await chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: allowances.map(r => r.id) });
+}
+
+/** Send tabs sitting on the paused page back once their URL is unblocked. */
+async function releasePausedTabs() {
+  const pausedPageUrl = chrome.runtime.getURL(PAUSED_PAGE);
+  const tabs = await chrome.tabs.query({ url: `${pausedPageUrl}*` });
+
+  for (const tab of tabs) {
+    const original = new URL(tab.url).hash.slice(1);
+    if (!original || shouldStayPaused(original)) continue;
+    try {
+      await chrome.tabs.update(tab.id, { url: original });
+    } catch (e) {
+      // Tab closed meanwhile
+    }
+  }
+}
+
+async function applyHardBlock() {
+  const lockedSites = settings.enabled && settings.hardBlock
+    ? settings.sites.filter(site => site.enabled && isSiteLocked(site))
+    : [];
+  const rules = buildHardBlockRules(lockedSites, chrome.runtime.getURL(PAUSED_PAGE));
+  const key = JSON.stringify(rules);
+  if (key === appliedHardBlockRules) return;
+
+  // Dynamic rules outlive the worker, so replace whatever is installed
+  const installed = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: installed.map(r => r.id),
+    addRules: rules,
+  });
+  appliedHardBlockRules = key;
+  if (DEBUG) console.log(`[Claude Focus BG] Hard block: ${lockedSites.length} site(s) blocked`);
+
+  if (rules.length === 0) await clearHardBlockAllowances();
+  await releasePausedTabs();
+}
+
+/** Bring the network rules in line with the current status (serialized). */
+function syncHardBlock() {
+  hardBlockSync = hardBlockSync.then(applyHardBlock).catch((e) => {
+    appliedHardBlockRules = null;
+    console.error('[Claude Focus BG] Hard block sync error:', e);
+  });
+  return hardBlockSync;
+}
+
+// ─── Redirect mode ─────────────────────────────────────────────────
+// With settings.redirectMode on, locked tabs are sent away instead of getting
+// the overlay: to settings.redirectUrl, or to paused.html, which lists
+// Claude's sessions. This replaces injectContentScript() as the enforcement
+// path. The original URL is kept per tab in chrome.storage.session so it
+// survives the worker being stopped, and the tab goes back to it once the
+// site unlocks (or redirect mode is switched off). The decisions are in
+// redirects.js.
+
+let redirectedTabsWrite = Promise.resolve();
+
+async function getRedirectedTabs() {
+  const { redirectedTabs = {} } = await chrome.storage.session.get('redirectedTabs');
+  return redirectedTabs;
+}
+
+/** Read-modify-write of redirectedTabs, chained like the visit bookkeeping. */
+function updateRedirectedTabs(update) {
+  redirectedTabsWrite = redirectedTabsWrite.then(async () => {
+    const redirectedTabs = await getRedirectedTabs();
+    update(redirectedTabs);
+    await chrome.storage.session.set({ redirectedTabs });
+  }).catch((e) => {
+    console.error('[Claude Focus BG] Failed to update redirected tabs:', e);
+  });
+  return redirectedTabsWrite;
+}
+
+/**
+ * Send a tab on a locked site to the redirect target. `initial` means the
+ * page was just opened (a visit) rather than open when Claude went idle.
+ */
+async function redirectIfLocked(tabId, url, site, initial) {
+  if (!isSiteLocked(site)) return;
+
+  const redirectedTabs = await getRedirectedTabs();
+  if (redirectedTabs[tabId]?.url === url) return;
+
+  const target = redirectTarget(url, {
+    redirectUrl: settings.redirectUrl,
+    pausedPageUrl: chrome.runtime.getURL(PAUSED_PAGE),
+    isUrlPaused: (candidate) => !!findEnabledSite(candidate),
+  });
+  await updateRedirectedTabs((tabs) => {
+    tabs[tabId] = { url, siteId: site.id, target };
+  });
+  recordLockStart(tabId, site.id, initial);
+
+  try {
+    await chrome.tabs.update(tabId, { url: target });
+    if (DEBUG) console.log(`[Claude Focus BG] Redirected tab ${tabId} away from ${site.name}`);
+  } catch (e) {
+    // Tab closed meanwhile
+  }
+}
+
+/** Send redirected tabs back once their site unlocks. */
+async function restoreRedirectedTabs() {
+  const restore = tabsToRestore(await getRedirectedTabs(), {
+    redirectMode: settings.redirectMode,
+    isUrlLocked,
+  });
+
+  for (const [tabId, entry] of restore) {
+    await updateRedirectedTabs((tabs) => {
+      delete tabs[tabId];
+    });
+    recordLockEnd(tabId, false);
+    try {
+      await chrome.tabs.update(tabId, { url: entry.url });
+    } catch (e) {
+      // Tab closed meanwhile
+    }
+  }
+}
+
+/**
+ * A redirected tab navigated. If that ends the redirect (see
+ * redirectEndedBy), forget the original URL rather than yank the tab back to
+ * it later.
+ */
+async function trackRedirectedTab(tabId, url) {
+  const entry = (await getRedirectedTabs())[tabId];
+  if (!entry || !redirectEndedBy(entry, url)) return;
+
+  await updateRedirectedTabs((tabs) => {
+    delete tabs[tabId];
+  });
+  recordLockEnd(tabId, url !== entry.url);
+}
+
 // ─── WebSocket ─────────────────────────────────────────────────────
 
 function connectWebSocket() {
@@ -251,7 +660,7 @@ function connectWebSocket() {
   }
 
   try {
-    wsConnection = new WebSocket(DAEMON_WS_URL);
+    wsConnection = new WebSocket(daemonWsUrl());
 
     wsConnection.onopen = () => {
       if (DEBUG) console.log('[Claude Focus BG] WebSocket connected');
@@ -259,23 +668,17 @@ function connectWebSocket() {
         clearTimeout(wsReconnectTimer);
         wsReconnectTimer = null;
       }
+      sendHello();
     };
 
     wsConnection.onmessage = async (event) => {
       try {
         const data = JSON.parse(event.data);
         if (data.type === 'status') {
-          const timeoutMs = settings.timeout * 60 * 1000;
-          const isActive = data.elapsed < timeoutMs;
-
-          lastStatus = {
-            ...data,
-            active: isActive,
-            daemonOnline: true,
-            timeout: settings.timeout,
-          };
-
+          lastStatus = { ...data, daemonOnline: true };
           await serializedBroadcast();
+        } else if (data.type === 'error') {
+          console.error('[Claude Focus BG] Daemon rejected request:', data.error?.message);
         }
       } catch (e) {
         console.error('[Claude Focus BG] WebSocket message error:', e);
@@ -296,6 +699,44 @@ function connectWebSocket() {
   }
 }
 
+/**
+ * Send a request over the WebSocket (see daemon/protocol.js). Replies are
+ * only logged on error, so ids just make those traceable.
+ */
+function sendDaemonRequest(type, fields = {}) {
+  if (wsConnection?.readyState !== WebSocket.OPEN) return;
+  wsConnection.send(JSON.stringify({ v: DAEMON_PROTOCOL_VERSION, id: ++wsRequestId, type, ...fields }));
+}
+
+/**
+ * The timeouts (minutes) sites are evaluated against, so the daemon pushes
+ * a status frame the moment any of them runs out. The global timeout goes
+ * first; the daemon evaluates its frames against that one.
+ */
+function wsTimeouts() {
+  const siteTimeouts = settings.sites.filter(site => site.enabled).map(siteTimeout);
+  return [...new Set([settings.timeout, ...siteTimeouts])];
+}
+
+/**
+ * Introduce the extension to the daemon once connected. Status is
+ * subscribed by default, which is all the extension needs.
+ */
+function sendHello() {
+  sendDaemonRequest('hello', {
+    client: 'extension',
+    version: chrome.runtime.getManifest().version,
+    timeouts: wsTimeouts(),
+  });
+}
+
+/**
+ * Update the daemon after the timeouts changed.
+ */
+function sendTimeouts() {
+  sendDaemonRequest('timeouts', { timeouts: wsTimeouts() });
+}
+
 function scheduleReconnect() {
   if (wsReconnectTimer) return;
 
@@ -335,15 +776,18 @@ async function broadcastStatus() {
     for (const tab of allTabs) {
       if (!tab.url) continue;
 
-      if (urlMatchesEnabledSite(tab.url)) {
+      const site = findEnabledSite(tab.url);
+      if (site && settings.redirectMode) {
+        await redirectIfLocked(tab.id, tab.url, site, false);
+      } else if (site) {
         try {
           if (!injectedTabs.has(tab.id)) {
-            await injectContentScript(tab.id);
+            await injectContentScript(tab.id, site);
           }
 
           await chrome.tabs.sendMessage(tab.id, {
             type: 'STATUS_UPDATE',
-            status: { ...lastStatus, timeout: settings.timeout },
+            status: siteStatus(site),
           });
         } catch (e) {
           injectedTabs.delete(tab.id);
@@ -370,14 +814,17 @@ async function updateAllSites(gen) {
       if (!tab.url || !tab.url.startsWith('http')) continue;
 
       if (urlMatchesAnySite(tab.url)) {
-        if (settings.enabled && urlMatchesEnabledSite(tab.url)) {
+        const site = findEnabledSite(tab.url);
+        if (site && settings.redirectMode) {
+          await redirectIfLocked(tab.id, tab.url, site, false);
+        } else if (site) {
           try {
             if (!injectedTabs.has(tab.id)) {
-              await injectContentScript(tab.id);
+              await injectContentScript(tab.id, site);
             }
             await chrome.tabs.sendMessage(tab.id, {
               type: 'STATUS_UPDATE',
-              status: { ...lastStatus, timeout: settings.timeout },
+              status: siteStatus(site),
             });
           } catch (e) {
             injectedTabs.delete(tab.id);
@@ -407,8 +854,11 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
     injectedTabs.delete(tabId);
 
-    if (urlMatchesEnabledSite(tab.url)) {
-      await injectContentScript(tabId);
+    const site = findEnabledSite(tab.url);
+    if (site && settings.redirectMode) {
+      await redirectIfLocked(tabId, tab.url, site, true);
+    } else if (site) {
+      await injectContentScript(tabId, site);
     }
   }
 
@@ -418,55 +868,262 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   // YouTube fires changeInfo.url alongside changeInfo.status, so we check
   // for url changes regardless of whether status is also present. The
   // content script's FSM handles duplicate same-state updates as no-ops.
-  if (changeInfo.url && injectedTabs.has(tabId)) {
-    if (urlMatchesEnabledSite(changeInfo.url)) {
+  if (changeInfo.url) {
+    // Navigating off a paused site ends its lock (the new page can't report it)
+    // (redirected tabs stay locked on the redirect target - see trackRedirectedTab)
+    const site = findEnabledSite(changeInfo.url);
+    Promise.all([getLockedTabs(), getRedirectedTabs()]).then(([lockedTabs, redirectedTabs]) => {
+      if (redirectedTabs[tabId]) return;
+      if (lockedTabs[tabId] && lockedTabs[tabId].siteId !== site?.id) recordLockEnd(tabId, true);
+    });
+    trackRedirectedTab(tabId, changeInfo.url);
+  }
+
+  if (changeInfo.url && settings.redirectMode) {
+    // Catch the navigation as it starts rather than after the page loads
+    const site = findEnabledSite(changeInfo.url);
+    if (site) await redirectIfLocked(tabId, changeInfo.url, site, true);
+  } else if (changeInfo.url && injectedTabs.has(tabId)) {
+    // Site rules can pause one path and allow the next, so an SPA navigation
+    // may lock or unlock the page
+    const site = findEnabledSite(changeInfo.url);
+    if (site || urlMatchesAnySite(changeInfo.url)) {
       try {
         await chrome.tabs.sendMessage(tabId, {
           type: 'STATUS_UPDATE',
-          status: { ...lastStatus, timeout: settings.timeout },
+          status: site ? siteStatus(site) : { active: true, disabled: true },
         });
       } catch (e) {
         injectedTabs.delete(tabId);
       }
     }
+  } else if (changeInfo.url && tab.status === 'complete') {
+    // SPA navigation from an allowed path onto a paused one
+    const site = findEnabledSite(changeInfo.url);
+    if (site) await injectContentScript(tabId, site);
   }
 });
 
 chrome.tabs.onRemoved.addListener((tabId) => {
   injectedTabs.delete(tabId);
+  recordLockEnd(tabId, true);
+  chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [hardBlockAllowanceId(tabId)] }).catch(() => {});
+  updateRedirectedTabs((tabs) => {
+    delete tabs[tabId];
+  });
+});
+
+// ─── Blocked-site visits ───────────────────────────────────────────
+// chrome.storage.local.siteVisits = {
+//   'YYYY-MM-DD': { [siteId]: { opens, revisits, closed, lockedMs } }
+// }
+//   opens    – a page on the site loaded straight into the overlay
+//   revisits – switched back to a tab that was already locked
+//   closed   – tab closed or navigated off the site while still locked
+//   lockedMs – time tabs sat behind the overlay until closed or unlocked
+// Locked time is credited to the day the lock started. Locks in progress live
+// in chrome.storage.session.lockedTabs ({ [tabId]: { siteId, since } }) so
+// they survive service worker restarts.
+
+/**
+ * One day's counters for a site, missing ones at zero.
+ */
+function normalizeSiteVisit(entry) {
+  return { opens: 0, revisits: 0, closed: 0, lockedMs: 0, ...entry };
+}
+
+// Visit bookkeeping is chained so events from several tabs at once don't
+// overwrite each other's read-modify-write
+let siteVisitsWrite = Promise.resolve();
+
+function queueVisitUpdate(update) {
+  siteVisitsWrite = siteVisitsWrite.then(update).catch((e) => {
+    console.error('[Claude Focus BG] Failed to record site visit:', e);
+  });
+  return siteVisitsWrite;
+}
+
+async function addSiteVisit(siteId, day, changes) {
+  const { siteVisits = {} } = await chrome.storage.local.get('siteVisits');
+  siteVisits[day] = siteVisits[day] || {};
+
+  const entry = normalizeSiteVisit(siteVisits[day][siteId]);
+  for (const [key, amount] of Object.entries(changes)) {
+    entry[key] += amount;
+  }
+  siteVisits[day][siteId] = entry;
+
+  const cutoff = localDayKey(new Date(Date.now() - SITE_VISITS_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+  for (const key of Object.keys(siteVisits)) {
+    if (key < cutoff) delete siteVisits[key];
+  }
+
+  await chrome.storage.local.set({ siteVisits });
+}
+
+async function getLockedTabs() {
+  const { lockedTabs = {} } = await chrome.storage.session.get('lockedTabs');
+  return lockedTabs;
+}
+
+/**
+ * Close a tab's lock episode (if any) and credit its locked time.
+ */
+async function finishLock(lockedTabs, tabId, closed) {
+  const lock = lockedTabs[tabId];
+  if (!lock) return;
+
+  delete lockedTabs[tabId];
+  await addSiteVisit(lock.siteId, localDayKey(new Date(lock.since)), {
+    lockedMs: Date.now() - lock.since,
+    closed: closed ? 1 : 0,
+  });
+}
+
+/**
+ * A tab showed the overlay. `initial` means the page loaded locked (a visit);
+ * otherwise Claude went idle while the page was already open.
+ */
+function recordLockStart(tabId, siteId, initial) {
+  return queueVisitUpdate(async () => {
+    const lockedTabs = await getLockedTabs();
+    // A reload of a locked page ends the old page's lock
+    await finishLock(lockedTabs, tabId, false);
+
+    lockedTabs[tabId] = { siteId, since: Date.now() };
+    await chrome.storage.session.set({ lockedTabs });
+    if (initial) await addSiteVisit(siteId, localDayKey(), { opens: 1 });
+  });
+}
+
+/**
+ * A tab's overlay went away (Claude resumed) or the tab was closed / left
+ * the site while locked.
+ */
+function recordLockEnd(tabId, closed) {
+  return queueVisitUpdate(async () => {
+    const lockedTabs = await getLockedTabs();
+    if (!lockedTabs[tabId]) return;
+
+    await finishLock(lockedTabs, tabId, closed);
+    await chrome.storage.session.set({ lockedTabs });
+  });
+}
+
+function recordRevisit(tabId) {
+  return queueVisitUpdate(async () => {
+    const lock = (await getLockedTabs())[tabId];
+    if (lock) await addSiteVisit(lock.siteId, localDayKey(), { revisits: 1 });
+  });
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  recordRevisit(tabId);
 });
 
 // ─── Message handling ──────────────────────────────────────────────
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_STATUS') {
-    if (!settings.enabled || (sender.tab?.url && !urlMatchesEnabledSite(sender.tab.url))) {
+    const site = sender.tab?.url ? findEnabledSite(sender.tab.url) : null;
+    if (!settings.enabled || (sender.tab?.url && !site)) {
       sendResponse({ active: true, disabled: true });
       return true;
     }
 
     checkStatus().then(() => {
-      const response = lastStatus || { active: false, daemonOnline: false, timeout: settings.timeout };
-      sendResponse(response);
+      sendResponse(site ? siteStatus(site) : currentStatus());
     }).catch(() => {
       sendResponse({ active: false, daemonOnline: false, timeout: settings.timeout });
     });
     return true;
   }
 
+  if (message.type === 'SITE_LOCKED') {
+    const site = sender.tab?.url ? findEnabledSite(sender.tab.url) : null;
+    if (site) recordLockStart(sender.tab.id, site.id, message.initial);
+    return false;
+  }
+
+  if (message.type === 'SITE_UNLOCKED') {
+    if (sender.tab) recordLockEnd(sender.tab.id, false);
+    return false;
+  }
+
+  if (message.type === 'FOCUS_TERMINAL') {
+    fetch(`${daemonUrl()}/focus-terminal`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...daemonAuthHeaders() },
+      body: JSON.stringify({ sessionId: message.sessionId }),
+    })
+      .then(r => r.json())
+      .then(result => sendResponse(result))
+      .catch(e => sendResponse({ ok: false, error: e.message }));
+    return true;
+  }
+
+  if (message.type === 'START_BREAK') {
+    startBreak().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'END_BREAK') {
+    endBreak().then(sendResponse);
+    return true;
+  }
+
+  if (message.type === 'GET_BREAK') {
+    sendResponse(getBreakInfo());
+    return true;
+  }
+
+  // From paused.html: is the URL it stands in for still blocked?
+  if (message.type === 'PAUSED_PAGE_CHECK') {
+    const site = findEnabledSite(message.url);
+    if (site && shouldStayPaused(message.url)) {
+      sendResponse({ blocked: true, siteName: site.name, status: siteStatus(site), ...getBreakInfo() });
+      return true;
+    }
+
+    // A path the site's rules allow still hits the network rules of a locked
+    // site, so the tab needs an allowance to get back to it
+    const blockingSites = settings.hardBlock && sender.tab
+      ? settings.sites.filter(s => s.enabled && matchesAnyPattern(s.patterns, message.url) && isSiteLocked(s))
+      : [];
+    const allowed = blockingSites.length > 0 ? allowTabThroughHardBlock(sender.tab.id, blockingSites) : Promise.resolve();
+    allowed.catch(() => {}).then(() => sendResponse({ blocked: false }));
+    return true;
+  }
+
+  if (message.type === 'PREVIEW_SITE_RULES') {
+    sendResponse(previewSiteRules(message.site, message.urls));
+    return true;
+  }
+
   if (message.type === 'GET_SETTINGS') {
     sendResponse(settings);
     return true;
   }
 
   if (message.type === 'SETTINGS_CHANGED') {
+    const portChanged = message.settings.daemonPort !== settings.daemonPort;
     settings = message.settings;
     if (DEBUG) console.log('[Claude Focus BG] Settings updated');
 
+    // Reconnect to the daemon on its new port
+    if (portChanged) {
+      if (wsConnection) wsConnection.close();
+      wsConnection = null;
+      connectWebSocket();
+      checkStatus();
+    }
+
     // Do NOT clear injectedTabs — that causes unnecessary re-injection thrash.
     // The content script guards against double injection already.
     // Use serialized update to prevent concurrent iterations.
     serializedUpdateAllSites();
+    scheduleNextChange();
+    sendTimeouts();
     return true;
   }
 
@@ -476,7 +1133,19 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Listen for storage changes from other sources (e.g. sync from another device)
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area === 'sync') {
-    loadSettings();
+    loadSettings().then(() => {
+      scheduleNextChange();
+      sendTimeouts();
+    });
+  }
+
+  // Onboarding stored a new token — reconnect with it
+  if (area === 'local' && changes.daemonToken) {
+    daemonToken = changes.daemonToken.newValue || null;
+    if (wsConnection) wsConnection.close();
+    wsConnection = null;
+    connectWebSocket();
+    checkStatus();
   }
 });
 
@@ -511,6 +1180,16 @@ chrome.alarms.onAlarm.addListener((alarm) => {
       checkStatus();
     }
   }
+
+  if (alarm.name === BREAK_ALARM_NAME) {
+    endBreak();
+  }
+
+  // A schedule window opened or closed
+  if (alarm.name === SCHEDULE_ALARM_NAME) {
+    scheduleNextChange();
+    serializedUpdateAllSites();
+  }
 });
 
 self.addEventListener('activate', () => {
@@ -521,6 +1200,7 @@ self.addEventListener('activate', () => {
 
 loadSettings().then(async () => {
   await setupAlarm();
+  await scheduleNextChange();
   connectWebSocket();
   checkStatus();
 
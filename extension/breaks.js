@@ -0,0 +1,108 @@
+/**
+ * Claude Code Focus Mode - Break Budget
+ * Bookkeeping for "Take a 5-minute break", shared by the background worker
+ * and the tests. The worker keeps the state in chrome.storage.local and ends
+ * breaks with a chrome.alarm; everything here takes the time as `now`.
+ *
+ * A break unlocks every site for BREAK_MINUTES, drawn from a daily budget
+ * (settings.breakBudget, minutes) that resets at local midnight. The state is
+ * { day: 'YYYY-MM-DD', usedMs, until }: the day usedMs counts for, and the
+ * end of the break in progress (null without one).
+ */
+
+(function(root) {
+  const BREAK_MINUTES = 5;
+
+  const NO_BREAK = Object.freeze({ day: null, usedMs: 0, until: null });
+
+  /** Local calendar day of `date`, e.g. "2026-01-15". */
+  function localDayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function breakUsedTodayMs(state, now) {
+    return state.day === localDayKey(new Date(now)) ? state.usedMs : 0;
+  }
+
+  function isOnBreak(state, now) {
+    return !!state.until && state.until > now;
+  }
+
+  /** The break fields of the status sent to tabs and the popup. */
+  function getBreakInfo(state, budgetMinutes, now) {
+    const remainingMs = Math.max(0, budgetMinutes * 60 * 1000 - breakUsedTodayMs(state, now));
+    const onBreak = isOnBreak(state, now);
+    return {
+      onBreak,
+      breakUntil: onBreak ? state.until : null,
+      breakMinutes: BREAK_MINUTES,
+      breakRemainingMinutes: Math.floor(remainingMs / 60000),
+    };
+  }
+
+  /**
+   * `status` with the break `info` (from getBreakInfo) applied: unlocked
+   * while on a break, and locking when it ends unless Claude keeps the site
+   * open longer.
+   */
+  function applyBreak(status, info) {
+    const result = { ...status, ...info };
+    if (info.onBreak) {
+      result.locksAt = result.active ? Math.max(result.locksAt || 0, info.breakUntil) : info.breakUntil;
+      result.active = true;
+      result.needsAttention = false;
+    }
+    return result;
+  }
+
+  /**
+   * Start a break: { state } with the new state, or { error } when one is
+   * running or the budget is used up. The last break of the day may be
+   * shorter than BREAK_MINUTES.
+   */
+  function beginBreak(state, budgetMinutes, now) {
+    if (isOnBreak(state, now)) return { error: 'Already on a break' };
+
+    const minutes = Math.min(BREAK_MINUTES, getBreakInfo(state, budgetMinutes, now).breakRemainingMinutes);
+    if (minutes < 1) return { error: 'No break time left today' };
+
+    const durationMs = minutes * 60 * 1000;
+    return {
+      state: {
+        day: localDayKey(new Date(now)),
+        usedMs: breakUsedTodayMs(state, now) + durationMs,
+        until: now + durationMs,
+      },
+    };
+  }
+
+  /**
+   * The state after ending the break (its end passed, or ended early). Time
+   * not used when ending early goes back into today's budget.
+   */
+  function finishBreak(state, now) {
+    let usedMs = state.usedMs;
+    if (isOnBreak(state, now) && state.day === localDayKey(new Date(now))) {
+      usedMs = Math.max(0, usedMs - (state.until - now));
+    }
+    return { ...state, usedMs, until: null };
+  }
+
+  const api = {
+    BREAK_MINUTES,
+    NO_BREAK,
+    localDayKey,
+    isOnBreak,
+    getBreakInfo,
+    applyBreak,
+    beginBreak,
+    finishBreak,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusBreaks = api;
+  }
+})(globalThis);
@@ -7,9 +7,29 @@
  * race conditions between concurrent updates.
  *
  * States:
- *   ACTIVE   – Claude is active, no overlay, media plays normally
- *   INACTIVE – Claude is inactive (or daemon offline), overlay shown, media paused
- *   DISABLED – Extension toggled off (or site disabled), no overlay
+ *   ACTIVE          – Claude is active, no overlay, media plays normally
+ *   INACTIVE        – Claude is inactive (or daemon offline), overlay shown, media paused
+ *   NEEDS_ATTENTION – Claude is waiting for the user, overlay shown with a
+ *                     "waiting for your input" message, media paused
+ *   DISABLED        – Extension toggled off (or site disabled, or outside the
+ *                     site's schedule), no overlay
+ *
+ * How a locked page looks is the site's lock style (status.style):
+ *   overlay   – full-screen overlay, media paused
+ *   blur      – page blurred behind a corner banner, media paused
+ *   grayscale – page in grayscale behind a corner banner, media muted
+ *   feed      – recommendation/timeline areas (status.feedSelectors) hidden,
+ *               media inside them paused, corner banner
+ *
+ * The overlay renders in a closed shadow root on <html>, out of reach of page
+ * CSS and scripts. While locked a watcher puts it back if anything removes,
+ * restyles or covers it (see overlay-guard.js), and the full overlay (and
+ * blur) swallow keyboard and scroll input meant for the page underneath.
+ *
+ * While ACTIVE, status.locksAt predicts when the page will lock. In the last
+ * status.lockWarning seconds a corner banner counts down (optionally fading
+ * media out), and at zero the page asks for a fresh status instead of
+ * waiting for the next broadcast.
  */
 
 (function() {
@@ -25,32 +45,109 @@
       return; // Already running with valid context
     } catch (e) {
       // Old context invalidated — clean up and continue
+      // (the old instance's watcher sees the new ID and stands down)
       const old = document.getElementById('claude-focus-overlay');
       if (old) old.remove();
+      document.getElementById('claude-focus-feed-style')?.remove();
+      document.documentElement.classList.remove('claude-focus-blur', 'claude-focus-grayscale', 'claude-focus-feed');
     }
   }
   window.__claudeFocusContent = SCRIPT_ID;
 
   const OVERLAY_ID = 'claude-focus-overlay';
-  const DAEMON_URL = 'http://127.0.0.1:31415';
+  const FEED_STYLE_ID = 'claude-focus-feed-style';
+  const WARNING_ID = 'claude-focus-warning';
   const POLL_INTERVAL_MS = 3000;
 
+  // Inline !important styles on the overlay's host element. 'all: initial'
+  // drops anything page CSS set on it; the watcher restores these if changed.
+  const OVERLAY_HOST_STYLE = {
+    all: 'initial',
+    position: 'fixed',
+    top: '0',
+    left: '0',
+    width: '100vw',
+    height: '100vh',
+    'z-index': '2147483647', // Maximum z-index
+    display: 'block',
+    background: '#141413',
+    opacity: '1',
+    visibility: 'visible',
+    'pointer-events': 'auto',
+    transition: 'opacity 0.3s ease-out',
+  };
+
+  const BANNER_HOST_STYLE = {
+    ...OVERLAY_HOST_STYLE,
+    top: 'auto',
+    left: 'auto',
+    right: '20px',
+    bottom: '20px',
+    width: '360px',
+    'max-width': 'calc(100vw - 40px)',
+    height: 'auto',
+    'border-radius': '16px',
+    border: '1px solid rgba(250, 249, 245, 0.08)',
+    'box-shadow': '0 8px 32px rgba(0, 0, 0, 0.4)',
+    overflow: 'hidden',
+  };
+
+  // The pre-lock countdown never takes clicks from the page
+  const WARNING_HOST_STYLE = {
+    ...BANNER_HOST_STYLE,
+    width: 'auto',
+    'pointer-events': 'none',
+  };
+
+  // Keyboard and scroll input kept from the page while it's covered
+  const BLOCKED_INPUT_EVENTS = ['keydown', 'keypress', 'keyup', 'wheel', 'touchmove'];
+
+  const LOCK_MESSAGES = {
+    overlay: 'This site is paused while Claude Code is not active.',
+    blur: 'This page is blurred while Claude Code is not active.',
+    grayscale: 'This page is grayed out and muted while Claude Code is not active.',
+    feed: 'Feeds are hidden while Claude Code is not active.',
+  };
+
   // Media controller (injected before this script)
   const media = window.__claudeFocusMedia || {
     pauseAllMedia: () => 0,
     resumeOurPausedMedia: () => 0,
+    silenceAllMedia: () => {},
+    unmuteOurMutedMedia: () => 0,
+    fadeMediaVolume: () => {},
+    restoreMediaVolume: () => 0,
     startMediaWatcher: () => {},
     stopMediaWatcher: () => {},
   };
 
+  // Overlay guard (injected before this script, see overlay-guard.js)
+  const { snapshotHost, repairOverlayHost } = globalThis.__claudeFocusOverlayGuard;
+  // Session labels (injected before this script, see sessions.js)
+  const { describeSession } = globalThis.__claudeFocusSessions;
+
+  /**
+   * Compact duration for the countdown, e.g. "45s", "1m30s", "2m".
+   */
+  function formatDuration(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    if (seconds < 60) return `${seconds}s`;
+    const rest = seconds % 60;
+    return rest ? `${Math.floor(seconds / 60)}m${rest}s` : `${seconds / 60}m`;
+  }
+
   // ─── FocusStateMachine ─────────────────────────────────────────────
 
   const State = Object.freeze({
-    ACTIVE:   'ACTIVE',
-    INACTIVE: 'INACTIVE',
-    DISABLED: 'DISABLED',
+    ACTIVE:          'ACTIVE',
+    INACTIVE:        'INACTIVE',
+    NEEDS_ATTENTION: 'NEEDS_ATTENTION',
+    DISABLED:        'DISABLED',
   });
 
+  // States in which the overlay is shown and media is paused
+  const LOCKED_STATES = new Set([State.INACTIVE, State.NEEDS_ATTENTION]);
+
   class FocusStateMachine {
     constructor() {
       // Start in ACTIVE — the transition to INACTIVE/DISABLED will happen
@@ -60,8 +157,20 @@
       this._pendingTransition = null; // { state, data } — only latest queued
       this._timeout = 2; // minutes
       this._statusData = null; // last received status payload
+      this._lockStyle = null; // style applied while locked, e.g. 'blur'
+      this._feedSelectors = null; // selector list hidden by the 'feed' style
+      this._hadStatus = false; // first status decides if the page loaded locked
       this._pollTimer = null;
       this._elapsedTimer = null;
+      this._overlayHost = null; // <div id="claude-focus-overlay"> on <html>
+      this._overlayRoot = null; // its closed shadow root
+      this._overlayAttributes = null; // { style, class } the watcher restores
+      this._overlayWatcher = null;
+      this._inputBlocker = null;
+      this._warningTimer = null;
+      this._warningHost = null; // pre-lock countdown banner
+      this._warningText = null;
+      this._warningPolledFor = null; // locksAt we already re-checked at zero
     }
 
     /** Current state (read-only) */
@@ -91,15 +200,21 @@
      * Internal: execute a transition synchronously with lock.
      */
     async _executeTransition(newState, statusData) {
+      const firstStatus = !this._hadStatus;
+      this._hadStatus = true;
+
       if (newState === this._state) {
         // Same state — just update status data (e.g. new elapsed time)
         if (statusData) this._statusData = statusData;
+        // The style may have changed in the popup while locked
+        if (LOCKED_STATES.has(this._state)) this._applyLockStyle();
         this._updateOverlayStatus();
-        // Re-pause any media that started playing (e.g. after SPA navigation
-        // added a new video element while we're already INACTIVE)
-        if (this._state === State.INACTIVE) {
-          media.pauseAllMedia();
+        // Re-silence any media that started playing (e.g. after SPA navigation
+        // added a new video element while we're already locked)
+        if (LOCKED_STATES.has(this._state)) {
+          media.silenceAllMedia();
         }
+        if (this._state === State.ACTIVE) this._syncLockWarning();
         return;
       }
 
@@ -113,7 +228,10 @@
         // Execute the appropriate enter-state handler
         switch (newState) {
           case State.INACTIVE:
-            this._enterInactive(prevState);
+            this._enterInactive(prevState, firstStatus);
+            break;
+          case State.NEEDS_ATTENTION:
+            this._enterNeedsAttention(prevState, firstStatus);
             break;
           case State.ACTIVE:
             await this._enterActive(prevState);
@@ -137,14 +255,35 @@
     /**
      * Enter INACTIVE state: pause media immediately, show overlay.
      */
-    _enterInactive(prevState) {
+    _enterInactive(prevState, firstStatus) {
       if (DEBUG) console.log('[FSM] entering INACTIVE');
+      this._lockPage(prevState, firstStatus);
+    }
 
-      // Pause media FIRST — before any DOM work
-      media.startMediaWatcher();
+    /**
+     * Enter NEEDS_ATTENTION state: same as INACTIVE, but the overlay says
+     * Claude is waiting for the user. From INACTIVE the existing overlay is
+     * reused and only its text changes.
+     */
+    _enterNeedsAttention(prevState, firstStatus) {
+      if (DEBUG) console.log('[FSM] entering NEEDS_ATTENTION');
+      this._lockPage(prevState, firstStatus);
+    }
+
+    /**
+     * @param {boolean} firstStatus - the page loaded straight into the lock,
+     *   which the background counts as a blocked visit
+     */
+    _lockPage(prevState, firstStatus) {
+      // One lock per episode, not per INACTIVE <-> NEEDS_ATTENTION switch
+      if (!LOCKED_STATES.has(prevState)) {
+        this._notifyBackground({ type: 'SITE_LOCKED', initial: firstStatus });
+      }
 
-      // Show overlay
-      this._createOverlay();
+      this._applyLockStyle();
+      // After the lock style silenced the media, so nothing jumps back to
+      // full volume; media it leaves playing stays faded until the unlock
+      this._stopLockWarning(true);
       this._updateOverlayStatus();
       this._startElapsedTimer();
       this._startPolling();
@@ -156,17 +295,24 @@
      */
     async _enterActive(prevState) {
       if (DEBUG) console.log('[FSM] entering ACTIVE');
+      if (LOCKED_STATES.has(prevState)) this._notifyBackground({ type: 'SITE_UNLOCKED' });
 
       // Stop media watcher (no new pauses)
       media.stopMediaWatcher();
       this._stopElapsedTimer();
       this._stopPolling();
+      this._removeLockStyle();
 
       // Fade out overlay (cosmetic)
       await this._fadeOutOverlay();
 
       // Resume media AFTER overlay is gone
       media.resumeOurPausedMedia();
+      media.unmuteOurMutedMedia();
+      media.restoreMediaVolume();
+
+      // Still ACTIVE after the fade — start counting down to the next lock
+      if (this._state === State.ACTIVE) this._syncLockWarning();
     }
 
     /**
@@ -174,44 +320,165 @@
      */
     async _enterDisabled(prevState) {
       if (DEBUG) console.log('[FSM] entering DISABLED');
+      if (LOCKED_STATES.has(prevState)) this._notifyBackground({ type: 'SITE_UNLOCKED' });
 
+      this._stopLockWarning();
       media.stopMediaWatcher();
       this._stopElapsedTimer();
       this._stopPolling();
+      this._removeLockStyle();
 
       await this._fadeOutOverlay();
       media.resumeOurPausedMedia();
+      media.unmuteOurMutedMedia();
+    }
+
+    /**
+     * Fire-and-forget message for blocked-visit tracking in the background.
+     */
+    _notifyBackground(message) {
+      try {
+        chrome.runtime.sendMessage(message);
+      } catch (e) {
+        // Extension context invalidated — nothing to record
+      }
+    }
+
+    // ─── Lock styles ───────────────────────────────────────────────
+
+    /**
+     * Apply the lock style from the latest status. Idempotent; a different
+     * style (or feed selector list) undoes the current one first.
+     */
+    _applyLockStyle() {
+      const requested = this._statusData?.style;
+      const style = LOCK_MESSAGES[requested] ? requested : 'overlay';
+      const feedSelectors = style === 'feed' ? (this._statusData.feedSelectors || []).join(', ') : null;
+      if (style === this._lockStyle && feedSelectors === this._feedSelectors) return;
+
+      if (this._lockStyle) {
+        media.stopMediaWatcher();
+        media.resumeOurPausedMedia();
+        media.unmuteOurMutedMedia();
+        this._removeLockStyle();
+        this._removeOverlay();
+      }
+      this._lockStyle = style;
+      this._feedSelectors = feedSelectors;
+
+      // Silence media FIRST — before any DOM work
+      media.startMediaWatcher({
+        mode: style === 'grayscale' ? 'mute' : 'pause',
+        within: feedSelectors,
+      });
+
+      if (style !== 'overlay') {
+        document.documentElement.classList.add(`claude-focus-${style}`);
+      }
+      if (feedSelectors) {
+        const css = document.createElement('style');
+        css.id = FEED_STYLE_ID;
+        css.textContent = `${feedSelectors} { display: none !important; }`;
+        (document.head || document.documentElement).appendChild(css);
+      }
+
+      this._createOverlay(style !== 'overlay');
+      // A banner leaves the page usable, except under blur where it's unreadable
+      if (style === 'overlay' || style === 'blur') this._startInputBlock();
+    }
+
+    /**
+     * Undo the page effects of the lock style. The overlay or banner fades
+     * out separately.
+     */
+    _removeLockStyle() {
+      document.documentElement.classList.remove('claude-focus-blur', 'claude-focus-grayscale', 'claude-focus-feed');
+      document.getElementById(FEED_STYLE_ID)?.remove();
+      this._lockStyle = null;
+      this._feedSelectors = null;
     }
 
     // ─── Overlay management ────────────────────────────────────────
 
-    _createOverlay() {
-      if (document.getElementById(OVERLAY_ID)) return;
+    /**
+     * @param {boolean} banner - a small corner banner instead of covering
+     *   the page (the softer lock styles)
+     */
+    _createOverlay(banner = false) {
+      if (this._overlayHost) return;
 
-      const overlay = document.createElement('div');
-      overlay.id = OVERLAY_ID;
+      const host = document.createElement('div');
+      host.id = OVERLAY_ID;
+      host.className = banner ? 'claude-overlay-banner' : 'claude-overlay-full';
+      for (const [name, value] of Object.entries(banner ? BANNER_HOST_STYLE : OVERLAY_HOST_STYLE)) {
+        host.style.setProperty(name, value, 'important');
+      }
+
+      // Closed, so host.shadowRoot is null for page scripts
+      const root = host.attachShadow({ mode: 'closed' });
       const iconUrl = chrome.runtime.getURL('icon.svg');
-      const t = this._timeout;
-      overlay.innerHTML = `
-        <div class="claude-overlay-content">
-          <div class="claude-overlay-icon">
-            <img src="${iconUrl}" width="80" height="80" alt="Focus Mode">
-          </div>
-          <h1 class="claude-overlay-title">Focus Mode Active</h1>
-          <p class="claude-overlay-message">This site is paused while Claude Code is not active.</p>
-          <div class="claude-overlay-status">
-            <span class="claude-status-dot"></span>
-            <span class="claude-status-text">Waiting for Claude activity...</span>
+      root.innerHTML = `
+        <link rel="stylesheet" href="${chrome.runtime.getURL('overlay.css')}">
+        <div class="claude-overlay-root${banner ? ' claude-overlay-banner' : ''}">
+          <div class="claude-overlay-content">
+            <div class="claude-overlay-icon">
+              <img src="${iconUrl}" width="80" height="80" alt="Focus Mode">
+            </div>
+            <h1 class="claude-overlay-title">Focus Mode Active</h1>
+            <p class="claude-overlay-message">${LOCK_MESSAGES[this._lockStyle || 'overlay']}</p>
+            <div class="claude-overlay-status">
+              <span class="claude-status-dot"></span>
+              <span class="claude-status-text">Waiting for Claude activity...</span>
+            </div>
+            <p class="claude-overlay-session"></p>
+            <p class="claude-overlay-schedule"></p>
+            <div class="claude-overlay-actions">
+              <button class="claude-overlay-button claude-overlay-terminal" type="button" hidden>Open terminal</button>
+              <button class="claude-overlay-button claude-overlay-break" type="button" hidden>Take a break</button>
+            </div>
+            <p class="claude-overlay-hint">${this._unblockHint()}</p>
           </div>
-          <p class="claude-overlay-hint">Use any Claude Code tool to unblock for ${t} minute${t !== 1 ? 's' : ''}</p>
         </div>
       `;
 
-      if (document.body) {
-        document.body.insertBefore(overlay, document.body.firstChild);
-      } else {
-        document.documentElement.appendChild(overlay);
-      }
+      root.querySelector('.claude-overlay-terminal').addEventListener('click', () => {
+        this._focusTerminal();
+      });
+      root.querySelector('.claude-overlay-break').addEventListener('click', () => {
+        this._takeBreak();
+      });
+
+      this._overlayHost = host;
+      this._overlayRoot = root;
+      this._overlayAttributes = snapshotHost(host);
+
+      // Outside <body>, so body-level filters and page layout don't touch it
+      document.documentElement.appendChild(host);
+      this._startOverlayWatcher();
+    }
+
+    /** Element inside the overlay's shadow root, or null without an overlay. */
+    _overlayElement(selector) {
+      return this._overlayRoot ? this._overlayRoot.querySelector(selector) : null;
+    }
+
+    /**
+     * Detach the overlay from this instance and stop guarding it.
+     * Returns the host element (if any) so the caller can remove it.
+     */
+    _releaseOverlay() {
+      const host = this._overlayHost;
+      this._stopOverlayWatcher();
+      this._stopInputBlock();
+      this._overlayHost = null;
+      this._overlayRoot = null;
+      this._overlayAttributes = null;
+      return host;
+    }
+
+    /** Remove the overlay immediately (style switch while locked). */
+    _removeOverlay() {
+      this._releaseOverlay()?.remove();
     }
 
     /**
@@ -220,42 +487,199 @@
      */
     _fadeOutOverlay() {
       return new Promise((resolve) => {
-        const overlay = document.getElementById(OVERLAY_ID);
-        if (!overlay) { resolve(); return; }
+        const host = this._releaseOverlay();
+        if (!host) { resolve(); return; }
 
-        // If already hiding (e.g. previous transition started fade), skip animation
-        if (overlay.classList.contains('claude-overlay-hiding')) {
-          overlay.remove();
-          resolve();
-          return;
-        }
-
-        overlay.classList.add('claude-overlay-hiding');
+        host.classList.add('claude-overlay-hiding');
+        host.style.setProperty('opacity', '0', 'important');
+        host.style.setProperty('pointer-events', 'none', 'important');
         setTimeout(() => {
-          overlay.remove();
+          host.remove();
           resolve();
         }, 300);
       });
     }
 
+    // ─── Tamper protection ─────────────────────────────────────────
+
+    /**
+     * Whether this instance still owns the page. A re-injected content
+     * script (after an extension reload) takes over and this one stands down.
+     */
+    _isCurrentInstance() {
+      return window.__claudeFocusContent === SCRIPT_ID;
+    }
+
+    _startOverlayWatcher() {
+      this._stopOverlayWatcher();
+      this._overlayWatcher = new MutationObserver(() => this._repairOverlay());
+      this._overlayWatcher.observe(document.documentElement, { childList: true });
+      this._overlayWatcher.observe(this._overlayHost, { attributes: true });
+    }
+
+    _stopOverlayWatcher() {
+      if (this._overlayWatcher) {
+        this._overlayWatcher.disconnect();
+        this._overlayWatcher = null;
+      }
+    }
+
+    /**
+     * Put the overlay back if a page script or another extension removed,
+     * moved, restyled or covered it while the page is locked. Runs on DOM
+     * mutations and from the elapsed timer (which also catches a replaced
+     * <html>).
+     */
+    _repairOverlay() {
+      const host = this._overlayHost;
+      if (!host || !LOCKED_STATES.has(this._state)) return;
+      if (!this._isCurrentInstance()) {
+        this._releaseOverlay();
+        return;
+      }
+
+      if (repairOverlayHost(host, document.documentElement, this._overlayAttributes)) {
+        // <html> itself may have been replaced
+        this._startOverlayWatcher();
+      }
+    }
+
+    /**
+     * Swallow keyboard and scroll events before page handlers see them, so
+     * shortcuts (e.g. play/pause keys) and scrolling don't reach the page.
+     * Events from the overlay's own buttons keep their default action.
+     */
+    _startInputBlock() {
+      if (this._inputBlocker) return;
+
+      this._inputBlocker = (event) => {
+        if (!this._isCurrentInstance()) {
+          this._stopInputBlock();
+          return;
+        }
+        if (!event.composedPath().includes(this._overlayHost)) event.preventDefault();
+        event.stopImmediatePropagation();
+      };
+      for (const type of BLOCKED_INPUT_EVENTS) {
+        window.addEventListener(type, this._inputBlocker, { capture: true, passive: false });
+      }
+      // Don't leave a page text field focused under the overlay
+      if (document.activeElement !== document.body) document.activeElement?.blur?.();
+    }
+
+    _stopInputBlock() {
+      if (!this._inputBlocker) return;
+      for (const type of BLOCKED_INPUT_EVENTS) {
+        window.removeEventListener(type, this._inputBlocker, { capture: true });
+      }
+      this._inputBlocker = null;
+    }
+
+    /**
+     * Ask the daemon (via the background) to bring the waiting session's
+     * terminal window to the front.
+     */
+    _focusTerminal() {
+      const sessionId = this._statusData?.attention?.sessionId;
+      if (!sessionId) return;
+
+      try {
+        chrome.runtime.sendMessage({ type: 'FOCUS_TERMINAL', sessionId }, () => {
+          // Ignore lastError — nothing useful to show if it fails
+          void chrome.runtime.lastError;
+        });
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
+
+    /**
+     * Start a break from the daily budget. The background unlocks every
+     * paused site and broadcasts the new status, which removes this overlay.
+     */
+    _takeBreak() {
+      try {
+        chrome.runtime.sendMessage({ type: 'START_BREAK' }, () => {
+          void chrome.runtime.lastError;
+        });
+      } catch (e) {
+        // Extension context invalidated
+      }
+    }
+
     _updateOverlayStatus() {
       const status = this._statusData;
       if (!status) return;
 
-      const statusText = document.querySelector('.claude-status-text');
-      const statusDot = document.querySelector('.claude-status-dot');
-      const hint = document.querySelector('.claude-overlay-hint');
+      const statusText = this._overlayElement('.claude-status-text');
+      const statusDot = this._overlayElement('.claude-status-dot');
+      const hint = this._overlayElement('.claude-overlay-hint');
+      const sessionText = this._overlayElement('.claude-overlay-session');
+      const scheduleText = this._overlayElement('.claude-overlay-schedule');
+      const title = this._overlayElement('.claude-overlay-title');
+      const message = this._overlayElement('.claude-overlay-message');
+      const button = this._overlayElement('.claude-overlay-terminal');
+      const breakButton = this._overlayElement('.claude-overlay-break');
+      const attention = this._state === State.NEEDS_ATTENTION ? status.attention : null;
+      const manualLock = status.override?.mode === 'lock' ? status.override : null;
+
+      if (title && message) {
+        if (manualLock) {
+          title.textContent = 'Locked manually';
+          message.textContent = manualLock.until
+            ? `You locked paused sites until ${this._clockTime(manualLock.until)}.`
+            : 'You locked paused sites until Claude\'s next activity.';
+        } else if (attention) {
+          title.textContent = 'Claude needs you';
+          message.textContent = attention.project
+            ? `Claude is waiting for your input in ${attention.project}`
+            : 'Claude is waiting for your input';
+        } else {
+          title.textContent = 'Focus Mode Active';
+          message.textContent = LOCK_MESSAGES[this._lockStyle || 'overlay'];
+        }
+      }
+
+      if (button) {
+        // Only offer the button when the daemon can find the terminal
+        button.hidden = !(attention && (attention.terminalApp || attention.project));
+      }
+
+      if (breakButton) {
+        const minutes = Math.min(status.breakMinutes || 0, status.breakRemainingMinutes || 0);
+        breakButton.hidden = minutes < 1;
+        breakButton.textContent = `Take a ${minutes}-minute break (${status.breakRemainingMinutes} min left today)`;
+      }
 
       if (hint) {
-        const t = this._timeout;
-        hint.textContent = `Use any Claude Code tool to unblock for ${t} minute${t !== 1 ? 's' : ''}`;
+        hint.textContent = manualLock?.until
+          ? 'Claude Code activity won\'t unlock them before then'
+          : this._unblockHint();
+      }
+
+      if (sessionText) {
+        // Sessions arrive most recent first
+        const latest = status.sessions?.[0];
+        sessionText.textContent = latest
+          ? `Claude was last working on ${describeSession(latest)}${latest.lastTool ? ` · ${latest.lastTool}` : ''}`
+          : '';
+      }
+
+      if (scheduleText) {
+        scheduleText.textContent = status.schedule ? this._scheduleText(status.schedule) : '';
       }
 
       if (!statusText || !statusDot) return;
 
       if (!status.daemonOnline) {
-        statusText.textContent = 'Daemon offline - blocking by default';
+        statusText.textContent = this._offlineText(status);
         statusDot.className = 'claude-status-dot claude-status-offline';
+      } else if (manualLock) {
+        statusText.textContent = this._manualLockText(manualLock);
+        statusDot.className = 'claude-status-dot claude-status-inactive';
+      } else if (attention) {
+        statusText.textContent = this._attentionText(attention);
+        statusDot.className = 'claude-status-dot claude-status-inactive';
       } else if (status.active) {
         const elapsed = Math.round(status.elapsed / 1000);
         statusText.textContent = `Claude active (${elapsed}s ago)`;
@@ -267,21 +691,198 @@
       }
     }
 
+    /**
+     * Status line when the daemon can't be used: unreachable, or it rejected
+     * our token because the extension hasn't been paired.
+     */
+    _offlineText(status) {
+      return status.unauthorized
+        ? 'Not paired with daemon - blocking by default'
+        : 'Daemon offline - blocking by default';
+    }
+
+    /**
+     * How long one tool call unlocks this site for. Sites can have their own
+     * timeout, including fractions of a minute ("30 seconds").
+     */
+    _unblockHint() {
+      const t = this._timeout;
+      const duration = t < 1
+        ? `${Math.round(t * 60)} seconds`
+        : `${t} minute${t !== 1 ? 's' : ''}`;
+      return `Use any Claude Code tool to unblock for ${duration}`;
+    }
+
+    /**
+     * Which schedule window is pausing this site, e.g.
+     * "Paused by your Work hours (Mon–Fri 09:00–18:00) schedule until 18:00".
+     */
+    _scheduleText(schedule) {
+      const until = this._clockTime(schedule.until);
+      const owner = schedule.source === 'site' ? 'this site\'s' : 'your';
+      return `Paused by ${owner} ${schedule.label} schedule until ${until}`;
+    }
+
+    /**
+     * Status line while a manual lock (POST /override, focusctl lock-now or
+     * the popup) holds the site, with a countdown when it has an end.
+     */
+    _manualLockText(lock) {
+      if (!lock.until) return 'Locked manually until Claude\'s next activity';
+      const secondsLeft = Math.max(0, Math.round((lock.until - Date.now()) / 1000));
+      return `Locked manually (${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')} left)`;
+    }
+
+    _clockTime(ms) {
+      return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Status line for NEEDS_ATTENTION: the notification text if Claude sent
+     * one (e.g. a permission prompt), otherwise how long it has been waiting.
+     */
+    _attentionText(attention) {
+      if (attention.message) return attention.message;
+      const waitingSeconds = Math.max(0, Math.round((Date.now() - attention.since) / 1000));
+      return `Claude finished its turn (${waitingSeconds}s ago)`;
+    }
+
+    // ─── Pre-lock warning ──────────────────────────────────────────
+
+    /**
+     * Start, update or stop the countdown from the latest ACTIVE status.
+     * Ticks locally every second so it doesn't depend on broadcasts.
+     */
+    _syncLockWarning() {
+      const status = this._statusData;
+      if (this._state !== State.ACTIVE || !status?.locksAt || !(status.lockWarning > 0)) {
+        this._stopLockWarning();
+        return;
+      }
+
+      if (!this._warningTimer) {
+        this._warningTimer = setInterval(() => this._tickLockWarning(), 1000);
+      }
+      this._tickLockWarning();
+    }
+
+    _tickLockWarning() {
+      const status = this._statusData;
+      const remainingMs = status.locksAt - Date.now();
+      const warningMs = status.lockWarning * 1000;
+
+      if (remainingMs > warningMs) {
+        // Claude became active again (or the warning hasn't started yet)
+        this._hideLockWarning();
+        return;
+      }
+
+      if (remainingMs <= 0) {
+        // Predicted lock time: drop the banner (the fade stays until the
+        // lock or a fresh countdown) and ask for a fresh status once rather
+        // than wait for the next broadcast. A tool call may have just come in.
+        this._removeWarningBanner();
+        if (this._warningPolledFor !== status.locksAt) {
+          this._warningPolledFor = status.locksAt;
+          this._pollDaemon();
+        }
+        return;
+      }
+
+      this._showLockWarning(this._warningMessage(status, remainingMs));
+      if (status.fadeAudioBeforeLock) media.fadeMediaVolume(remainingMs / warningMs);
+    }
+
+    /**
+     * e.g. "Locking in 30s — Claude idle for 1m30s"
+     */
+    _warningMessage(status, remainingMs) {
+      const countdown = `Locking in ${formatDuration(remainingMs)}`;
+      if (status.onBreak && status.breakUntil >= status.locksAt) return `${countdown} — break ending`;
+      if (!status.lastActivity) return countdown;
+      return `${countdown} — Claude idle for ${formatDuration(Date.now() - status.lastActivity)}`;
+    }
+
+    _showLockWarning(text) {
+      if (!this._warningHost) {
+        const host = document.createElement('div');
+        host.id = WARNING_ID;
+        for (const [name, value] of Object.entries(WARNING_HOST_STYLE)) {
+          host.style.setProperty(name, value, 'important');
+        }
+
+        const root = host.attachShadow({ mode: 'closed' });
+        root.innerHTML = `
+          <link rel="stylesheet" href="${chrome.runtime.getURL('overlay.css')}">
+          <div class="claude-warning">
+            <span class="claude-status-dot claude-status-inactive"></span>
+            <span class="claude-warning-text"></span>
+          </div>
+        `;
+
+        this._warningHost = host;
+        this._warningText = root.querySelector('.claude-warning-text');
+        document.documentElement.appendChild(host);
+      }
+      this._warningText.textContent = text;
+    }
+
+    _removeWarningBanner() {
+      if (this._warningHost) {
+        this._warningHost.remove();
+        this._warningHost = null;
+        this._warningText = null;
+      }
+    }
+
+    /**
+     * Remove the banner and undo any volume fade; the countdown keeps running.
+     * @param {boolean} [silencedOnly] - the page just locked: only media the
+     *   lock paused or muted gets its volume back
+     */
+    _hideLockWarning(silencedOnly = false) {
+      this._removeWarningBanner();
+      media.restoreMediaVolume(silencedOnly);
+    }
+
+    _stopLockWarning(silencedOnly = false) {
+      if (this._warningTimer) {
+        clearInterval(this._warningTimer);
+        this._warningTimer = null;
+      }
+      this._hideLockWarning(silencedOnly);
+    }
+
     // ─── Elapsed timer (updates overlay text every second) ─────────
 
     _startElapsedTimer() {
       this._stopElapsedTimer();
       this._elapsedTimer = setInterval(() => {
-        if (this._state !== State.INACTIVE) return;
+        if (!LOCKED_STATES.has(this._state)) return;
+        this._repairOverlay();
+
+        const statusText = this._overlayElement('.claude-status-text');
+        const attention = this._statusData?.attention;
+        if (this._state === State.NEEDS_ATTENTION && attention) {
+          if (statusText && this._statusData.daemonOnline !== false) {
+            statusText.textContent = this._attentionText(attention);
+          }
+          return;
+        }
+
+        if (this._statusData?.override?.mode === 'lock' && this._statusData.daemonOnline !== false) {
+          if (statusText) statusText.textContent = this._manualLockText(this._statusData.override);
+          return;
+        }
+
         if (!this._statusData?.lastActivity) return;
 
         const elapsed = Date.now() - this._statusData.lastActivity;
         const elapsedSeconds = Math.round(elapsed / 1000);
 
-        const statusText = document.querySelector('.claude-status-text');
         if (statusText) {
           if (this._statusData.daemonOnline === false) {
-            statusText.textContent = 'Daemon offline - blocking by default';
+            statusText.textContent = this._offlineText(this._statusData);
           } else {
             statusText.textContent = `Claude inactive (${elapsedSeconds}s since last activity)`;
           }
@@ -316,29 +917,20 @@
     }
 
     /**
-     * Direct daemon poll — used as a fallback when the MV3 service worker
-     * dies and stops forwarding WebSocket updates.
+     * Fallback poll used when the MV3 service worker dies and stops forwarding
+     * WebSocket updates. Goes through the background (which holds the daemon
+     * token and wakes up on the message) — the daemon rejects requests from
+     * web page origins, so content scripts can't fetch it directly.
      */
     _pollDaemon() {
-      fetch(`${DAEMON_URL}/status`)
-        .then(r => r.json())
-        .then(data => {
-          const elapsed = data.lastActivity ? Date.now() - data.lastActivity : Infinity;
-          const timeoutMs = this._timeout * 60 * 1000;
-          const active = elapsed < timeoutMs;
-
-          const newState = active ? State.ACTIVE : State.INACTIVE;
-          this.transition(newState, {
-            active,
-            daemonOnline: true,
-            lastActivity: data.lastActivity,
-            elapsed,
-            timeout: this._timeout,
-          });
-        })
-        .catch(() => {
-          // Daemon unreachable — stay in current state
+      try {
+        chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (response) => {
+          if (chrome.runtime.lastError || !response) return; // stay in current state
+          this.handleStatusUpdate(response);
         });
+      } catch (e) {
+        // Extension context invalidated — stay in current state
+      }
     }
 
     /**
@@ -354,20 +946,26 @@
         return;
       }
 
-      // Active vs inactive
+      // Active vs inactive (or locked because Claude is waiting for the user)
       if (status.active) {
         this.transition(State.ACTIVE, status);
+      } else if (status.needsAttention) {
+        this.transition(State.NEEDS_ATTENTION, status);
       } else {
         this.transition(State.INACTIVE, status);
       }
     }
 
     /**
-     * Clean up all timers (used when extension context is invalidated).
+     * Clean up all timers and listeners (used when extension context is
+     * invalidated). The overlay stays until the page reloads.
      */
     destroy() {
       this._stopElapsedTimer();
       this._stopPolling();
+      this._stopOverlayWatcher();
+      this._stopInputBlock();
+      this._stopLockWarning();
       media.stopMediaWatcher();
     }
   }
@@ -412,8 +1010,7 @@
   }, 500);
 
   // Periodic background ping — keeps the service worker alive and gets fresh status.
-  // This is the ONLY recurring message to the background; all other polling is
-  // direct-to-daemon and gated behind the INACTIVE state.
+  // The faster _pollDaemon() fallback only runs while the page is locked.
   const bgPing = setInterval(() => {
     try {
       chrome.runtime.sendMessage({ type: 'GET_STATUS' }, (response) => {
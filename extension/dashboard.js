@@ -0,0 +1,284 @@
+/**
+ * Claude Code Focus Mode - Usage Dashboard
+ * Shows trends from the daemon's GET /stats/daily (active vs locked time,
+ * hourly activity, per-project tool calls) next to the blocked-site visits
+ * the background worker counts in chrome.storage.local.
+ */
+
+const DEFAULT_DAEMON_PORT = 31415; // must match the daemon's config.json "port"
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_PROJECTS = 8;
+const MAX_SITES = 8;
+
+// DOM elements
+const rangePicker = document.getElementById('range-picker');
+const notice = document.getElementById('notice');
+const noticeText = document.getElementById('notice-text');
+const totalActive = document.getElementById('total-active');
+const totalLocked = document.getElementById('total-locked');
+const activeShare = document.getElementById('active-share');
+const totalVisits = document.getElementById('total-visits');
+const dayBars = document.getElementById('day-bars');
+const heatmap = document.getElementById('heatmap');
+const siteList = document.getElementById('site-list');
+const projectList = document.getElementById('project-list');
+
+let rangeDays = DEFAULT_RANGE_DAYS;
+
+function localDayKey(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Local midnights of the last `days` days, oldest first.
+ */
+function getRangeDays(days) {
+  const today = new Date();
+  return Array.from({ length: days }, (_, i) =>
+    new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i))
+  );
+}
+
+function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded}m`;
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+function formatDay(date) {
+  return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+function showNotice(message) {
+  noticeText.textContent = message;
+  notice.style.display = message ? 'flex' : 'none';
+}
+
+/**
+ * Fetch /stats/daily for the range. Returns { days } or { error }.
+ */
+async function fetchDailyStats(from) {
+  const { daemonPort = DEFAULT_DAEMON_PORT, timeout = 2 } = await chrome.storage.sync.get(['daemonPort', 'timeout']);
+  const { daemonToken } = await chrome.storage.local.get('daemonToken');
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${daemonPort}/stats/daily?from=${from}&timeout=${timeout}`, {
+      headers: daemonToken ? { 'Authorization': `Bearer ${daemonToken}` } : {},
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      return { error: 'Not paired with the daemon - re-run the installer and reopen the setup page.' };
+    }
+    if (response.status === 404) {
+      return { error: 'This daemon does not record history yet - update it from the popup.' };
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    return await response.json();
+  } catch (e) {
+    return { error: 'Daemon offline - showing blocked visits only.' };
+  }
+}
+
+/**
+ * Site id -> display name, from the background's current settings.
+ */
+async function getSiteNames() {
+  try {
+    const settings = await chrome.runtime.sendMessage({ type: 'GET_SETTINGS' });
+    return Object.fromEntries((settings?.sites || []).map(site => [site.id, site.name]));
+  } catch (e) {
+    return {};
+  }
+}
+
+// ─── Rendering ─────────────────────────────────────────────────────
+
+function renderSummary(stats, visitTotal) {
+  const active = stats.reduce((sum, day) => sum + day.activeMinutes, 0);
+  const locked = stats.reduce((sum, day) => sum + day.lockedMinutes, 0);
+
+  totalActive.textContent = formatMinutes(active);
+  totalLocked.textContent = formatMinutes(locked);
+  activeShare.textContent = active + locked > 0 ? `${Math.round((active / (active + locked)) * 100)}%` : '–';
+  totalVisits.textContent = String(visitTotal);
+}
+
+function renderDayBars(days, statsByDate) {
+  dayBars.innerHTML = '';
+  const longest = Math.max(1, ...days.map(d => {
+    const stats = statsByDate[localDayKey(d)];
+    return stats ? stats.activeMinutes + stats.lockedMinutes : 0;
+  }));
+
+  for (const date of days) {
+    const stats = statsByDate[localDayKey(date)] || { activeMinutes: 0, lockedMinutes: 0 };
+    const row = document.createElement('div');
+    row.className = 'day-bar';
+    row.innerHTML = `
+      <span class="day-label"></span>
+      <div class="bar-track">
+        <div class="bar-active"></div>
+        <div class="bar-locked"></div>
+      </div>
+      <span class="day-values"></span>
+    `;
+    row.querySelector('.day-label').textContent = formatDay(date);
+    row.querySelector('.bar-active').style.width = `${(stats.activeMinutes / longest) * 100}%`;
+    row.querySelector('.bar-locked').style.width = `${(stats.lockedMinutes / longest) * 100}%`;
+    row.querySelector('.day-values').textContent =
+      `${formatMinutes(stats.activeMinutes)} / ${formatMinutes(stats.lockedMinutes)}`;
+    dayBars.appendChild(row);
+  }
+}
+
+function renderHeatmap(days, statsByDate) {
+  heatmap.innerHTML = '';
+  heatmap.appendChild(document.createElement('span'));
+  for (let hour = 0; hour < 24; hour++) {
+    const label = document.createElement('span');
+    label.className = 'heatmap-hour';
+    label.textContent = hour % 3 === 0 ? String(hour) : '';
+    heatmap.appendChild(label);
+  }
+
+  for (const date of days) {
+    const byHour = statsByDate[localDayKey(date)]?.activeMinutesByHour || [];
+
+    const label = document.createElement('span');
+    label.className = 'heatmap-day';
+    label.textContent = formatDay(date);
+    heatmap.appendChild(label);
+
+    for (let hour = 0; hour < 24; hour++) {
+      const minutes = byHour[hour] || 0;
+      const cell = document.createElement('span');
+      cell.className = 'heatmap-cell';
+      if (minutes > 0) {
+        // Full colour at 60 minutes, faint but visible for a single minute
+        cell.style.background = `rgba(218, 119, 87, ${0.15 + 0.85 * Math.min(1, minutes / 60)})`;
+      }
+      cell.title = `${formatDay(date)} ${hour}:00 - ${formatMinutes(minutes)} active`;
+      heatmap.appendChild(cell);
+    }
+  }
+}
+
+/**
+ * Horizontal ranked list: [{ name, count, detail }], largest first.
+ */
+function renderRankList(container, items, emptyText) {
+  container.innerHTML = '';
+  if (items.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'empty';
+    empty.textContent = emptyText;
+    container.appendChild(empty);
+    return;
+  }
+
+  const max = items[0].count;
+  for (const item of items) {
+    const el = document.createElement('div');
+    el.className = 'rank-item';
+    el.innerHTML = `
+      <div class="rank-row">
+        <span class="rank-name"></span>
+        <span class="rank-count"></span>
+      </div>
+      <div class="rank-bar"></div>
+      <span class="rank-detail"></span>
+    `;
+    el.querySelector('.rank-name').textContent = item.name;
+    el.querySelector('.rank-count').textContent = String(item.count);
+    el.querySelector('.rank-bar').style.width = `${(item.count / max) * 100}%`;
+    el.querySelector('.rank-detail').textContent = item.detail || '';
+    container.appendChild(el);
+  }
+}
+
+/**
+ * Sum the background's per-day visit counters over the range. A visit is a
+ * page that loaded locked or a locked tab switched back to.
+ */
+function getSiteItems(days, siteVisits, siteNames) {
+  const totals = {};
+  for (const date of days) {
+    for (const [siteId, entry] of Object.entries(siteVisits[localDayKey(date)] || {})) {
+      const total = totals[siteId] || (totals[siteId] = { opens: 0, revisits: 0, closed: 0, lockedMs: 0 });
+      for (const key of Object.keys(total)) total[key] += entry[key] || 0;
+    }
+  }
+
+  return Object.entries(totals)
+    .map(([siteId, total]) => ({
+      name: siteNames[siteId] || siteId,
+      count: total.opens + total.revisits,
+      detail: `${total.opens} opened · ${total.revisits} revisited · ${total.closed} closed while locked · ${formatMinutes(total.lockedMs / 60000)} behind overlay`,
+    }))
+    .filter(item => item.count > 0)
+    .sort((a, b) => b.count - a.count);
+}
+
+function getProjectItems(stats) {
+  const projects = {};
+  for (const day of stats) {
+    for (const [project, tools] of Object.entries(day.toolCounts || {})) {
+      projects[project] = projects[project] || {};
+      for (const [tool, count] of Object.entries(tools)) {
+        projects[project][tool] = (projects[project][tool] || 0) + count;
+      }
+    }
+  }
+
+  return Object.entries(projects)
+    .map(([project, tools]) => {
+      const byCount = Object.entries(tools).sort((a, b) => b[1] - a[1]);
+      return {
+        name: project,
+        count: byCount.reduce((sum, [, count]) => sum + count, 0),
+        detail: byCount.slice(0, 3).map(([tool, count]) => `${tool} ${count}`).join(' · '),
+      };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_PROJECTS);
+}
+
+async function loadDashboard() {
+  const days = getRangeDays(rangeDays);
+
+  const [result, { siteVisits = {} }, siteNames] = await Promise.all([
+    fetchDailyStats(days[0].getTime()),
+    chrome.storage.local.get('siteVisits'),
+    getSiteNames(),
+  ]);
+
+  showNotice(result.error || '');
+  const stats = result.days || [];
+  const statsByDate = Object.fromEntries(stats.map(day => [day.date, day]));
+
+  const siteItems = getSiteItems(days, siteVisits, siteNames);
+  renderSummary(stats, siteItems.reduce((sum, item) => sum + item.count, 0));
+  renderDayBars(days, statsByDate);
+  renderHeatmap(days, statsByDate);
+  renderRankList(siteList, siteItems.slice(0, MAX_SITES), 'No paused sites opened while locked. Nice.');
+  renderRankList(projectList, getProjectItems(stats), 'No Claude Code tool calls in this range.');
+}
+
+// Event listeners
+rangePicker.addEventListener('click', (e) => {
+  const button = e.target.closest('.range-btn');
+  if (!button) return;
+
+  rangeDays = Number(button.dataset.days);
+  for (const btn of rangePicker.querySelectorAll('.range-btn')) {
+    btn.classList.toggle('active', btn === button);
+  }
+  loadDashboard();
+});
+
+// Initialize
+loadDashboard();
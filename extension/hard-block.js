@@ -0,0 +1,110 @@
+/**
+ * Claude Code Focus Mode - Hard Block Rules
+ * declarativeNetRequest rules for hard block mode, shared by the background
+ * worker and the tests. Needs match-patterns.js loaded first.
+ *
+ * Locked sites become dynamic rules: a main-frame redirect to the paused page
+ * carrying the original URL in the hash, and a block for the site's frames,
+ * API calls, media and sockets on any page.
+ *
+ * A tab paused.html lets back onto a locked site (a path the site's rules
+ * exclude) gets a session "allow" rule for that site only. Allowances have
+ * ids above HARD_BLOCK_ALLOWANCE_ID_BASE (base + tab id), so they can be
+ * cleared without touching other session rules.
+ */
+
+(function(root) {
+  const { matchPatternToRegExpSource } = typeof module !== 'undefined' && module.exports
+    ? require('./match-patterns.js')
+    : root.__claudeFocusMatchPatterns;
+
+  // Requests from other pages to a hard-blocked site (embeds, API calls, media)
+  const HARD_BLOCK_SUBRESOURCE_TYPES = ['sub_frame', 'xmlhttprequest', 'media', 'websocket'];
+  const ALL_RESOURCE_TYPES = [
+    'main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+    'xmlhttprequest', 'ping', 'csp_report', 'media', 'websocket', 'webtransport', 'webbundle', 'other',
+  ];
+  const HARD_BLOCK_ALLOWANCE_ID_BASE = 1000000;
+
+  /**
+   * Rules blocking `sites`: for each valid pattern a main-frame redirect to
+   * the paused page and a block for subresources. Ids count up from 1.
+   */
+  function buildHardBlockRules(sites, pausedPageUrl) {
+    const rules = [];
+    for (const site of sites) {
+      for (const pattern of site.patterns) {
+        let regexFilter;
+        try {
+          regexFilter = matchPatternToRegExpSource(pattern);
+        } catch (e) {
+          continue;
+        }
+
+        rules.push({
+          id: rules.length + 1,
+          priority: 1,
+          action: { type: 'redirect', redirect: { regexSubstitution: `${pausedPageUrl}#\\0` } },
+          condition: { regexFilter, resourceTypes: ['main_frame'] },
+        });
+        rules.push({
+          id: rules.length + 1,
+          priority: 1,
+          action: { type: 'block' },
+          condition: { regexFilter, resourceTypes: HARD_BLOCK_SUBRESOURCE_TYPES },
+        });
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Session rule letting one tab's requests to `sites` through the block
+   * rules, or null when none of their patterns is valid. The site patterns
+   * are joined into one regexFilter, so a tab has a single allowance.
+   */
+  function buildHardBlockAllowance(tabId, sites) {
+    const sources = [];
+    for (const site of sites) {
+      for (const pattern of site.patterns) {
+        try {
+          sources.push(`(${matchPatternToRegExpSource(pattern)})`);
+        } catch (e) {
+          // Never blocked either
+        }
+      }
+    }
+    if (sources.length === 0) return null;
+
+    return {
+      id: hardBlockAllowanceId(tabId),
+      priority: 2,
+      action: { type: 'allow' },
+      condition: { tabIds: [tabId], regexFilter: sources.join('|'), resourceTypes: ALL_RESOURCE_TYPES },
+    };
+  }
+
+  function hardBlockAllowanceId(tabId) {
+    return HARD_BLOCK_ALLOWANCE_ID_BASE + tabId;
+  }
+
+  function isHardBlockAllowance(rule) {
+    return rule.id > HARD_BLOCK_ALLOWANCE_ID_BASE;
+  }
+
+  const api = {
+    HARD_BLOCK_SUBRESOURCE_TYPES,
+    ALL_RESOURCE_TYPES,
+    HARD_BLOCK_ALLOWANCE_ID_BASE,
+    buildHardBlockRules,
+    buildHardBlockAllowance,
+    hardBlockAllowanceId,
+    isHardBlockAllowance,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusHardBlock = api;
+  }
+})(globalThis);
@@ -0,0 +1,187 @@
+/**
+ * Claude Code Focus Mode - Match Patterns
+ * Chrome match-pattern parser shared by the background worker, the popup and
+ * the tests. Follows https://developer.chrome.com/docs/extensions/develop/concepts/match-patterns
+ *
+ *   <scheme>://<host><path>, or the special pattern <all_urls>
+ *   scheme – '*' (http or https), or http, https, ws, wss, ftp, file
+ *   host   – '*', '*.' + domain (the domain and all its subdomains) or an
+ *            exact host, optionally followed by ':port' or ':*'. Empty for file
+ *   path   – starts with '/'; '*' matches any run of characters. Compared
+ *            with the URL's path and query string (never the fragment)
+ *
+ * Patterns are compiled once and cached, so matching a URL against a site
+ * list costs one URL parse plus a few string comparisons.
+ */
+
+(function(root) {
+  const SCHEMES = new Set(['*', 'http', 'https', 'ws', 'wss', 'ftp', 'file']);
+  const ALL_URLS_PROTOCOLS = new Set(['http:', 'https:', 'ws:', 'wss:', 'ftp:', 'file:']);
+  const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443', 'ftp:': '21' };
+
+  const PATTERN_RE = /^([^:/]+):\/\/([^/]*)(\/.*)$/;
+  const HOST_PORT_RE = /^(.*?)(?::(\*|\d+))?$/;
+
+  // pattern -> compiled predicate (invalid patterns compile to "never matches")
+  const cache = new Map();
+
+  /**
+   * RegExp for a glob where '*' matches any run of characters and everything
+   * else (including '?' and '.') is literal. The whole string must match.
+   */
+  function globToRegExp(glob) {
+    const source = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${source}$`);
+  }
+
+  function hostMatches(host, hostname) {
+    if (host === '*') return true;
+    if (host.startsWith('*.')) {
+      const domain = host.slice(2);
+      return hostname === domain || hostname.endsWith('.' + domain);
+    }
+    return hostname === host;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Split a pattern into { scheme, host, port, path }, validating each part.
+   * Throws if the pattern is malformed.
+   */
+  function parseMatchPattern(pattern) {
+    const parts = PATTERN_RE.exec(pattern);
+    if (!parts) throw new Error(`Invalid match pattern "${pattern}": expected <scheme>://<host>/<path>`);
+
+    const [, scheme, hostPort, path] = parts;
+    if (!SCHEMES.has(scheme)) {
+      throw new Error(`Invalid match pattern "${pattern}": unsupported scheme "${scheme}"`);
+    }
+    if ((scheme === 'file') !== (hostPort === '')) {
+      throw new Error(`Invalid match pattern "${pattern}": ${scheme === 'file' ? 'file patterns have no host' : 'missing host'}`);
+    }
+
+    const [, host, port] = HOST_PORT_RE.exec(hostPort.toLowerCase());
+    const domain = host.startsWith('*.') ? host.slice(2) : host;
+    if (scheme !== 'file' && host !== '*' && (domain === '' || domain.includes('*'))) {
+      throw new Error(`Invalid match pattern "${pattern}": '*' must be the whole host or its first label`);
+    }
+
+    return { scheme, host, port, path };
+  }
+
+  /**
+   * Parse a match pattern into a predicate over URL objects.
+   * Throws if the pattern is malformed.
+   */
+  function compileMatchPattern(pattern) {
+    if (pattern === '<all_urls>') {
+      return (url) => ALL_URLS_PROTOCOLS.has(url.protocol);
+    }
+
+    const { scheme, host, port, path } = parseMatchPattern(pattern);
+    const pathRe = globToRegExp(path);
+    const protocolMatches = scheme === '*'
+      ? (protocol) => protocol === 'http:' || protocol === 'https:'
+      : (protocol) => protocol === `${scheme}:`;
+
+    return (url) => {
+      if (!protocolMatches(url.protocol)) return false;
+      if (!hostMatches(host, url.hostname)) return false;
+      if (port && port !== '*' && (url.port || DEFAULT_PORTS[url.protocol]) !== port) return false;
+      return pathRe.test(url.pathname + url.search);
+    };
+  }
+
+  function getMatcher(pattern) {
+    let matcher = cache.get(pattern);
+    if (!matcher) {
+      try {
+        matcher = compileMatchPattern(pattern);
+      } catch (e) {
+        matcher = () => false;
+      }
+      cache.set(pattern, matcher);
+    }
+    return matcher;
+  }
+
+  function toUrl(url) {
+    if (typeof url !== 'string') return url;
+    try {
+      return new URL(url);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a URL (string or URL object) matches any of the patterns.
+   * Invalid URLs and invalid patterns never match.
+   */
+  function matchesAnyPattern(patterns, url) {
+    const urlObj = toUrl(url);
+    if (!urlObj) return false;
+    return patterns.some(pattern => getMatcher(pattern)(urlObj));
+  }
+
+  function matchesPattern(pattern, url) {
+    return matchesAnyPattern([pattern], url);
+  }
+
+  /**
+   * Regular expression source matching the same full URLs as a pattern, for
+   * APIs that take regexes instead (declarativeNetRequest regexFilter, which
+   * is RE2 - so no lookarounds or backreferences). Throws if the pattern is
+   * malformed.
+   */
+  function matchPatternToRegExpSource(pattern) {
+    if (pattern === '<all_urls>') return '^(https?|wss?|ftp|file)://.*$';
+
+    const { scheme, host, port, path } = parseMatchPattern(pattern);
+    const schemeSource = scheme === '*' ? 'https?' : scheme;
+
+    let hostSource;
+    if (host === '*') {
+      hostSource = '[^/:]+';
+    } else if (host.startsWith('*.')) {
+      hostSource = `([^/:]+\\.)?${escapeRegExp(host.slice(2))}`;
+    } else {
+      hostSource = escapeRegExp(host);
+    }
+
+    // URLs leave out default ports, so ':443' may be absent from the URL
+    let portSource = '(:[0-9]+)?';
+    if (port && port !== '*') {
+      portSource = Object.values(DEFAULT_PORTS).includes(port) ? `(:${port})?` : `:${port}`;
+    }
+    const pathSource = path.split('*').map(escapeRegExp).join('.*');
+    return `^${schemeSource}://${hostSource}${portSource}${pathSource}$`;
+  }
+
+  function isValidMatchPattern(pattern) {
+    try {
+      compileMatchPattern(pattern);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  const api = {
+    globToRegExp,
+    compileMatchPattern,
+    matchPatternToRegExpSource,
+    matchesPattern,
+    matchesAnyPattern,
+    isValidMatchPattern,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusMatchPatterns = api;
+  }
+})(globalThis);
@@ -1,6 +1,6 @@
 /**
  * Claude Code Focus Mode - Media Controller
- * Handles pausing/resuming all media on the page.
+ * Handles pausing/resuming (or muting/unmuting) media on the page.
  *
  * Uses a MutationObserver to catch dynamically-added <video>/<audio> elements
  * (YouTube, TikTok, Instagram lazy-load videos). A 1-second setInterval fallback
@@ -12,9 +12,15 @@
   if (window.__claudeFocusMediaController) return;
   window.__claudeFocusMediaController = true;
 
-  // Track media elements we've paused (so we only resume those)
+  // Track media elements we've paused or muted (so we only restore those)
   const pausedByUs = new WeakSet();
+  const mutedByUs = new WeakSet();
+  // Volume each element had before the pre-lock fade turned it down
+  const fadedVolumes = new Map();
   let mediaWatcherActive = false;
+  // What the watcher does: 'pause' or 'mute' every element, or only those
+  // inside `within` (a selector list)
+  let watchOptions = { mode: 'pause', within: null };
   let fallbackInterval = null;
   let observer = null;
 
@@ -74,20 +80,95 @@
   }
 
   /**
-   * Handle a newly-observed media element: pause it if the watcher is active.
+   * Unmute only the media elements we muted.
    */
-  function onMediaElementFound(el) {
-    if (!mediaWatcherActive) return;
-    if (!el.paused) {
-      try {
+  function unmuteOurMutedMedia() {
+    let unmutedCount = 0;
+
+    for (const el of getAllMedia()) {
+      if (mutedByUs.has(el)) {
+        el.muted = false;
+        mutedByUs.delete(el);
+        unmutedCount++;
+      }
+    }
+
+    return unmutedCount;
+  }
+
+  /**
+   * Turn playing media down to `fraction` (0–1) of the volume it had when
+   * the fade started. Called on each tick of the pre-lock countdown.
+   */
+  function fadeMediaVolume(fraction) {
+    const level = Math.min(1, Math.max(0, fraction));
+
+    for (const el of getAllMedia()) {
+      if (!fadedVolumes.has(el)) {
+        if (el.paused) continue;
+        fadedVolumes.set(el, el.volume);
+      }
+      el.volume = fadedVolumes.get(el) * level;
+    }
+  }
+
+  /**
+   * Put media the fade turned down back to its original volume. With
+   * `silencedOnly` (the page just locked) only media we paused or muted:
+   * anything the lock style leaves playing stays faded until the next full
+   * restore, when the page unlocks.
+   */
+  function restoreMediaVolume(silencedOnly = false) {
+    let restoredCount = 0;
+
+    for (const [el, volume] of fadedVolumes) {
+      if (silencedOnly && !pausedByUs.has(el) && !mutedByUs.has(el)) continue;
+      el.volume = volume;
+      fadedVolumes.delete(el);
+      restoredCount++;
+    }
+
+    return restoredCount;
+  }
+
+  /**
+   * Pause or mute one element according to the watcher's options.
+   */
+  function silence(el) {
+    if (watchOptions.within && !el.closest(watchOptions.within)) return;
+
+    try {
+      if (watchOptions.mode === 'mute') {
+        if (!el.muted) {
+          el.muted = true;
+          mutedByUs.add(el);
+        }
+      } else if (!el.paused) {
         el.pause();
         pausedByUs.add(el);
-      } catch (e) {
-        // Ignore
       }
+    } catch (e) {
+      // cross-origin iframe media, invalid selector, etc.
+    }
+  }
+
+  /**
+   * Silence everything currently playing, the way the watcher is set up.
+   */
+  function silenceAllMedia() {
+    for (const el of getAllMedia()) {
+      silence(el);
     }
   }
 
+  /**
+   * Handle a newly-observed media element: silence it if the watcher is active.
+   */
+  function onMediaElementFound(el) {
+    if (!mediaWatcherActive) return;
+    silence(el);
+  }
+
   /**
    * MutationObserver callback — scans added nodes for media elements.
    */
@@ -120,27 +201,25 @@
   function fallbackPause() {
     if (!mediaWatcherActive) return;
     for (const el of getAllMedia()) {
-      if (!el.paused && !pausedByUs.has(el)) {
-        try {
-          el.pause();
-          pausedByUs.add(el);
-        } catch (e) {
-          // Ignore
-        }
-      }
+      // Leave alone what the user resumed or unmuted themselves
+      if (!pausedByUs.has(el) && !mutedByUs.has(el)) silence(el);
     }
   }
 
   /**
-   * Start watching for media and pausing it.
-   * Idempotent — safe to call multiple times.
+   * Start watching for media and pausing (or muting) it.
+   * Idempotent — safe to call multiple times; options only apply when the
+   * watcher wasn't running.
+   *
+   * @param {{mode?: 'pause'|'mute', within?: string|null}} [options]
    */
-  function startMediaWatcher() {
+  function startMediaWatcher(options = {}) {
     if (mediaWatcherActive) return;
     mediaWatcherActive = true;
+    watchOptions = { mode: options.mode || 'pause', within: options.within || null };
 
-    // Pause everything currently playing
-    pauseAllMedia();
+    // Silence everything currently playing
+    silenceAllMedia();
 
     // Start MutationObserver for new elements
     if (!observer) {
@@ -179,6 +258,10 @@
   window.__claudeFocusMedia = {
     pauseAllMedia,
     resumeOurPausedMedia,
+    silenceAllMedia,
+    unmuteOurMutedMedia,
+    fadeMediaVolume,
+    restoreMediaVolume,
     startMediaWatcher,
     stopMediaWatcher,
   };
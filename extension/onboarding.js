@@ -4,7 +4,7 @@
  * When opened with ?update=true, handles daemon update flow instead.
  */
 
-const DAEMON_URL = 'http://127.0.0.1:31415';
+const DEFAULT_DAEMON_PORT = 31415; // must match the daemon's config.json "port"
 const POLL_INTERVAL = 2000;
 
 const IS_UPDATE = new URLSearchParams(window.location.search).get('update') === 'true';
@@ -55,7 +55,8 @@ function setupUpdateMode() {
  */
 async function checkDaemon() {
   try {
-    const response = await fetch(`${DAEMON_URL}/health`, {
+    const { daemonPort = DEFAULT_DAEMON_PORT } = await chrome.storage.sync.get('daemonPort');
+    const response = await fetch(`http://127.0.0.1:${daemonPort}/health`, {
       method: 'GET',
       headers: { 'Accept': 'application/json' },
     });
@@ -64,15 +65,16 @@ async function checkDaemon() {
       if (IS_UPDATE) {
         const health = await response.json();
         // For updates, only succeed when daemon reports the current extension version
-        if (health.version && !versionLessThan(health.version, EXTENSION_VERSION)) {
-          onConnected();
-          return true;
+        if (!health.version || versionLessThan(health.version, EXTENSION_VERSION)) {
+          // Daemon is running but still on old version — keep polling
+          return false;
         }
-        // Daemon is running but still on old version — keep polling
-        return false;
       }
-      onConnected();
-      return true;
+      if (await pairDaemon(daemonPort)) {
+        onConnected();
+        return true;
+      }
+      return false;
     }
   } catch (e) {
     // Daemon not running
@@ -81,6 +83,31 @@ async function checkDaemon() {
   return false;
 }
 
+/**
+ * Make sure we hold a token the daemon accepts. If the stored one works we're
+ * already paired; otherwise ask GET /pair, which only answers for a few
+ * minutes after the installer runs.
+ */
+async function pairDaemon(daemonPort) {
+  const { daemonToken } = await chrome.storage.local.get('daemonToken');
+  if (daemonToken) {
+    const response = await fetch(`http://127.0.0.1:${daemonPort}/status`, {
+      headers: { 'Authorization': `Bearer ${daemonToken}` },
+    });
+    if (response.ok) return true;
+  }
+
+  const response = await fetch(`http://127.0.0.1:${daemonPort}/pair`);
+  if (!response.ok) {
+    statusText.textContent = 'Daemon found, but pairing has closed. Run the command again to pair this browser.';
+    return false;
+  }
+
+  const { token } = await response.json();
+  await chrome.storage.local.set({ daemonToken: token });
+  return true;
+}
+
 /**
  * Compare semver strings: returns true if a < b
  */
@@ -0,0 +1,51 @@
+/**
+ * Claude Code Focus Mode - Overlay Guard
+ * Puts the lock overlay's host element back the way content.js created it,
+ * shared by the content script and the tests.
+ *
+ * Page scripts (or other extensions) can remove the host, restyle it, or
+ * cover it by appending their own max z-index element to <html> after it.
+ * At equal z-index the later element paints on top, so the host has to stay
+ * the last element child of <html>, not just attached.
+ */
+
+(function(root) {
+  /** What repairOverlayHost restores: the host's id, style and class attributes. */
+  function snapshotHost(host) {
+    return { id: host.id, style: host.getAttribute('style'), class: host.className };
+  }
+
+  /**
+   * Undo changes to `host`: drop attributes it was not created with, restore
+   * `saved` (from snapshotHost), and make it the last element child of
+   * `parent` again. Returns true when the host had been removed or moved
+   * into another element and was re-attached.
+   */
+  function repairOverlayHost(host, parent, saved) {
+    for (const { name } of [...host.attributes]) {
+      if (name !== 'id' && name !== 'style' && name !== 'class') host.removeAttribute(name);
+    }
+    if (host.id !== saved.id) host.id = saved.id;
+    if (host.getAttribute('style') !== saved.style) host.setAttribute('style', saved.style);
+    if (host.className !== saved.class) host.className = saved.class;
+
+    if (host.parentNode !== parent) {
+      parent.appendChild(host);
+      return true;
+    }
+    // Something was appended after it
+    if (parent.lastElementChild !== host) parent.appendChild(host);
+    return false;
+  }
+
+  const api = {
+    snapshotHost,
+    repairOverlayHost,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusOverlayGuard = api;
+  }
+})(globalThis);
@@ -0,0 +1,132 @@
+/**
+ * Claude Code Focus Mode - Paused Page
+ * Stands in for a locked site under hard block (background.js "Hard block")
+ * and redirect mode ("Redirect mode"), and lists Claude's sessions so you
+ * can see what to get back to. The original URL is everything after '#'.
+ *
+ * The background worker sends this tab back when the site unlocks; polling
+ * here is the fallback for when the worker was asleep, and also catches
+ * paths the site's rules allow (which the network rules can't tell apart).
+ */
+
+const POLL_INTERVAL_MS = 3000;
+
+const { renderSessions } = window.__claudeFocusSessions;
+
+const originalUrl = window.location.hash.slice(1);
+
+const message = document.getElementById('paused-message');
+const statusDot = document.getElementById('status-dot');
+const statusText = document.getElementById('status-text');
+const scheduleText = document.getElementById('paused-schedule');
+const breakBtn = document.getElementById('break-btn');
+const hint = document.getElementById('paused-hint');
+const urlText = document.getElementById('paused-url');
+const sessionsSection = document.getElementById('sessions-section');
+const sessionsList = document.getElementById('sessions-list');
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * How long one tool call unlocks the site for, including fractions of a
+ * minute ("30 seconds"). Mirrors the overlay in content.js.
+ */
+function unblockHint(timeout) {
+  const duration = timeout < 1
+    ? `${Math.round(timeout * 60)} seconds`
+    : `${timeout} minute${timeout !== 1 ? 's' : ''}`;
+  return `Use any Claude Code tool to unblock for ${duration}`;
+}
+
+function clockTime(ms) {
+  return new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function statusLine(status) {
+  if (!status.daemonOnline) {
+    return status.unauthorized
+      ? 'Not paired with daemon - blocking by default'
+      : 'Daemon offline - blocking by default';
+  }
+  if (status.override?.mode === 'lock') {
+    return status.override.until
+      ? `Locked manually until ${clockTime(status.override.until)}`
+      : 'Locked manually until Claude\'s next activity';
+  }
+  if (status.needsAttention) {
+    return status.attention?.message || 'Claude is waiting for your input';
+  }
+  const elapsed = status.elapsed ? Math.round(status.elapsed / 1000) : 'N/A';
+  return `Claude inactive (${elapsed}s since last activity)`;
+}
+
+function render(response) {
+  const { siteName, status } = response;
+
+  message.textContent = `${siteName} is blocked while Claude Code is not active.`;
+  statusText.textContent = statusLine(status);
+  statusDot.className = `status-dot ${status.daemonOnline ? 'inactive' : 'offline'}`;
+
+  if (status.schedule) {
+    const until = clockTime(status.schedule.until);
+    const owner = status.schedule.source === 'site' ? 'this site\'s' : 'your';
+    scheduleText.textContent = `Paused by ${owner} ${status.schedule.label} schedule until ${until}`;
+  } else {
+    scheduleText.textContent = '';
+  }
+
+  const minutes = Math.min(response.breakMinutes || 0, response.breakRemainingMinutes || 0);
+  breakBtn.hidden = minutes < 1;
+  breakBtn.textContent = `Take a ${minutes}-minute break (${response.breakRemainingMinutes} min left today)`;
+
+  hint.textContent = status.override?.mode === 'lock' && status.override.until
+    ? 'Claude Code activity won\'t unblock it before then'
+    : unblockHint(status.timeout);
+  const sessions = status.sessions || [];
+  sessionsSection.hidden = sessions.length === 0;
+  renderSessions(sessionsList, sessions);
+}
+
+async function check() {
+  if (!originalUrl) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'PAUSED_PAGE_CHECK', url: originalUrl });
+    if (!response?.blocked) {
+      statusText.textContent = 'Unblocked - returning...';
+      statusDot.className = 'status-dot active';
+      window.location.replace(originalUrl);
+      return;
+    }
+    render(response);
+  } catch (e) {
+    // Worker restarting; try again on the next poll
+  }
+}
+
+breakBtn.addEventListener('click', async () => {
+  breakBtn.disabled = true;
+  try {
+    await chrome.runtime.sendMessage({ type: 'START_BREAK' });
+    await check();
+  } finally {
+    breakBtn.disabled = false;
+  }
+});
+
+if (originalUrl) {
+  document.title = `Paused: ${hostOf(originalUrl)} - Claude Code Focus Mode`;
+  urlText.textContent = originalUrl;
+} else {
+  message.textContent = 'Nothing to return to.';
+  statusText.textContent = 'Open a site to see its status';
+}
+
+check();
+setInterval(check, POLL_INTERVAL_MS);
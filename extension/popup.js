@@ -2,7 +2,13 @@
  * Claude Code Focus Mode - Popup Settings Script
  */
 
-const DAEMON_URL = 'http://127.0.0.1:31415';
+const DEFAULT_DAEMON_PORT = 31415; // must match the daemon's config.json "port"
+const DEFAULT_BREAK_BUDGET_MINUTES = 15; // must match background.js
+const DEFAULT_LOCK_WARNING_SECONDS = 30; // must match background.js
+const UNLOCK_FOR_MINUTES = 15;
+
+const { matchesAnyPattern, isValidMatchPattern } = window.__claudeFocusMatchPatterns;
+const { describeSession, renderSessions } = window.__claudeFocusSessions;
 
 const DEFAULT_SITES = [
   { id: 'youtube', name: 'YouTube', patterns: ['*://*.youtube.com/*'], enabled: true, builtin: true },
@@ -26,15 +32,74 @@ const SITE_ICONS = {
   netflix: '<i class="fa-solid fa-n" style="color: #e50914"></i>',
 };
 
+// Day picker order (weeks start on Monday), as Date#getDay() numbers
+const WEEK_DAYS = [
+  { day: 1, label: 'M' }, { day: 2, label: 'T' }, { day: 3, label: 'W' }, { day: 4, label: 'T' },
+  { day: 5, label: 'F' }, { day: 6, label: 'S' }, { day: 0, label: 'S' },
+];
+
+const RULE_TYPES = { include: 'Pause', exclude: 'Allow' };
+const RULE_MATCHES = { prefix: 'Path starts with', glob: 'Path glob', regex: 'Path regex' };
+const RULE_PLACEHOLDERS = { prefix: '/shorts', glob: '/r/*/comments/*', regex: '^/watch\\?v=' };
+
+const LOCK_STYLES = { overlay: 'Overlay', blur: 'Blur', grayscale: 'Grayscale, muted', feed: 'Hide feeds' };
+// Sites with feed selectors (FEED_SELECTORS in background.js)
+const FEED_HIDER_SITES = new Set(['youtube', 'twitter', 'reddit', 'tiktok']);
+
+const NEW_SCHEDULE_WINDOW = { name: '', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+
 let settings = {
   enabled: true,
   timeout: 2,
+  lockOnAttention: false,
+  hardBlock: false,
+  redirectMode: false,
+  redirectUrl: '',
+  daemonPort: DEFAULT_DAEMON_PORT,
+  breakBudget: DEFAULT_BREAK_BUDGET_MINUTES,
+  lockWarning: DEFAULT_LOCK_WARNING_SECONDS,
+  fadeAudioBeforeLock: false,
+  schedule: { enabled: false, windows: [{ ...NEW_SCHEDULE_WINDOW, name: 'Work hours' }] },
   sites: [...DEFAULT_SITES],
 };
 
+// Site whose settings (timeout, hours) are expanded in the sites list
+let expandedSiteId = null;
+// Override from the latest daemon status: { mode, until } or null
+let currentOverride = null;
+
+function daemonUrl() {
+  return `http://127.0.0.1:${settings.daemonPort}`;
+}
+
+// Daemon API token from onboarding (storage.local, never synced)
+async function daemonAuthHeaders() {
+  const { daemonToken } = await chrome.storage.local.get('daemonToken');
+  return daemonToken ? { 'Authorization': `Bearer ${daemonToken}` } : {};
+}
+
 // DOM Elements
 const globalToggle = document.getElementById('global-toggle');
 const timeoutInput = document.getElementById('timeout-input');
+const attentionToggle = document.getElementById('attention-toggle');
+const lockWarningInput = document.getElementById('lock-warning-input');
+const fadeAudioToggle = document.getElementById('fade-audio-toggle');
+const hardBlockToggle = document.getElementById('hard-block-toggle');
+const redirectToggle = document.getElementById('redirect-toggle');
+const redirectOptions = document.getElementById('redirect-options');
+const redirectUrlInput = document.getElementById('redirect-url-input');
+const redirectError = document.getElementById('redirect-error');
+const scheduleToggle = document.getElementById('schedule-toggle');
+const scheduleWindows = document.getElementById('schedule-windows');
+const portInput = document.getElementById('port-input');
+const breakBudgetInput = document.getElementById('break-budget-input');
+const breakBtn = document.getElementById('break-btn');
+const breakBtnText = document.getElementById('break-btn-text');
+const breakInfo = document.getElementById('break-info');
+const lockNowBtn = document.getElementById('lock-now-btn');
+const lockNowBtnText = document.getElementById('lock-now-btn-text');
+const unlockForBtn = document.getElementById('unlock-for-btn');
+const unlockForBtnText = document.getElementById('unlock-for-btn-text');
 const sitesList = document.getElementById('sites-list');
 const addSiteBtn = document.getElementById('add-site-btn');
 const addSiteForm = document.getElementById('add-site-form');
@@ -43,20 +108,35 @@ const cancelAddSite = document.getElementById('cancel-add-site');
 const confirmAddSite = document.getElementById('confirm-add-site');
 const statusDot = document.getElementById('status-dot');
 const statusText = document.getElementById('status-text');
+const sessionsSection = document.getElementById('sessions-section');
+const sessionsList = document.getElementById('sessions-list');
 const popupContainer = document.querySelector('.popup-container');
 const updateBanner = document.getElementById('update-banner');
 const updateVersions = document.getElementById('update-versions');
 const updateBtn = document.getElementById('update-btn');
+const dashboardBtn = document.getElementById('dashboard-btn');
+const blockedSection = document.getElementById('blocked-section');
+const blockedTotal = document.getElementById('blocked-total');
+const blockedList = document.getElementById('blocked-list');
 
 const EXTENSION_VERSION = chrome.runtime.getManifest().version;
 
 // Load settings from storage
 async function loadSettings() {
   try {
-    const stored = await chrome.storage.sync.get(['enabled', 'timeout', 'sites']);
+    const stored = await chrome.storage.sync.get(['enabled', 'timeout', 'lockOnAttention', 'hardBlock', 'redirectMode', 'redirectUrl', 'daemonPort', 'breakBudget', 'lockWarning', 'fadeAudioBeforeLock', 'schedule', 'sites']);
 
     if (stored.enabled !== undefined) settings.enabled = stored.enabled;
     if (stored.timeout !== undefined) settings.timeout = stored.timeout;
+    if (stored.lockOnAttention !== undefined) settings.lockOnAttention = stored.lockOnAttention;
+    if (stored.hardBlock !== undefined) settings.hardBlock = stored.hardBlock;
+    if (stored.redirectMode !== undefined) settings.redirectMode = stored.redirectMode;
+    if (stored.redirectUrl !== undefined) settings.redirectUrl = stored.redirectUrl;
+    if (stored.daemonPort !== undefined) settings.daemonPort = stored.daemonPort;
+    if (stored.breakBudget !== undefined) settings.breakBudget = stored.breakBudget;
+    if (stored.lockWarning !== undefined) settings.lockWarning = stored.lockWarning;
+    if (stored.fadeAudioBeforeLock !== undefined) settings.fadeAudioBeforeLock = stored.fadeAudioBeforeLock;
+    if (stored.schedule !== undefined) settings.schedule = stored.schedule;
     if (stored.sites !== undefined) {
       // Merge with defaults to ensure new built-in sites are included
       const storedIds = new Set(stored.sites.map(s => s.id));
@@ -83,6 +163,15 @@ async function saveSettings() {
     await chrome.storage.sync.set({
       enabled: settings.enabled,
       timeout: settings.timeout,
+      lockOnAttention: settings.lockOnAttention,
+      hardBlock: settings.hardBlock,
+      redirectMode: settings.redirectMode,
+      redirectUrl: settings.redirectUrl,
+      daemonPort: settings.daemonPort,
+      breakBudget: settings.breakBudget,
+      lockWarning: settings.lockWarning,
+      fadeAudioBeforeLock: settings.fadeAudioBeforeLock,
+      schedule: settings.schedule,
       sites: settings.sites,
     });
 
@@ -104,10 +193,44 @@ function updateUI() {
   // Timeout input
   timeoutInput.value = settings.timeout;
 
+  // "Claude needs you" toggle
+  attentionToggle.checked = settings.lockOnAttention;
+
+  // Pre-lock countdown
+  lockWarningInput.value = settings.lockWarning;
+  fadeAudioToggle.checked = settings.fadeAudioBeforeLock;
+
+  // Hard block toggle
+  hardBlockToggle.checked = settings.hardBlock;
+
+  // Redirect mode
+  redirectToggle.checked = settings.redirectMode;
+  redirectOptions.style.display = settings.redirectMode ? 'block' : 'none';
+  redirectUrlInput.value = settings.redirectUrl;
+
+  // Daemon port
+  portInput.value = settings.daemonPort;
+
+  // Break budget
+  breakBudgetInput.value = settings.breakBudget;
+
+  // Default schedule
+  scheduleToggle.checked = settings.schedule.enabled;
+  renderSchedule();
+
   // Sites list
   renderSites();
 }
 
+// Whether a site has any of its own settings (highlights its sliders icon)
+function isSiteCustomized(site) {
+  return Array.isArray(site.schedule) || typeof site.timeout === 'number' || !!site.rules?.length || !!site.style;
+}
+
+function markSiteCustomized(site) {
+  sitesList.querySelector(`[data-settings-id="${site.id}"]`)?.classList.toggle('custom', isSiteCustomized(site));
+}
+
 // Render sites list
 function renderSites() {
   sitesList.innerHTML = '';
@@ -121,20 +244,35 @@ function renderSites() {
       ? `<span class="site-icon">${SITE_ICONS[site.id] || site.name.charAt(0).toUpperCase()}</span>`
       : `<button class="site-icon remove-site" data-id="${site.id}"><i class="fa-solid fa-xmark"></i></button>`;
 
+    const customized = isSiteCustomized(site);
     siteEl.innerHTML = `
       <div class="site-info">
         ${iconHtml}
         <span class="site-name">${site.name}</span>
       </div>
-      <label class="toggle-switch small">
-        <input type="checkbox" data-site-id="${site.id}" ${site.enabled ? 'checked' : ''}>
-        <span class="slider"></span>
-      </label>
+      <div class="site-actions">
+        <button class="site-settings-btn${customized ? ' custom' : ''}" data-settings-id="${site.id}" title="Timeout, style, hours and URL rules for this site">
+          <i class="fa-solid fa-sliders"></i>
+        </button>
+        <label class="toggle-switch small">
+          <input type="checkbox" data-site-id="${site.id}" ${site.enabled ? 'checked' : ''}>
+          <span class="slider"></span>
+        </label>
+      </div>
     `;
 
     sitesList.appendChild(siteEl);
+    if (site.id === expandedSiteId) sitesList.appendChild(renderSiteSettings(site));
   }
 
+  sitesList.querySelectorAll('.site-settings-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const siteId = e.currentTarget.dataset.settingsId;
+      expandedSiteId = expandedSiteId === siteId ? null : siteId;
+      renderSites();
+    });
+  });
+
   // Add event listeners for toggles
   sitesList.querySelectorAll('input[data-site-id]').forEach(input => {
     input.addEventListener('change', (e) => {
@@ -168,16 +306,462 @@ function renderSites() {
   });
 }
 
+// Editable list of schedule windows (name, days, start and end time).
+// Edits change `windows` in place and save; `onChange` re-renders whatever
+// depends on the list.
+function renderWindowList(container, windows, onChange) {
+  container.innerHTML = '';
+
+  windows.forEach((win, index) => {
+    const windowEl = document.createElement('div');
+    windowEl.className = 'window-item';
+    windowEl.innerHTML = `
+      <div class="window-row">
+        <input type="text" class="window-name" placeholder="Name (optional)">
+        <button class="window-remove" title="Remove window"><i class="fa-solid fa-xmark"></i></button>
+      </div>
+      <div class="window-days">
+        ${WEEK_DAYS.map(({ day, label }) => `
+          <button class="day-btn${win.days.includes(day) ? ' active' : ''}" data-day="${day}">${label}</button>
+        `).join('')}
+      </div>
+      <div class="window-row">
+        <input type="time" class="window-time window-start">
+        <span class="window-to">to</span>
+        <input type="time" class="window-time window-end">
+      </div>
+    `;
+
+    const nameInput = windowEl.querySelector('.window-name');
+    const startInput = windowEl.querySelector('.window-start');
+    const endInput = windowEl.querySelector('.window-end');
+    nameInput.value = win.name || '';
+    startInput.value = win.start;
+    endInput.value = win.end;
+
+    nameInput.addEventListener('change', () => {
+      win.name = nameInput.value.trim();
+      saveSettings();
+    });
+
+    for (const input of [startInput, endInput]) {
+      input.addEventListener('change', () => {
+        // Clearing a time input leaves it empty - keep the previous value
+        if (!startInput.value || !endInput.value) {
+          startInput.value = win.start;
+          endInput.value = win.end;
+          return;
+        }
+        win.start = startInput.value;
+        win.end = endInput.value;
+        saveSettings();
+      });
+    }
+
+    windowEl.querySelectorAll('.day-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const day = Number(btn.dataset.day);
+        win.days = win.days.includes(day) ? win.days.filter(d => d !== day) : [...win.days, day];
+        btn.classList.toggle('active', win.days.includes(day));
+        saveSettings();
+      });
+    });
+
+    windowEl.querySelector('.window-remove').addEventListener('click', () => {
+      windows.splice(index, 1);
+      saveSettings();
+      onChange();
+    });
+
+    container.appendChild(windowEl);
+  });
+
+  const addBtn = document.createElement('button');
+  addBtn.className = 'add-site-btn';
+  addBtn.innerHTML = '<i class="fa-solid fa-plus"></i> Add Window';
+  addBtn.addEventListener('click', () => {
+    windows.push({ ...NEW_SCHEDULE_WINDOW, days: [...NEW_SCHEDULE_WINDOW.days] });
+    saveSettings();
+    onChange();
+  });
+  container.appendChild(addBtn);
+}
+
+// Default schedule editor, shown while "Only Pause On Schedule" is on
+function renderSchedule() {
+  scheduleWindows.style.display = settings.schedule.enabled ? 'flex' : 'none';
+  renderWindowList(scheduleWindows, settings.schedule.windows, renderSchedule);
+}
+
+// Expanded per-site settings below a site row: its own inactivity timeout
+// (blank = the global "Pause After"), URL rules and its own hours. A site with its own
+// `schedule` ignores the default schedule (see background.js "Schedules").
+function renderSiteSettings(site) {
+  const panel = document.createElement('div');
+  panel.className = 'site-settings';
+
+  const timeoutRow = document.createElement('div');
+  timeoutRow.className = 'section-header';
+  timeoutRow.innerHTML = `
+    <span class="section-hint">Pause after</span>
+    <div class="timeout-input-container">
+      <input type="number" min="0" step="0.5" class="timeout-input">
+      <span class="timeout-unit">min</span>
+    </div>
+  `;
+  const timeoutField = timeoutRow.querySelector('input');
+  timeoutField.placeholder = String(settings.timeout);
+  timeoutField.value = typeof site.timeout === 'number' ? site.timeout : '';
+  timeoutField.addEventListener('change', () => {
+    const value = parseFloat(timeoutField.value);
+    if (isNaN(value) || value < 0) {
+      delete site.timeout;
+      timeoutField.value = '';
+    } else {
+      site.timeout = value;
+    }
+    saveSettings();
+    markSiteCustomized(site);
+  });
+  panel.appendChild(timeoutRow);
+
+  // How the page looks while locked (see content.js lock styles)
+  const styleRow = document.createElement('div');
+  styleRow.className = 'section-header';
+  styleRow.innerHTML = `
+    <span class="section-hint">Pause style</span>
+    <select class="rule-select style-select"></select>
+  `;
+  const styleSelect = styleRow.querySelector('select');
+  for (const [value, label] of Object.entries(LOCK_STYLES)) {
+    if (value === 'feed' && !FEED_HIDER_SITES.has(site.id)) continue;
+    styleSelect.add(new Option(label, value, false, (site.style || 'overlay') === value));
+  }
+  styleSelect.addEventListener('change', () => {
+    if (styleSelect.value === 'overlay') {
+      delete site.style;
+    } else {
+      site.style = styleSelect.value;
+    }
+    saveSettings();
+    markSiteCustomized(site);
+  });
+  panel.appendChild(styleRow);
+  panel.appendChild(renderRuleEditor(site));
+
+  const hint = document.createElement('p');
+  hint.className = 'section-hint';
+  const actionBtn = document.createElement('button');
+  actionBtn.className = 'btn btn-cancel';
+
+  if (Array.isArray(site.schedule)) {
+    hint.textContent = `${site.name} is only paused during these hours:`;
+    const list = document.createElement('div');
+    list.className = 'window-list';
+    renderWindowList(list, site.schedule, renderSites);
+    actionBtn.textContent = 'Use default schedule';
+    actionBtn.addEventListener('click', () => {
+      delete site.schedule;
+      saveSettings();
+      renderSites();
+    });
+    panel.append(hint, list, actionBtn);
+  } else {
+    hint.textContent = settings.schedule.enabled
+      ? `${site.name} follows the default schedule.`
+      : `${site.name} is paused around the clock.`;
+    actionBtn.textContent = 'Set hours for this site';
+    actionBtn.addEventListener('click', () => {
+      site.schedule = [{ ...NEW_SCHEDULE_WINDOW, days: [...NEW_SCHEDULE_WINDOW.days] }];
+      saveSettings();
+      renderSites();
+    });
+    panel.append(hint, actionBtn);
+  }
+
+  return panel;
+}
+
+// "youtube.com/shorts/abc" for rule previews
+function shortUrl(url) {
+  const urlObj = new URL(url);
+  return urlObj.hostname.replace(/^www\./, '') + urlObj.pathname + urlObj.search;
+}
+
+// Include/exclude path rules for a site (see background.js "Site rules"),
+// each previewing which open tabs it matches. Matching runs in the
+// background so the preview can't drift from what actually gets paused.
+function renderRuleEditor(site) {
+  const editor = document.createElement('div');
+  editor.className = 'rule-editor';
+  editor.innerHTML = `
+    <p class="section-hint">URL rules - with a Pause rule, only matching pages are paused; Allow rules always win.</p>
+    <div class="rule-list"></div>
+    <button class="add-site-btn"><i class="fa-solid fa-plus"></i> Add Rule</button>
+    <p class="section-hint rule-summary"></p>
+  `;
+  const list = editor.querySelector('.rule-list');
+
+  const refreshPreview = async () => {
+    const tabs = await chrome.tabs.query({});
+    const urls = tabs.map(tab => tab.url).filter(url => url && url.startsWith('http'));
+    let preview;
+    try {
+      preview = await chrome.runtime.sendMessage({ type: 'PREVIEW_SITE_RULES', site, urls });
+    } catch (e) {
+      return;
+    }
+    if (!preview) return;
+
+    list.querySelectorAll('.rule-preview').forEach((el, index) => {
+      const result = preview.rules[index];
+      if (!result) return;
+      el.classList.toggle('error', !!result.error);
+      el.textContent = result.error
+        ? `Invalid: ${result.error}`
+        : result.matches.length
+          ? `Matches ${result.matches.map(shortUrl).join(', ')}`
+          : 'Matches no open tabs';
+    });
+
+    editor.querySelector('.rule-summary').textContent = preview.covered.length
+      ? `Pausing ${preview.paused.length} of ${preview.covered.length} open ${site.name} tab${preview.covered.length !== 1 ? 's' : ''}`
+      : '';
+  };
+
+  const renderRules = () => {
+    list.innerHTML = '';
+    (site.rules || []).forEach((rule, index) => {
+      const ruleEl = document.createElement('div');
+      ruleEl.className = 'window-item';
+      ruleEl.innerHTML = `
+        <div class="window-row">
+          <select class="rule-select rule-type">
+            ${Object.entries(RULE_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
+          <select class="rule-select rule-match">
+            ${Object.entries(RULE_MATCHES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
+          <button class="window-remove" title="Remove rule"><i class="fa-solid fa-xmark"></i></button>
+        </div>
+        <input type="text" class="window-name rule-value">
+        <p class="rule-preview"></p>
+      `;
+
+      const typeSelect = ruleEl.querySelector('.rule-type');
+      const matchSelect = ruleEl.querySelector('.rule-match');
+      const valueInput = ruleEl.querySelector('.rule-value');
+      typeSelect.value = rule.type;
+      matchSelect.value = rule.match;
+      valueInput.value = rule.value;
+      valueInput.placeholder = RULE_PLACEHOLDERS[rule.match];
+
+      typeSelect.addEventListener('change', () => {
+        rule.type = typeSelect.value;
+        saveSettings();
+        refreshPreview();
+      });
+      matchSelect.addEventListener('change', () => {
+        rule.match = matchSelect.value;
+        valueInput.placeholder = RULE_PLACEHOLDERS[rule.match];
+        saveSettings();
+        refreshPreview();
+      });
+      // Preview while typing, save once the field is left
+      valueInput.addEventListener('input', () => {
+        rule.value = valueInput.value.trim();
+        refreshPreview();
+      });
+      valueInput.addEventListener('change', saveSettings);
+
+      ruleEl.querySelector('.window-remove').addEventListener('click', () => {
+        site.rules.splice(index, 1);
+        if (site.rules.length === 0) delete site.rules;
+        saveSettings();
+        renderRules();
+      });
+
+      list.appendChild(ruleEl);
+    });
+    refreshPreview();
+  };
+
+  editor.querySelector('.add-site-btn').addEventListener('click', () => {
+    site.rules = site.rules || [];
+    site.rules.push({ type: 'exclude', match: 'prefix', value: '' });
+    renderRules();
+    list.querySelector('.window-item:last-child .rule-value')?.focus();
+  });
+
+  renderRules();
+  return editor;
+}
+
+// Active sessions first, then most recent (the daemon evaluates `active`
+// against our timeout, see checkStatus)
+function showSessions(sessions) {
+  sessionsSection.style.display = sessions.length > 0 ? 'block' : 'none';
+  renderSessions(sessionsList, sessions, { itemTag: 'div', dotTag: 'i', dotClass: 'fa-solid fa-circle status-dot' });
+}
+
+function localDayKey(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Render today's blocked-site visits recorded by the background worker,
+// including time on tabs that are locked right now.
+async function renderBlockedToday() {
+  const today = localDayKey();
+  const { siteVisits = {} } = await chrome.storage.local.get('siteVisits');
+  const { lockedTabs = {} } = await chrome.storage.session.get('lockedTabs');
+
+  const visits = {};
+  for (const [siteId, entry] of Object.entries(siteVisits[today] || {})) {
+    visits[siteId] = { opens: 0, revisits: 0, lockedMs: 0, ...entry };
+  }
+  for (const lock of Object.values(lockedTabs)) {
+    if (localDayKey(new Date(lock.since)) !== today) continue;
+    visits[lock.siteId] = visits[lock.siteId] || { opens: 0, revisits: 0, lockedMs: 0 };
+    visits[lock.siteId].lockedMs += Date.now() - lock.since;
+  }
+
+  const entries = Object.entries(visits)
+    .map(([siteId, visit]) => ({ siteId, ...visit, count: (visit.opens || 0) + (visit.revisits || 0) }))
+    .filter(entry => entry.count > 0 || entry.lockedMs > 0)
+    .sort((a, b) => b.count - a.count || b.lockedMs - a.lockedMs);
+
+  blockedSection.style.display = entries.length > 0 ? 'block' : 'none';
+  blockedTotal.textContent = `${entries.reduce((sum, e) => sum + e.count, 0)} visits`;
+  blockedList.innerHTML = '';
+
+  for (const entry of entries) {
+    const site = settings.sites.find(s => s.id === entry.siteId);
+    const itemEl = document.createElement('div');
+    itemEl.className = 'session-item';
+    itemEl.innerHTML = `
+      <span class="session-name"></span>
+      <span class="session-meta"></span>
+    `;
+    itemEl.querySelector('.session-name').textContent = site ? site.name : entry.siteId;
+    itemEl.querySelector('.session-meta').textContent = [
+      `${entry.opens || 0} opened`,
+      entry.revisits ? `${entry.revisits} revisited` : null,
+      `${formatDuration(entry.lockedMs || 0)} locked`,
+    ].filter(Boolean).join(' · ');
+    blockedList.appendChild(itemEl);
+  }
+}
+
+// Break button: start / end early, with today's remaining budget.
+// The background owns the break timer (see background.js "Breaks").
+async function renderBreak() {
+  let info;
+  try {
+    info = await chrome.runtime.sendMessage({ type: 'GET_BREAK' });
+  } catch (e) {
+    return;
+  }
+  if (!info) return;
+
+  breakBtn.classList.toggle('on-break', info.onBreak);
+  if (info.onBreak) {
+    const secondsLeft = Math.max(0, Math.round((info.breakUntil - Date.now()) / 1000));
+    const clock = `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+    breakBtnText.textContent = `End break (${clock} left)`;
+    breakBtn.disabled = false;
+  } else {
+    const minutes = Math.min(info.breakMinutes, info.breakRemainingMinutes);
+    breakBtnText.textContent = minutes > 0 ? `Take a ${minutes}-minute break` : 'No break time left today';
+    breakBtn.disabled = minutes < 1;
+  }
+  breakInfo.textContent = `${info.breakRemainingMinutes} of ${settings.breakBudget} min left today`;
+}
+
+// Override buttons: lock now / unlock for UNLOCK_FOR_MINUTES, or end the
+// override in force. The daemon keeps it (POST /override), so it applies to
+// every browser and survives restarts.
+function renderOverride() {
+  if (currentOverride?.until && currentOverride.until <= Date.now()) currentOverride = null;
+  const mode = currentOverride?.mode;
+
+  lockNowBtn.classList.toggle('override-on', mode === 'lock');
+  unlockForBtn.classList.toggle('override-on', mode === 'unlock');
+  lockNowBtnText.textContent = mode === 'lock'
+    ? `End lock${currentOverride.until ? ` (${formatCountdown(currentOverride.until)} left)` : ''}`
+    : 'Lock now';
+  unlockForBtnText.textContent = mode === 'unlock'
+    ? `End unlock (${formatCountdown(currentOverride.until)} left)`
+    : `Unlock for ${UNLOCK_FOR_MINUTES} min`;
+}
+
+function formatCountdown(until) {
+  const secondsLeft = Math.max(0, Math.round((until - Date.now()) / 1000));
+  return `${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, '0')}`;
+}
+
+async function setOverride(mode, until = null) {
+  try {
+    const response = await fetch(`${daemonUrl()}/override`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...await daemonAuthHeaders() },
+      body: JSON.stringify({ mode, until }),
+    });
+    const result = await response.json();
+    if (result.ok) currentOverride = result.override;
+  } catch (e) {
+    // Daemon offline — checkStatus shows it
+  }
+  renderOverride();
+  checkStatus();
+}
+
 // Check daemon status
 async function checkStatus() {
   try {
-    const response = await fetch(`${DAEMON_URL}/status`);
+    const response = await fetch(`${daemonUrl()}/status?timeout=${settings.timeout}`, {
+      headers: await daemonAuthHeaders(),
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      statusDot.className = 'status-dot offline';
+      statusText.textContent = 'Not paired - re-run the installer to pair';
+      updateBanner.style.display = 'none';
+      sessionsSection.style.display = 'none';
+      return;
+    }
+
     const status = await response.json();
+    const sessions = status.sessions || [];
 
-    if (status.active) {
+    showSessions(sessions);
+    currentOverride = status.override || null;
+    renderOverride();
+
+    const attention = status.state === 'needs-attention' ? status.attention : null;
+
+    if (currentOverride) {
+      statusDot.className = `status-dot ${status.active ? 'active' : 'inactive'}`;
+      statusText.textContent = currentOverride.mode === 'unlock'
+        ? 'Unlocked manually'
+        : currentOverride.until ? 'Locked manually' : 'Locked manually until Claude\'s next activity';
+    } else if (attention && (settings.lockOnAttention || !status.active)) {
+      statusDot.className = 'status-dot inactive';
+      statusText.textContent = attention.project
+        ? `Claude is waiting for your input in ${attention.project}`
+        : 'Claude is waiting for your input';
+    } else if (status.active) {
       const elapsed = Math.round(status.elapsed / 1000);
       statusDot.className = 'status-dot active';
-      statusText.textContent = `Active (${elapsed}s ago)`;
+      statusText.textContent = sessions.length > 0
+        ? `Unlocked by Claude working on ${describeSession(sessions[0])} (${elapsed}s ago)`
+        : `Active (${elapsed}s ago)`;
     } else {
       const elapsed = status.elapsed ? Math.round(status.elapsed / 1000) : null;
       statusDot.className = 'status-dot inactive';
@@ -190,6 +774,7 @@ async function checkStatus() {
     statusDot.className = 'status-dot offline';
     statusText.textContent = 'Daemon offline';
     updateBanner.style.display = 'none';
+    sessionsSection.style.display = 'none';
   }
 }
 
@@ -210,7 +795,7 @@ function versionLessThan(a, b) {
 // Check if daemon version is older than extension version
 async function checkDaemonVersion() {
   try {
-    const response = await fetch(`${DAEMON_URL}/health`);
+    const response = await fetch(`${daemonUrl()}/health`);
     const health = await response.json();
     const daemonVersion = health.version;
 
@@ -253,20 +838,24 @@ function addCustomSite() {
 
   if (!domain) return;
 
-  // Validate domain format - just needs a dot with characters on both sides
+  // Validate domain format - needs a dot with characters on both sides and
+  // has to make a valid match pattern
   const dotIndex = domain.indexOf('.');
-  if (dotIndex < 1 || dotIndex === domain.length - 1 || domain.includes(' ')) {
+  const patterns = [`*://*.${domain}/*`, `*://${domain}/*`];
+  if (dotIndex < 1 || dotIndex === domain.length - 1 || /[\s/]/.test(domain) || !patterns.every(isValidMatchPattern)) {
     showInputError('Enter a valid domain (e.g. example.com)');
     return;
   }
 
-  // Check for duplicates
-  const exists = settings.sites.some(s =>
-    s.patterns.some(p => p.includes(domain))
+  // Check for duplicates: an existing site whose patterns already cover it
+  const existing = settings.sites.find(s =>
+    matchesAnyPattern(s.patterns, `https://${domain}/`)
   );
 
-  if (exists) {
-    showInputError('This site is already in the list');
+  if (existing) {
+    showInputError(existing.name === domain
+      ? 'This site is already in the list'
+      : `Already covered by ${existing.name}`);
     return;
   }
 
@@ -274,7 +863,7 @@ function addCustomSite() {
   const newSite = {
     id: `custom-${Date.now()}`,
     name: domain,
-    patterns: [`*://*.${domain}/*`, `*://${domain}/*`],
+    patterns,
     enabled: true,
     builtin: false,
   };
@@ -312,6 +901,114 @@ timeoutInput.addEventListener('change', () => {
   saveSettings();
 });
 
+attentionToggle.addEventListener('change', () => {
+  settings.lockOnAttention = attentionToggle.checked;
+  saveSettings();
+});
+
+lockWarningInput.addEventListener('change', () => {
+  let value = parseInt(lockWarningInput.value);
+  if (isNaN(value) || value < 0) value = 0;
+  lockWarningInput.value = value;
+  settings.lockWarning = value;
+  saveSettings();
+});
+
+fadeAudioToggle.addEventListener('change', () => {
+  settings.fadeAudioBeforeLock = fadeAudioToggle.checked;
+  saveSettings();
+});
+
+hardBlockToggle.addEventListener('change', () => {
+  settings.hardBlock = hardBlockToggle.checked;
+  saveSettings();
+});
+
+redirectToggle.addEventListener('change', () => {
+  settings.redirectMode = redirectToggle.checked;
+  redirectOptions.style.display = settings.redirectMode ? 'block' : 'none';
+  saveSettings();
+});
+
+// Empty means the extension's own page listing Claude sessions
+redirectUrlInput.addEventListener('change', () => {
+  const value = redirectUrlInput.value.trim();
+  let error = null;
+
+  if (value) {
+    let url = null;
+    try {
+      url = new URL(value);
+    } catch (e) {
+      // Reported below
+    }
+    const enabledPatterns = settings.sites.filter(s => s.enabled).flatMap(s => s.patterns);
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      error = 'Enter a full http(s) URL, or leave empty for the sessions page';
+    } else if (matchesAnyPattern(enabledPatterns, url)) {
+      error = 'That page is paused too';
+    }
+  }
+
+  redirectError.hidden = !error;
+  redirectError.textContent = error || '';
+  if (error) return;
+
+  settings.redirectUrl = value;
+  saveSettings();
+});
+
+scheduleToggle.addEventListener('change', () => {
+  settings.schedule.enabled = scheduleToggle.checked;
+  saveSettings();
+  renderSchedule();
+  renderSites();
+});
+
+portInput.addEventListener('change', () => {
+  const value = parseInt(portInput.value);
+  if (isNaN(value) || value < 1024 || value > 65535) {
+    portInput.value = settings.daemonPort;
+    return;
+  }
+  settings.daemonPort = value;
+  saveSettings();
+  checkStatus();
+});
+
+breakBudgetInput.addEventListener('change', () => {
+  let value = parseInt(breakBudgetInput.value);
+  if (isNaN(value) || value < 0) value = 0;
+  breakBudgetInput.value = value;
+  settings.breakBudget = value;
+  saveSettings();
+  // Give the background a moment to apply the new budget
+  setTimeout(renderBreak, 100);
+});
+
+breakBtn.addEventListener('click', async () => {
+  const onBreak = breakBtn.classList.contains('on-break');
+  breakBtn.disabled = true;
+  try {
+    await chrome.runtime.sendMessage({ type: onBreak ? 'END_BREAK' : 'START_BREAK' });
+  } catch (e) {
+    // Background unavailable — renderBreak shows the current state
+  }
+  renderBreak();
+});
+
+lockNowBtn.addEventListener('click', () => {
+  setOverride(currentOverride?.mode === 'lock' ? null : 'lock');
+});
+
+unlockForBtn.addEventListener('click', () => {
+  if (currentOverride?.mode === 'unlock') {
+    setOverride(null);
+  } else {
+    setOverride('unlock', Date.now() + UNLOCK_FOR_MINUTES * 60 * 1000);
+  }
+});
+
 addSiteBtn.addEventListener('click', () => {
   addSiteBtn.classList.add('hidden');
   addSiteForm.classList.remove('hidden');
@@ -339,7 +1036,22 @@ updateBtn.addEventListener('click', () => {
   chrome.tabs.create({ url: chrome.runtime.getURL('onboarding.html?update=true') });
 });
 
+dashboardBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+});
+
 // Initialize
-loadSettings();
+loadSettings().then(() => {
+  renderBlockedToday();
+  renderBreak();
+});
 checkStatus();
-setInterval(checkStatus, 5000);
+setInterval(() => {
+  checkStatus();
+  renderBlockedToday();
+}, 5000);
+// Break and override countdowns tick every second
+setInterval(() => {
+  renderBreak();
+  renderOverride();
+}, 1000);
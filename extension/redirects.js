@@ -0,0 +1,63 @@
+/**
+ * Claude Code Focus Mode - Redirect Mode
+ * Where redirect mode sends locked tabs and when it lets them go, shared by
+ * the background worker and the tests. The worker keeps the redirected tabs
+ * in chrome.storage.session and does the navigating:
+ *   redirectedTabs: { [tabId]: { url, siteId, target } }
+ */
+
+(function(root) {
+  /**
+   * Where to send a locked tab on `url`: `redirectUrl`, or the paused page
+   * with the original URL in the hash. A custom URL that is itself paused
+   * (`isUrlPaused`) would bounce forever, so it falls back to the paused page.
+   */
+  function redirectTarget(url, { redirectUrl, pausedPageUrl, isUrlPaused }) {
+    if (redirectUrl && !isUrlPaused(redirectUrl)) return redirectUrl;
+    return `${pausedPageUrl}#${url}`;
+  }
+
+  /** Hosts match ignoring "www.", so a target that redirects to itself stays tracked. */
+  function sameSite(a, b) {
+    try {
+      const host = (url) => new URL(url).host.replace(/^www\./, '');
+      return host(a) === host(b);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a redirected tab navigating to `url` ends its redirect: back to
+   * its original URL (paused.html returns on its own too), or off the
+   * redirect target's site, which means the user moved on. Browsing around
+   * the target's site keeps it.
+   */
+  function redirectEndedBy(entry, url) {
+    return url === entry.url || !sameSite(url, entry.target);
+  }
+
+  /**
+   * The [tabId, entry] pairs of `redirectedTabs` to send back: all of them
+   * with redirect mode off, else those whose original URL `isUrlLocked` no
+   * longer.
+   */
+  function tabsToRestore(redirectedTabs, { redirectMode, isUrlLocked }) {
+    return Object.entries(redirectedTabs)
+      .filter(([, entry]) => !(redirectMode && isUrlLocked(entry.url)))
+      .map(([id, entry]) => [Number(id), entry]);
+  }
+
+  const api = {
+    redirectTarget,
+    sameSite,
+    redirectEndedBy,
+    tabsToRestore,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusRedirects = api;
+  }
+})(globalThis);
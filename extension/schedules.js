@@ -0,0 +1,140 @@
+/**
+ * Claude Code Focus Mode - Schedules
+ * Which weekly windows a site is paused in, shared by the background worker
+ * and the tests. The worker passes in settings.schedule and settings.sites
+ * and wakes itself with a chrome.alarm at the next boundary.
+ *
+ * settings.schedule = { enabled, windows } limits pausing to weekly windows:
+ *   { name: 'Work hours', days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }
+ * `days` are Date#getDay() numbers (0 = Sunday). A window that ends before it
+ * starts runs past midnight; equal times mean the whole day. A site with its
+ * own `schedule` (a list of windows) follows that instead of the default one,
+ * even when the default schedule is switched off. Outside its windows a site
+ * is treated as disabled.
+ */
+
+(function(root) {
+  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  function parseClockTime(value) {
+    const [hours, minutes] = String(value).split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  }
+
+  /**
+   * The windows that decide when a site is paused, or null if it is paused
+   * around the clock. `defaultSchedule` is settings.schedule.
+   */
+  function getSiteWindows(site, defaultSchedule) {
+    if (Array.isArray(site.schedule)) return { windows: site.schedule, source: 'site' };
+    if (defaultSchedule?.enabled) return { windows: defaultSchedule.windows || [], source: 'default' };
+    return null;
+  }
+
+  /**
+   * Every occurrence of the windows starting between yesterday and a week from
+   * now, as { win, start, end } timestamps. Times are built from local date
+   * parts so DST days keep their wall-clock hours.
+   */
+  function windowOccurrences(windows, now) {
+    const today = new Date(now);
+    const occurrences = [];
+
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+      const at = (minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+
+      for (const win of windows) {
+        if (!win.days?.includes(day.getDay())) continue;
+
+        const start = parseClockTime(win.start);
+        let end = parseClockTime(win.end);
+        if (end <= start) end += 24 * 60;
+        occurrences.push({ win, start: at(start), end: at(end) });
+      }
+    }
+    return occurrences;
+  }
+
+  /**
+   * "Mon–Fri", "Mon, Wed, Sat", "every day". Runs of three or more days are
+   * collapsed, weeks start on Monday.
+   */
+  function describeDays(days) {
+    const order = [1, 2, 3, 4, 5, 6, 0].filter(d => days.includes(d));
+    if (order.length === 7) return 'every day';
+
+    const position = (d) => (d + 6) % 7;
+    const parts = [];
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && position(order[j + 1]) === position(order[j]) + 1) j++;
+      parts.push(j - i >= 2
+        ? `${DAY_NAMES[order[i]]}–${DAY_NAMES[order[j]]}`
+        : order.slice(i, j + 1).map(d => DAY_NAMES[d]).join(', '));
+      i = j + 1;
+    }
+    return parts.join(', ');
+  }
+
+  function describeWindow(win) {
+    const hours = win.start === win.end ? 'all day' : `${win.start}–${win.end}`;
+    const when = `${describeDays(win.days || [])} ${hours}`;
+    return win.name ? `${win.name} (${when})` : when;
+  }
+
+  /**
+   * Whether a site should be paused at `now`, and the window in force:
+   * { enforced, schedule: { label, source, until } | null }. `schedule` is
+   * null for sites without a schedule (always enforced).
+   */
+  function getScheduleState(site, defaultSchedule, now) {
+    const siteWindows = getSiteWindows(site, defaultSchedule);
+    if (!siteWindows) return { enforced: true, schedule: null };
+
+    // Of overlapping windows, report the one that runs longest
+    const open = windowOccurrences(siteWindows.windows, now)
+      .filter(o => o.start <= now && now < o.end)
+      .sort((a, b) => b.end - a.end)[0];
+    if (!open) return { enforced: false, schedule: null };
+
+    return {
+      enforced: true,
+      schedule: { label: describeWindow(open.win), source: siteWindows.source, until: open.end },
+    };
+  }
+
+  /**
+   * The next time any enabled one of `sites` has its schedule open or close,
+   * or null.
+   */
+  function nextScheduleChange(sites, defaultSchedule, now) {
+    let next = Infinity;
+    for (const site of sites) {
+      const siteWindows = site.enabled ? getSiteWindows(site, defaultSchedule) : null;
+      if (!siteWindows) continue;
+
+      for (const { start, end } of windowOccurrences(siteWindows.windows, now)) {
+        if (start > now) next = Math.min(next, start);
+        if (end > now) next = Math.min(next, end);
+      }
+    }
+    return next === Infinity ? null : next;
+  }
+
+  const api = {
+    parseClockTime,
+    getSiteWindows,
+    windowOccurrences,
+    describeDays,
+    describeWindow,
+    getScheduleState,
+    nextScheduleChange,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusSchedules = api;
+  }
+})(globalThis);
@@ -0,0 +1,77 @@
+/**
+ * Claude Code Focus Mode - Session Display
+ * How the popup, the paused page and the overlay name and list Claude's
+ * sessions (the daemon's status.sessions), shared so they read the same.
+ */
+
+(function(root) {
+  const SESSION_STATE_LABELS = {
+    'working': 'Working',
+    'waiting-for-user': 'Waiting for you',
+    'idle': 'Idle',
+    'ended': 'Ended',
+  };
+
+  /**
+   * Short human-readable label for a daemon session entry,
+   * e.g. "api-service (feature/billing)". Falls back to the session id.
+   */
+  function describeSession(session) {
+    if (!session.project) return `session ${session.id.slice(0, 8)}`;
+    return session.branch ? `${session.project} (${session.branch})` : session.project;
+  }
+
+  /**
+   * State, last tool and age, e.g. "Working · Edit · 12s ago".
+   */
+  function describeSessionMeta(session) {
+    return [
+      SESSION_STATE_LABELS[session.state],
+      session.lastTool,
+      session.lastActivity ? `${Math.round(session.elapsed / 1000)}s ago` : null,
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Replace the contents of `list` with one item per session, in the order
+   * given (the daemon sends active sessions first, then most recent).
+   * `session.active` is the daemon's verdict against the caller's timeout.
+   *
+   * @param {Element} list
+   * @param {object[]} sessions
+   * @param {object} [options]
+   * @param {string} [options.itemTag] - element for each session
+   * @param {string} [options.dotTag] - element for the status dot
+   * @param {string} [options.dotClass] - classes for the status dot, before active/inactive
+   */
+  function renderSessions(list, sessions, { itemTag = 'li', dotTag = 'span', dotClass = 'status-dot' } = {}) {
+    list.innerHTML = '';
+
+    for (const session of sessions) {
+      const state = session.active ? 'active' : 'inactive';
+      const item = list.ownerDocument.createElement(itemTag);
+      item.className = `session-item${session.active ? ' active' : ''}`;
+      item.innerHTML = `
+        <${dotTag} class="${dotClass} ${state}"></${dotTag}>
+        <span class="session-name"></span>
+        <span class="session-meta"></span>
+      `;
+      item.querySelector('.session-name').textContent = describeSession(session);
+      item.querySelector('.session-meta').textContent = describeSessionMeta(session);
+      list.appendChild(item);
+    }
+  }
+
+  const api = {
+    SESSION_STATE_LABELS,
+    describeSession,
+    describeSessionMeta,
+    renderSessions,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusSessions = api;
+  }
+})(globalThis);
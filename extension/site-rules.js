@@ -0,0 +1,133 @@
+/**
+ * Claude Code Focus Mode - Site Rules
+ * Which URLs a site pauses, shared by the background worker and the tests.
+ * Needs match-patterns.js loaded first.
+ *
+ * A site's patterns decide which domains it covers; its optional `rules`
+ * narrow that down by path:
+ *   { type: 'include' | 'exclude', match: 'prefix' | 'glob' | 'regex', value }
+ * Rules are tested against the path plus query string ("/watch?v=abc"). A glob
+ * must match the whole of it, with * for any run of characters (the same
+ * globs as match-pattern paths). If a site has include rules, only URLs
+ * matching one of them are paused; a matching exclude rule always lets the
+ * URL through.
+ *
+ * Like patterns, rules are compiled once and cached.
+ */
+
+(function(root) {
+  const { globToRegExp, matchesAnyPattern } = typeof module !== 'undefined' && module.exports
+    ? require('./match-patterns.js')
+    : root.__claudeFocusMatchPatterns;
+
+  // `${match} ${value}` -> compiled predicate, or the Error an invalid regex threw
+  const cache = new Map();
+
+  function compileRule(rule) {
+    switch (rule.match) {
+      case 'prefix':
+        return (path) => path.startsWith(rule.value);
+      case 'glob': {
+        const re = globToRegExp(rule.value);
+        return (path) => re.test(path);
+      }
+      case 'regex': {
+        const re = new RegExp(rule.value);
+        return (path) => re.test(path);
+      }
+      default:
+        return () => false;
+    }
+  }
+
+  function getRuleMatcher(rule) {
+    const key = `${rule.match} ${rule.value}`;
+    let matcher = cache.get(key);
+    if (!matcher) {
+      try {
+        matcher = compileRule(rule);
+      } catch (e) {
+        matcher = e;
+      }
+      cache.set(key, matcher);
+    }
+    if (matcher instanceof Error) throw matcher;
+    return matcher;
+  }
+
+  function urlPath(url) {
+    const urlObj = typeof url === 'string' ? new URL(url) : url;
+    return urlObj.pathname + urlObj.search;
+  }
+
+  /**
+   * Whether one rule matches a path. Throws on an invalid regular expression.
+   */
+  function ruleMatchesPath(rule, path) {
+    return getRuleMatcher(rule)(path);
+  }
+
+  /**
+   * Whether a site's rules pause a URL its patterns already cover. Empty and
+   * invalid rules are ignored.
+   */
+  function siteRulesPause(site, url) {
+    const rules = (site.rules || []).filter(rule => rule.value);
+    if (rules.length === 0) return true;
+
+    const path = urlPath(url);
+    const matches = (rule) => {
+      try {
+        return ruleMatchesPath(rule, path);
+      } catch (e) {
+        return false;
+      }
+    };
+
+    const includes = rules.filter(rule => rule.type === 'include');
+    if (includes.length > 0 && !includes.some(matches)) return false;
+    return !rules.some(rule => rule.type === 'exclude' && matches(rule));
+  }
+
+  /**
+   * Whether a site pauses a URL (string or URL object): its patterns cover
+   * it and its rules don't let the path through.
+   */
+  function siteCoversUrl(site, url) {
+    return matchesAnyPattern(site.patterns, url) && siteRulesPause(site, url);
+  }
+
+  /**
+   * For the popup's rule editor: which of `urls` (open tabs) the site covers,
+   * which of those each rule matches, and which the site would pause overall.
+   */
+  function previewSiteRules(site, urls) {
+    const covered = urls.filter(url => matchesAnyPattern(site.patterns, url));
+
+    return {
+      covered,
+      rules: (site.rules || []).map((rule) => {
+        try {
+          return { matches: covered.filter(url => rule.value && ruleMatchesPath(rule, urlPath(url))) };
+        } catch (e) {
+          return { matches: [], error: e.message };
+        }
+      }),
+      paused: covered.filter(url => siteRulesPause(site, url)),
+    };
+  }
+
+  const api = {
+    urlPath,
+    ruleMatchesPath,
+    siteRulesPause,
+    siteCoversUrl,
+    previewSiteRules,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusSiteRules = api;
+  }
+})(globalThis);
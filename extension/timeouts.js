@@ -0,0 +1,126 @@
+/**
+ * Claude Code Focus Mode - Site Timeouts
+ * Evaluating a daemon status payload against a timeout, shared by the
+ * background worker and the tests. The worker keeps the latest payload raw
+ * and evaluates it per tab, so one status can lock a site with a short
+ * timeout while another stays open.
+ */
+
+(function(root) {
+  /**
+   * Inactivity timeout (minutes) for a site: its own `timeout` if set,
+   * otherwise `defaultTimeout`.
+   */
+  function siteTimeout(site, defaultTimeout) {
+    return typeof site?.timeout === 'number' ? site.timeout : defaultTimeout;
+  }
+
+  /**
+   * How long after its last activity a session keeps sites unlocked, or null
+   * if it never does. A copy of daemon/session-activity.js (extensions can't
+   * load files from outside their folder, tests/session-activity.test.js
+   * holds both to the same cases), with the daemon's configured
+   * workingStaleMs from the status payload.
+   */
+  function activeWindowMs(state, timeoutMs, workingStaleMs = 0) {
+    if (state === 'ended') return null;
+    return state === 'working' ? Math.max(timeoutMs, workingStaleMs) : timeoutMs;
+  }
+
+  /**
+   * Whether a session whose last activity was `elapsed` ms ago keeps sites
+   * unlocked.
+   */
+  function isSessionActive(session, elapsed, timeoutMs, workingStaleMs) {
+    const windowMs = activeWindowMs(session.state, timeoutMs, workingStaleMs);
+    return windowMs !== null && elapsed < windowMs;
+  }
+
+  /**
+   * When an active status turns inactive if no more activity arrives: the
+   * moment the last active session times out. Null when the status isn't active.
+   */
+  function predictLockTime(data, sessions, timeoutMs) {
+    if (sessions.length === 0) {
+      return data.elapsed < timeoutMs ? data.lastActivity + timeoutMs : null;
+    }
+
+    const active = sessions.filter(s => s.active);
+    if (active.length === 0) return null;
+    return Math.max(...active.map(session =>
+      session.lastActivity + activeWindowMs(session.state, timeoutMs, data.workingStaleMs)));
+  }
+
+  /**
+   * Re-evaluate a daemon status payload against a timeout in minutes (the
+   * global one, or a site's own) at `now`. The daemon uses its own default,
+   * so both the overall flag and each session's flag are recomputed here.
+   * Elapsed times are taken from the last activity, not from the payload:
+   * it may be a while old, and a site with a short timeout would lock late.
+   *
+   * When the daemon reports 'needs-attention' (Claude is blocked on a prompt or
+   * finished its turn), "Claude needs you" mode (`lockOnAttention`) locks
+   * immediately instead of waiting for the timeout. Either way a locked page
+   * shows the attention message.
+   */
+  function applyTimeout(payload, timeout, lockOnAttention, now) {
+    const timeoutMs = timeout * 60 * 1000;
+    const data = { ...payload, elapsed: now - (payload.lastActivity || 0) };
+    const sessions = (data.sessions || []).map((session) => {
+      const elapsed = now - (session.lastActivity || 0);
+      return { ...session, elapsed, active: isSessionActive(session, elapsed, timeoutMs, data.workingStaleMs) };
+    });
+
+    let active = sessions.length > 0 ? sessions.some(s => s.active) : data.elapsed < timeoutMs;
+    const attention = data.state === 'needs-attention';
+    if (attention && lockOnAttention) active = false;
+
+    // A snooze or lock (sent to the daemon by any client) beats the timeout
+    const override = data.override && (data.override.until === null || data.override.until > now)
+      ? data.override
+      : null;
+    let locksAt = active ? predictLockTime(data, sessions, timeoutMs) : null;
+    if (override?.mode === 'unlock') {
+      locksAt = active ? Math.max(locksAt || 0, override.until) : override.until;
+      active = true;
+    } else if (override?.mode === 'lock') {
+      locksAt = null;
+      active = false;
+    }
+
+    return {
+      ...data,
+      sessions,
+      active,
+      locksAt,
+      override,
+      needsAttention: attention && !active && !override,
+      daemonOnline: true,
+      timeout,
+      lockOnAttention,
+    };
+  }
+
+  /**
+   * `data` - the latest daemon payload, or an offline marker, which passes
+   * through untouched - evaluated against `timeout`.
+   */
+  function evaluateStatus(data, timeout, lockOnAttention, now) {
+    return data.daemonOnline ? applyTimeout(data, timeout, lockOnAttention, now) : { ...data, timeout };
+  }
+
+  const api = {
+    siteTimeout,
+    activeWindowMs,
+    isSessionActive,
+    predictLockTime,
+    applyTimeout,
+    evaluateStatus,
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    root.__claudeFocusTimeouts = api;
+  }
+})(globalThis);
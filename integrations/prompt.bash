@@ -0,0 +1,19 @@
+# Claude Code Focus Mode - status segment for the bash prompt
+#
+# Add to ~/.bashrc (install.js --shell-prompt does this for you):
+#   source ~/.claude/productivity/integrations/prompt.bash
+#
+# Puts "● 42s (2)" in front of your prompt: ● while Claude keeps paused sites
+# unlocked, ○ once they lock, then the time since Claude's last activity and
+# the number of open sessions. See daemon/prompt.js.
+
+__claude_focus_segment() {
+  local segment
+  segment=$(node "$HOME/.claude/productivity/daemon/prompt.js" --format bash 2>/dev/null)
+  [ -n "$segment" ] && printf '%s ' "$segment"
+}
+
+case "$PS1" in
+  *__claude_focus_segment*) ;;
+  *) PS1='$(__claude_focus_segment)'"$PS1" ;;
+esac
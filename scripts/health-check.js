@@ -26,11 +26,48 @@ const PATHS = {
   serverJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'server.js'),
   recordActivityJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'record-activity.js'),
   activityJson: path.join(HOME, '.claude', 'productivity', 'activity.json'),
+  configJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'config.js'),
+  configJson: path.join(HOME, '.claude', 'productivity', 'config.json'),
+  authJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'auth.js'),
+  authJson: path.join(HOME, '.claude', 'productivity', 'auth.json'),
+  historyJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'history.js'),
+  lockScheduleJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'lock-schedule.js'),
+  sessionActivityJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'session-activity.js'),
+  terminalWindowJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'terminal-window.js'),
+  websocketJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'websocket.js'),
+  protocolJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'protocol.js'),
+  sseJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'sse.js'),
+  overrideJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'override.js'),
+  promptJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'prompt.js'),
+  focusctlJs: path.join(HOME, '.claude', 'productivity', 'daemon', 'focusctl.js'),
   settingsJson: path.join(HOME, '.claude', 'settings.json'),
   launchAgent: path.join(HOME, 'Library', 'LaunchAgents', 'com.claude.productivity-daemon.plist'),
   systemdService: path.join(HOME, '.config', 'systemd', 'user', 'claude-focus-daemon.service'),
 };
 
+// Hook events registered by the installer
+const HOOK_EVENTS = ['PostToolUse', 'UserPromptSubmit', 'Stop', 'Notification', 'SessionStart', 'SessionEnd'];
+
+// Daemon port from config.json (falls back to the default)
+function getDaemonPort() {
+  try {
+    const config = JSON.parse(fs.readFileSync(PATHS.configJson, 'utf-8'));
+    if (Number.isInteger(config.port)) return config.port;
+  } catch {}
+  return 31415;
+}
+
+const PORT = getDaemonPort();
+
+// Daemon API token from auth.json (null if not installed yet)
+function getAuthToken() {
+  try {
+    return JSON.parse(fs.readFileSync(PATHS.authJson, 'utf-8')).token || null;
+  } catch {
+    return null;
+  }
+}
+
 const checks = [];
 let allPassed = true;
 
@@ -53,7 +90,7 @@ function fileContains(filePath, text) {
 
 async function checkDaemonRunning() {
   return new Promise((resolve) => {
-    const req = http.get('http://127.0.0.1:31415/health', (res) => {
+    const req = http.get(`http://127.0.0.1:${PORT}/health`, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
@@ -76,7 +113,7 @@ async function checkDaemonRunning() {
 async function checkWebSocket() {
   return new Promise((resolve) => {
     const WebSocket = require('ws');
-    const ws = new WebSocket('ws://127.0.0.1:31415');
+    const ws = new WebSocket(`ws://127.0.0.1:${PORT}?token=${getAuthToken()}`);
 
     const timeout = setTimeout(() => {
       ws.terminate();
@@ -101,10 +138,16 @@ async function checkWebSocket() {
 
 async function getStatus() {
   return new Promise((resolve) => {
-    const req = http.get('http://127.0.0.1:31415/status', (res) => {
+    const req = http.get(`http://127.0.0.1:${PORT}/status`, {
+      headers: { Authorization: `Bearer ${getAuthToken()}` },
+    }, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
       res.on('end', () => {
+        if (res.statusCode === 401) {
+          resolve({ unauthorized: true });
+          return;
+        }
         try {
           resolve(JSON.parse(data));
         } catch {
@@ -131,6 +174,19 @@ async function main() {
   check('  Productivity directory exists', fileExists(PATHS.productivity));
   check('  server.js installed', fileExists(PATHS.serverJs));
   check('  record-activity.js installed', fileExists(PATHS.recordActivityJs));
+  check('  config.js installed', fileExists(PATHS.configJs));
+  check('  auth.js installed', fileExists(PATHS.authJs));
+  check('  history.js installed', fileExists(PATHS.historyJs));
+  check('  lock-schedule.js installed', fileExists(PATHS.lockScheduleJs));
+  check('  session-activity.js installed', fileExists(PATHS.sessionActivityJs));
+  check('  terminal-window.js installed', fileExists(PATHS.terminalWindowJs));
+  check('  websocket.js installed', fileExists(PATHS.websocketJs));
+  check('  protocol.js installed', fileExists(PATHS.protocolJs));
+  check('  sse.js installed', fileExists(PATHS.sseJs));
+  check('  override.js installed', fileExists(PATHS.overrideJs));
+  check('  prompt.js installed', fileExists(PATHS.promptJs));
+  check('  focusctl.js installed', fileExists(PATHS.focusctlJs));
+  check('  API token exists', fileExists(PATHS.authJson));
 
   // Check for WebSocket code in server.js
   const hasWebSocket = fileContains(PATHS.serverJs, 'wsClients');
@@ -145,17 +201,19 @@ async function main() {
   console.log('⚙️  Claude Settings:');
   check('  settings.json exists', fileExists(PATHS.settingsJson));
 
-  let hookConfigured = false;
+  let settings = {};
   if (fileExists(PATHS.settingsJson)) {
     try {
-      const settings = JSON.parse(fs.readFileSync(PATHS.settingsJson, 'utf-8'));
-      hookConfigured = settings.hooks?.PostToolUse?.some(h =>
-        h.hooks?.some(hh => hh.command?.includes('record-activity.js'))
-      );
+      settings = JSON.parse(fs.readFileSync(PATHS.settingsJson, 'utf-8'));
     } catch {}
   }
-  check('  PostToolUse hook configured', hookConfigured,
-    hookConfigured ? '' : 'Hook not found in settings.json');
+  for (const event of HOOK_EVENTS) {
+    const hookConfigured = settings.hooks?.[event]?.some(h =>
+      h.hooks?.some(hh => hh.command?.includes('record-activity.js'))
+    );
+    check(`  ${event} hook configured`, !!hookConfigured,
+      hookConfigured ? '' : 'Hook not found in settings.json');
+  }
   console.log('');
 
   // 3. Check platform-specific auto-start
@@ -177,7 +235,7 @@ async function main() {
   console.log('🔌 Daemon Status:');
   const health = await checkDaemonRunning();
   check('  Daemon responding', health.running,
-    health.running ? `uptime: ${Math.round(health.uptime)}s` : 'Not running on port 31415');
+    health.running ? `uptime: ${Math.round(health.uptime)}s` : `Not running on port ${PORT}`);
 
   if (health.running) {
     check('  WebSocket clients connected', health.wsClients >= 0,
@@ -188,12 +246,15 @@ async function main() {
   // 5. Check activity tracking
   console.log('📊 Activity Tracking:');
   const status = await getStatus();
-  if (status) {
+  if (status && status.unauthorized) {
+    check('  Daemon accepts API token', false, 'token in auth.json was rejected - re-run the installer');
+  } else if (status) {
     check('  Activity file readable', true);
     const elapsed = status.elapsed ? Math.round(status.elapsed / 1000) : 'N/A';
     check('  Last activity tracked', status.lastActivity > 0,
       `${elapsed}s ago, tool: ${status.lastTool || 'none'}`);
     check('  Active status', true, status.active ? 'ACTIVE (within timeout)' : 'INACTIVE');
+    check('  Session state', true, status.state || 'no lifecycle events yet');
   } else {
     check('  Activity file readable', false, 'Could not get status');
   }
@@ -11,6 +11,9 @@
  *     node scripts/install.js --dev
  *
  * The --dev flag copies extension files for side-loading in the browser.
+ * The --rotate-token flag replaces the daemon API token (the extension must pair again).
+ * The --shell-prompt flag adds the focus status to your bash/zsh prompt (or
+ * starship, if your shell starts it), and --tmux adds it to tmux's status-right.
  *
  * Works on macOS, Linux, and Windows.
  */
@@ -19,31 +22,86 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const https = require('https');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 const PLATFORM = process.platform;
 const HOME = os.homedir();
 const IS_DEV_MODE = process.argv.includes('--dev');
+const ROTATE_TOKEN = process.argv.includes('--rotate-token');
+const WIRE_SHELL_PROMPT = process.argv.includes('--shell-prompt');
+const WIRE_TMUX = process.argv.includes('--tmux');
 
 // GitHub raw URLs for daemon files
 const GITHUB_RAW_BASE = 'https://raw.githubusercontent.com/khari998/claude_code_focus_mode/main';
 const DAEMON_FILES = [
   { name: 'server.js', url: `${GITHUB_RAW_BASE}/daemon/server.js` },
   { name: 'record-activity.js', url: `${GITHUB_RAW_BASE}/daemon/record-activity.js` },
+  { name: 'config.js', url: `${GITHUB_RAW_BASE}/daemon/config.js` },
+  { name: 'auth.js', url: `${GITHUB_RAW_BASE}/daemon/auth.js` },
+  { name: 'history.js', url: `${GITHUB_RAW_BASE}/daemon/history.js` },
+  { name: 'lock-schedule.js', url: `${GITHUB_RAW_BASE}/daemon/lock-schedule.js` },
+  { name: 'session-activity.js', url: `${GITHUB_RAW_BASE}/daemon/session-activity.js` },
+  { name: 'terminal-window.js', url: `${GITHUB_RAW_BASE}/daemon/terminal-window.js` },
+  { name: 'websocket.js', url: `${GITHUB_RAW_BASE}/daemon/websocket.js` },
+  { name: 'protocol.js', url: `${GITHUB_RAW_BASE}/daemon/protocol.js` },
+  { name: 'sse.js', url: `${GITHUB_RAW_BASE}/daemon/sse.js` },
+  { name: 'override.js', url: `${GITHUB_RAW_BASE}/daemon/override.js` },
+  { name: 'focusctl.js', url: `${GITHUB_RAW_BASE}/daemon/focusctl.js` },
+  { name: 'prompt.js', url: `${GITHUB_RAW_BASE}/daemon/prompt.js` },
 ];
 
+// Prompt and status line snippets for prompt.js, see integrations/
+const INTEGRATION_FILES = ['prompt.bash', 'prompt.zsh', 'starship.toml', 'focus-mode.tmux'];
+
+// Wraps what --shell-prompt and --tmux add to dotfiles (must match uninstall.js)
+const CONFIG_BLOCK_START = '# >>> claude-focus-mode >>>';
+const CONFIG_BLOCK_END = '# <<< claude-focus-mode <<<';
+
+// Written to config.json on first install so the options are discoverable.
+// Must match DEFAULTS in daemon/config.js.
+const DEFAULT_CONFIG = {
+  port: 31415,
+  activityTimeoutMinutes: 2,
+  workingStaleMinutes: 5,
+  sessionRetentionHours: 1,
+  historyMaxMegabytes: 5,
+  historyFiles: 5,
+};
+
+// Claude Code hook events that record-activity.js understands.
+// Only PostToolUse takes a tool matcher.
+const HOOK_EVENTS = ['PostToolUse', 'UserPromptSubmit', 'Stop', 'Notification', 'SessionStart', 'SessionEnd'];
+const HOOK_COMMAND = 'node ~/.claude/productivity/daemon/record-activity.js';
+
 const EXTENSION_FILES = [
   'manifest.json',
   'background.js',
   'content.js',
   'media-controller.js',
+  'overlay-guard.js',
+  'match-patterns.js',
+  'site-rules.js',
+  'hard-block.js',
+  'breaks.js',
+  'redirects.js',
+  'schedules.js',
+  'timeouts.js',
+  'sessions.js',
   'popup.html',
   'popup.js',
   'popup.css',
   'styles.css',
+  'overlay.css',
   'onboarding.html',
   'onboarding.js',
   'onboarding.css',
+  'dashboard.html',
+  'dashboard.js',
+  'dashboard.css',
+  'paused.html',
+  'paused.js',
+  'paused.css',
   'icon16.png',
   'icon48.png',
   'icon128.png',
@@ -57,7 +115,9 @@ const PATHS = {
     daemon: path.join(HOME, '.claude', 'productivity', 'daemon'),
     logs: path.join(HOME, '.claude', 'productivity', 'daemon', 'logs'),
     extension: path.join(HOME, '.claude', 'productivity', 'extension'),
+    integrations: path.join(HOME, '.claude', 'productivity', 'integrations'),
     launchAgent: path.join(HOME, 'Library', 'LaunchAgents', 'com.claude.productivity-daemon.plist'),
+    bin: path.join(HOME, '.local', 'bin'),
   },
   linux: {
     claude: path.join(HOME, '.claude'),
@@ -65,8 +125,10 @@ const PATHS = {
     daemon: path.join(HOME, '.claude', 'productivity', 'daemon'),
     logs: path.join(HOME, '.claude', 'productivity', 'daemon', 'logs'),
     extension: path.join(HOME, '.claude', 'productivity', 'extension'),
+    integrations: path.join(HOME, '.claude', 'productivity', 'integrations'),
     systemdUser: path.join(HOME, '.config', 'systemd', 'user'),
     systemdService: path.join(HOME, '.config', 'systemd', 'user', 'claude-focus-daemon.service'),
+    bin: path.join(HOME, '.local', 'bin'),
   },
   win32: {
     claude: path.join(HOME, '.claude'),
@@ -74,8 +136,10 @@ const PATHS = {
     daemon: path.join(HOME, '.claude', 'productivity', 'daemon'),
     logs: path.join(HOME, '.claude', 'productivity', 'daemon', 'logs'),
     extension: path.join(HOME, '.claude', 'productivity', 'extension'),
+    integrations: path.join(HOME, '.claude', 'productivity', 'integrations'),
     startupFolder: path.join(HOME, 'AppData', 'Roaming', 'Microsoft', 'Windows', 'Start Menu', 'Programs', 'Startup'),
     startupScript: path.join(HOME, 'AppData', 'Roaming', 'Microsoft', 'Windows', 'Start Menu', 'Programs', 'Startup', 'claude-focus-daemon.vbs'),
+    bin: path.join(HOME, '.claude', 'productivity', 'bin'),
   },
 };
 
@@ -85,6 +149,14 @@ if (!paths) {
   process.exit(1);
 }
 
+// focusctl is linked into the first of these that is on PATH and writable,
+// else into paths.bin (must match uninstall.js)
+const CLI_NAME = PLATFORM === 'win32' ? 'focusctl.cmd' : 'focusctl';
+const CLI_DIRS = PLATFORM === 'win32' ? [paths.bin] : [paths.bin, '/usr/local/bin', '/opt/homebrew/bin'];
+// Where older installers put the Windows wrapper. That folder belongs to the
+// app execution aliases, so it is only cleaned up now.
+const LEGACY_WINDOWS_CLI = path.join(HOME, 'AppData', 'Local', 'Microsoft', 'WindowsApps', 'focusctl.cmd');
+
 function log(msg) {
   console.log(msg);
 }
@@ -149,6 +221,23 @@ async function downloadDaemonFiles() {
   }
 }
 
+/**
+ * Download the prompt and tmux snippets from GitHub
+ */
+async function downloadIntegrationFiles() {
+  log('Downloading shell integrations from GitHub...');
+
+  for (const name of INTEGRATION_FILES) {
+    const destPath = path.join(paths.integrations, name);
+    try {
+      await downloadFile(`${GITHUB_RAW_BASE}/integrations/${name}`, destPath);
+      log(`   Downloaded ${name}`);
+    } catch (e) {
+      throw new Error(`Failed to download ${name}: ${e.message}`);
+    }
+  }
+}
+
 /**
  * Download all extension files from GitHub (for --dev mode)
  */
@@ -319,8 +408,196 @@ function setupDaemon() {
   }
 }
 
+function isOnPath(dir) {
+  return (process.env.PATH || '')
+    .split(path.delimiter)
+    .some(entry => entry && path.resolve(entry) === path.resolve(dir));
+}
+
+function isWritableDir(dir) {
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+    return true;
+  } catch (e) {
+    // paths.bin is created on demand
+    return e.code === 'ENOENT' && dir === paths.bin;
+  }
+}
+
+function getCliPath() {
+  const dir = CLI_DIRS.find(candidate => isOnPath(candidate) && isWritableDir(candidate)) || paths.bin;
+  return path.join(dir, CLI_NAME);
+}
+
+/**
+ * Put focusctl on PATH: a symlink to daemon/focusctl.js on macOS/Linux, a
+ * .cmd wrapper in ~/.claude/productivity/bin on Windows.
+ */
+function installCli() {
+  log('Installing focusctl...');
+
+  const script = path.join(paths.daemon, 'focusctl.js');
+  const cliPath = getCliPath();
+  ensureDir(path.dirname(cliPath));
+
+  if (PLATFORM === 'win32') {
+    fs.writeFileSync(cliPath, `@echo off\r\nnode "${script}" %*\r\n`);
+    try {
+      if (fs.readFileSync(LEGACY_WINDOWS_CLI, 'utf8').includes('focusctl.js')) {
+        fs.unlinkSync(LEGACY_WINDOWS_CLI);
+        log(`   Removed the old ${LEGACY_WINDOWS_CLI}`);
+      }
+    } catch {}
+  } else {
+    fs.chmodSync(script, 0o755);
+    fs.rmSync(cliPath, { force: true });
+    fs.symlinkSync(script, cliPath);
+  }
+
+  log(`   Installed ${cliPath}`);
+  const dir = path.dirname(cliPath);
+  if (!isOnPath(dir)) {
+    log(`   ${dir} is not on your PATH - add it to run focusctl from anywhere`);
+    if (PLATFORM === 'win32') {
+      log(`   In PowerShell: [Environment]::SetEnvironmentVariable('Path', [Environment]::GetEnvironmentVariable('Path', 'User') + ';${dir}', 'User')`);
+    }
+  }
+}
+
+/**
+ * Append `body` to a dotfile between the CONFIG_BLOCK markers, once.
+ */
+function addConfigBlock(file, body) {
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+  if (existing.includes(CONFIG_BLOCK_START)) {
+    log(`   ${file} already set up`);
+    return;
+  }
+
+  const separator = existing && !existing.endsWith('\n') ? '\n\n' : existing ? '\n' : '';
+  ensureDir(path.dirname(file));
+  fs.appendFileSync(file, `${separator}${CONFIG_BLOCK_START}\n${body.trimEnd()}\n${CONFIG_BLOCK_END}\n`);
+  log(`   Updated ${file}`);
+}
+
+/**
+ * --shell-prompt: source the prompt snippet from ~/.bashrc and ~/.zshrc, or
+ * add the starship module when a shell starts starship (it owns the prompt).
+ */
+function wireShellPrompt() {
+  log('Adding focus status to your shell prompt...');
+
+  if (PLATFORM === 'win32') {
+    log('   Skipped - the prompt snippets are for bash, zsh and starship');
+    return;
+  }
+
+  const shells = [
+    { rc: path.join(HOME, '.bashrc'), snippet: 'prompt.bash' },
+    { rc: path.join(HOME, '.zshrc'), snippet: 'prompt.zsh' },
+  ].filter(({ rc }) => fs.existsSync(rc));
+  if (shells.length === 0) {
+    log('   No ~/.bashrc or ~/.zshrc found - see ~/.claude/productivity/integrations/');
+    return;
+  }
+
+  let starship = false;
+  for (const { rc, snippet } of shells) {
+    if (fs.readFileSync(rc, 'utf-8').includes('starship init')) {
+      starship = true;
+    } else {
+      addConfigBlock(rc, `source "${path.join(paths.integrations, snippet)}"`);
+    }
+  }
+
+  if (starship) {
+    const starshipConfig = process.env.STARSHIP_CONFIG || path.join(HOME, '.config', 'starship.toml');
+    addConfigBlock(starshipConfig, fs.readFileSync(path.join(paths.integrations, 'starship.toml'), 'utf-8'));
+  }
+}
+
+/**
+ * --tmux: source the status-right snippet from the tmux config.
+ */
+function wireTmux() {
+  log('Adding focus status to tmux...');
+
+  if (PLATFORM === 'win32') {
+    log('   Skipped - tmux is not available on Windows');
+    return;
+  }
+
+  // tmux 3.1+ also reads the XDG location, but only when ~/.tmux.conf is missing
+  const xdgConfig = path.join(HOME, '.config', 'tmux', 'tmux.conf');
+  const tmuxConfig = !fs.existsSync(path.join(HOME, '.tmux.conf')) && fs.existsSync(xdgConfig)
+    ? xdgConfig
+    : path.join(HOME, '.tmux.conf');
+  addConfigBlock(tmuxConfig, `source-file "${path.join(paths.integrations, 'focus-mode.tmux')}"`);
+  log('   Reload with: tmux source-file ' + tmuxConfig);
+}
+
+/**
+ * Create config.json with defaults, keeping any existing file untouched
+ */
+function writeDefaultConfig() {
+  const configPath = path.join(paths.productivity, 'config.json');
+  if (fs.existsSync(configPath)) {
+    log('   config.json already exists');
+    return;
+  }
+  fs.writeFileSync(configPath, JSON.stringify(DEFAULT_CONFIG, null, 2));
+  log('   Created config.json with defaults');
+}
+
+/**
+ * Create the daemon API token (auth.json, owner-only) if missing, and open a
+ * 10-minute pairing window so the extension can fetch it during onboarding.
+ * Format must match daemon/auth.js.
+ */
+function setupAuthToken() {
+  const authPath = path.join(paths.productivity, 'auth.json');
+  let auth = null;
+
+  if (!ROTATE_TOKEN && fs.existsSync(authPath)) {
+    try {
+      auth = JSON.parse(fs.readFileSync(authPath, 'utf-8'));
+      if (typeof auth.token !== 'string' || auth.token.length < 32) auth = null;
+    } catch {
+      auth = null;
+    }
+  }
+
+  const created = !auth;
+  if (created) {
+    auth = { token: crypto.randomBytes(32).toString('hex') };
+  }
+  auth.pairingOpenedAt = Date.now();
+
+  fs.writeFileSync(authPath, JSON.stringify(auth, null, 2), { mode: 0o600 });
+  fs.chmodSync(authPath, 0o600);
+  log(created ? '   Generated API token (auth.json)' : '   Kept existing API token (auth.json)');
+  log('   Extension pairing open for 10 minutes');
+}
+
+/**
+ * Daemon port from config.json (falls back to the default)
+ */
+function getDaemonPort() {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(paths.productivity, 'config.json'), 'utf-8'));
+    if (Number.isInteger(config.port)) return config.port;
+  } catch {}
+  return DEFAULT_CONFIG.port;
+}
+
+function hasRecordActivityHook(entries) {
+  return (entries || []).some(h =>
+    h.hooks && h.hooks.some(hh => hh.command && hh.command.includes('record-activity.js'))
+  );
+}
+
 function updateClaudeSettings() {
-  log('Configuring Claude Code hook...');
+  log('Configuring Claude Code hooks...');
 
   const settingsPath = path.join(paths.claude, 'settings.json');
   let settings = {};
@@ -334,25 +611,31 @@ function updateClaudeSettings() {
   }
 
   if (!settings.hooks) settings.hooks = {};
-  if (!settings.hooks.PostToolUse) settings.hooks.PostToolUse = [];
 
-  // Check if hook already exists
-  const hookExists = settings.hooks.PostToolUse.some(h =>
-    h.hooks && h.hooks.some(hh => hh.command && hh.command.includes('record-activity.js'))
-  );
+  const added = [];
+  for (const event of HOOK_EVENTS) {
+    if (!settings.hooks[event]) settings.hooks[event] = [];
 
-  if (!hookExists) {
-    settings.hooks.PostToolUse.push({
-      matcher: '*',
+    // Check if hook already exists
+    if (hasRecordActivityHook(settings.hooks[event])) continue;
+
+    const entry = {
       hooks: [{
         type: 'command',
-        command: 'node ~/.claude/productivity/daemon/record-activity.js'
+        command: HOOK_COMMAND
       }]
-    });
+    };
+    if (event === 'PostToolUse') entry.matcher = '*';
+
+    settings.hooks[event].push(entry);
+    added.push(event);
+  }
+
+  if (added.length > 0) {
     fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-    log('   Hook added to settings.json');
+    log(`   Hooks added to settings.json: ${added.join(', ')}`);
   } else {
-    log('   Hook already exists in settings.json');
+    log('   Hooks already exist in settings.json');
   }
 }
 
@@ -377,6 +660,20 @@ async function verifyInstallation() {
   // 1. Check daemon files
   check('server.js installed', fs.existsSync(path.join(paths.daemon, 'server.js')));
   check('record-activity.js installed', fs.existsSync(path.join(paths.daemon, 'record-activity.js')));
+  check('config.js installed', fs.existsSync(path.join(paths.daemon, 'config.js')));
+  check('auth.js installed', fs.existsSync(path.join(paths.daemon, 'auth.js')));
+  check('history.js installed', fs.existsSync(path.join(paths.daemon, 'history.js')));
+  check('lock-schedule.js installed', fs.existsSync(path.join(paths.daemon, 'lock-schedule.js')));
+  check('session-activity.js installed', fs.existsSync(path.join(paths.daemon, 'session-activity.js')));
+  check('terminal-window.js installed', fs.existsSync(path.join(paths.daemon, 'terminal-window.js')));
+  check('websocket.js installed', fs.existsSync(path.join(paths.daemon, 'websocket.js')));
+  check('protocol.js installed', fs.existsSync(path.join(paths.daemon, 'protocol.js')));
+  check('sse.js installed', fs.existsSync(path.join(paths.daemon, 'sse.js')));
+  check('override.js installed', fs.existsSync(path.join(paths.daemon, 'override.js')));
+  check('prompt.js installed', fs.existsSync(path.join(paths.daemon, 'prompt.js')));
+  check('Shell integrations installed', INTEGRATION_FILES.every(name => fs.existsSync(path.join(paths.integrations, name))));
+  check('focusctl installed', fs.existsSync(getCliPath()));
+  check('API token created', fs.existsSync(path.join(paths.productivity, 'auth.json')));
 
   // Check server.js has WebSocket support
   const serverContent = fs.existsSync(path.join(paths.daemon, 'server.js'))
@@ -392,16 +689,15 @@ async function verifyInstallation() {
 
   // 2. Check Claude settings hook
   const settingsPath = path.join(paths.claude, 'settings.json');
-  let hookConfigured = false;
+  let settings = {};
   if (fs.existsSync(settingsPath)) {
     try {
-      const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
-      hookConfigured = settings.hooks?.PostToolUse?.some(h =>
-        h.hooks?.some(hh => hh.command?.includes('record-activity.js'))
-      );
+      settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
     } catch {}
   }
-  check('PostToolUse hook configured', hookConfigured);
+  for (const event of HOOK_EVENTS) {
+    check(`${event} hook configured`, hasRecordActivityHook(settings.hooks?.[event]));
+  }
 
   // 3. Check platform-specific auto-start
   if (PLATFORM === 'darwin') {
@@ -423,10 +719,11 @@ async function verifyInstallation() {
   }
 
   // 5. Check daemon is responding
+  const port = getDaemonPort();
   const daemonHealth = await new Promise((resolve) => {
     setTimeout(() => {
       const http = require('http');
-      const req = http.get('http://127.0.0.1:31415/health', (res) => {
+      const req = http.get(`http://127.0.0.1:${port}/health`, (res) => {
         let data = '';
         res.on('data', chunk => data += chunk);
         res.on('end', () => {
@@ -449,7 +746,7 @@ async function verifyInstallation() {
     check('Daemon running', true, `uptime: ${Math.round(daemonHealth.uptime)}s`);
     check('Daemon healthy', daemonHealth.ok === true);
   } else {
-    check('Daemon running', false, 'Not responding on port 31415');
+    check('Daemon running', false, `Not responding on port ${port}`);
     allPassed = false;
   }
 
@@ -471,9 +768,13 @@ async function main() {
   ensureDir(paths.productivity);
   ensureDir(paths.daemon);
   ensureDir(paths.logs);
+  ensureDir(paths.integrations);
 
   // Download daemon files from GitHub
   await downloadDaemonFiles();
+  await downloadIntegrationFiles();
+  writeDefaultConfig();
+  setupAuthToken();
 
   // In dev mode, also get extension files
   if (IS_DEV_MODE) {
@@ -483,6 +784,10 @@ async function main() {
     }
   }
 
+  installCli();
+  if (WIRE_SHELL_PROMPT) wireShellPrompt();
+  if (WIRE_TMUX) wireTmux();
+
   // Update Claude settings
   updateClaudeSettings();
 
@@ -511,20 +816,26 @@ async function main() {
     console.log('   - Click "Load unpacked"');
     console.log(`   - Select: ${paths.extension}`);
     console.log('');
-    console.log('2. Restart Claude Code to activate the hook');
+    console.log('2. Restart Claude Code to activate the hooks');
     console.log('');
   } else {
     console.log('Next step:');
     console.log('');
-    console.log('   RESTART Claude Code to activate the hook');
+    console.log('   RESTART Claude Code to activate the hooks');
     console.log('');
     console.log('The browser extension will detect the daemon automatically.');
     console.log('');
   }
 
   console.log('Useful commands:');
-  console.log('   Check status: curl http://127.0.0.1:31415/status');
-  console.log('   Check health: curl http://127.0.0.1:31415/health');
+  console.log(`   Check status: curl -H "Authorization: Bearer $(node -p \"require('${path.join(paths.productivity, 'auth.json')}').token\")" http://127.0.0.1:${getDaemonPort()}/status`);
+  console.log(`   Check health: curl http://127.0.0.1:${getDaemonPort()}/health`);
+  console.log('   From a shell: focusctl status (focusctl --help for more)');
+  if (!WIRE_SHELL_PROMPT || !WIRE_TMUX) {
+    console.log('   Prompt/tmux:  re-run with --shell-prompt and/or --tmux to show status there');
+  }
+  console.log(`   Edit config:  ${path.join(paths.productivity, 'config.json')} (reloaded automatically)`);
+  console.log('   Re-pair:      re-run the installer, then reopen the extension onboarding page');
   console.log('');
 
   if (!installSuccess) {
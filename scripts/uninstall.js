@@ -17,22 +17,30 @@ const { execSync } = require('child_process');
 const PLATFORM = process.platform;
 const HOME = os.homedir();
 
+// Hook events registered by the installer
+const HOOK_EVENTS = ['PostToolUse', 'UserPromptSubmit', 'Stop', 'Notification', 'SessionStart', 'SessionEnd'];
+
 // Platform-specific paths
 const PATHS = {
   darwin: {
     claude: path.join(HOME, '.claude'),
     productivity: path.join(HOME, '.claude', 'productivity'),
     launchAgent: path.join(HOME, 'Library', 'LaunchAgents', 'com.claude.productivity-daemon.plist'),
+    bin: path.join(HOME, '.local', 'bin'),
   },
   linux: {
     claude: path.join(HOME, '.claude'),
     productivity: path.join(HOME, '.claude', 'productivity'),
     systemdService: path.join(HOME, '.config', 'systemd', 'user', 'claude-focus-daemon.service'),
+    bin: path.join(HOME, '.local', 'bin'),
   },
   win32: {
     claude: path.join(HOME, '.claude'),
     productivity: path.join(HOME, '.claude', 'productivity'),
     startupScript: path.join(HOME, 'AppData', 'Roaming', 'Microsoft', 'Windows', 'Start Menu', 'Programs', 'Startup', 'claude-focus-daemon.vbs'),
+    bin: path.join(HOME, '.claude', 'productivity', 'bin'),
+    // Where older installers put focusctl.cmd
+    legacyBin: path.join(HOME, 'AppData', 'Local', 'Microsoft', 'WindowsApps'),
   },
 };
 
@@ -42,6 +50,22 @@ if (!paths) {
   process.exit(1);
 }
 
+// Where the installer may have put focusctl (must match install.js)
+const CLI_NAME = PLATFORM === 'win32' ? 'focusctl.cmd' : 'focusctl';
+const CLI_DIRS = PLATFORM === 'win32' ? [paths.bin, paths.legacyBin] : [paths.bin, '/usr/local/bin', '/opt/homebrew/bin'];
+
+// Dotfiles install.js --shell-prompt / --tmux may have added a block to,
+// between these markers (must match install.js)
+const CONFIG_BLOCK_START = '# >>> claude-focus-mode >>>';
+const CONFIG_BLOCK_END = '# <<< claude-focus-mode <<<';
+const CONFIG_BLOCK_FILES = [
+  path.join(HOME, '.bashrc'),
+  path.join(HOME, '.zshrc'),
+  process.env.STARSHIP_CONFIG || path.join(HOME, '.config', 'starship.toml'),
+  path.join(HOME, '.tmux.conf'),
+  path.join(HOME, '.config', 'tmux', 'tmux.conf'),
+];
+
 function log(msg) {
   console.log(msg);
 }
@@ -122,8 +146,43 @@ function stopDaemon() {
   }
 }
 
+/**
+ * Remove focusctl from PATH, leaving any other program of that name alone.
+ */
+function removeCli() {
+  for (const dir of CLI_DIRS) {
+    const file = path.join(dir, CLI_NAME);
+    try {
+      const target = PLATFORM === 'win32' ? fs.readFileSync(file, 'utf8') : fs.readlinkSync(file);
+      if (!target.includes('focusctl.js')) continue;
+      fs.unlinkSync(file);
+      log(`   Removed ${file}`);
+    } catch {}
+  }
+}
+
+/**
+ * Take the prompt and tmux blocks back out of the dotfiles - they source
+ * files that no longer exist.
+ */
+function removeConfigBlocks() {
+  for (const file of CONFIG_BLOCK_FILES) {
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      const start = content.indexOf(CONFIG_BLOCK_START);
+      const end = content.indexOf(CONFIG_BLOCK_END, start);
+      if (start === -1 || end === -1) continue;
+
+      const before = content.slice(0, start).replace(/\n+$/, '\n');
+      const after = content.slice(end + CONFIG_BLOCK_END.length).replace(/^\n/, '');
+      fs.writeFileSync(file, before === '\n' ? after : before + after);
+      log(`   Removed focus status from ${file}`);
+    } catch {}
+  }
+}
+
 function removeHookFromSettings() {
-  log('Removing Claude Code hook...');
+  log('Removing Claude Code hooks...');
 
   const settingsPath = path.join(paths.claude, 'settings.json');
 
@@ -135,23 +194,31 @@ function removeHookFromSettings() {
   try {
     const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
 
-    if (settings.hooks && settings.hooks.PostToolUse) {
-      const originalLength = settings.hooks.PostToolUse.length;
+    if (settings.hooks) {
+      const removed = [];
+
+      for (const event of HOOK_EVENTS) {
+        if (!settings.hooks[event]) continue;
+        const originalLength = settings.hooks[event].length;
 
-      settings.hooks.PostToolUse = settings.hooks.PostToolUse.filter(h =>
-        !(h.hooks && h.hooks.some(hh => hh.command && hh.command.includes('record-activity.js')))
-      );
+        settings.hooks[event] = settings.hooks[event].filter(h =>
+          !(h.hooks && h.hooks.some(hh => hh.command && hh.command.includes('record-activity.js')))
+        );
 
-      if (settings.hooks.PostToolUse.length === 0) {
-        delete settings.hooks.PostToolUse;
+        if (settings.hooks[event].length !== originalLength) {
+          removed.push(event);
+        }
+        if (settings.hooks[event].length === 0) {
+          delete settings.hooks[event];
+        }
       }
       if (Object.keys(settings.hooks).length === 0) {
         delete settings.hooks;
       }
 
-      if (settings.hooks?.PostToolUse?.length !== originalLength) {
+      if (removed.length > 0) {
         fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
-        log('   Hook removed from settings.json');
+        log(`   Hooks removed from settings.json: ${removed.join(', ')}`);
       } else {
         log('   Hook not found in settings.json');
       }
@@ -179,6 +246,8 @@ function main() {
   } else {
     log('   Productivity directory not found');
   }
+  removeCli();
+  removeConfigBlocks();
 
   // Remove hook from settings
   removeHookFromSettings();
@@ -0,0 +1,178 @@
+/**
+ * Tests for daemon API authentication helpers (daemon/auth.js)
+ *
+ * Run: node --test tests/auth.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateToken, isAllowedOrigin, isExtensionOrigin } = require('../daemon/auth');
+
+const TOKEN = 'a'.repeat(64);
+
+/**
+ * auth.js keeps auth.json next to its directory, so these tests load a fresh
+ * copy of it from a temp directory.
+ */
+function loadAuthCopy() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'focus-auth-'));
+  fs.mkdirSync(path.join(dir, 'daemon'));
+  fs.copyFileSync(path.join(__dirname, '..', 'daemon', 'auth.js'), path.join(dir, 'daemon', 'auth.js'));
+  return { dir, auth: require(path.join(dir, 'daemon', 'auth.js')) };
+}
+
+// Each write gets its own mtime so loadAuth's cache sees it
+let mtime = Date.now() / 1000;
+function writeAuthFile(file, contents) {
+  fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  mtime += 1;
+  fs.utimesSync(file, mtime, mtime);
+}
+
+function request(headers = {}, query = '') {
+  return [{ headers }, new URL(`http://127.0.0.1/status${query}`)];
+}
+
+describe('generateToken', () => {
+  it('returns 64 hex characters', () => {
+    assert.match(generateToken(), /^[0-9a-f]{64}$/);
+  });
+
+  it('returns a different token each call', () => {
+    assert.notEqual(generateToken(), generateToken());
+  });
+});
+
+describe('isAllowedOrigin', () => {
+  it('allows requests without an Origin (curl, hooks)', () => {
+    assert.equal(isAllowedOrigin(undefined), true);
+    assert.equal(isAllowedOrigin(''), true);
+  });
+
+  it('allows extension pages', () => {
+    assert.equal(isAllowedOrigin('chrome-extension://abcdefghijklmnop'), true);
+  });
+
+  it('rejects web pages', () => {
+    assert.equal(isAllowedOrigin('https://www.youtube.com'), false);
+    assert.equal(isAllowedOrigin('http://127.0.0.1:8080'), false);
+    assert.equal(isAllowedOrigin('null'), false);
+  });
+});
+
+describe('isExtensionOrigin', () => {
+  it('accepts extension pages only, not local tools', () => {
+    assert.equal(isExtensionOrigin('chrome-extension://abcdefghijklmnop'), true);
+    assert.equal(isExtensionOrigin(undefined), false);
+    assert.equal(isExtensionOrigin('https://chrome-extension.example.com'), false);
+  });
+});
+
+describe('loadAuth', () => {
+  let dir;
+  let auth;
+
+  beforeEach((t) => {
+    ({ dir, auth } = loadAuthCopy());
+    t.mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('generates a token and opens pairing when auth.json is missing', () => {
+    const created = auth.loadAuth();
+
+    assert.match(created.token, /^[0-9a-f]{64}$/);
+    assert.equal(auth.isPairingOpen(), true);
+    assert.equal(JSON.parse(fs.readFileSync(auth.AUTH_FILE, 'utf-8')).token, created.token);
+  });
+
+  it('keeps the current token when auth.json turns unreadable', () => {
+    writeAuthFile(auth.AUTH_FILE, { token: TOKEN, pairingOpenedAt: 0 });
+    assert.equal(auth.loadAuth().token, TOKEN);
+
+    writeAuthFile(auth.AUTH_FILE, '{ "token": ');
+    assert.equal(auth.loadAuth().token, TOKEN);
+    assert.equal(auth.loadAuth().token, TOKEN);
+
+    assert.equal(fs.readFileSync(auth.AUTH_FILE, 'utf-8'), '{ "token": ');
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('rejects everything instead of replacing an invalid auth.json', () => {
+    writeAuthFile(auth.AUTH_FILE, { token: 'short' });
+
+    assert.equal(auth.loadAuth(), null);
+    assert.equal(auth.isAuthorized(...request({ authorization: 'Bearer short' })), false);
+    assert.equal(auth.isPairingOpen(), false);
+    assert.deepEqual(JSON.parse(fs.readFileSync(auth.AUTH_FILE, 'utf-8')), { token: 'short' });
+  });
+
+  it('picks up a fixed auth.json', () => {
+    writeAuthFile(auth.AUTH_FILE, 'not json');
+    assert.equal(auth.loadAuth(), null);
+
+    writeAuthFile(auth.AUTH_FILE, { token: TOKEN });
+    assert.equal(auth.loadAuth().token, TOKEN);
+  });
+});
+
+describe('isAuthorized', () => {
+  let dir;
+  let auth;
+
+  beforeEach(() => {
+    ({ dir, auth } = loadAuthCopy());
+    writeAuthFile(auth.AUTH_FILE, { token: TOKEN, pairingOpenedAt: 0 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('accepts the token as a bearer header or a query parameter', () => {
+    assert.equal(auth.isAuthorized(...request({ authorization: `Bearer ${TOKEN}` })), true);
+    assert.equal(auth.isAuthorized(...request({ authorization: `bearer ${TOKEN}` })), true);
+    assert.equal(auth.isAuthorized(...request({}, `?token=${TOKEN}`)), true);
+  });
+
+  it('rejects missing, wrong and truncated tokens', () => {
+    assert.equal(auth.isAuthorized(...request()), false);
+    assert.equal(auth.isAuthorized(...request({ authorization: `Bearer ${'b'.repeat(64)}` })), false);
+    assert.equal(auth.isAuthorized(...request({ authorization: `Bearer ${TOKEN.slice(1)}` })), false);
+    assert.equal(auth.isAuthorized(...request({ authorization: TOKEN })), false);
+  });
+});
+
+describe('isPairingOpen', () => {
+  let dir;
+  let auth;
+
+  beforeEach(() => {
+    ({ dir, auth } = loadAuthCopy());
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is open for PAIRING_WINDOW_MS after the installer ran', () => {
+    writeAuthFile(auth.AUTH_FILE, { token: TOKEN, pairingOpenedAt: Date.now() - auth.PAIRING_WINDOW_MS + 60 * 1000 });
+    assert.equal(auth.isPairingOpen(), true);
+
+    writeAuthFile(auth.AUTH_FILE, { token: TOKEN, pairingOpenedAt: Date.now() - auth.PAIRING_WINDOW_MS });
+    assert.equal(auth.isPairingOpen(), false);
+  });
+
+  it('is closed without a pairingOpenedAt', () => {
+    writeAuthFile(auth.AUTH_FILE, { token: TOKEN });
+
+    assert.equal(auth.isPairingOpen(), false);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for the break budget (extension/breaks.js)
+ *
+ * Drives the real bookkeeping with a controllable clock; chrome.storage and
+ * chrome.alarms are replaced by in-memory records.
+ *
+ * Run: node --test tests/breaks.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  NO_BREAK,
+  localDayKey,
+  getBreakInfo,
+  applyBreak,
+  beginBreak,
+  finishBreak,
+} = require('../extension/breaks.js');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * The background worker's use of breaks.js, with a controllable clock and
+ * the end alarm as a plain field.
+ */
+function createBreaks({ budget, now }) {
+  const clock = { now };
+  const alarms = {};
+  let state = NO_BREAK;
+
+  const info = () => getBreakInfo(state, budget, clock.now);
+
+  return {
+    clock,
+    alarms,
+    getBreakInfo: info,
+    currentStatus: (lastStatus) => applyBreak(lastStatus, info()),
+    startBreak() {
+      const result = beginBreak(state, budget, clock.now);
+      if (result.error) return { ok: false, error: result.error, ...info() };
+      state = result.state;
+      alarms.breakEnd = state.until;
+      return { ok: true, ...info() };
+    },
+    endBreak() {
+      state = finishBreak(state, clock.now);
+      delete alarms.breakEnd;
+      return { ok: true, ...info() };
+    },
+  };
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+describe('break budget', () => {
+  const NOON = new Date(2026, 0, 15, 12, 0).getTime();
+  let breaks;
+
+  beforeEach(() => {
+    breaks = createBreaks({ budget: 15, now: NOON });
+  });
+
+  it('starts with the full budget', () => {
+    assert.deepEqual(breaks.getBreakInfo(), {
+      onBreak: false,
+      breakUntil: null,
+      breakMinutes: 5,
+      breakRemainingMinutes: 15,
+    });
+  });
+
+  it('starting a break unlocks and schedules the end alarm', () => {
+    const result = breaks.startBreak();
+
+    assert.equal(result.ok, true);
+    assert.equal(result.onBreak, true);
+    assert.equal(breaks.alarms.breakEnd, NOON + 5 * MINUTE);
+    assert.equal(result.breakRemainingMinutes, 10);
+  });
+
+  it('a break overrides a locked status', () => {
+    breaks.startBreak();
+    const status = breaks.currentStatus({ active: false, needsAttention: true });
+
+    assert.equal(status.active, true);
+    assert.equal(status.needsAttention, false);
+  });
+
+  it('re-arms once the break time has passed', () => {
+    breaks.startBreak();
+    breaks.clock.now += 5 * MINUTE;
+
+    assert.equal(breaks.currentStatus({ active: false }).active, false);
+  });
+
+  it('refuses a second break while one is running', () => {
+    breaks.startBreak();
+
+    assert.equal(breaks.startBreak().ok, false);
+  });
+
+  it('ending early refunds the unused minutes', () => {
+    breaks.startBreak();
+    breaks.clock.now += 2 * MINUTE;
+    const result = breaks.endBreak();
+
+    assert.equal(result.onBreak, false);
+    assert.equal(result.breakRemainingMinutes, 13);
+    assert.equal(breaks.alarms.breakEnd, undefined);
+  });
+
+  it('the last break of the day is shortened to what is left', () => {
+    breaks = createBreaks({ budget: 7, now: NOON });
+    breaks.startBreak();
+    breaks.clock.now += 5 * MINUTE;
+    breaks.endBreak();
+
+    const result = breaks.startBreak();
+    assert.equal(result.ok, true);
+    assert.equal(breaks.alarms.breakEnd, breaks.clock.now + 2 * MINUTE);
+  });
+
+  it('refuses a break when the budget is used up', () => {
+    breaks = createBreaks({ budget: 5, now: NOON });
+    breaks.startBreak();
+    breaks.clock.now += 5 * MINUTE;
+    breaks.endBreak();
+
+    const result = breaks.startBreak();
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'No break time left today');
+  });
+
+  it('resets the budget at midnight', () => {
+    breaks = createBreaks({ budget: 5, now: NOON });
+    breaks.startBreak();
+    breaks.clock.now = new Date(2026, 0, 16, 0, 1).getTime();
+
+    assert.equal(breaks.getBreakInfo().breakRemainingMinutes, 5);
+  });
+});
+
+describe('applyBreak', () => {
+  const UNTIL = 1000 * MINUTE;
+  const onBreak = { onBreak: true, breakUntil: UNTIL, breakMinutes: 5, breakRemainingMinutes: 10 };
+
+  it('locks a locked site again when the break ends', () => {
+    assert.equal(applyBreak({ active: false }, onBreak).locksAt, UNTIL);
+  });
+
+  it('keeps a later lock time from Claude\'s activity', () => {
+    assert.equal(applyBreak({ active: true, locksAt: UNTIL + MINUTE }, onBreak).locksAt, UNTIL + MINUTE);
+    assert.equal(applyBreak({ active: true, locksAt: UNTIL - MINUTE }, onBreak).locksAt, UNTIL);
+  });
+
+  it('leaves the status alone without a break', () => {
+    const status = applyBreak({ active: false, locksAt: null }, { ...onBreak, onBreak: false, breakUntil: null });
+
+    assert.equal(status.active, false);
+    assert.equal(status.locksAt, null);
+  });
+});
+
+describe('finishBreak', () => {
+  it('does not refund a break from yesterday', () => {
+    const start = new Date(2026, 0, 15, 23, 58).getTime();
+    const { state } = beginBreak(NO_BREAK, 15, start);
+
+    const after = finishBreak(state, start + 3 * MINUTE);
+
+    assert.equal(after.until, null);
+    assert.equal(after.usedMs, 5 * MINUTE);
+    assert.equal(after.day, '2026-01-15');
+  });
+
+  it('does not change the state it is given', () => {
+    const { state } = beginBreak(NO_BREAK, 15, 0);
+
+    finishBreak(state, MINUTE);
+
+    assert.equal(state.until, 5 * MINUTE);
+  });
+});
+
+describe('localDayKey', () => {
+  it('uses the local calendar day', () => {
+    assert.equal(localDayKey(new Date(2026, 0, 5, 0, 30)), '2026-01-05');
+  });
+});
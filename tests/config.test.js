@@ -0,0 +1,104 @@
+/**
+ * Tests for daemon configuration validation (daemon/config.js)
+ *
+ * Run: node --test tests/config.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULTS, validateConfig, resolveConfig } = require('../daemon/config');
+
+describe('validateConfig', () => {
+  it('returns defaults for an empty object', () => {
+    const { config, warnings } = validateConfig({});
+
+    assert.deepEqual(config, DEFAULTS);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('accepts valid overrides', () => {
+    const { config, warnings } = validateConfig({
+      port: 40000,
+      activityTimeoutMinutes: 0.5,
+      sessionRetentionHours: 24,
+    });
+
+    assert.equal(config.port, 40000);
+    assert.equal(config.activityTimeoutMinutes, 0.5);
+    assert.equal(config.sessionRetentionHours, 24);
+    assert.equal(config.workingStaleMinutes, DEFAULTS.workingStaleMinutes);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('falls back to the default for out-of-range values', () => {
+    const { config, warnings } = validateConfig({ port: 80, workingStaleMinutes: 0 });
+
+    assert.equal(config.port, DEFAULTS.port);
+    assert.equal(config.workingStaleMinutes, DEFAULTS.workingStaleMinutes);
+    assert.equal(warnings.length, 2);
+  });
+
+  it('rejects non-integer ports and non-numeric values', () => {
+    const { config, warnings } = validateConfig({ port: 31415.5, activityTimeoutMinutes: '5' });
+
+    assert.equal(config.port, DEFAULTS.port);
+    assert.equal(config.activityTimeoutMinutes, DEFAULTS.activityTimeoutMinutes);
+    assert.equal(warnings.length, 2);
+  });
+
+  it('warns about unknown keys without failing', () => {
+    const { config, warnings } = validateConfig({ prot: 40000 });
+
+    assert.deepEqual(config, DEFAULTS);
+    assert.match(warnings[0], /unknown key "prot"/);
+  });
+
+  it('explains retired keys instead of calling them unknown', () => {
+    const { config, warnings } = validateConfig({ broadcastIntervalSeconds: 5 });
+
+    assert.deepEqual(config, DEFAULTS);
+    assert.match(warnings[0], /"broadcastIntervalSeconds" is no longer used/);
+  });
+
+  it('uses defaults when the config is not an object', () => {
+    for (const raw of [null, [], 42]) {
+      const { config, warnings } = validateConfig(raw);
+
+      assert.deepEqual(config, DEFAULTS);
+      assert.equal(warnings.length, 1);
+    }
+  });
+});
+
+describe('resolveConfig', () => {
+  const missing = { error: Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' }) };
+  const current = { ...DEFAULTS, port: 40000 };
+
+  it('uses defaults for a missing file at startup', () => {
+    assert.deepEqual(resolveConfig(missing), { config: DEFAULTS, warnings: [] });
+  });
+
+  it('falls back to defaults with a warning for a broken file at startup', () => {
+    const { config, warnings, kept } = resolveConfig({ text: '{ "port": 40000,' });
+
+    assert.deepEqual(config, DEFAULTS);
+    assert.match(warnings[0], /using defaults/);
+    assert.equal(kept, undefined);
+  });
+
+  it('keeps the current config when a reload fails', () => {
+    for (const read of [missing, { text: '{ "port": 4' }, { error: new Error('EACCES: permission denied') }]) {
+      const { config, warnings, kept } = resolveConfig(read, current);
+
+      assert.equal(config, current);
+      assert.equal(kept, true);
+      assert.match(warnings[0], /keeping the current config/);
+    }
+  });
+
+  it('validates a readable file whether or not a config is in use', () => {
+    assert.equal(resolveConfig({ text: '{ "port": 40001 }' }, current).config.port, 40001);
+    assert.equal(resolveConfig({ text: '{}' }).config.port, DEFAULTS.port);
+  });
+});
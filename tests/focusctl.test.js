@@ -0,0 +1,162 @@
+/**
+ * Tests for the focusctl command-line client (daemon/focusctl.js)
+ *
+ * Run: node --test tests/focusctl.test.js
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { parseArgs, parseDuration, formatDuration, parseSseEvents, describeStatus } = require('../daemon/focusctl');
+
+const NOW = new Date(2026, 0, 15, 9, 0).getTime();
+
+describe('parseArgs', () => {
+  it('splits the command, its arguments and flags', () => {
+    assert.deepEqual(parseArgs(['config', 'set', 'port', '31416', '--json']), {
+      command: 'config',
+      args: ['set', 'port', '31416'],
+      flags: { json: true },
+    });
+  });
+
+  it('reads flag values in either form, and short flags', () => {
+    assert.deepEqual(parseArgs(['lock-now', '--for', '30m']).flags, { for: '30m' });
+    assert.deepEqual(parseArgs(['status', '--timeout=0.5']).flags, { timeout: '0.5' });
+    assert.deepEqual(parseArgs(['logs', '-f', '-n', '20']).flags, { follow: true, lines: '20' });
+  });
+
+  it('rejects a value flag without a value', () => {
+    assert.throws(() => parseArgs(['lock-now', '--for']), /--for needs a value/);
+  });
+
+  it('has no command for an empty command line', () => {
+    assert.equal(parseArgs([]).command, null);
+  });
+});
+
+describe('parseDuration', () => {
+  it('reads bare numbers as minutes', () => {
+    assert.equal(parseDuration('10'), 10);
+    assert.equal(parseDuration('0'), 0);
+    assert.equal(parseDuration('1.5'), 1.5);
+  });
+
+  it('reads and combines units', () => {
+    assert.equal(parseDuration('90s'), 1.5);
+    assert.equal(parseDuration('10m'), 10);
+    assert.equal(parseDuration('1h30m'), 90);
+  });
+
+  it('rejects anything else', () => {
+    assert.equal(parseDuration('ten'), null);
+    assert.equal(parseDuration('10 m'), null);
+    assert.equal(parseDuration('-5m'), null);
+    assert.equal(parseDuration(undefined), null);
+  });
+});
+
+describe('formatDuration', () => {
+  it('uses the two largest units', () => {
+    assert.equal(formatDuration(45 * 1000), '45s');
+    assert.equal(formatDuration(200 * 1000), '3m 20s');
+    assert.equal(formatDuration(180 * 1000), '3m');
+    assert.equal(formatDuration(65 * 60 * 1000), '1h 5m');
+  });
+
+  it('never goes negative', () => {
+    assert.equal(formatDuration(-5000), '0s');
+  });
+});
+
+describe('parseSseEvents', () => {
+  it('returns complete events and keeps the rest', () => {
+    const { events, rest } = parseSseEvents('retry: 3000\n\nid: 1-a\nevent: status\ndata: {"active":true}\n\nid: 2-b\nev');
+
+    assert.deepEqual(events, [{ id: '1-a', event: 'status', data: '{"active":true}' }]);
+    assert.equal(rest, 'id: 2-b\nev');
+  });
+
+  it('skips heartbeats and joins multi-line data', () => {
+    const { events } = parseSseEvents(': heartbeat\n\ndata: a\ndata: b\n\n');
+
+    assert.deepEqual(events, [{ id: null, event: 'message', data: 'a\nb' }]);
+  });
+});
+
+describe('describeStatus', () => {
+  const session = { id: 's1', project: 'my-app', active: true };
+
+  it('names the project Claude is working in', () => {
+    const status = { active: true, state: 'working', elapsed: 1000, sessions: [session] };
+
+    assert.equal(describeStatus(status, NOW), '● Unlocked - Claude is working in my-app');
+  });
+
+  it('says how long Claude has been idle once locked', () => {
+    const status = { active: false, state: 'idle', elapsed: 200 * 1000, sessions: [] };
+
+    assert.equal(describeStatus(status, NOW), '○ Locked - Claude idle for 3m 20s');
+  });
+
+  it('says when Claude is waiting', () => {
+    const status = { active: false, state: 'waiting-for-user', attention: { sessionId: 's1' }, sessions: [{ ...session, active: false }] };
+
+    assert.equal(describeStatus(status, NOW), '○ Locked - Claude needs you in my-app');
+  });
+
+  it('describes overrides before anything else', () => {
+    const locked = { active: false, override: { mode: 'lock', until: null }, sessions: [] };
+    const snoozed = { active: true, override: { mode: 'unlock', until: NOW + 10 * 60 * 1000 }, sessions: [] };
+
+    assert.equal(describeStatus(locked, NOW), '○ Locked until Claude is active again (manual)');
+    assert.equal(describeStatus(snoozed, NOW), '● Unlocked for 10m (snoozed)');
+  });
+});
+
+describe('watch', () => {
+  const dirs = [];
+
+  after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reconnects when the daemon dies mid-stream', async () => {
+    let connections = 0;
+    // Sends one status, then drops the connection the way a crash does
+    const server = http.createServer((req, res) => {
+      connections++;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('id: 1-aaaaaaaaaaaa\nevent: status\ndata: {"v":1,"type":"status","active":true,"sessions":[]}\n\n');
+      setTimeout(() => req.socket.destroy(), 50);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'focusctl-'));
+    dirs.push(dir);
+    fs.cpSync(path.join(__dirname, '..', 'daemon'), path.join(dir, 'daemon'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ port: server.address().port }));
+    fs.writeFileSync(path.join(dir, 'auth.json'), JSON.stringify({ token: 'a'.repeat(64) }));
+
+    const child = spawn(process.execPath, [path.join(dir, 'daemon', 'focusctl.js'), 'watch'], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const exitCode = child.exitCode;
+    child.kill();
+    await exited;
+    server.close();
+
+    assert.equal(exitCode, null, `watch exited:\n${stderr}`);
+    assert.match(stderr, /reconnecting/);
+    assert.equal(stderr.match(/reconnecting/g).length, 1);
+    assert.equal(connections, 1);
+  });
+});
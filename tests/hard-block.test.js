@@ -0,0 +1,101 @@
+/**
+ * Tests for hard block rules (extension/hard-block.js)
+ *
+ * Locked sites become declarativeNetRequest rules: a main-frame redirect to
+ * the paused page carrying the original URL, and a block for subresources.
+ *
+ * Run: node --test tests/hard-block.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HARD_BLOCK_ALLOWANCE_ID_BASE,
+  buildHardBlockRules,
+  buildHardBlockAllowance,
+  isHardBlockAllowance,
+} = require('../extension/hard-block.js');
+
+const PAUSED_PAGE_URL = 'chrome-extension://abc/paused.html';
+
+/** What Chrome does with a redirect rule's regexSubstitution. */
+function applyRedirect(rule, url) {
+  const match = new RegExp(rule.condition.regexFilter, 'i').exec(url);
+  if (!match) return null;
+  return rule.action.redirect.regexSubstitution.replace(/\\(\d)/g, (_, n) => match[n]);
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+const twitter = { id: 'twitter', patterns: ['*://*.twitter.com/*', '*://*.x.com/*'] };
+const youtube = { id: 'youtube', patterns: ['*://*.youtube.com/*'] };
+
+describe('buildHardBlockRules', () => {
+  it('installs nothing when no site is locked', () => {
+    assert.deepEqual(buildHardBlockRules([], PAUSED_PAGE_URL), []);
+  });
+
+  it('adds a redirect and a block rule per pattern with unique ids', () => {
+    const rules = buildHardBlockRules([twitter, youtube], PAUSED_PAGE_URL);
+
+    assert.equal(rules.length, 6);
+    assert.deepEqual(rules.map(r => r.id), [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual(rules.map(r => r.action.type), ['redirect', 'block', 'redirect', 'block', 'redirect', 'block']);
+  });
+
+  it('only redirects main-frame navigations', () => {
+    const [redirect, block] = buildHardBlockRules([youtube], PAUSED_PAGE_URL);
+
+    assert.deepEqual(redirect.condition.resourceTypes, ['main_frame']);
+    assert.ok(!block.condition.resourceTypes.includes('main_frame'));
+    assert.ok(block.condition.resourceTypes.includes('sub_frame'));
+    assert.ok(block.condition.resourceTypes.includes('xmlhttprequest'));
+  });
+
+  it('carries the original URL to the paused page', () => {
+    const [redirect] = buildHardBlockRules([youtube], PAUSED_PAGE_URL);
+    const url = 'https://www.youtube.com/watch?v=abc&t=10';
+
+    assert.equal(applyRedirect(redirect, url), `${PAUSED_PAGE_URL}#${url}`);
+    assert.equal(new URL(applyRedirect(redirect, url)).hash.slice(1), url);
+    assert.equal(applyRedirect(redirect, 'https://www.reddit.com/'), null);
+  });
+
+  it('skips invalid patterns', () => {
+    const rules = buildHardBlockRules([{ id: 'bad', patterns: ['youtube.com', '*://*.youtube.com/*'] }], PAUSED_PAGE_URL);
+
+    assert.equal(rules.length, 2);
+  });
+});
+
+describe('buildHardBlockAllowance', () => {
+  const matches = (rule, url) => new RegExp(rule.condition.regexFilter, 'i').test(url);
+
+  it('lets only the given sites through, in one tab', () => {
+    const allowance = buildHardBlockAllowance(42, [twitter]);
+
+    assert.equal(allowance.action.type, 'allow');
+    assert.deepEqual(allowance.condition.tabIds, [42]);
+    assert.equal(matches(allowance, 'https://twitter.com/settings'), true);
+    assert.equal(matches(allowance, 'https://mobile.x.com/home'), true);
+    assert.equal(matches(allowance, 'https://www.youtube.com/watch?v=abc'), false);
+  });
+
+  it('outranks the block rules', () => {
+    const [redirect] = buildHardBlockRules([twitter], PAUSED_PAGE_URL);
+
+    assert.ok(buildHardBlockAllowance(42, [twitter]).priority > redirect.priority);
+  });
+
+  it('uses its own id range, one rule per tab', () => {
+    const allowance = buildHardBlockAllowance(42, [twitter, youtube]);
+
+    assert.equal(allowance.id, HARD_BLOCK_ALLOWANCE_ID_BASE + 42);
+    assert.equal(isHardBlockAllowance(allowance), true);
+    assert.equal(isHardBlockAllowance({ id: 7 }), false);
+  });
+
+  it('is null without a valid pattern', () => {
+    assert.equal(buildHardBlockAllowance(42, [{ id: 'bad', patterns: ['youtube.com'] }]), null);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Tests for the history log and its analytics (daemon/history.js)
+ *
+ * The log tests load a copy of the daemon from a temp directory, so they
+ * read and write its own history.jsonl.
+ *
+ * Run: node --test tests/history.test.js
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getActiveIntervals, computeDailyStats } = require('../daemon/history');
+
+const MINUTE = 60 * 1000;
+const OPTIONS = { timeoutMs: 2 * MINUTE, workingStaleMs: 30 * MINUTE };
+
+// 09:00 local time on a fixed day, so day boundaries don't depend on the clock
+const NINE_AM = new Date(2026, 0, 15, 9, 0).getTime();
+const at = (minutes) => NINE_AM + minutes * MINUTE;
+
+function event(minutes, name, extra = {}) {
+  const states = {
+    PostToolUse: 'working',
+    UserPromptSubmit: 'working',
+    Notification: 'waiting-for-user',
+    Stop: 'idle',
+    SessionStart: 'idle',
+    SessionEnd: 'ended',
+  };
+  return { ts: at(minutes), sessionId: 's1', event: name, state: states[name], ...extra };
+}
+
+describe('getActiveIntervals', () => {
+  it('keeps an idle session active for the timeout after its last activity', () => {
+    const intervals = getActiveIntervals([event(0, 'Stop')], { ...OPTIONS, until: at(60) });
+
+    assert.deepEqual(intervals, [[at(0), at(2)]]);
+  });
+
+  it('keeps a working session active until its next event', () => {
+    const events = [event(0, 'UserPromptSubmit'), event(10, 'Stop')];
+    const intervals = getActiveIntervals(events, { ...OPTIONS, until: at(60) });
+
+    assert.deepEqual(intervals, [[at(0), at(12)]]);
+  });
+
+  it('stops a silent working session after workingStaleMs', () => {
+    const intervals = getActiveIntervals([event(0, 'PostToolUse')], { ...OPTIONS, until: at(120) });
+
+    assert.deepEqual(intervals, [[at(0), at(30)]]);
+  });
+
+  it('ends immediately on SessionEnd', () => {
+    const events = [event(0, 'PostToolUse'), event(1, 'SessionEnd')];
+    const intervals = getActiveIntervals(events, { ...OPTIONS, until: at(60) });
+
+    assert.deepEqual(intervals, [[at(0), at(1)]]);
+  });
+
+  it('does not let a Notification extend the unlock window', () => {
+    const events = [event(0, 'Stop'), event(1, 'Notification')];
+    const intervals = getActiveIntervals(events, { ...OPTIONS, until: at(60) });
+
+    assert.deepEqual(intervals, [[at(0), at(2)]]);
+  });
+
+  it('merges overlapping sessions', () => {
+    const events = [
+      event(0, 'Stop'),
+      event(1, 'Stop', { sessionId: 's2' }),
+    ];
+    const intervals = getActiveIntervals(events, { ...OPTIONS, until: at(60) });
+
+    assert.deepEqual(intervals, [[at(0), at(3)]]);
+  });
+});
+
+describe('computeDailyStats', () => {
+  const dayStart = new Date(2026, 0, 15).getTime();
+  const dayEnd = new Date(2026, 0, 16).getTime();
+
+  it('splits the tracked span into active and locked minutes', () => {
+    const events = [
+      event(0, 'UserPromptSubmit', { project: 'app' }),
+      event(5, 'Stop', { project: 'app' }),
+      event(60, 'UserPromptSubmit', { project: 'app' }),
+      event(70, 'Stop', { project: 'app' }),
+    ];
+    const [day] = computeDailyStats(events, { ...OPTIONS, from: dayStart, to: dayEnd });
+
+    assert.equal(day.date, '2026-01-15');
+    assert.equal(day.activeMinutes, 19); // 0-7 and 60-72
+    assert.equal(day.trackedMinutes, 72);
+    assert.equal(day.lockedMinutes, 53);
+    assert.equal(day.sessions, 1);
+    assert.equal(day.events, 4);
+  });
+
+  it('buckets active minutes by local hour', () => {
+    // 09:50 to 10:12
+    const events = [event(50, 'UserPromptSubmit'), event(70, 'Stop')];
+    const [day] = computeDailyStats(events, { ...OPTIONS, from: dayStart, to: dayEnd });
+
+    assert.equal(day.activeMinutesByHour.length, 24);
+    assert.equal(day.activeMinutesByHour[9], 10);
+    assert.equal(day.activeMinutesByHour[10], 12);
+    assert.equal(day.activeMinutesByHour.reduce((a, b) => a + b, 0), day.activeMinutes);
+  });
+
+  it('counts tools per project', () => {
+    const events = [
+      event(0, 'PostToolUse', { tool: 'Edit', project: 'app' }),
+      event(1, 'PostToolUse', { tool: 'Edit', project: 'app' }),
+      event(2, 'PostToolUse', { tool: 'Bash', project: 'api', sessionId: 's2' }),
+      event(3, 'PostToolUse', { tool: 'Read' }),
+    ];
+    const [day] = computeDailyStats(events, { ...OPTIONS, from: dayStart, to: dayEnd });
+
+    assert.deepEqual(day.toolCounts, {
+      app: { Edit: 2 },
+      api: { Bash: 1 },
+      unknown: { Read: 1 },
+    });
+  });
+
+  it('reports the longest idle gaps first', () => {
+    const events = [
+      event(0, 'Stop'),
+      event(10, 'Stop'),
+      event(100, 'Stop'),
+      event(120, 'Stop'),
+    ];
+    const [day] = computeDailyStats(events, { ...OPTIONS, from: dayStart, to: dayEnd });
+
+    assert.deepEqual(day.longestIdleGaps.map(g => g.minutes), [88, 18, 8]);
+    assert.equal(day.longestIdleGaps[0].from, at(12));
+    assert.equal(day.longestIdleGaps[0].to, at(100));
+  });
+
+  it('omits days without activity', () => {
+    const days = computeDailyStats([event(0, 'Stop')], {
+      ...OPTIONS,
+      from: dayStart - 2 * 24 * 60 * MINUTE,
+      to: dayEnd,
+    });
+
+    assert.deepEqual(days.map(d => d.date), ['2026-01-15']);
+  });
+
+  it('carries a working session across midnight into the next day', () => {
+    const lateEvent = { ts: dayEnd - 10 * MINUTE, sessionId: 's1', event: 'PostToolUse', state: 'working' };
+    const days = computeDailyStats([lateEvent], { ...OPTIONS, from: dayStart, to: dayEnd + 24 * 60 * MINUTE });
+
+    assert.deepEqual(days.map(d => [d.date, d.activeMinutes]), [['2026-01-15', 10], ['2026-01-16', 20]]);
+  });
+});
+
+describe('history log', () => {
+  const LIMITS = { historyMaxMegabytes: 1, historyFiles: 2 };
+  let dir;
+  let history;
+
+  const line = (entry) => JSON.stringify(entry) + '\n';
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'focus-history-'));
+    fs.cpSync(path.join(__dirname, '..', 'daemon'), path.join(dir, 'daemon'), { recursive: true });
+    history = require(path.join(dir, 'daemon', 'history.js'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('streams events in range from the log and its rotated files, oldest first', async () => {
+    fs.writeFileSync(path.join(dir, 'history.1.jsonl'), line(event(0, 'UserPromptSubmit')) + line(event(10, 'Stop')));
+    fs.writeFileSync(history.HISTORY_FILE, line(event(30, 'PostToolUse')) + 'not json\n' + line(event(20, 'Stop')));
+
+    const events = await history.readHistory(at(10), at(30));
+
+    assert.deepEqual(events, [event(10, 'Stop'), event(20, 'Stop')]);
+  });
+
+  it('resolves to nothing without a log', async () => {
+    fs.rmSync(path.join(dir, 'history.1.jsonl'), { force: true });
+    fs.rmSync(history.HISTORY_FILE, { force: true });
+
+    assert.deepEqual(await history.readHistory(0, Infinity), []);
+  });
+
+  it('tails only the events appended after it starts', () => {
+    fs.writeFileSync(history.HISTORY_FILE, line(event(0, 'UserPromptSubmit')));
+    const tail = history.createHistoryTail();
+
+    assert.deepEqual(tail.read(), []);
+    history.appendHistory(event(1, 'PostToolUse'), LIMITS);
+    history.appendHistory(event(2, 'Stop'), LIMITS);
+    assert.deepEqual(tail.read(), [event(1, 'PostToolUse'), event(2, 'Stop')]);
+    assert.deepEqual(tail.read(), []);
+  });
+
+  it('holds a line back until it is complete', () => {
+    fs.writeFileSync(history.HISTORY_FILE, '');
+    const tail = history.createHistoryTail();
+    const text = line(event(3, 'Stop'));
+
+    fs.appendFileSync(history.HISTORY_FILE, text.slice(0, 10));
+    assert.deepEqual(tail.read(), []);
+    fs.appendFileSync(history.HISTORY_FILE, text.slice(10));
+    assert.deepEqual(tail.read(), [event(3, 'Stop')]);
+  });
+
+  it('follows the log through rotation', () => {
+    fs.writeFileSync(history.HISTORY_FILE, '');
+    const tail = history.createHistoryTail();
+
+    history.appendHistory(event(4, 'PostToolUse'), LIMITS);
+    fs.renameSync(history.HISTORY_FILE, path.join(dir, 'history.1.jsonl'));
+    history.appendHistory(event(5, 'Stop'), LIMITS);
+    fs.appendFileSync(path.join(dir, 'history.1.jsonl'), line(event(4.5, 'PostToolUse')));
+
+    assert.deepEqual(tail.read(), [event(4, 'PostToolUse'), event(4.5, 'PostToolUse'), event(5, 'Stop')]);
+  });
+
+  it('starts a log created after it at the beginning', () => {
+    fs.rmSync(path.join(dir, 'history.1.jsonl'), { force: true });
+    fs.rmSync(history.HISTORY_FILE, { force: true });
+    const tail = history.createHistoryTail();
+
+    history.appendHistory(event(6, 'SessionStart'), LIMITS);
+    assert.deepEqual(tail.read(), [event(6, 'SessionStart')]);
+  });
+});
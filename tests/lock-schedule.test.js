@@ -0,0 +1,84 @@
+/**
+ * Tests for exact lock scheduling (daemon/lock-schedule.js)
+ *
+ * Run: node --test tests/lock-schedule.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { nextStatusChange, statusSignature } = require('../daemon/lock-schedule');
+
+const MINUTE = 60 * 1000;
+const STALE = 30 * MINUTE;
+const NOW = new Date(2026, 0, 15, 9, 0).getTime();
+const ago = (minutes) => NOW - minutes * MINUTE;
+
+function activity(sessions, lastActivity = ago(1)) {
+  return { lastActivity, sessions };
+}
+
+describe('nextStatusChange', () => {
+  it('is when the last activity runs past the timeout', () => {
+    const data = activity({ s1: { state: 'idle', lastActivity: ago(0.5) } });
+
+    assert.equal(nextStatusChange(data, NOW, [2 * MINUTE], STALE), NOW + 1.5 * MINUTE);
+  });
+
+  it('picks the earliest crossing over every session and timeout', () => {
+    const data = activity({
+      s1: { state: 'idle', lastActivity: ago(1) },
+      s2: { state: 'idle', lastActivity: ago(0.2) },
+    });
+
+    // s1 crosses the 1.5 min site timeout first
+    assert.equal(nextStatusChange(data, NOW, [2 * MINUTE, 1.5 * MINUTE], STALE), NOW + 0.5 * MINUTE);
+  });
+
+  it('skips crossings already in the past', () => {
+    const data = activity({ s1: { state: 'idle', lastActivity: ago(3) } });
+
+    assert.equal(nextStatusChange(data, NOW, [2 * MINUTE, 5 * MINUTE], STALE), NOW + 2 * MINUTE);
+    assert.equal(nextStatusChange(data, NOW, [2 * MINUTE], STALE), null);
+  });
+
+  it('gives working sessions until they go stale', () => {
+    const data = activity({ s1: { state: 'working', lastActivity: ago(10) } });
+
+    assert.equal(nextStatusChange(data, NOW, [2 * MINUTE], STALE), NOW + 20 * MINUTE);
+  });
+
+  it('never wakes for ended sessions', () => {
+    const data = activity({ s1: { state: 'ended', lastActivity: ago(0.5) } });
+
+    assert.equal(nextStatusChange(data, NOW, [2 * MINUTE], STALE), null);
+  });
+
+  it('uses the global timestamp without sessions', () => {
+    assert.equal(nextStatusChange(activity({}, ago(1)), NOW, [2 * MINUTE], STALE), NOW + MINUTE);
+    assert.equal(nextStatusChange({}, NOW, [2 * MINUTE], STALE), null);
+  });
+});
+
+describe('statusSignature', () => {
+  const status = {
+    active: true,
+    state: 'idle',
+    elapsed: 1000,
+    sessions: [{ id: 's1', active: true, elapsed: 1000 }],
+  };
+
+  it('ignores elapsed times', () => {
+    const later = { ...status, elapsed: 5000, sessions: [{ id: 's1', active: true, elapsed: 5000 }] };
+
+    assert.equal(statusSignature(later), statusSignature(status));
+  });
+
+  it('changes when a session or the overall status flips', () => {
+    const locked = { ...status, active: false };
+    const sessionLocked = { ...status, sessions: [{ id: 's1', active: false, elapsed: 1000 }] };
+
+    assert.notEqual(statusSignature(locked), statusSignature(status));
+    assert.notEqual(statusSignature(sessionLocked), statusSignature(status));
+  });
+});
@@ -1,8 +1,8 @@
 /**
  * Tests for media-controller.js
  *
- * Tests pause/resume tracking, watcher idempotency, and MutationObserver
- * integration using DOM mocks.
+ * Tests pause/resume and mute/unmute tracking, watcher idempotency, and
+ * MutationObserver integration using DOM mocks.
  *
  * Run: node --test tests/media-controller.test.js
  */
@@ -12,16 +12,20 @@ const assert = require('node:assert/strict');
 
 // ─── DOM / MutationObserver mocks ──────────────────────────────────
 
-function createMockMediaElement(paused = false) {
+// `container` is the selector of the element the media sits in (for closest())
+function createMockMediaElement(paused = false, container = null) {
   const el = {
     tagName: 'VIDEO',
     paused,
+    muted: false,
+    volume: 1,
     _playCalled: false,
     _pauseCalled: false,
     nodeType: 1,
     pause() { this.paused = true; this._pauseCalled = true; },
     play() { this.paused = false; this._playCalled = true; return Promise.resolve(); },
     querySelectorAll() { return []; },
+    closest(selector) { return container && selector.split(', ').includes(container) ? {} : null; },
   };
   return el;
 }
@@ -49,7 +53,10 @@ MockMutationObserver._instances = [];
 
 function createMediaController(mockElements, MockObserver) {
   const pausedByUs = new WeakSet();
+  const mutedByUs = new WeakSet();
+  const fadedVolumes = new Map();
   let mediaWatcherActive = false;
+  let watchOptions = { mode: 'pause', within: null };
   let fallbackInterval = null;
   let observer = null;
 
@@ -81,18 +88,70 @@ function createMediaController(mockElements, MockObserver) {
     return resumedCount;
   }
 
-  function onMediaElementFound(el) {
-    if (!mediaWatcherActive) return;
-    if (!el.paused) {
+  function unmuteOurMutedMedia() {
+    let unmutedCount = 0;
+    for (const el of getAllMedia()) {
+      if (mutedByUs.has(el)) {
+        el.muted = false;
+        mutedByUs.delete(el);
+        unmutedCount++;
+      }
+    }
+    return unmutedCount;
+  }
+
+  function fadeMediaVolume(fraction) {
+    const level = Math.min(1, Math.max(0, fraction));
+    for (const el of getAllMedia()) {
+      if (!fadedVolumes.has(el)) {
+        if (el.paused) continue;
+        fadedVolumes.set(el, el.volume);
+      }
+      el.volume = fadedVolumes.get(el) * level;
+    }
+  }
+
+  function restoreMediaVolume(silencedOnly = false) {
+    let restoredCount = 0;
+    for (const [el, volume] of fadedVolumes) {
+      if (silencedOnly && !pausedByUs.has(el) && !mutedByUs.has(el)) continue;
+      el.volume = volume;
+      fadedVolumes.delete(el);
+      restoredCount++;
+    }
+    return restoredCount;
+  }
+
+  function silence(el) {
+    if (watchOptions.within && !el.closest(watchOptions.within)) return;
+
+    if (watchOptions.mode === 'mute') {
+      if (!el.muted) {
+        el.muted = true;
+        mutedByUs.add(el);
+      }
+    } else if (!el.paused) {
       el.pause();
       pausedByUs.add(el);
     }
   }
 
-  function startMediaWatcher() {
+  function silenceAllMedia() {
+    for (const el of getAllMedia()) {
+      silence(el);
+    }
+  }
+
+  function onMediaElementFound(el) {
+    if (!mediaWatcherActive) return;
+    silence(el);
+  }
+
+  function startMediaWatcher(options = {}) {
     if (mediaWatcherActive) return;
     mediaWatcherActive = true;
-    pauseAllMedia();
+    watchOptions = { mode: options.mode || 'pause', within: options.within || null };
+    silenceAllMedia();
 
     if (!observer) {
       observer = new MockObserver((mutations) => {
@@ -124,6 +183,10 @@ function createMediaController(mockElements, MockObserver) {
   return {
     pauseAllMedia,
     resumeOurPausedMedia,
+    silenceAllMedia,
+    unmuteOurMutedMedia,
+    fadeMediaVolume,
+    restoreMediaVolume,
     startMediaWatcher,
     stopMediaWatcher,
     isActive: () => mediaWatcherActive,
@@ -322,4 +385,132 @@ describe('MediaController', () => {
       assert.equal(nestedVideo.paused, true);
     });
   });
+
+  describe('mute mode', () => {
+    it('mutes instead of pausing', () => {
+      const video = createMockMediaElement(false);
+      const controller = createMediaController([video], MockMutationObserver);
+
+      controller.startMediaWatcher({ mode: 'mute' });
+
+      assert.equal(video.muted, true);
+      assert.equal(video.paused, false);
+    });
+
+    it('only unmutes media that we muted', () => {
+      const ours = createMockMediaElement(false);
+      const alreadyMuted = createMockMediaElement(false);
+      alreadyMuted.muted = true;
+      const controller = createMediaController([ours, alreadyMuted], MockMutationObserver);
+
+      controller.startMediaWatcher({ mode: 'mute' });
+      controller.stopMediaWatcher();
+      assert.equal(controller.unmuteOurMutedMedia(), 1);
+
+      assert.equal(ours.muted, false);
+      assert.equal(alreadyMuted.muted, true);
+    });
+  });
+
+  describe('within option', () => {
+    it('only silences media inside the given selectors', () => {
+      const feedVideo = createMockMediaElement(false, '#related');
+      const mainVideo = createMockMediaElement(false);
+      const controller = createMediaController([feedVideo, mainVideo], MockMutationObserver);
+
+      controller.startMediaWatcher({ within: '#related, shreddit-feed' });
+
+      assert.equal(feedVideo.paused, true);
+      assert.equal(mainVideo.paused, false);
+    });
+
+    it('applies to media found later', () => {
+      const controller = createMediaController([], MockMutationObserver);
+      controller.startMediaWatcher({ within: 'shreddit-feed' });
+
+      const feedVideo = createMockMediaElement(false, 'shreddit-feed');
+      const otherVideo = createMockMediaElement(false);
+      controller.getObserver().triggerMutation([feedVideo, otherVideo]);
+
+      assert.equal(feedVideo.paused, true);
+      assert.equal(otherVideo.paused, false);
+    });
+  });
+
+  describe('volume fade', () => {
+    it('scales playing media from the volume it had when the fade began', () => {
+      const video = createMockMediaElement(false);
+      video.volume = 0.8;
+      const controller = createMediaController([video], MockMutationObserver);
+
+      controller.fadeMediaVolume(0.5);
+      assert.equal(video.volume, 0.4);
+      controller.fadeMediaVolume(0.25);
+      assert.equal(video.volume, 0.2);
+    });
+
+    it('leaves paused media alone', () => {
+      const video = createMockMediaElement(true);
+      const controller = createMediaController([video], MockMutationObserver);
+
+      controller.fadeMediaVolume(0.1);
+
+      assert.equal(video.volume, 1);
+      assert.equal(controller.restoreMediaVolume(), 0);
+    });
+
+    it('restores the original volume, even after the lock paused it', () => {
+      const video = createMockMediaElement(false);
+      video.volume = 0.6;
+      const controller = createMediaController([video], MockMutationObserver);
+
+      controller.fadeMediaVolume(0);
+      controller.startMediaWatcher();
+      assert.equal(controller.restoreMediaVolume(), 1);
+
+      assert.equal(video.paused, true);
+      assert.equal(video.volume, 0.6);
+    });
+
+    it('on lock, restores only media the lock silenced', () => {
+      const feedVideo = createMockMediaElement(false, '#feed');
+      const pageVideo = createMockMediaElement(false);
+      const controller = createMediaController([feedVideo, pageVideo], MockMutationObserver);
+
+      controller.fadeMediaVolume(0.05);
+      controller.startMediaWatcher({ mode: 'pause', within: '#feed' });
+
+      assert.equal(controller.restoreMediaVolume(true), 1);
+      assert.equal(feedVideo.volume, 1);
+      assert.equal(pageVideo.paused, false);
+      assert.equal(pageVideo.volume, 0.05);
+    });
+
+    it('restores muted media on lock, since it stays silent', () => {
+      const video = createMockMediaElement(false);
+      video.volume = 0.5;
+      const controller = createMediaController([video], MockMutationObserver);
+
+      controller.fadeMediaVolume(0);
+      controller.startMediaWatcher({ mode: 'mute' });
+
+      assert.equal(controller.restoreMediaVolume(true), 1);
+      assert.equal(video.muted, true);
+      assert.equal(video.volume, 0.5);
+    });
+
+    it('restores what the lock left playing once unlocked', () => {
+      const video = createMockMediaElement(false);
+      const controller = createMediaController([video], MockMutationObserver);
+
+      controller.fadeMediaVolume(0);
+      controller.startMediaWatcher({ mode: 'pause', within: '#feed' });
+      controller.restoreMediaVolume(true);
+      controller.stopMediaWatcher();
+
+      assert.equal(controller.restoreMediaVolume(), 1);
+      assert.equal(video.volume, 1);
+      assert.equal(controller.restoreMediaVolume(), 0);
+    });
+  });
 });
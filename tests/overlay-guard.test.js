@@ -0,0 +1,133 @@
+/**
+ * Tests for the overlay guard (extension/overlay-guard.js)
+ *
+ * Runs the repair against a small DOM mock where a "page" removes, restyles
+ * and covers the overlay host.
+ *
+ * Run: node --test tests/overlay-guard.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { snapshotHost, repairOverlayHost } = require('../extension/overlay-guard.js');
+
+// ─── DOM mock ──────────────────────────────────────────────────────
+
+function createElement(tagName) {
+  const attributes = new Map();
+
+  return {
+    tagName,
+    parentNode: null,
+    children: [],
+    appendCount: 0,
+
+    get attributes() {
+      return [...attributes].map(([name, value]) => ({ name, value }));
+    },
+    getAttribute(name) { return attributes.has(name) ? attributes.get(name) : null; },
+    setAttribute(name, value) { attributes.set(name, String(value)); },
+    removeAttribute(name) { attributes.delete(name); },
+
+    get id() { return this.getAttribute('id') || ''; },
+    set id(value) { this.setAttribute('id', value); },
+    get className() { return this.getAttribute('class') || ''; },
+    set className(value) { this.setAttribute('class', value); },
+
+    get lastElementChild() { return this.children[this.children.length - 1] || null; },
+    appendChild(child) {
+      child.remove();
+      this.children.push(child);
+      child.parentNode = this;
+      this.appendCount++;
+      return child;
+    },
+    remove() {
+      if (!this.parentNode) return;
+      const siblings = this.parentNode.children;
+      siblings.splice(siblings.indexOf(this), 1);
+      this.parentNode = null;
+    },
+  };
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+describe('repairOverlayHost', () => {
+  let html, body, host, saved;
+
+  beforeEach(() => {
+    html = createElement('html');
+    body = createElement('body');
+    html.appendChild(body);
+
+    host = createElement('div');
+    host.id = 'claude-focus-overlay';
+    host.className = 'claude-overlay-full';
+    host.setAttribute('style', 'z-index: 2147483647 !important; display: block !important;');
+    html.appendChild(host);
+
+    saved = snapshotHost(host);
+    html.appendCount = 0;
+  });
+
+  it('leaves an untouched host alone', () => {
+    assert.equal(repairOverlayHost(host, html, saved), false);
+    assert.equal(html.appendCount, 0);
+    assert.deepEqual(snapshotHost(host), saved);
+  });
+
+  it('re-attaches a removed host', () => {
+    host.remove();
+
+    assert.equal(repairOverlayHost(host, html, saved), true);
+    assert.equal(html.lastElementChild, host);
+  });
+
+  it('moves the host back out of another element', () => {
+    body.appendChild(host);
+
+    assert.equal(repairOverlayHost(host, html, saved), true);
+    assert.equal(host.parentNode, html);
+    assert.equal(body.children.includes(host), false);
+  });
+
+  it('moves the host back on top of a later max z-index element', () => {
+    const cover = createElement('div');
+    cover.setAttribute('style', 'position: fixed; inset: 0; z-index: 2147483647;');
+    html.appendChild(cover);
+
+    assert.equal(repairOverlayHost(host, html, saved), false);
+    assert.deepEqual(html.children, [body, cover, host]);
+  });
+
+  it('restores a restyled host', () => {
+    host.setAttribute('style', 'display: none !important;');
+    host.className = 'hidden';
+    host.id = 'renamed';
+
+    repairOverlayHost(host, html, saved);
+
+    assert.deepEqual(snapshotHost(host), saved);
+  });
+
+  it('drops attributes the page added', () => {
+    host.setAttribute('hidden', '');
+    host.setAttribute('inert', '');
+
+    repairOverlayHost(host, html, saved);
+
+    assert.deepEqual(host.attributes.map(a => a.name).sort(), ['class', 'id', 'style']);
+  });
+
+  it('settles after one repair, so its own append does not trigger another', () => {
+    html.appendChild(createElement('div'));
+    repairOverlayHost(host, html, saved);
+    html.appendCount = 0;
+
+    repairOverlayHost(host, html, saved);
+
+    assert.equal(html.appendCount, 0);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for manual lock/unlock overrides (daemon/override.js)
+ *
+ * Run: node --test tests/override.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MAX_OVERRIDE_MS, parseOverrideRequest, isOverrideInForce } = require('../daemon/override');
+
+const NOW = Date.parse('2026-01-15T09:00:00Z');
+const MINUTE = 60 * 1000;
+
+describe('parseOverrideRequest', () => {
+  it('accepts a timed unlock or lock', () => {
+    assert.deepEqual(parseOverrideRequest({ mode: 'unlock', until: NOW + 10 * MINUTE }, NOW), {
+      override: { mode: 'unlock', until: NOW + 10 * MINUTE, setAt: NOW },
+    });
+    assert.equal(parseOverrideRequest({ mode: 'lock', until: NOW + MINUTE }, NOW).override.until, NOW + MINUTE);
+  });
+
+  it('accepts ISO timestamps and numeric strings', () => {
+    assert.equal(parseOverrideRequest({ mode: 'unlock', until: '2026-01-15T09:30:00Z' }, NOW).override.until, NOW + 30 * MINUTE);
+    assert.equal(parseOverrideRequest({ mode: 'unlock', until: String(NOW + MINUTE) }, NOW).override.until, NOW + MINUTE);
+  });
+
+  it('locks until the next activity without an end', () => {
+    assert.deepEqual(parseOverrideRequest({ mode: 'lock' }, NOW).override, { mode: 'lock', until: null, setAt: NOW });
+  });
+
+  it('requires an end to unlock', () => {
+    assert.match(parseOverrideRequest({ mode: 'unlock' }, NOW).error, /until is required/);
+  });
+
+  it('clears with a null mode', () => {
+    assert.deepEqual(parseOverrideRequest({ mode: null }, NOW), { override: null });
+  });
+
+  it('rejects ends in the past, too far ahead or unreadable', () => {
+    assert.ok(parseOverrideRequest({ mode: 'lock', until: NOW }, NOW).error);
+    assert.ok(parseOverrideRequest({ mode: 'unlock', until: NOW + MAX_OVERRIDE_MS + 1 }, NOW).error);
+    assert.ok(parseOverrideRequest({ mode: 'unlock', until: 'tomorrow' }, NOW).error);
+    assert.ok(parseOverrideRequest({ mode: 'unlock', until: true }, NOW).error);
+  });
+
+  it('rejects unknown modes and non-objects', () => {
+    assert.ok(parseOverrideRequest({ mode: 'pause' }, NOW).error);
+    assert.ok(parseOverrideRequest({}, NOW).error);
+    assert.ok(parseOverrideRequest([], NOW).error);
+    assert.ok(parseOverrideRequest(null, NOW).error);
+  });
+});
+
+describe('isOverrideInForce', () => {
+  const activity = { lastActivity: NOW - MINUTE };
+
+  it('holds a timed override until its end', () => {
+    const override = { mode: 'unlock', until: NOW + MINUTE, setAt: NOW };
+
+    assert.equal(isOverrideInForce(override, activity, NOW), true);
+    assert.equal(isOverrideInForce(override, activity, NOW + MINUTE), false);
+  });
+
+  it('holds an open-ended lock until newer activity', () => {
+    const override = { mode: 'lock', until: null, setAt: NOW };
+
+    assert.equal(isOverrideInForce(override, activity, NOW + 60 * MINUTE), true);
+    assert.equal(isOverrideInForce(override, { lastActivity: NOW + 1 }, NOW + 2), false);
+  });
+
+  it('treats a missing activity file as no activity', () => {
+    assert.equal(isOverrideInForce({ mode: 'lock', until: null, setAt: NOW }, {}, NOW), true);
+    assert.equal(isOverrideInForce(null, activity, NOW), false);
+  });
+});
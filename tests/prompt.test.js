@@ -0,0 +1,86 @@
+/**
+ * Tests for the shell prompt / tmux status segment (daemon/prompt.js)
+ *
+ * Run: node --test tests/prompt.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getPromptStatus, formatElapsed, formatSegment } = require('../daemon/prompt');
+
+const NOW = Date.parse('2026-01-15T09:00:00Z');
+const LIMITS = { timeoutMs: 2 * 60 * 1000, workingStaleMs: 30 * 60 * 1000 };
+
+function activity(sessions) {
+  const lastActivity = Math.max(...Object.values(sessions).map(s => s.lastActivity));
+  return { lastActivity, sessions };
+}
+
+describe('getPromptStatus', () => {
+  it('is unlocked while a session is inside the timeout', () => {
+    const status = getPromptStatus(activity({
+      a: { lastActivity: NOW - 30 * 1000, state: 'idle' },
+      b: { lastActivity: NOW - 60 * 60 * 1000, state: 'ended' },
+    }), null, LIMITS, NOW);
+
+    assert.deepEqual(status, { active: true, elapsed: 30 * 1000, sessionCount: 1, override: null });
+  });
+
+  it('keeps a working session unlocked until it goes stale', () => {
+    const working = activity({ a: { lastActivity: NOW - 10 * 60 * 1000, state: 'working' } });
+    const idle = activity({ a: { lastActivity: NOW - 10 * 60 * 1000, state: 'idle' } });
+
+    assert.equal(getPromptStatus(working, null, LIMITS, NOW).active, true);
+    assert.equal(getPromptStatus(idle, null, LIMITS, NOW).active, false);
+  });
+
+  it('falls back to the global timestamp without sessions', () => {
+    assert.equal(getPromptStatus({ lastActivity: NOW - 1000 }, null, LIMITS, NOW).active, true);
+    assert.equal(getPromptStatus({ lastActivity: NOW - 5 * 60 * 1000 }, null, LIMITS, NOW).active, false);
+  });
+
+  it('follows an override while it is in force', () => {
+    const recent = activity({ a: { lastActivity: NOW - 1000, state: 'working' } });
+    const lock = { mode: 'lock', until: NOW + 60 * 1000, setAt: NOW - 500 };
+    const ended = { mode: 'lock', until: null, setAt: NOW - 5000 };
+
+    assert.deepEqual(getPromptStatus(recent, lock, LIMITS, NOW), { active: false, elapsed: 1000, sessionCount: 1, override: 'lock' });
+    assert.equal(getPromptStatus(recent, ended, LIMITS, NOW).override, null);
+  });
+
+  it('shows nothing before any activity', () => {
+    assert.equal(getPromptStatus(null, null, LIMITS, NOW), null);
+    assert.equal(getPromptStatus({ sessions: {} }, null, LIMITS, NOW), null);
+  });
+});
+
+describe('formatElapsed', () => {
+  it('shows the largest whole unit', () => {
+    assert.equal(formatElapsed(42 * 1000), '42s');
+    assert.equal(formatElapsed(12 * 60 * 1000 + 59 * 1000), '12m');
+    assert.equal(formatElapsed(3 * 60 * 60 * 1000), '3h');
+    assert.equal(formatElapsed(50 * 60 * 60 * 1000), '2d');
+    assert.equal(formatElapsed(-100), '0s');
+  });
+});
+
+describe('formatSegment', () => {
+  const active = { active: true, elapsed: 42 * 1000, sessionCount: 2, override: null };
+  const locked = { active: false, elapsed: 12 * 60 * 1000, sessionCount: 0, override: 'lock' };
+
+  it('prints the dot, elapsed time and open sessions', () => {
+    assert.equal(formatSegment(active), '● 42s (2)');
+    assert.equal(formatSegment(locked), '○! 12m');
+  });
+
+  it('colors the segment for each shell', () => {
+    assert.equal(formatSegment(active, 'tmux'), '#[fg=green]● 42s (2)#[default]');
+    assert.equal(formatSegment(locked, 'zsh'), '%F{173}○! 12m%f');
+    assert.equal(formatSegment(active, 'bash'), '\x01\x1b[32m\x02● 42s (2)\x01\x1b[0m\x02');
+  });
+
+  it('is empty without a status', () => {
+    assert.equal(formatSegment(null, 'tmux'), '');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the daemon's WebSocket message protocol (daemon/protocol.js)
+ *
+ * Run: node --test tests/protocol.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  PROTOCOL_VERSION,
+  ERROR_CODES,
+  parseClientMessage,
+  replyMessage,
+  errorMessage,
+  pushMessage,
+} = require('../daemon/protocol');
+
+const MINUTE = 60 * 1000;
+
+function parse(message) {
+  return parseClientMessage(JSON.stringify(message));
+}
+
+describe('parseClientMessage', () => {
+  it('parses hello, putting the client\'s own timeout first', () => {
+    const { request } = parse({ v: 1, id: 1, type: 'hello', client: 'cli', version: '1.0', timeout: 5, timeouts: [2, 5] });
+
+    assert.deepEqual(request, {
+      type: 'hello',
+      id: 1,
+      client: 'cli',
+      version: '1.0',
+      timeoutsMs: [5 * MINUTE, 2 * MINUTE],
+    });
+  });
+
+  it('treats a missing version as the current one', () => {
+    assert.equal(parse({ type: 'ping' }).request.type, 'ping');
+  });
+
+  it('rejects other protocol versions, echoing the id', () => {
+    const { error } = parse({ v: 2, id: 'a', type: 'ping' });
+
+    assert.equal(error.code, ERROR_CODES.UNSUPPORTED_VERSION);
+    assert.equal(error.id, 'a');
+  });
+
+  it('rejects invalid JSON and non-objects', () => {
+    assert.equal(parseClientMessage('{nope').error.code, ERROR_CODES.INVALID_JSON);
+    assert.equal(parse([1, 2]).error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal(parse(null).error.code, ERROR_CODES.INVALID_REQUEST);
+  });
+
+  it('rejects unknown types, including inherited property names', () => {
+    assert.equal(parse({ type: 'reboot' }).error.code, ERROR_CODES.UNKNOWN_TYPE);
+    assert.equal(parse({ type: 'toString' }).error.code, ERROR_CODES.UNKNOWN_TYPE);
+  });
+
+  it('validates subscription topics', () => {
+    assert.deepEqual(parse({ type: 'subscribe', topics: ['sessions', 'sessions', 'history'] }).request.topics, ['sessions', 'history']);
+    assert.equal(parse({ type: 'subscribe', topics: ['weather'] }).error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal(parse({ type: 'unsubscribe', topics: [] }).error.code, ERROR_CODES.INVALID_REQUEST);
+  });
+
+  it('validates timeouts and snoozes', () => {
+    assert.deepEqual(parse({ type: 'timeouts', timeouts: [2, 0.5, 2] }).request.timeoutsMs, [2 * MINUTE, 0.5 * MINUTE]);
+    assert.equal(parse({ type: 'timeouts', timeouts: [-1] }).error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal(parse({ type: 'snooze', minutes: 10 }).request.minutes, 10);
+    assert.equal(parse({ type: 'snooze', minutes: 0 }).request.minutes, 0);
+    assert.equal(parse({ type: 'snooze', minutes: 24 * 60 + 1 }).error.code, ERROR_CODES.INVALID_REQUEST);
+    assert.equal(parse({ type: 'snooze' }).error.code, ERROR_CODES.INVALID_REQUEST);
+  });
+
+  it('accepts locks with or without a duration', () => {
+    assert.equal(parse({ type: 'lock' }).request.minutes, null);
+    assert.equal(parse({ type: 'lock', minutes: 30 }).request.minutes, 30);
+    assert.equal(parse({ type: 'lock', minutes: 0 }).error.code, ERROR_CODES.INVALID_REQUEST);
+  });
+
+  it('drops ids that are neither strings nor numbers', () => {
+    assert.equal(parse({ id: { x: 1 }, type: 'ping' }).request.id, null);
+  });
+});
+
+describe('outgoing messages', () => {
+  it('carry the protocol version', () => {
+    assert.deepEqual(JSON.parse(replyMessage(3, { ok: true })), { v: PROTOCOL_VERSION, type: 'reply', id: 3, result: { ok: true } });
+    assert.deepEqual(JSON.parse(errorMessage(null, 'invalid-json', 'Bad')), {
+      v: PROTOCOL_VERSION,
+      type: 'error',
+      id: null,
+      error: { code: 'invalid-json', message: 'Bad' },
+    });
+    assert.deepEqual(JSON.parse(pushMessage('sessions', { sessions: [] })), { v: PROTOCOL_VERSION, type: 'sessions', sessions: [] });
+  });
+});
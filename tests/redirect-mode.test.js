@@ -0,0 +1,203 @@
+/**
+ * Tests for redirect mode (extension/redirects.js)
+ *
+ * Locked tabs are sent to a redirect target and remembered per tab, then
+ * sent back once their site unlocks. Leaving the target forgets the tab.
+ *
+ * Run: node --test tests/redirect-mode.test.js
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesAnyPattern } = require('../extension/match-patterns.js');
+const { redirectTarget, sameSite, redirectEndedBy, tabsToRestore } = require('../extension/redirects.js');
+
+// ─── Background worker harness ─────────────────────────────────────
+// The worker's use of redirects.js; chrome.storage.session and chrome.tabs
+// are replaced by plain objects.
+
+const PAUSED_PAGE_URL = 'chrome-extension://abc/paused.html';
+
+function createRedirects(settings) {
+  const redirectedTabs = {};
+  const tabs = {};     // tabId -> current URL
+  const locked = new Set(); // site ids currently locked
+
+  function findEnabledSite(url) {
+    return settings.sites.find(site => site.enabled && matchesAnyPattern(site.patterns, url)) || null;
+  }
+
+  function isUrlLocked(url) {
+    const site = findEnabledSite(url);
+    return !!site && locked.has(site.id);
+  }
+
+  function redirectIfLocked(tabId, url, site) {
+    if (!locked.has(site.id)) return;
+    if (redirectedTabs[tabId]?.url === url) return;
+
+    const target = redirectTarget(url, {
+      redirectUrl: settings.redirectUrl,
+      pausedPageUrl: PAUSED_PAGE_URL,
+      isUrlPaused: (candidate) => !!findEnabledSite(candidate),
+    });
+    redirectedTabs[tabId] = { url, siteId: site.id, target };
+    navigate(tabId, target);
+  }
+
+  function restoreRedirectedTabs() {
+    for (const [tabId, entry] of tabsToRestore(redirectedTabs, { redirectMode: settings.redirectMode, isUrlLocked })) {
+      delete redirectedTabs[tabId];
+      navigate(tabId, entry.url);
+    }
+  }
+
+  function trackRedirectedTab(tabId, url) {
+    const entry = redirectedTabs[tabId];
+    if (!entry || !redirectEndedBy(entry, url)) return;
+
+    delete redirectedTabs[tabId];
+  }
+
+  // tabs.update plus the onUpdated event it causes
+  function navigate(tabId, url) {
+    tabs[tabId] = url;
+    trackRedirectedTab(tabId, url);
+  }
+
+  function open(tabId, url) {
+    navigate(tabId, url);
+    const site = findEnabledSite(url);
+    if (site && settings.redirectMode) redirectIfLocked(tabId, url, site);
+  }
+
+  return { redirectedTabs, tabs, locked, open, navigate, restoreRedirectedTabs };
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+const YOUTUBE = { id: 'youtube', patterns: ['*://*.youtube.com/*'], enabled: true };
+const VIDEO = 'https://www.youtube.com/watch?v=abc';
+
+describe('redirect mode', () => {
+  let settings;
+  beforeEach(() => {
+    settings = { redirectMode: true, redirectUrl: '', sites: [YOUTUBE] };
+  });
+
+  it('sends locked tabs to the paused page with the original URL', () => {
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+
+    assert.equal(r.tabs[1], `${PAUSED_PAGE_URL}#${VIDEO}`);
+    assert.deepEqual(r.redirectedTabs[1], { url: VIDEO, siteId: 'youtube', target: r.tabs[1] });
+  });
+
+  it('leaves unlocked tabs alone', () => {
+    const r = createRedirects(settings);
+    r.open(1, VIDEO);
+
+    assert.equal(r.tabs[1], VIDEO);
+    assert.deepEqual(r.redirectedTabs, {});
+  });
+
+  it('uses the configured URL unless that page is paused too', () => {
+    settings.redirectUrl = 'https://github.com/me/project/issues';
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+    assert.equal(r.tabs[1], settings.redirectUrl);
+
+    settings.redirectUrl = 'https://youtube.com/feed';
+    r.open(2, VIDEO);
+    assert.equal(r.tabs[2], `${PAUSED_PAGE_URL}#${VIDEO}`);
+  });
+
+  it('sends tabs back once the site unlocks', () => {
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+
+    r.restoreRedirectedTabs();
+    assert.notEqual(r.tabs[1], VIDEO);
+
+    r.locked.delete('youtube');
+    r.restoreRedirectedTabs();
+    assert.equal(r.tabs[1], VIDEO);
+    assert.deepEqual(r.redirectedTabs, {});
+  });
+
+  it('sends tabs back when redirect mode is switched off', () => {
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+
+    settings.redirectMode = false;
+    r.restoreRedirectedTabs();
+    assert.equal(r.tabs[1], VIDEO);
+  });
+
+  it('keeps tracking the tab within the redirect target\'s site', () => {
+    settings.redirectUrl = 'https://github.com/me/project/issues';
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+
+    r.navigate(1, 'https://www.github.com/me/project/issues/12');
+    assert.ok(r.redirectedTabs[1]);
+  });
+
+  it('forgets the tab when the user moves on', () => {
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+
+    r.navigate(1, 'https://news.ycombinator.com/');
+    assert.deepEqual(r.redirectedTabs, {});
+
+    r.locked.delete('youtube');
+    r.restoreRedirectedTabs();
+    assert.equal(r.tabs[1], 'https://news.ycombinator.com/');
+  });
+
+  it('forgets the tab when the paused page returns on its own', () => {
+    const r = createRedirects(settings);
+    r.locked.add('youtube');
+    r.open(1, VIDEO);
+
+    r.locked.delete('youtube');
+    r.navigate(1, VIDEO);
+    assert.deepEqual(r.redirectedTabs, {});
+  });
+});
+
+describe('sameSite', () => {
+  it('ignores www. and the path', () => {
+    assert.equal(sameSite('https://www.github.com/a', 'https://github.com/b'), true);
+    assert.equal(sameSite('https://gist.github.com/', 'https://github.com/'), false);
+  });
+
+  it('is false for anything that is not a URL', () => {
+    assert.equal(sameSite('not a url', 'https://github.com/'), false);
+  });
+});
+
+describe('tabsToRestore', () => {
+  const redirectedTabs = {
+    1: { url: VIDEO, siteId: 'youtube', target: 'x' },
+    2: { url: 'https://www.reddit.com/', siteId: 'reddit', target: 'x' },
+  };
+
+  it('returns numeric tab ids of tabs whose site unlocked', () => {
+    const restore = tabsToRestore(redirectedTabs, { redirectMode: true, isUrlLocked: url => url === VIDEO });
+
+    assert.deepEqual(restore, [[2, redirectedTabs[2]]]);
+  });
+
+  it('returns every tab with redirect mode off', () => {
+    const restore = tabsToRestore(redirectedTabs, { redirectMode: false, isUrlLocked: () => true });
+
+    assert.deepEqual(restore.map(([tabId]) => tabId), [1, 2]);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for scheduled focus windows (extension/schedules.js)
+ *
+ * Which window is in force for a site, overnight windows, per-site
+ * overrides and the next lock/unlock time.
+ *
+ * Run: node --test tests/schedule.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getScheduleState, nextScheduleChange, describeDays } = require('../extension/schedules.js');
+
+// ─── Fixtures ──────────────────────────────────────────────────────
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const WORK_HOURS = { name: 'Work hours', days: WEEKDAYS, start: '09:00', end: '18:00' };
+
+// 2026-01-12 is a Monday
+function at(day, hour, minute = 0) {
+  return new Date(2026, 0, 12 + day, hour, minute).getTime();
+}
+const MON = 0, FRI = 4, SAT = 5, SUN = 6;
+
+function makeSettings({ enabled = true, windows = [WORK_HOURS], sites } = {}) {
+  return {
+    schedule: { enabled, windows },
+    sites: sites || [{ id: 'youtube', name: 'YouTube', enabled: true }],
+  };
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+describe('default schedule', () => {
+  it('enforces around the clock when no schedule is on', () => {
+    const settings = makeSettings({ enabled: false });
+    const state = getScheduleState(settings.sites[0], settings.schedule, at(SAT, 23));
+
+    assert.deepEqual(state, { enforced: true, schedule: null });
+  });
+
+  it('enforces inside a window and reports when it ends', () => {
+    const settings = makeSettings();
+    const state = getScheduleState(settings.sites[0], settings.schedule, at(MON, 10));
+
+    assert.equal(state.enforced, true);
+    assert.equal(state.schedule.label, 'Work hours (Mon–Fri 09:00–18:00)');
+    assert.equal(state.schedule.source, 'default');
+    assert.equal(state.schedule.until, at(MON, 18));
+  });
+
+  it('does not enforce outside its hours or days', () => {
+    const settings = makeSettings();
+    const site = settings.sites[0];
+
+    assert.equal(getScheduleState(site, settings.schedule, at(MON, 8, 59)).enforced, false);
+    assert.equal(getScheduleState(site, settings.schedule, at(MON, 18)).enforced, false);
+    assert.equal(getScheduleState(site, settings.schedule, at(SAT, 10)).enforced, false);
+  });
+
+  it('enforces nothing when the schedule has no windows', () => {
+    const settings = makeSettings({ windows: [] });
+
+    assert.equal(getScheduleState(settings.sites[0], settings.schedule, at(MON, 10)).enforced, false);
+  });
+});
+
+describe('overnight and all-day windows', () => {
+  const LATE = { name: 'Late night', days: [5], start: '22:00', end: '02:00' };
+
+  it('runs past midnight into the next day', () => {
+    const settings = makeSettings({ windows: [LATE] });
+    const site = settings.sites[0];
+
+    assert.equal(getScheduleState(site, settings.schedule, at(FRI, 23)).enforced, true);
+    const state = getScheduleState(site, settings.schedule, at(SAT, 1));
+    assert.equal(state.enforced, true);
+    assert.equal(state.schedule.until, at(SAT, 2));
+    assert.equal(getScheduleState(site, settings.schedule, at(SAT, 2)).enforced, false);
+  });
+
+  it('only carries over from a scheduled day', () => {
+    const settings = makeSettings({ windows: [LATE] });
+
+    // Friday's window doesn't cover early Friday morning
+    assert.equal(getScheduleState(settings.sites[0], settings.schedule, at(FRI, 1)).enforced, false);
+  });
+
+  it('treats equal start and end as the whole day', () => {
+    const settings = makeSettings({ windows: [{ name: '', days: [0, 6], start: '00:00', end: '00:00' }] });
+    const state = getScheduleState(settings.sites[0], settings.schedule, at(SUN, 15));
+
+    assert.equal(state.enforced, true);
+    assert.equal(state.schedule.label, 'Sat, Sun all day');
+  });
+});
+
+describe('per-site overrides', () => {
+  const sites = [
+    { id: 'reddit', name: 'Reddit', enabled: true,
+      schedule: [{ name: '', days: [0, 1, 2, 3, 4, 5, 6], start: '09:00', end: '18:00' }] },
+    { id: 'youtube', name: 'YouTube', enabled: true,
+      schedule: [{ name: 'Deep work', days: WEEKDAYS, start: '10:00', end: '12:00' }] },
+    { id: 'twitter', name: 'Twitter/X', enabled: true },
+  ];
+
+  it('follow their own windows instead of the default', () => {
+    const settings = makeSettings({ sites });
+    const [reddit, youtube, twitter] = sites;
+
+    assert.equal(getScheduleState(reddit, settings.schedule, at(SAT, 10)).enforced, true);
+    assert.equal(getScheduleState(youtube, settings.schedule, at(MON, 9, 30)).enforced, false);
+    assert.equal(getScheduleState(twitter, settings.schedule, at(MON, 9, 30)).enforced, true);
+  });
+
+  it('apply even when the default schedule is off', () => {
+    const settings = makeSettings({ enabled: false, sites });
+    const [reddit, , twitter] = sites;
+
+    assert.equal(getScheduleState(reddit, settings.schedule, at(MON, 20)).enforced, false);
+    assert.equal(getScheduleState(twitter, settings.schedule, at(MON, 20)).enforced, true);
+  });
+
+  it('are reported as the site\'s own schedule', () => {
+    const settings = makeSettings({ sites });
+    const state = getScheduleState(sites[1], settings.schedule, at(MON, 11));
+
+    assert.equal(state.schedule.source, 'site');
+    assert.equal(state.schedule.label, 'Deep work (Mon–Fri 10:00–12:00)');
+  });
+});
+
+describe('nextScheduleChange', () => {
+  it('is the next window start or end across enabled sites', () => {
+    const settings = makeSettings({
+      sites: [
+        { id: 'youtube', enabled: true },
+        { id: 'reddit', enabled: true, schedule: [{ days: WEEKDAYS, start: '10:00', end: '12:00' }] },
+      ],
+    });
+
+    assert.equal(nextScheduleChange(settings.sites, settings.schedule, at(MON, 8)), at(MON, 9));
+    assert.equal(nextScheduleChange(settings.sites, settings.schedule, at(MON, 9, 30)), at(MON, 10));
+    assert.equal(nextScheduleChange(settings.sites, settings.schedule, at(MON, 12)), at(MON, 18));
+    assert.equal(nextScheduleChange(settings.sites, settings.schedule, at(FRI, 18)), at(MON + 7, 9));
+  });
+
+  it('ignores disabled sites and unscheduled setups', () => {
+    const unscheduled = makeSettings({ enabled: false });
+    const disabled = makeSettings({ sites: [{ id: 'youtube', enabled: false }] });
+
+    assert.equal(nextScheduleChange(unscheduled.sites, unscheduled.schedule, at(MON, 8)), null);
+    assert.equal(nextScheduleChange(disabled.sites, disabled.schedule, at(MON, 8)), null);
+  });
+});
+
+describe('describeDays', () => {
+  it('collapses runs of three or more days', () => {
+    assert.equal(describeDays(WEEKDAYS), 'Mon–Fri');
+    assert.equal(describeDays([1, 2, 3, 5, 6]), 'Mon–Wed, Fri, Sat');
+    assert.equal(describeDays([6, 0]), 'Sat, Sun');
+    assert.equal(describeDays([0, 1, 2, 3, 4, 5, 6]), 'every day');
+  });
+});
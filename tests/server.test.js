@@ -0,0 +1,369 @@
+/**
+ * Tests for the daemon's HTTP access control (daemon/server.js)
+ *
+ * Starts a copy of the daemon from a temp directory, so it reads its own
+ * config.json and auth.json, on a free port.
+ *
+ * Run: node --test tests/server.test.js
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { OPCODES, encodeFrame, createFrameDecoder } = require('../daemon/websocket');
+
+const TOKEN = 'a'.repeat(64);
+const EXTENSION_ORIGIN = 'chrome-extension://abcdefghijklmnop';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Copy the daemon into a temp directory, write its config and auth files
+ * (and any other `files`, name -> JSON) and start it. Resolves once it is
+ * listening.
+ */
+async function startDaemon(auth, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'focus-daemon-'));
+  fs.cpSync(path.join(__dirname, '..', 'daemon'), path.join(dir, 'daemon'), { recursive: true });
+
+  const port = await freePort();
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ port }));
+  fs.writeFileSync(path.join(dir, 'auth.json'), JSON.stringify(auth));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(content));
+  }
+
+  const child = spawn(process.execPath, [path.join(dir, 'daemon', 'server.js')], { stdio: ['ignore', 'pipe', 'pipe'] });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`daemon did not start:\n${output}`)), 10000);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Productivity daemon running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', () => reject(new Error(`daemon exited:\n${output}`)));
+  });
+
+  return { dir, port, child, headers: { Authorization: `Bearer ${auth.token}` } };
+}
+
+async function stopDaemon({ dir, child }) {
+  if (child.exitCode === null) {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function get(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: pathname, headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+  });
+}
+
+function post(port, pathname, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: pathname, method: 'POST', headers }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+/** Status line the daemon answers a WebSocket upgrade with */
+function upgrade(port, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => {
+      socket.write([
+        `GET ${pathname} HTTP/1.1`,
+        `Host: 127.0.0.1:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version: 13',
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        '',
+      ].join('\r\n'));
+    });
+    socket.once('data', (chunk) => {
+      resolve(chunk.toString().split('\r\n')[0]);
+      socket.destroy();
+    });
+    socket.on('error', reject);
+  });
+}
+
+/**
+ * Open a WebSocket with the token and collect the JSON messages it gets.
+ * Resolves to { messages, send(message), close() } once the upgrade is done.
+ */
+function openWebSocket(port) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: `/?token=${TOKEN}`,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('error', reject);
+    req.on('upgrade', (res, socket, head) => {
+      const decoder = createFrameDecoder({
+        masked: false,
+        onMessage(opcode, data) {
+          if (opcode === OPCODES.TEXT) messages.push(JSON.parse(data));
+        },
+        onError: reject,
+      });
+      socket.on('data', chunk => decoder.push(chunk));
+      if (head.length > 0) decoder.push(head);
+      resolve({
+        messages,
+        send: message => socket.write(encodeFrame(JSON.stringify(message), OPCODES.TEXT, true)),
+        close: () => socket.destroy(),
+      });
+    });
+    req.end();
+  });
+}
+
+/**
+ * The events of the first history pushes on an SSE stream of the history
+ * topic, once there are `count` of them.
+ */
+function streamHistory(port, headers, count) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({ host: '127.0.0.1', port, path: '/events?topics=history', headers }, (res) => {
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const data = block.split('\n').find(line => line.startsWith('data: '));
+          if (block.includes('event: history') && data) events.push(...JSON.parse(data.slice(6)).events);
+        }
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('daemon access control', () => {
+  let daemon;
+
+  before(async () => {
+    daemon = await startDaemon({ token: TOKEN, pairingOpenedAt: Date.now() });
+  });
+
+  after(async () => {
+    await stopDaemon(daemon);
+  });
+
+  it('answers /health without a token', async () => {
+    assert.equal((await get(daemon.port, '/health')).status, 200);
+  });
+
+  it('rejects API requests without the right token', async () => {
+    assert.equal((await get(daemon.port, '/status')).status, 401);
+    assert.equal((await get(daemon.port, '/status', { Authorization: `Bearer ${'b'.repeat(64)}` })).status, 401);
+    assert.equal((await get(daemon.port, '/history?token=wrong')).status, 401);
+  });
+
+  it('accepts the token as a header or a query parameter', async () => {
+    assert.equal((await get(daemon.port, '/status', { Authorization: `Bearer ${TOKEN}` })).status, 200);
+    assert.equal((await get(daemon.port, `/status?token=${TOKEN}`)).status, 200);
+  });
+
+  it('forbids web pages, even with the token', async () => {
+    const res = await get(daemon.port, '/status', { Origin: 'https://example.com', Authorization: `Bearer ${TOKEN}` });
+
+    assert.equal(res.status, 403);
+  });
+
+  it('hands the token only to the extension while pairing is open', async () => {
+    const paired = await get(daemon.port, '/pair', { Origin: EXTENSION_ORIGIN });
+
+    assert.equal(paired.status, 200);
+    assert.equal(paired.body.token, TOKEN);
+    assert.equal((await get(daemon.port, '/pair')).status, 403);
+    assert.equal((await get(daemon.port, '/pair', { Origin: 'https://example.com' })).status, 403);
+  });
+
+  it('focuses terminals only for the extension', async () => {
+    const auth = { Authorization: `Bearer ${TOKEN}` };
+
+    const local = await post(daemon.port, '/focus-terminal', { sessionId: 'abc' }, auth);
+    assert.equal(local.status, 403);
+    assert.match(local.body.error, /Only the browser extension/);
+
+    const extension = await post(daemon.port, '/focus-terminal', { sessionId: 'abc' }, { ...auth, Origin: EXTENSION_ORIGIN });
+    assert.equal(extension.status, 404);
+    assert.equal((await post(daemon.port, '/focus-terminal', { sessionId: 'abc' }, { Origin: EXTENSION_ORIGIN })).status, 401);
+  });
+
+  it('rejects a focus-terminal body without a session id', async () => {
+    const headers = { Authorization: `Bearer ${TOKEN}`, Origin: EXTENSION_ORIGIN };
+
+    for (const body of [null, 'abc', ['abc'], { sessionId: 42 }]) {
+      const res = await post(daemon.port, '/focus-terminal', body, headers);
+      assert.equal(res.status, 400);
+      assert.equal(res.body.ok, false);
+    }
+    assert.equal((await get(daemon.port, '/health')).status, 200);
+  });
+
+  it('refuses WebSocket upgrades without the token', async () => {
+    assert.match(await upgrade(daemon.port, '/'), / 401 /);
+    assert.match(await upgrade(daemon.port, `/?token=${TOKEN}`), / 101 /);
+  });
+});
+
+describe('pairing window', () => {
+  let daemon;
+
+  before(async () => {
+    daemon = await startDaemon({ token: TOKEN, pairingOpenedAt: Date.now() - 60 * 60 * 1000 });
+  });
+
+  after(async () => {
+    await stopDaemon(daemon);
+  });
+
+  it('closes once the window has passed', async () => {
+    const res = await get(daemon.port, '/pair', { Origin: EXTENSION_ORIGIN });
+
+    assert.equal(res.status, 403);
+    assert.match(res.body.error, /Pairing window closed/);
+  });
+});
+
+describe('manual overrides', () => {
+  let daemon;
+
+  afterEach(async () => {
+    await stopDaemon(daemon);
+  });
+
+  it('forgets an override that ended while the daemon was down', async () => {
+    const now = Date.now();
+    daemon = await startDaemon({ token: TOKEN }, {
+      'override.json': { mode: 'unlock', until: now - 1000, setAt: now - 60000 },
+    });
+
+    assert.equal(fs.existsSync(path.join(daemon.dir, 'override.json')), false);
+    assert.equal((await get(daemon.port, '/status', daemon.headers)).body.override, null);
+  });
+
+  it('reports an override ending without rewriting override.json on reads', async () => {
+    const now = Date.now();
+    const stored = { mode: 'unlock', until: now + 1500, setAt: now };
+    daemon = await startDaemon({ token: TOKEN }, { 'override.json': stored });
+    const overrideFile = path.join(daemon.dir, 'override.json');
+
+    assert.equal((await get(daemon.port, '/status', daemon.headers)).body.override.mode, 'unlock');
+    await new Promise(resolve => setTimeout(resolve, stored.until - Date.now() + 100));
+
+    assert.equal((await get(daemon.port, '/status', daemon.headers)).body.override, null);
+    assert.deepEqual(JSON.parse(fs.readFileSync(overrideFile, 'utf-8')), stored);
+  });
+});
+
+describe('history', () => {
+  let daemon;
+
+  afterEach(async () => {
+    await stopDaemon(daemon);
+  });
+
+  const historyLine = (ts, event) => JSON.stringify({ ts, sessionId: 's1', event, state: 'working' }) + '\n';
+
+  it('serves events from the history log', async () => {
+    daemon = await startDaemon({ token: TOKEN });
+    const now = Date.now();
+    fs.writeFileSync(path.join(daemon.dir, 'history.jsonl'), historyLine(now - 2000, 'UserPromptSubmit') + historyLine(now - 1000, 'Stop'));
+
+    const { body } = await get(daemon.port, `/history?from=${now - 1500}`, daemon.headers);
+
+    assert.deepEqual(body.events.map(event => event.event), ['Stop']);
+  });
+
+  it('replays the log to a resuming stream, then pushes new events once each', async () => {
+    daemon = await startDaemon({ token: TOKEN });
+    const historyFile = path.join(daemon.dir, 'history.jsonl');
+    const now = Date.now();
+    fs.writeFileSync(historyFile, historyLine(now - 2000, 'UserPromptSubmit') + historyLine(now - 1000, 'PostToolUse'));
+
+    const pushed = streamHistory(daemon.port, { ...daemon.headers, 'Last-Event-ID': `${now - 5000}-aaaaaaaaaaaa` }, 3);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    fs.appendFileSync(historyFile, historyLine(Date.now(), 'Stop'));
+    await post(daemon.port, '/notify', {}, daemon.headers);
+
+    assert.deepEqual((await pushed).map(event => event.event), ['UserPromptSubmit', 'PostToolUse', 'Stop']);
+  });
+});
+
+describe('status pushes', () => {
+  let daemon;
+
+  afterEach(async () => {
+    await stopDaemon(daemon);
+  });
+
+  it('pushes when a client\'s shorter site timeout runs out first', async () => {
+    const now = Date.now();
+    daemon = await startDaemon({ token: TOKEN }, {
+      'activity.json': { lastActivity: now, sessions: { s1: { lastActivity: now, state: 'idle', project: 'app' } } },
+    });
+    const ws = await openWebSocket(daemon.port);
+    // Wakes 1.2s after the activity; the first timeout keeps sites unlocked
+    ws.send({ v: 1, id: 1, type: 'hello', client: 'test', timeout: 10, timeouts: [0.02] });
+
+    await new Promise(resolve => setTimeout(resolve, now + 2500 - Date.now()));
+    ws.close();
+
+    const statuses = ws.messages.filter(message => message.type === 'status');
+    assert.deepEqual(statuses.at(-1).timeouts, [{ timeout: 10, active: true }, { timeout: 0.02, active: false }]);
+    assert.ok(statuses.some(status => status.timeouts?.[1].active === true));
+  });
+});
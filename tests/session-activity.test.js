@@ -0,0 +1,62 @@
+/**
+ * Tests for the shared session activity rule (daemon/session-activity.js)
+ *
+ * The extension can't load daemon files, so extension/timeouts.js keeps its
+ * own copy of the rule; every case runs against both.
+ *
+ * Run: node --test tests/session-activity.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const IMPLEMENTATIONS = {
+  'daemon/session-activity.js': require('../daemon/session-activity'),
+  'extension/timeouts.js': require('../extension/timeouts.js'),
+};
+
+const MINUTE = 60 * 1000;
+const TIMEOUT_MS = 2 * MINUTE;
+const WORKING_STALE_MS = 5 * MINUTE;
+
+for (const [file, { activeWindowMs, isSessionActive }] of Object.entries(IMPLEMENTATIONS)) {
+  describe(file, () => {
+    describe('activeWindowMs', () => {
+      it('is the timeout for sessions that are not working', () => {
+        assert.equal(activeWindowMs('idle', TIMEOUT_MS, WORKING_STALE_MS), TIMEOUT_MS);
+        assert.equal(activeWindowMs('waiting-for-user', TIMEOUT_MS, WORKING_STALE_MS), TIMEOUT_MS);
+        assert.equal(activeWindowMs(undefined, TIMEOUT_MS, WORKING_STALE_MS), TIMEOUT_MS);
+      });
+
+      it('stretches to the stale limit while working, never below the timeout', () => {
+        assert.equal(activeWindowMs('working', TIMEOUT_MS, WORKING_STALE_MS), WORKING_STALE_MS);
+        assert.equal(activeWindowMs('working', 10 * MINUTE, WORKING_STALE_MS), 10 * MINUTE);
+      });
+
+      it('is null for ended sessions', () => {
+        assert.equal(activeWindowMs('ended', TIMEOUT_MS, WORKING_STALE_MS), null);
+      });
+    });
+
+    describe('isSessionActive', () => {
+      const active = (state, elapsed) => isSessionActive({ state }, elapsed, TIMEOUT_MS, WORKING_STALE_MS);
+
+      it('keeps a working session through a long thinking turn', () => {
+        assert.equal(active('working', 4 * MINUTE), true);
+      });
+
+      it('lets an interrupted working session go after the stale limit', () => {
+        assert.equal(active('working', WORKING_STALE_MS), false);
+      });
+
+      it('applies the timeout to everything else', () => {
+        assert.equal(active('idle', TIMEOUT_MS - 1), true);
+        assert.equal(active('idle', TIMEOUT_MS), false);
+      });
+
+      it('never counts ended sessions', () => {
+        assert.equal(active('ended', 0), false);
+      });
+    });
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests for the session display shared by the popup, paused page and
+ * overlay (extension/sessions.js)
+ *
+ * Run: node --test tests/sessions.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { describeSession, describeSessionMeta, renderSessions } = require('../extension/sessions.js');
+
+// ─── DOM mock ──────────────────────────────────────────────────────
+
+/** Elements that keep innerHTML as text and resolve `.class` selectors from it */
+function createDocumentMock() {
+  const document = {
+    createElement(tagName) {
+      const parts = {};
+      return {
+        tagName,
+        className: '',
+        children: [],
+        set innerHTML(html) {
+          this.html = html;
+          this.children = [];
+          for (const [, cls] of html.matchAll(/class="([^"]*)"/g)) parts[`.${cls.split(' ').pop()}`] = { textContent: '' };
+        },
+        get innerHTML() { return this.html || ''; },
+        querySelector(selector) { return parts[selector] || null; },
+        appendChild(child) { this.children.push(child); },
+        ownerDocument: document,
+      };
+    },
+  };
+  return document;
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+describe('describeSession', () => {
+  it('names a session by project and branch', () => {
+    assert.equal(describeSession({ id: 'abc', project: 'api-service', branch: 'feature/billing' }), 'api-service (feature/billing)');
+    assert.equal(describeSession({ id: 'abc', project: 'api-service' }), 'api-service');
+  });
+
+  it('falls back to the start of the session id', () => {
+    assert.equal(describeSession({ id: '0123456789abcdef' }), 'session 01234567');
+  });
+});
+
+describe('describeSessionMeta', () => {
+  it('joins state, last tool and age', () => {
+    const meta = describeSessionMeta({ state: 'working', lastTool: 'Edit', lastActivity: 1, elapsed: 12400 });
+
+    assert.equal(meta, 'Working · Edit · 12s ago');
+  });
+
+  it('leaves out what the session does not have', () => {
+    assert.equal(describeSessionMeta({ state: 'waiting-for-user' }), 'Waiting for you');
+    assert.equal(describeSessionMeta({ state: 'unknown' }), '');
+  });
+});
+
+describe('renderSessions', () => {
+  const sessions = [
+    { id: 'a', project: 'api', state: 'working', active: true, lastActivity: 1, elapsed: 5000 },
+    { id: 'b', project: 'web', branch: 'main', state: 'idle', active: false, lastActivity: 1, elapsed: 90000 },
+  ];
+
+  it('replaces the list with one item per session, in order', () => {
+    const list = createDocumentMock().createElement('ul');
+    list.appendChild({ stale: true });
+
+    renderSessions(list, sessions);
+
+    assert.equal(list.children.length, 2);
+    assert.equal(list.children[0].querySelector('.session-name').textContent, 'api');
+    assert.equal(list.children[1].querySelector('.session-name').textContent, 'web (main)');
+    assert.equal(list.children[1].querySelector('.session-meta').textContent, 'Idle · 90s ago');
+  });
+
+  it('marks active sessions and their dot', () => {
+    const list = createDocumentMock().createElement('ul');
+
+    renderSessions(list, sessions);
+
+    assert.equal(list.children[0].className, 'session-item active');
+    assert.match(list.children[0].innerHTML, /<span class="status-dot active">/);
+    assert.equal(list.children[1].className, 'session-item');
+    assert.match(list.children[1].innerHTML, /<span class="status-dot inactive">/);
+  });
+
+  it('takes the item and dot markup from the caller', () => {
+    const list = createDocumentMock().createElement('div');
+
+    renderSessions(list, sessions, { itemTag: 'div', dotTag: 'i', dotClass: 'fa-solid fa-circle status-dot' });
+
+    assert.equal(list.children[0].tagName, 'div');
+    assert.match(list.children[0].innerHTML, /<i class="fa-solid fa-circle status-dot active"><\/i>/);
+  });
+});
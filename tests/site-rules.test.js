@@ -0,0 +1,173 @@
+/**
+ * Tests for path- and query-aware site rules (extension/site-rules.js)
+ *
+ * Include rules narrow a site down to matching paths, exclude rules let
+ * paths through. Prefix, glob and regex rules all test the path plus query.
+ *
+ * Run: node --test tests/site-rules.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ruleMatchesPath,
+  siteRulesPause,
+  siteCoversUrl,
+  previewSiteRules,
+} = require('../extension/site-rules.js');
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+describe('ruleMatchesPath', () => {
+  it('prefix rules match the start of the path and query', () => {
+    assert.equal(ruleMatchesPath({ match: 'prefix', value: '/shorts' }, '/shorts/abc'), true);
+    assert.equal(ruleMatchesPath({ match: 'prefix', value: '/watch?v=' }, '/watch?v=abc'), true);
+    assert.equal(ruleMatchesPath({ match: 'prefix', value: '/shorts' }, '/feed/shorts'), false);
+  });
+
+  it('glob rules must match the whole path, with * for anything', () => {
+    const rule = { match: 'glob', value: '/r/*/comments/*' };
+
+    assert.equal(ruleMatchesPath(rule, '/r/javascript/comments/123/title'), true);
+    assert.equal(ruleMatchesPath(rule, '/r/javascript/'), false);
+    assert.equal(ruleMatchesPath({ match: 'glob', value: '/' }, '/'), true);
+    assert.equal(ruleMatchesPath({ match: 'glob', value: '/' }, '/watch?v=1'), false);
+  });
+
+  it('glob rules treat ? and . literally', () => {
+    assert.equal(ruleMatchesPath({ match: 'glob', value: '/watch?v=*' }, '/watch?v=abc'), true);
+    assert.equal(ruleMatchesPath({ match: 'glob', value: '/a.b' }, '/axb'), false);
+  });
+
+  it('regex rules search the path and query', () => {
+    assert.equal(ruleMatchesPath({ match: 'regex', value: '^/watch\\?v=' }, '/watch?v=abc'), true);
+    assert.equal(ruleMatchesPath({ match: 'regex', value: 'list=' }, '/watch?v=1&list=2'), true);
+  });
+
+  it('throws on an invalid regex', () => {
+    assert.throws(() => ruleMatchesPath({ match: 'regex', value: '(' }, '/'));
+  });
+
+  it('keeps throwing for an invalid regex once it is cached', () => {
+    const rule = { match: 'regex', value: '[' };
+
+    assert.throws(() => ruleMatchesPath(rule, '/'), SyntaxError);
+    assert.throws(() => ruleMatchesPath(rule, '/'), SyntaxError);
+  });
+
+  it('compiles each rule once', (t) => {
+    const rule = { match: 'regex', value: '^/compiled-once' };
+    ruleMatchesPath(rule, '/');
+    const compile = t.mock.method(globalThis, 'RegExp');
+
+    assert.equal(ruleMatchesPath(rule, '/compiled-once/a'), true);
+    assert.equal(ruleMatchesPath({ ...rule }, '/b'), false);
+    assert.equal(compile.mock.callCount(), 0);
+  });
+
+  it('never matches an unknown match type', () => {
+    assert.equal(ruleMatchesPath({ match: 'exact', value: '/' }, '/'), false);
+  });
+});
+
+describe('siteRulesPause', () => {
+  it('pauses everything without rules', () => {
+    assert.equal(siteRulesPause({}, 'https://www.youtube.com/watch?v=1'), true);
+  });
+
+  it('allows excluded paths and pauses the rest', () => {
+    const reddit = { rules: [{ type: 'exclude', match: 'prefix', value: '/r/javascript' }] };
+
+    assert.equal(siteRulesPause(reddit, 'https://www.reddit.com/'), true);
+    assert.equal(siteRulesPause(reddit, 'https://www.reddit.com/r/funny'), true);
+    assert.equal(siteRulesPause(reddit, 'https://www.reddit.com/r/javascript/comments/1'), false);
+  });
+
+  it('only pauses included paths when there are include rules', () => {
+    const youtube = {
+      rules: [
+        { type: 'include', match: 'prefix', value: '/shorts' },
+        { type: 'include', match: 'glob', value: '/' },
+      ],
+    };
+
+    assert.equal(siteRulesPause(youtube, 'https://www.youtube.com/'), true);
+    assert.equal(siteRulesPause(youtube, 'https://www.youtube.com/shorts/abc'), true);
+    assert.equal(siteRulesPause(youtube, 'https://www.youtube.com/watch?v=abc'), false);
+  });
+
+  it('lets exclude rules win over include rules', () => {
+    const youtube = {
+      rules: [
+        { type: 'include', match: 'glob', value: '*' },
+        { type: 'exclude', match: 'regex', value: '^/watch\\?v=' },
+      ],
+    };
+
+    assert.equal(siteRulesPause(youtube, 'https://www.youtube.com/feed/trending'), true);
+    assert.equal(siteRulesPause(youtube, 'https://www.youtube.com/watch?v=abc'), false);
+  });
+
+  it('ignores empty and invalid rules', () => {
+    const site = {
+      rules: [
+        { type: 'include', match: 'prefix', value: '' },
+        { type: 'exclude', match: 'regex', value: '(' },
+      ],
+    };
+
+    assert.equal(siteRulesPause(site, 'https://www.youtube.com/watch?v=abc'), true);
+  });
+});
+
+describe('siteCoversUrl', () => {
+  const youtube = {
+    patterns: ['*://*.youtube.com/*'],
+    rules: [{ type: 'exclude', match: 'glob', value: '/watch?v=*' }],
+  };
+
+  it('needs both a matching pattern and rules that pause the path', () => {
+    assert.equal(siteCoversUrl(youtube, 'https://www.youtube.com/shorts/abc'), true);
+    assert.equal(siteCoversUrl(youtube, 'https://www.youtube.com/watch?v=abc'), false);
+    assert.equal(siteCoversUrl(youtube, 'https://www.reddit.com/shorts/abc'), false);
+  });
+
+  it('takes URL objects as well as strings', () => {
+    assert.equal(siteCoversUrl(youtube, new URL('https://youtube.com/')), true);
+  });
+
+  it('never covers an invalid URL', () => {
+    assert.equal(siteCoversUrl(youtube, 'not a url'), false);
+  });
+});
+
+describe('previewSiteRules', () => {
+  const site = {
+    patterns: ['*://*.youtube.com/*'],
+    rules: [
+      { type: 'exclude', match: 'prefix', value: '/watch' },
+      { type: 'exclude', match: 'regex', value: '(' },
+    ],
+  };
+  const urls = [
+    'https://www.youtube.com/watch?v=abc',
+    'https://www.youtube.com/shorts/xyz',
+    'https://www.reddit.com/',
+  ];
+
+  it('only considers tabs the site covers', () => {
+    assert.deepEqual(previewSiteRules(site, urls).covered, urls.slice(0, 2));
+  });
+
+  it('lists the tabs each rule matches and reports invalid ones', () => {
+    const preview = previewSiteRules(site, urls);
+
+    assert.deepEqual(preview.rules[0].matches, ['https://www.youtube.com/watch?v=abc']);
+    assert.deepEqual(preview.rules[1].matches, []);
+    assert.ok(preview.rules[1].error);
+  });
+
+  it('lists the tabs the site would pause', () => {
+    assert.deepEqual(previewSiteRules(site, urls).paused, ['https://www.youtube.com/shorts/xyz']);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests for per-site inactivity timeouts (extension/timeouts.js)
+ *
+ * The latest daemon payload is kept raw and evaluated per tab, so one
+ * status can lock a site with a short timeout while another stays open.
+ * `locksAt` predicts when an active status runs out, for the pre-lock warning.
+ * A daemon override (a snooze or lock from any client) beats the timeout until it ends.
+ *
+ * Run: node --test tests/site-timeout.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { siteTimeout: timeoutFor, evaluateStatus } = require('../extension/timeouts.js');
+
+/** A site's status, as background.js evaluates the latest payload for its tabs */
+function createEvaluator(settings) {
+  const siteTimeout = (site) => timeoutFor(site, settings.timeout);
+  const siteStatus = (lastStatus, site, now = NOW) =>
+    evaluateStatus(lastStatus, siteTimeout(site), settings.lockOnAttention, now);
+
+  return { siteTimeout, siteStatus };
+}
+
+// ─── Tests ─────────────────────────────────────────────────────────
+
+const twitter = { id: 'twitter', timeout: 0.5 };
+const youtube = { id: 'youtube', timeout: 5 };
+const reddit = { id: 'reddit' };
+
+const NOW = Date.UTC(2026, 0, 12, 10);
+// The daemon's workingStaleMinutes, sent with every status
+const WORKING_STALE_MS = 5 * 60 * 1000;
+
+function idleFor(seconds, state = 'idle') {
+  const lastActivity = NOW - seconds * 1000;
+  return {
+    daemonOnline: true,
+    state,
+    lastActivity,
+    elapsed: seconds * 1000,
+    sessions: [{ id: 's1', state, lastActivity, elapsed: seconds * 1000 }],
+    workingStaleMs: WORKING_STALE_MS,
+  };
+}
+
+describe('per-site timeouts', () => {
+  const { siteTimeout, siteStatus } = createEvaluator({ timeout: 2, lockOnAttention: false });
+
+  it('falls back to the global timeout', () => {
+    assert.equal(siteTimeout(reddit), 2);
+    assert.equal(siteTimeout(twitter), 0.5);
+    assert.equal(siteTimeout({ id: 'x', timeout: 0 }), 0);
+  });
+
+  it('locks each site on its own timeout from the same status', () => {
+    const status = idleFor(45);
+
+    assert.equal(siteStatus(status, twitter).active, false);
+    assert.equal(siteStatus(status, reddit).active, true);
+    assert.equal(siteStatus(status, youtube).active, true);
+  });
+
+  it('reports the timeout it was evaluated with', () => {
+    assert.equal(siteStatus(idleFor(10), twitter).timeout, 0.5);
+    assert.equal(siteStatus(idleFor(10), reddit).timeout, 2);
+  });
+
+  it('re-evaluates session flags per site', () => {
+    const status = idleFor(3 * 60);
+
+    assert.equal(siteStatus(status, reddit).sessions[0].active, false);
+    assert.equal(siteStatus(status, youtube).sessions[0].active, true);
+  });
+
+  it('keeps working sessions active past a short site timeout', () => {
+    assert.equal(siteStatus(idleFor(4 * 60, 'working'), twitter).active, true);
+  });
+
+  it('stops counting a silent working session after the daemon\'s stale limit', () => {
+    assert.equal(siteStatus(idleFor(6 * 60, 'working'), twitter).active, false);
+    assert.equal(siteStatus({ ...idleFor(6 * 60, 'working'), workingStaleMs: 10 * 60 * 1000 }, twitter).active, true);
+  });
+
+  it('counts the time since the payload arrived', () => {
+    const status = idleFor(10);
+
+    assert.equal(siteStatus(status, twitter).active, true);
+    assert.equal(siteStatus(status, twitter, NOW + 25 * 1000).active, false);
+    assert.equal(siteStatus(status, twitter, NOW + 25 * 1000).sessions[0].elapsed, 35 * 1000);
+    assert.equal(siteStatus({ ...status, sessions: [] }, twitter, NOW + 25 * 1000).active, false);
+  });
+
+  it('passes offline status through untouched', () => {
+    const offline = { active: false, daemonOnline: false, unauthorized: true };
+    const status = siteStatus(offline, youtube);
+
+    assert.equal(status.active, false);
+    assert.equal(status.unauthorized, true);
+    assert.equal(status.timeout, 5);
+  });
+});
+
+describe('predicted lock time', () => {
+  const { siteStatus } = createEvaluator({ timeout: 2, lockOnAttention: false });
+
+  it('is the last activity plus the site\'s timeout', () => {
+    assert.equal(siteStatus(idleFor(30), reddit).locksAt, NOW + 90 * 1000);
+    assert.equal(siteStatus(idleFor(10), twitter).locksAt, NOW + 20 * 1000);
+  });
+
+  it('is null once the site is locked', () => {
+    assert.equal(siteStatus(idleFor(45), twitter).locksAt, null);
+  });
+
+  it('follows the session that stays active longest', () => {
+    const status = idleFor(60);
+    status.sessions.push({ id: 's2', state: 'idle', lastActivity: NOW - 10 * 1000, elapsed: 10 * 1000 });
+
+    assert.equal(siteStatus(status, reddit).locksAt, NOW + 110 * 1000);
+  });
+
+  it('gives working sessions until they go stale', () => {
+    assert.equal(siteStatus(idleFor(60, 'working'), reddit).locksAt, NOW - 60 * 1000 + WORKING_STALE_MS);
+  });
+
+  it('uses the top-level activity without sessions', () => {
+    const status = { daemonOnline: true, state: 'idle', lastActivity: NOW - 1000, elapsed: 1000 };
+
+    assert.equal(siteStatus(status, reddit).locksAt, NOW + 119 * 1000);
+  });
+});
+
+describe('daemon overrides', () => {
+  const { siteStatus } = createEvaluator({ timeout: 2, lockOnAttention: true });
+  const unlock = (minutes) => ({ mode: 'unlock', until: NOW + minutes * 60 * 1000 });
+
+  it('unlocks timed-out sites until a snooze ends', () => {
+    const override = unlock(10);
+    const status = siteStatus({ ...idleFor(45), override }, twitter);
+
+    assert.equal(status.active, true);
+    assert.equal(status.locksAt, override.until);
+  });
+
+  it('beats "Claude needs you" locking', () => {
+    const status = siteStatus({ ...idleFor(10, 'waiting-for-user'), state: 'needs-attention', override: unlock(1) }, reddit);
+
+    assert.equal(status.active, true);
+    assert.equal(status.needsAttention, false);
+  });
+
+  it('keeps the later lock time when activity outlasts the snooze', () => {
+    const override = unlock(1 / 60);
+    const status = siteStatus({ ...idleFor(10, 'working'), override }, reddit);
+
+    assert.equal(status.locksAt, Math.max(NOW - 10 * 1000 + WORKING_STALE_MS, override.until));
+  });
+
+  it('locks active sites, open-ended or until a time', () => {
+    const untilNextActivity = siteStatus({ ...idleFor(5, 'working'), override: { mode: 'lock', until: null } }, reddit);
+    const forTenMinutes = siteStatus({ ...idleFor(5), override: { mode: 'lock', until: NOW + 600000 } }, reddit);
+
+    assert.equal(untilNextActivity.active, false);
+    assert.equal(untilNextActivity.locksAt, null);
+    assert.equal(forTenMinutes.active, false);
+  });
+
+  it('is ignored once it has ended', () => {
+    const status = siteStatus({ ...idleFor(45), override: { mode: 'unlock', until: NOW - 1000 } }, twitter);
+
+    assert.equal(status.active, false);
+    assert.equal(status.override, null);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for Server-Sent Events formatting (daemon/sse.js)
+ *
+ * Run: node --test tests/sse.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatEvent, formatComment, formatRetry, stateHash, encodeEventId, parseEventId } = require('../daemon/sse');
+
+describe('event formatting', () => {
+  it('writes id, event and data lines ended by a blank line', () => {
+    assert.equal(formatEvent('1-abc', 'status', '{"active":true}'), 'id: 1-abc\nevent: status\ndata: {"active":true}\n\n');
+  });
+
+  it('writes comments and the retry delay', () => {
+    assert.equal(formatComment('heartbeat'), ': heartbeat\n\n');
+    assert.equal(formatRetry(5000), 'retry: 5000\n\n');
+  });
+});
+
+describe('event ids', () => {
+  it('round-trip the history cursor and state hash', () => {
+    const hash = stateHash('{"active":true}', null);
+    const id = encodeEventId(1767261600000, hash);
+
+    assert.deepEqual(parseEventId(id), { historyCursor: 1767261600000, hash });
+  });
+
+  it('hash the same state the same way, and different states differently', () => {
+    assert.equal(stateHash('a', 'b'), stateHash('a', 'b'));
+    assert.notEqual(stateHash('a', 'b'), stateHash('a', 'c'));
+    assert.notEqual(stateHash('a', null), stateHash(null, 'a'));
+  });
+
+  it('reject ids the daemon did not write', () => {
+    assert.equal(parseEventId(undefined), null);
+    assert.equal(parseEventId(''), null);
+    assert.equal(parseEventId('42'), null);
+    assert.equal(parseEventId('abc-defghijklmno'), null);
+  });
+});
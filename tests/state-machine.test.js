@@ -10,14 +10,19 @@
 const { describe, it, beforeEach, mock } = require('node:test');
 const assert = require('node:assert/strict');
 
+const { snapshotHost, repairOverlayHost } = require('../extension/overlay-guard.js');
+
 // ─── Mocks ─────────────────────────────────────────────────────────
 
 function createMediaMock() {
   return {
     calls: [],
+    watchOptions: null,
     pauseAllMedia() { this.calls.push('pauseAllMedia'); return 1; },
     resumeOurPausedMedia() { this.calls.push('resumeOurPausedMedia'); return 1; },
-    startMediaWatcher() { this.calls.push('startMediaWatcher'); },
+    silenceAllMedia() { this.calls.push('silenceAllMedia'); },
+    unmuteOurMutedMedia() { this.calls.push('unmuteOurMutedMedia'); return 1; },
+    startMediaWatcher(options) { this.calls.push('startMediaWatcher'); this.watchOptions = options; },
     stopMediaWatcher() { this.calls.push('stopMediaWatcher'); },
     reset() { this.calls = []; },
   };
@@ -80,15 +85,48 @@ function createDomMock() {
   };
 }
 
+/** Just enough of <html> and the overlay host for repairOverlayHost */
+function createPageElement() {
+  const attributes = new Map();
+
+  return {
+    parentNode: null,
+    children: [],
+    get attributes() { return [...attributes.keys()].map(name => ({ name })); },
+    getAttribute(name) { return attributes.has(name) ? attributes.get(name) : null; },
+    setAttribute(name, value) { attributes.set(name, value); },
+    removeAttribute(name) { attributes.delete(name); },
+    get id() { return this.getAttribute('id') || ''; },
+    set id(value) { this.setAttribute('id', value); },
+    get className() { return this.getAttribute('class') || ''; },
+    set className(value) { this.setAttribute('class', value); },
+    get lastElementChild() { return this.children[this.children.length - 1] || null; },
+    appendChild(child) {
+      child.remove();
+      this.children.push(child);
+      child.parentNode = this;
+    },
+    remove() {
+      if (!this.parentNode) return;
+      this.parentNode.children.splice(this.parentNode.children.indexOf(this), 1);
+      this.parentNode = null;
+    },
+  };
+}
+
 // ─── Extracted State + FocusStateMachine ────────────────────────────
 // Mirrors content.js logic exactly, but injectable with mocks.
 
 const State = Object.freeze({
-  ACTIVE:   'ACTIVE',
-  INACTIVE: 'INACTIVE',
-  DISABLED: 'DISABLED',
+  ACTIVE:          'ACTIVE',
+  INACTIVE:        'INACTIVE',
+  NEEDS_ATTENTION: 'NEEDS_ATTENTION',
+  DISABLED:        'DISABLED',
 });
 
+const LOCKED_STATES = new Set([State.INACTIVE, State.NEEDS_ATTENTION]);
+const LOCK_STYLES = ['overlay', 'blur', 'grayscale', 'feed'];
+
 class FocusStateMachine {
   constructor({ media, document, setTimeout: setTimeoutFn, setInterval: setIntervalFn, clearInterval: clearIntervalFn, fetch: fetchFn }) {
     this._media = media;
@@ -103,11 +141,22 @@ class FocusStateMachine {
     this._pendingTransition = null;
     this._timeout = 2;
     this._statusData = null;
+    this._lockStyle = null;
+    this._feedSelectors = null;
     this._pollTimer = null;
     this._elapsedTimer = null;
 
     // Track overlay creation/removal for assertions
     this._overlayVisible = false;
+    this._overlayBanner = false;
+    this._html = createPageElement(); // document.documentElement
+    this._overlayHost = null; // guarded host, null once released
+    this._overlayAttributes = null;
+    this._inputBlocked = false;
+    this._pageClasses = new Set(); // documentElement classes
+    this._feedStyle = null; // text of the injected feed-hiding <style>
+    this._hadStatus = false;
+    this._messages = []; // SITE_LOCKED / SITE_UNLOCKED sent to the background
     this._fadePromiseResolve = null;
   }
 
@@ -117,7 +166,15 @@ class FocusStateMachine {
   get transitioning() { return this._transitioning; }
   get pendingTransition() { return this._pendingTransition; }
   get overlayVisible() { return this._overlayVisible; }
+  get messages() { return this._messages; }
   get statusData() { return this._statusData; }
+  get lockStyle() { return this._lockStyle; }
+  get overlayBanner() { return this._overlayBanner; }
+  get overlayAttached() { return this._html.children.some(el => el.id === 'claude-focus-overlay'); }
+  get html() { return this._html; }
+  get inputBlocked() { return this._inputBlocked; }
+  get pageClasses() { return this._pageClasses; }
+  get feedStyle() { return this._feedStyle; }
 
   transition(newState, statusData) {
     if (this._transitioning) {
@@ -128,10 +185,14 @@ class FocusStateMachine {
   }
 
   async _executeTransition(newState, statusData) {
+    const firstStatus = !this._hadStatus;
+    this._hadStatus = true;
+
     if (newState === this._state) {
       if (statusData) this._statusData = statusData;
-      if (this._state === State.INACTIVE) {
-        this._media.pauseAllMedia();
+      if (LOCKED_STATES.has(this._state)) this._applyLockStyle();
+      if (LOCKED_STATES.has(this._state)) {
+        this._media.silenceAllMedia();
       }
       return;
     }
@@ -145,7 +206,10 @@ class FocusStateMachine {
     try {
       switch (newState) {
         case State.INACTIVE:
-          this._enterInactive(prevState);
+          this._enterInactive(prevState, firstStatus);
+          break;
+        case State.NEEDS_ATTENTION:
+          this._enterNeedsAttention(prevState, firstStatus);
           break;
         case State.ACTIVE:
           await this._enterActive(prevState);
@@ -165,29 +229,123 @@ class FocusStateMachine {
     }
   }
 
-  _enterInactive() {
-    this._media.startMediaWatcher();
-    this._overlayVisible = true;
+  _enterInactive(prevState, firstStatus) {
+    this._lockPage(prevState, firstStatus);
+  }
+
+  _enterNeedsAttention(prevState, firstStatus) {
+    this._lockPage(prevState, firstStatus);
+  }
+
+  _lockPage(prevState, firstStatus) {
+    if (!LOCKED_STATES.has(prevState)) {
+      this._messages.push({ type: 'SITE_LOCKED', initial: firstStatus });
+    }
+    this._applyLockStyle();
   }
 
-  async _enterActive() {
+  async _enterActive(prevState) {
+    if (LOCKED_STATES.has(prevState)) this._messages.push({ type: 'SITE_UNLOCKED' });
     this._media.stopMediaWatcher();
+    this._removeLockStyle();
     await this._fadeOutOverlay();
     this._media.resumeOurPausedMedia();
+    this._media.unmuteOurMutedMedia();
   }
 
-  async _enterDisabled() {
+  async _enterDisabled(prevState) {
+    if (LOCKED_STATES.has(prevState)) this._messages.push({ type: 'SITE_UNLOCKED' });
     this._media.stopMediaWatcher();
+    this._removeLockStyle();
     await this._fadeOutOverlay();
     this._media.resumeOurPausedMedia();
+    this._media.unmuteOurMutedMedia();
+  }
+
+  _applyLockStyle() {
+    const requested = this._statusData?.style;
+    const style = LOCK_STYLES.includes(requested) ? requested : 'overlay';
+    const feedSelectors = style === 'feed' ? (this._statusData.feedSelectors || []).join(', ') : null;
+    if (style === this._lockStyle && feedSelectors === this._feedSelectors) return;
+
+    if (this._lockStyle) {
+      this._media.stopMediaWatcher();
+      this._media.resumeOurPausedMedia();
+      this._media.unmuteOurMutedMedia();
+      this._removeLockStyle();
+      this._releaseOverlay()?.remove();
+      this._overlayVisible = false;
+    }
+    this._lockStyle = style;
+    this._feedSelectors = feedSelectors;
+
+    this._media.startMediaWatcher({
+      mode: style === 'grayscale' ? 'mute' : 'pause',
+      within: feedSelectors,
+    });
+
+    if (style !== 'overlay') this._pageClasses.add(`claude-focus-${style}`);
+    if (feedSelectors) this._feedStyle = `${feedSelectors} { display: none !important; }`;
+
+    this._overlayVisible = true;
+    this._overlayBanner = style !== 'overlay';
+    this._createOverlay(style !== 'overlay');
+    if (style === 'overlay' || style === 'blur') this._inputBlocked = true;
+  }
+
+  _createOverlay(banner) {
+    if (this._overlayHost) return;
+
+    const host = createPageElement();
+    host.id = 'claude-focus-overlay';
+    host.className = banner ? 'claude-overlay-banner' : 'claude-overlay-full';
+    host.setAttribute('style', 'z-index: 2147483647 !important;');
+    this._overlayHost = host;
+    this._overlayAttributes = snapshotHost(host);
+    this._html.appendChild(host);
+  }
+
+  _releaseOverlay() {
+    const host = this._overlayHost;
+    this._overlayHost = null;
+    this._overlayAttributes = null;
+    this._inputBlocked = false;
+    return host;
+  }
+
+  _repairOverlay() {
+    const host = this._overlayHost;
+    if (!host || !LOCKED_STATES.has(this._state)) return;
+    repairOverlayHost(host, this._html, this._overlayAttributes);
+  }
+
+  /** Test helper: a page script changes the overlay host, then the watcher fires */
+  tamperWithOverlay(change) {
+    const host = this._html.children.find(el => el.id === 'claude-focus-overlay');
+    if (host) change(host, this._html);
+    this._repairOverlay();
+  }
+
+  /** Test helper: a page script removes the overlay host */
+  removeOverlayFromPage() {
+    this.tamperWithOverlay(host => host.remove());
+  }
+
+  _removeLockStyle() {
+    this._pageClasses.clear();
+    this._feedStyle = null;
+    this._lockStyle = null;
+    this._feedSelectors = null;
   }
 
   _fadeOutOverlay() {
+    const host = this._releaseOverlay();
     if (!this._overlayVisible) return Promise.resolve();
 
     return new Promise((resolve) => {
       this._fadePromiseResolve = () => {
         this._overlayVisible = false;
+        host?.remove();
         this._fadePromiseResolve = null;
         resolve();
       };
@@ -218,12 +376,16 @@ class FocusStateMachine {
 
     if (status.active) {
       this.transition(State.ACTIVE, status);
+    } else if (status.needsAttention) {
+      this.transition(State.NEEDS_ATTENTION, status);
     } else {
       this.transition(State.INACTIVE, status);
     }
   }
 
   destroy() {
+    this._releaseOverlay();
+    this._inputBlocked = false;
     this._media.stopMediaWatcher();
   }
 }
@@ -291,7 +453,7 @@ describe('FocusStateMachine', () => {
 
       assert.equal(fsm.state, State.ACTIVE);
       assert.equal(fsm.overlayVisible, false);
-      assert.deepEqual(media.calls, ['stopMediaWatcher', 'resumeOurPausedMedia']);
+      assert.deepEqual(media.calls, ['stopMediaWatcher', 'resumeOurPausedMedia', 'unmuteOurMutedMedia']);
     });
 
     it('ACTIVE → DISABLED: no overlay shown, no media changes', async () => {
@@ -354,14 +516,14 @@ describe('FocusStateMachine', () => {
       assert.equal(fsm.statusData.elapsed, 8000);
     });
 
-    it('INACTIVE → INACTIVE: re-pauses media (SPA nav fix)', () => {
+    it('INACTIVE → INACTIVE: re-silences media (SPA nav fix)', () => {
       fsm.transition(State.INACTIVE, { active: false });
       media.reset();
 
       fsm.transition(State.INACTIVE, { active: false });
 
-      assert.ok(media.calls.includes('pauseAllMedia'),
-        'Should call pauseAllMedia on same-state INACTIVE update');
+      assert.ok(media.calls.includes('silenceAllMedia'),
+        'Should call silenceAllMedia on same-state INACTIVE update');
     });
 
     it('ACTIVE → ACTIVE: updates status data, does not pause media', () => {
@@ -369,6 +531,7 @@ describe('FocusStateMachine', () => {
 
       assert.equal(fsm.state, State.ACTIVE);
       assert.ok(!media.calls.includes('pauseAllMedia'));
+      assert.ok(!media.calls.includes('silenceAllMedia'));
     });
   });
 
@@ -461,6 +624,105 @@ describe('FocusStateMachine', () => {
     });
   });
 
+  describe('NEEDS_ATTENTION ("Claude needs you")', () => {
+    it('needsAttention flag → NEEDS_ATTENTION', () => {
+      fsm.handleStatusUpdate({ active: false, needsAttention: true, daemonOnline: true });
+
+      assert.equal(fsm.state, State.NEEDS_ATTENTION);
+    });
+
+    it('ACTIVE → NEEDS_ATTENTION: pauses media, shows overlay at once', () => {
+      fsm.handleStatusUpdate({ active: false, needsAttention: true });
+
+      assert.equal(fsm.overlayVisible, true);
+      assert.equal(media.calls[0], 'startMediaWatcher');
+    });
+
+    it('active wins over needsAttention', () => {
+      fsm.handleStatusUpdate({ active: true, needsAttention: true });
+
+      assert.equal(fsm.state, State.ACTIVE);
+    });
+
+    it('disabled wins over needsAttention', () => {
+      fsm.handleStatusUpdate({ disabled: true, active: false, needsAttention: true });
+
+      assert.equal(fsm.state, State.DISABLED);
+    });
+
+    it('INACTIVE → NEEDS_ATTENTION: keeps overlay and media paused', () => {
+      fsm.handleStatusUpdate({ active: false });
+      media.reset();
+
+      fsm.handleStatusUpdate({ active: false, needsAttention: true });
+
+      assert.equal(fsm.state, State.NEEDS_ATTENTION);
+      assert.equal(fsm.overlayVisible, true);
+      assert.ok(!media.calls.includes('resumeOurPausedMedia'));
+    });
+
+    it('NEEDS_ATTENTION → NEEDS_ATTENTION: re-silences media', () => {
+      fsm.handleStatusUpdate({ active: false, needsAttention: true });
+      media.reset();
+
+      fsm.handleStatusUpdate({ active: false, needsAttention: true });
+
+      assert.ok(media.calls.includes('silenceAllMedia'));
+    });
+
+    it('NEEDS_ATTENTION → ACTIVE: fades overlay, resumes media', async () => {
+      fsm.handleStatusUpdate({ active: false, needsAttention: true });
+      media.reset();
+
+      fsm.handleStatusUpdate({ active: true });
+      await new Promise(r => setTimeout(r, 10));
+
+      assert.equal(fsm.state, State.ACTIVE);
+      assert.equal(fsm.overlayVisible, false);
+      assert.deepEqual(media.calls, ['stopMediaWatcher', 'resumeOurPausedMedia', 'unmuteOurMutedMedia']);
+    });
+  });
+
+  describe('blocked visit reporting', () => {
+    it('page loaded locked: reports an initial lock', () => {
+      fsm.handleStatusUpdate({ active: false });
+
+      assert.deepEqual(fsm.messages, [{ type: 'SITE_LOCKED', initial: true }]);
+    });
+
+    it('lock after the page was unlocked is not initial', () => {
+      fsm.handleStatusUpdate({ active: true });
+      fsm.handleStatusUpdate({ active: false });
+
+      assert.deepEqual(fsm.messages, [{ type: 'SITE_LOCKED', initial: false }]);
+    });
+
+    it('does not report again when switching between locked states', () => {
+      fsm.handleStatusUpdate({ active: false });
+      fsm.handleStatusUpdate({ active: false, needsAttention: true });
+      fsm.handleStatusUpdate({ active: false });
+
+      assert.equal(fsm.messages.length, 1);
+    });
+
+    it('reports the unlock, then a new lock', async () => {
+      fsm.handleStatusUpdate({ active: false });
+      fsm.handleStatusUpdate({ active: true });
+      await new Promise(r => setTimeout(r, 10));
+      fsm.handleStatusUpdate({ active: false });
+
+      assert.deepEqual(fsm.messages.map(m => m.type), ['SITE_LOCKED', 'SITE_UNLOCKED', 'SITE_LOCKED']);
+    });
+
+    it('disabling a locked page reports the unlock', async () => {
+      fsm.handleStatusUpdate({ active: false });
+      fsm.handleStatusUpdate({ disabled: true });
+      await new Promise(r => setTimeout(r, 10));
+
+      assert.deepEqual(fsm.messages.map(m => m.type), ['SITE_LOCKED', 'SITE_UNLOCKED']);
+    });
+  });
+
   describe('rapid toggle simulation (RC5 fix)', () => {
     it('rapid INACTIVE → ACTIVE → INACTIVE → ACTIVE resolves to final state', async () => {
       fsm.autoResolveFade = false;
@@ -554,6 +816,132 @@ describe('FocusStateMachine', () => {
     });
   });
 
+  describe('lock styles', () => {
+    it('defaults to the full overlay with paused media', () => {
+      fsm.transition(State.INACTIVE, { active: false });
+
+      assert.equal(fsm.lockStyle, 'overlay');
+      assert.equal(fsm.overlayBanner, false);
+      assert.deepEqual(media.watchOptions, { mode: 'pause', within: null });
+      assert.equal(fsm.pageClasses.size, 0);
+    });
+
+    it('falls back to the overlay for unknown styles', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'sepia' });
+
+      assert.equal(fsm.lockStyle, 'overlay');
+    });
+
+    it('blur: banner over a blurred page, media paused', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'blur' });
+
+      assert.equal(fsm.overlayBanner, true);
+      assert.ok(fsm.pageClasses.has('claude-focus-blur'));
+      assert.equal(media.watchOptions.mode, 'pause');
+    });
+
+    it('grayscale: mutes media instead of pausing it', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'grayscale' });
+
+      assert.ok(fsm.pageClasses.has('claude-focus-grayscale'));
+      assert.equal(media.watchOptions.mode, 'mute');
+    });
+
+    it('feed: hides the site\'s feed selectors and only pauses media inside them', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'feed', feedSelectors: ['#related', 'shreddit-feed'] });
+
+      assert.equal(fsm.feedStyle, '#related, shreddit-feed { display: none !important; }');
+      assert.deepEqual(media.watchOptions, { mode: 'pause', within: '#related, shreddit-feed' });
+    });
+
+    it('switches style while locked, undoing the old one first', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'grayscale' });
+      media.reset();
+
+      fsm.transition(State.INACTIVE, { active: false, style: 'blur' });
+
+      assert.equal(fsm.lockStyle, 'blur');
+      assert.deepEqual([...fsm.pageClasses], ['claude-focus-blur']);
+      assert.deepEqual(media.calls.slice(0, 4),
+        ['stopMediaWatcher', 'resumeOurPausedMedia', 'unmuteOurMutedMedia', 'startMediaWatcher']);
+    });
+
+    it('does not restart the watcher for the same style', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'blur' });
+      media.reset();
+
+      fsm.transition(State.INACTIVE, { active: false, style: 'blur', elapsed: 9000 });
+
+      assert.ok(!media.calls.includes('startMediaWatcher'));
+    });
+
+    it('removes page effects and unmutes on unlock', async () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'feed', feedSelectors: ['#related'] });
+      fsm.transition(State.ACTIVE, { active: true });
+      await new Promise(r => setTimeout(r, 10));
+
+      assert.equal(fsm.lockStyle, null);
+      assert.equal(fsm.feedStyle, null);
+      assert.equal(fsm.pageClasses.size, 0);
+      assert.ok(media.calls.includes('unmuteOurMutedMedia'));
+    });
+  });
+
+  describe('tamper protection', () => {
+    it('puts the overlay back if the page removes it while locked', () => {
+      fsm.transition(State.INACTIVE, { active: false });
+
+      fsm.removeOverlayFromPage();
+
+      assert.equal(fsm.overlayAttached, true);
+    });
+
+    it('restacks the overlay above a max z-index element the page appends', () => {
+      fsm.transition(State.INACTIVE, { active: false });
+      const cover = createPageElement();
+
+      fsm.tamperWithOverlay((host, html) => html.appendChild(cover));
+
+      assert.equal(fsm.html.lastElementChild.id, 'claude-focus-overlay');
+    });
+
+    it('restores the overlay\'s style if the page hides it', () => {
+      fsm.transition(State.INACTIVE, { active: false, style: 'blur' });
+
+      fsm.tamperWithOverlay(host => host.setAttribute('style', 'display: none !important;'));
+
+      const host = fsm.html.lastElementChild;
+      assert.equal(host.getAttribute('style'), 'z-index: 2147483647 !important;');
+      assert.equal(host.className, 'claude-overlay-banner');
+    });
+
+    it('stops guarding the overlay once unlocked', async () => {
+      fsm.transition(State.INACTIVE, { active: false });
+      fsm.transition(State.ACTIVE, { active: true });
+      await new Promise(r => setTimeout(r, 10));
+
+      fsm.removeOverlayFromPage();
+
+      assert.equal(fsm.overlayAttached, false);
+    });
+
+    it('blocks page input under the full overlay and the blur banner only', () => {
+      for (const [style, blocked] of [['overlay', true], ['blur', true], ['grayscale', false], ['feed', false]]) {
+        fsm.transition(State.INACTIVE, { active: false, style, feedSelectors: ['#related'] });
+        assert.equal(fsm.inputBlocked, blocked, style);
+      }
+    });
+
+    it('releases input as soon as the unlock starts, before the fade ends', () => {
+      fsm.autoResolveFade = false;
+      fsm.transition(State.INACTIVE, { active: false });
+      fsm.transition(State.ACTIVE, { active: true });
+
+      assert.equal(fsm.overlayVisible, true); // still fading
+      assert.equal(fsm.inputBlocked, false);
+    });
+  });
+
   describe('destroy', () => {
     it('stops media watcher on destroy', () => {
       fsm.transition(State.INACTIVE, { active: false });
@@ -563,6 +951,14 @@ describe('FocusStateMachine', () => {
 
       assert.ok(media.calls.includes('stopMediaWatcher'));
     });
+
+    it('stops blocking input on destroy', () => {
+      fsm.transition(State.INACTIVE, { active: false });
+
+      fsm.destroy();
+
+      assert.equal(fsm.inputBlocked, false);
+    });
   });
 });
 
@@ -571,7 +967,7 @@ describe('State enum', () => {
     assert.ok(Object.isFrozen(State));
   });
 
-  it('has exactly 3 states', () => {
-    assert.equal(Object.keys(State).length, 3);
+  it('has exactly 4 states', () => {
+    assert.equal(Object.keys(State).length, 4);
   });
 });
@@ -0,0 +1,104 @@
+/**
+ * Tests for finding a session's terminal window (daemon/terminal-window.js)
+ *
+ * Run: node --test tests/terminal-window.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseParentPid, processAncestors, parseWindowList, pickWindow } = require('../daemon/terminal-window');
+
+/** /proc/<pid>/stat for a process tree given as { pid: [comm, ppid] } */
+function procStats(tree) {
+  return (pid) => {
+    if (!tree[pid]) throw new Error('ENOENT');
+    const [comm, ppid] = tree[pid];
+    return `${pid} (${comm}) S ${ppid} ${pid} ${pid} 34816 ${pid} 4194304 1 0 0 0`;
+  };
+}
+
+describe('parseParentPid', () => {
+  it('reads the field after the state', () => {
+    assert.equal(parseParentPid('4321 (node) S 1234 4321 4321 0 -1'), 1234);
+  });
+
+  it('copes with spaces and parentheses in the command name', () => {
+    assert.equal(parseParentPid('4321 (tmux: server (1)) S 77 4321 4321 0 -1'), 77);
+  });
+
+  it('is null for init\'s parent', () => {
+    assert.equal(parseParentPid('1 (systemd) S 0 1 1 0 -1'), null);
+  });
+});
+
+describe('processAncestors', () => {
+  const tree = {
+    500: ['node', 400],
+    400: ['bash', 300],
+    300: ['gnome-terminal-', 1],
+    1: ['systemd', 0],
+  };
+
+  it('lists the process and its ancestors, nearest first', () => {
+    assert.deepEqual(processAncestors(500, procStats(tree)), [500, 400, 300, 1]);
+  });
+
+  it('stops at a process that has gone', () => {
+    assert.deepEqual(processAncestors(600, procStats(tree)), [600]);
+  });
+
+  it('stops on a loop', () => {
+    const loop = { 10: ['a', 11], 11: ['b', 10] };
+
+    assert.deepEqual(processAncestors(10, procStats(loop)), [10, 11]);
+  });
+});
+
+describe('parseWindowList', () => {
+  it('reads id, pid and title from wmctrl -lp', () => {
+    const output = [
+      '0x03a00003  0 300    laptop api-service - Terminal',
+      '0x04000007 -1 2100   laptop ',
+      '',
+    ].join('\n');
+
+    assert.deepEqual(parseWindowList(output), [
+      { id: '0x03a00003', pid: 300, title: 'api-service - Terminal' },
+      { id: '0x04000007', pid: 2100, title: '' },
+    ]);
+  });
+});
+
+describe('pickWindow', () => {
+  const windows = [
+    { id: '0x1', pid: 300, title: 'api-service' },
+    { id: '0x2', pid: 300, title: 'notes' },
+    { id: '0x3', pid: 700, title: 'Reading about api-service - Browser' },
+    { id: '0x4', pid: 800, title: 'web' },
+  ];
+
+  it('takes the only window of the nearest ancestor that has one', () => {
+    assert.equal(pickWindow(windows, [500, 400, 800, 1], 'api-service').id, '0x4');
+  });
+
+  it('tells a terminal\'s windows apart by the exact project title', () => {
+    assert.equal(pickWindow(windows, [500, 300], 'api-service').id, '0x1');
+    assert.equal(pickWindow(windows, [500, 300], 'api'), null);
+  });
+
+  it('stays with the terminal\'s windows once it has found them', () => {
+    assert.equal(pickWindow(windows, [500, 300, 1], 'web'), null);
+  });
+
+  it('without a window in the process tree, only takes one titled exactly like the project', () => {
+    assert.equal(pickWindow(windows, [500, 400, 1], 'web').id, '0x4');
+    assert.equal(pickWindow(windows, [500, 400, 1], 'api'), null);
+  });
+
+  it('without a pid, only takes a window titled exactly like the project', () => {
+    assert.equal(pickWindow(windows, [], 'web').id, '0x4');
+    assert.equal(pickWindow(windows, [], 'api'), null);
+    assert.equal(pickWindow(windows, [], null), null);
+  });
+});
@@ -1,15 +1,25 @@
 /**
- * Tests for URL matching logic (background.js)
+ * Tests for URL matching (extension/match-patterns.js and its use in background.js)
  *
- * Tests urlMatchesEnabledSite and urlMatchesAnySite with various URL patterns.
+ * The match-pattern parser is shared with the extension and loaded directly;
+ * urlMatchesEnabledSite / urlMatchesAnySite mirror background.js on top of it.
+ * Hard block hands patterns to declarativeNetRequest as regexes, which must
+ * agree with the matcher.
  *
  * Run: node --test tests/url-matching.test.js
  */
 
-const { describe, it, beforeEach } = require('node:test');
+const { describe, it } = require('node:test');
 const assert = require('node:assert/strict');
+const {
+  compileMatchPattern,
+  matchPatternToRegExpSource,
+  matchesPattern,
+  matchesAnyPattern,
+  isValidMatchPattern,
+} = require('../extension/match-patterns.js');
 
-// ─── Extracted URL matching logic from background.js ───────────────
+// ─── Site matching as background.js does it ────────────────────────
 
 const DEFAULT_SITES = [
   { id: 'youtube', name: 'YouTube', patterns: ['*://*.youtube.com/*'], enabled: true, builtin: true },
@@ -22,54 +32,11 @@ function createMatcher(sites, enabled = true) {
 
   function urlMatchesEnabledSite(url) {
     if (!settings.enabled) return false;
-
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-
-      for (const site of settings.sites) {
-        if (!site.enabled) continue;
-
-        for (const pattern of site.patterns) {
-          const regexPattern = pattern
-            .replace(/\./g, '\\.')
-            .replace(/\*/g, '.*')
-            .replace(/\//g, '\\/');
-
-          if (new RegExp(regexPattern).test(url)) {
-            return true;
-          }
-
-          const patternHost = pattern.match(/\*:\/\/\*?\.?([^\/]+)/)?.[1];
-          if (patternHost && (hostname === patternHost || hostname.endsWith('.' + patternHost))) {
-            return true;
-          }
-        }
-      }
-    } catch (e) {
-      // Invalid URL
-    }
-
-    return false;
+    return settings.sites.some(site => site.enabled && matchesAnyPattern(site.patterns, url));
   }
 
   function urlMatchesAnySite(url) {
-    try {
-      const urlObj = new URL(url);
-      const hostname = urlObj.hostname;
-
-      for (const site of settings.sites) {
-        for (const pattern of site.patterns) {
-          const patternHost = pattern.match(/\*:\/\/\*?\.?([^\/]+)/)?.[1];
-          if (patternHost && (hostname === patternHost || hostname.endsWith('.' + patternHost))) {
-            return true;
-          }
-        }
-      }
-    } catch (e) {
-      // Invalid URL
-    }
-    return false;
+    return settings.sites.some(site => matchesAnyPattern(site.patterns, url));
   }
 
   return { urlMatchesEnabledSite, urlMatchesAnySite };
@@ -149,3 +116,116 @@ describe('urlMatchesAnySite', () => {
     assert.ok(urlMatchesAnySite('https://www.youtube.com/'));
   });
 });
+
+describe('match-pattern semantics', () => {
+  it('does not match the domain elsewhere in the URL', () => {
+    const { urlMatchesEnabledSite, urlMatchesAnySite } = createMatcher(DEFAULT_SITES);
+
+    assert.ok(!urlMatchesEnabledSite('https://evil.com/?x=youtube.com/'));
+    assert.ok(!urlMatchesEnabledSite('https://evil.com/www.youtube.com/watch'));
+    assert.ok(!urlMatchesAnySite('https://notyoutube.com/'));
+    assert.ok(!urlMatchesAnySite('https://youtube.com.evil.com/'));
+  });
+
+  it('"*" scheme matches http and https only', () => {
+    assert.ok(matchesPattern('*://*.youtube.com/*', 'http://youtube.com/'));
+    assert.ok(matchesPattern('*://*.youtube.com/*', 'https://youtube.com/'));
+    assert.ok(!matchesPattern('*://*.youtube.com/*', 'ftp://youtube.com/'));
+    assert.ok(!matchesPattern('*://*.youtube.com/*', 'wss://youtube.com/'));
+    assert.ok(matchesPattern('wss://*.youtube.com/*', 'wss://youtube.com/'));
+  });
+
+  it('matches exact hosts without subdomains', () => {
+    assert.ok(matchesPattern('https://example.com/*', 'https://example.com/a'));
+    assert.ok(!matchesPattern('https://example.com/*', 'https://www.example.com/a'));
+    assert.ok(matchesPattern('https://*/*', 'https://anything.test/'));
+  });
+
+  it('matches the path and query string as a glob', () => {
+    const pattern = '*://*.youtube.com/shorts/*';
+
+    assert.ok(matchesPattern(pattern, 'https://www.youtube.com/shorts/abc'));
+    assert.ok(!matchesPattern(pattern, 'https://www.youtube.com/watch?v=abc'));
+    assert.ok(matchesPattern('*://*.youtube.com/watch?v=*', 'https://youtube.com/watch?v=abc'));
+    assert.ok(!matchesPattern('*://*.youtube.com/', 'https://youtube.com/feed'));
+    // The fragment is never part of the match
+    assert.ok(matchesPattern('*://*.youtube.com/', 'https://youtube.com/#top'));
+  });
+
+  it('honors ports when the pattern has one', () => {
+    assert.ok(matchesPattern('http://127.0.0.1:31415/*', 'http://127.0.0.1:31415/status'));
+    assert.ok(!matchesPattern('http://127.0.0.1:31415/*', 'http://127.0.0.1:8080/status'));
+    assert.ok(matchesPattern('http://localhost/*', 'http://localhost:3000/'));
+    assert.ok(matchesPattern('http://localhost:*/*', 'http://localhost:3000/'));
+    assert.ok(matchesPattern('https://example.com:443/*', 'https://example.com/'));
+  });
+
+  it('supports <all_urls> and file patterns', () => {
+    assert.ok(matchesPattern('<all_urls>', 'https://example.com/'));
+    assert.ok(matchesPattern('<all_urls>', 'file:///tmp/a.html'));
+    assert.ok(!matchesPattern('<all_urls>', 'chrome://extensions/'));
+    assert.ok(matchesPattern('file:///tmp/*', 'file:///tmp/a.html'));
+  });
+
+  it('is case-insensitive for hosts', () => {
+    assert.ok(matchesPattern('*://*.YouTube.com/*', 'https://WWW.YOUTUBE.COM/'));
+  });
+
+  it('rejects malformed patterns', () => {
+    for (const pattern of ['youtube.com', '*://*youtube.com/*', '*://www.*.com/*', 'chrome://*/*', '*://*.youtube.com', 'http:///path', 'file://host/x', '*://*./*']) {
+      assert.ok(!isValidMatchPattern(pattern), pattern);
+      assert.throws(() => compileMatchPattern(pattern), /Invalid match pattern/);
+    }
+  });
+
+  it('never matches with an invalid pattern or URL', () => {
+    assert.ok(!matchesPattern('*://*youtube.com/*', 'https://youtube.com/'));
+    assert.ok(!matchesAnyPattern(['*://*.youtube.com/*'], 'not-a-url'));
+  });
+
+  it('accepts URL objects', () => {
+    assert.ok(matchesAnyPattern(['*://*.youtube.com/*'], new URL('https://m.youtube.com/')));
+  });
+});
+
+describe('matchPatternToRegExpSource', () => {
+  const cases = [
+    ['*://*.youtube.com/*', 'https://youtube.com/'],
+    ['*://*.youtube.com/*', 'http://m.youtube.com/watch?v=1'],
+    ['*://*.youtube.com/*', 'https://notyoutube.com/'],
+    ['*://*.youtube.com/*', 'https://youtube.com.evil.com/'],
+    ['*://*.youtube.com/*', 'https://evil.com/?x=youtube.com/'],
+    ['*://*.youtube.com/*', 'ftp://youtube.com/'],
+    ['*://*.youtube.com/shorts/*', 'https://www.youtube.com/shorts/abc'],
+    ['*://*.youtube.com/shorts/*', 'https://www.youtube.com/watch?v=abc'],
+    ['*://*.youtube.com/watch?v=*', 'https://youtube.com/watch?v=abc'],
+    ['https://example.com/*', 'https://www.example.com/a'],
+    ['https://*/*', 'https://anything.test/'],
+    ['http://127.0.0.1:31415/*', 'http://127.0.0.1:31415/status'],
+    ['http://127.0.0.1:31415/*', 'http://127.0.0.1:8080/status'],
+    ['http://localhost/*', 'http://localhost:3000/'],
+    ['https://example.com:443/*', 'https://example.com/'],
+    ['<all_urls>', 'https://example.com/'],
+    ['<all_urls>', 'chrome://extensions/'],
+    ['file:///tmp/*', 'file:///tmp/a.html'],
+  ];
+
+  it('matches the same URLs as the matcher', () => {
+    for (const [pattern, url] of cases) {
+      const re = new RegExp(matchPatternToRegExpSource(pattern), 'i');
+      // declarativeNetRequest matches the URL without its fragment
+      assert.equal(re.test(url), matchesPattern(pattern, url), `${pattern} vs ${url}`);
+    }
+  });
+
+  it('anchors the whole URL so the match can be substituted', () => {
+    const source = matchPatternToRegExpSource('*://*.youtube.com/*');
+    const url = 'https://www.youtube.com/watch?v=1';
+
+    assert.equal(new RegExp(source).exec(url)[0], url);
+  });
+
+  it('throws on malformed patterns', () => {
+    assert.throws(() => matchPatternToRegExpSource('*://*youtube.com/*'), /Invalid match pattern/);
+  });
+});
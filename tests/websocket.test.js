@@ -0,0 +1,208 @@
+/**
+ * Tests for WebSocket framing (daemon/websocket.js)
+ *
+ * Run: node --test tests/websocket.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OPCODES, CLOSE_CODES, encodeFrame, encodeCloseFrame, createFrameDecoder } = require('../daemon/websocket');
+
+const MASK = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+/**
+ * Build a client frame: masked unless told otherwise, with the 7-, 16- or
+ * 64-bit length the payload needs.
+ */
+function clientFrame(payload, { opcode = OPCODES.TEXT, fin = true, masked = true, rsv = 0 } = {}) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | rsv | opcode;
+  if (!masked) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const body = Buffer.from(data);
+  for (let i = 0; i < body.length; i++) body[i] ^= MASK[i % 4];
+  return Buffer.concat([header, MASK, body]);
+}
+
+function decoder(options = {}) {
+  const messages = [];
+  const errors = [];
+  const { push } = createFrameDecoder({
+    onMessage: (opcode, data) => messages.push({ opcode, data }),
+    onError: (code, reason) => errors.push({ code, reason }),
+    ...options,
+  });
+  return { push, messages, errors };
+}
+
+describe('frame decoder', () => {
+  it('unmasks text messages', () => {
+    const { push, messages } = decoder();
+    push(clientFrame('{"type":"ping"}'));
+
+    assert.deepEqual(messages, [{ opcode: OPCODES.TEXT, data: '{"type":"ping"}' }]);
+  });
+
+  it('reads 16- and 64-bit lengths', () => {
+    const { push, messages } = decoder();
+    const medium = 'a'.repeat(300);
+    const large = 'b'.repeat(70000);
+    push(clientFrame(medium));
+    push(clientFrame(large));
+
+    assert.deepEqual(messages.map(m => m.data), [medium, large]);
+  });
+
+  it('waits for frames split across chunks', () => {
+    const { push, messages } = decoder();
+    const frame = clientFrame('x'.repeat(200));
+    for (let i = 0; i < frame.length; i += 3) push(frame.subarray(i, i + 3));
+
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].data, 'x'.repeat(200));
+  });
+
+  it('reads several frames from one chunk', () => {
+    const { push, messages } = decoder();
+    push(Buffer.concat([clientFrame('one'), clientFrame('two')]));
+
+    assert.deepEqual(messages.map(m => m.data), ['one', 'two']);
+  });
+
+  it('reassembles fragments around an interleaved ping', () => {
+    const { push, messages } = decoder();
+    push(Buffer.concat([
+      clientFrame('{"type":', { fin: false }),
+      clientFrame('hi', { opcode: OPCODES.PING }),
+      clientFrame('"ping"', { opcode: OPCODES.CONTINUATION, fin: false }),
+      clientFrame('}', { opcode: OPCODES.CONTINUATION }),
+    ]));
+
+    assert.equal(messages.length, 2);
+    assert.equal(messages[0].opcode, OPCODES.PING);
+    assert.equal(messages[0].data.toString(), 'hi');
+    assert.deepEqual(messages[1], { opcode: OPCODES.TEXT, data: '{"type":"ping"}' });
+  });
+
+  it('decodes UTF-8 split between fragments', () => {
+    const { push, messages } = decoder();
+    const bytes = Buffer.from('über');
+    push(clientFrame(bytes.subarray(0, 1), { fin: false }));
+    push(clientFrame(bytes.subarray(1), { opcode: OPCODES.CONTINUATION }));
+
+    assert.equal(messages[0].data, 'über');
+  });
+
+  it('rejects unmasked frames and reserved bits', () => {
+    const unmasked = decoder();
+    unmasked.push(clientFrame('hi', { masked: false }));
+    const reserved = decoder();
+    reserved.push(clientFrame('hi', { rsv: 0x40 }));
+
+    assert.equal(unmasked.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+    assert.equal(reserved.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+  });
+
+  it('rejects misplaced continuation frames', () => {
+    const orphan = decoder();
+    orphan.push(clientFrame('x', { opcode: OPCODES.CONTINUATION }));
+    const interrupted = decoder();
+    interrupted.push(clientFrame('x', { fin: false }));
+    interrupted.push(clientFrame('y'));
+
+    assert.equal(orphan.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+    assert.equal(interrupted.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+  });
+
+  it('rejects fragmented or oversized control frames', () => {
+    const fragmented = decoder();
+    fragmented.push(clientFrame('', { opcode: OPCODES.PING, fin: false }));
+    const oversized = decoder();
+    oversized.push(clientFrame('p'.repeat(126), { opcode: OPCODES.PING }));
+
+    assert.equal(fragmented.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+    assert.equal(oversized.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+  });
+
+  it('rejects messages over the size limit, counting every fragment', () => {
+    const { push, messages, errors } = decoder({ maxMessageBytes: 10 });
+    push(clientFrame('123456', { fin: false }));
+    push(clientFrame('789012', { opcode: OPCODES.CONTINUATION }));
+
+    assert.equal(messages.length, 0);
+    assert.equal(errors[0].code, CLOSE_CODES.TOO_BIG);
+  });
+
+  it('rejects invalid UTF-8 in text messages', () => {
+    const { push, errors } = decoder();
+    push(clientFrame(Buffer.from([0xff, 0xfe])));
+
+    assert.equal(errors[0].code, CLOSE_CODES.INVALID_DATA);
+  });
+
+  it('ignores everything after an error', () => {
+    const { push, messages, errors } = decoder();
+    push(Buffer.concat([clientFrame('x', { masked: false }), clientFrame('later')]));
+    push(clientFrame('later still'));
+
+    assert.equal(errors.length, 1);
+    assert.equal(messages.length, 0);
+  });
+});
+
+describe('encodeFrame', () => {
+  it('writes unmasked final frames with the right length field', () => {
+    const small = encodeFrame('hi');
+    const medium = encodeFrame('m'.repeat(300));
+    const large = encodeFrame('l'.repeat(70000));
+
+    assert.deepEqual([...small], [0x81, 2, 0x68, 0x69]);
+    assert.equal(medium[1], 126);
+    assert.equal(medium.readUInt16BE(2), 300);
+    assert.equal(large[1], 127);
+    assert.equal(large.readBigUInt64BE(2), 70000n);
+  });
+
+  it('masks client frames so the daemon can decode them', () => {
+    const frame = encodeFrame('{"type":"ping"}', OPCODES.TEXT, true);
+    const { push, messages, errors } = decoder();
+    push(frame);
+
+    assert.equal(frame[1] & 0x80, 0x80);
+    assert.notEqual(frame.subarray(6).toString(), '{"type":"ping"}');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(messages, [{ opcode: OPCODES.TEXT, data: '{"type":"ping"}' }]);
+  });
+
+  it('decodes server frames on the client side, which must be unmasked', () => {
+    const client = decoder({ masked: false });
+    client.push(encodeFrame('{"type":"status"}'));
+    const strict = decoder({ masked: false });
+    strict.push(encodeFrame('x', OPCODES.TEXT, true));
+
+    assert.equal(client.messages[0].data, '{"type":"status"}');
+    assert.equal(strict.errors[0].code, CLOSE_CODES.PROTOCOL_ERROR);
+  });
+
+  it('round-trips close codes and reasons', () => {
+    const frame = encodeCloseFrame(CLOSE_CODES.TOO_BIG, 'Message too big');
+
+    assert.equal(frame[0], 0x80 | OPCODES.CLOSE);
+    assert.equal(frame.readUInt16BE(2), CLOSE_CODES.TOO_BIG);
+    assert.equal(frame.subarray(4).toString(), 'Message too big');
+  });
+});